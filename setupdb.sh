@@ -15,6 +15,8 @@ psql postgres -c "ALTER USER maraude_user CREATEDB;"
 # 3. Connect to the database and create extensions
 echo "Setting up database extensions..."
 psql maraude_tracker -c "CREATE EXTENSION IF NOT EXISTS \"uuid-ossp\";"
+# PostGIS: geography columns and radius/polygon queries (merchants, maraudes, alerts)
+psql maraude_tracker -c "CREATE EXTENSION IF NOT EXISTS postgis;"
 
 # 4. Test connection
 echo "Testing database connection..."
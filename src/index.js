@@ -7,6 +7,8 @@ require('dotenv').config();
 
 const { testConnection, sequelize } = require('./config/connection');
 const models = require('./models');
+const { requestContext } = require('./utils/requestContext');
+const { idempotency } = require('./middleware/idempotency');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -15,6 +17,26 @@ const maraudeRoutes = require('./routes/maraudes');
 const merchantRoutes = require('./routes/merchants');
 const userRoutes = require('./routes/users');
 const reportRoutes = require('./routes/reports');
+const calendarRoutes = require('./routes/calendar');
+const auditRoutes = require('./routes/audit');
+const alertRoutes = require('./routes/alerts');
+const beneficiaryRoutes = require('./routes/beneficiaries');
+const gdprRoutes = require('./routes/gdpr');
+const syncRoutes = require('./routes/sync');
+const mapRoutes = require('./routes/map');
+const tileRoutes = require('./routes/tiles');
+const analyticsRoutes = require('./routes/analytics');
+const trackingRoutes = require('./routes/tracking');
+const eventRoutes = require('./routes/events');
+
+// Background jobs
+const { startStaffingDigestJob } = require('./jobs/staffingDigest');
+const { startAlertEscalationJob } = require('./jobs/alertEscalation');
+const { startDataRetentionJob } = require('./jobs/dataRetention');
+const { startFieldReencryptionJob } = require('./jobs/fieldReencryption');
+const { startIdempotencyPurgeJob } = require('./jobs/idempotencyPurge');
+const { startOccurrenceGenerationJob } = require('./jobs/occurrenceGeneration');
+const { startAlertNotifications } = require('./services/alertNotificationService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -58,8 +80,8 @@ app.use(cors({
   ].filter(Boolean),
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-requested-with'],
-  exposedHeaders: ['Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-requested-with', 'Idempotency-Key'],
+  exposedHeaders: ['Authorization', 'Idempotent-Replayed']
 }));
 
 // Logging middleware
@@ -69,6 +91,12 @@ app.use(morgan(process.env.NODE_ENV === 'development' ? 'dev' : 'combined'));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Request context (request id, authenticated actor) used by the audit trail
+app.use(requestContext);
+
+// Retries with an Idempotency-Key header get the first response back
+app.use('/api', idempotency);
+
 // 🔧 Debug middleware (temporary - remove in production)
 if (process.env.NODE_ENV === 'development') {
   app.use('/', (req, res, next) => {
@@ -128,7 +156,18 @@ app.get('/api', (req, res) => {
       weeklySchedule: '/api/maraudes/weekly-schedule',
       todayActive: '/api/maraudes/today/active',
       merchants: '/api/merchants',
-      users: '/api/users'
+      users: '/api/users',
+      calendar: '/api/calendar',
+      audit: '/api/audit',
+      alerts: '/api/alerts',
+      beneficiaries: '/api/beneficiaries',
+      gdpr: '/api/gdpr',
+      sync: '/api/sync',
+      map: '/api/map',
+      tiles: '/api/tiles',
+      analytics: '/api/analytics',
+      tracking: '/api/tracking',
+      events: '/api/events'
     }
   });
 });
@@ -155,6 +194,17 @@ app.use('/api/maraudes', maraudeRoutes);
 app.use('/api/merchants', merchantRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/reports', reportRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/beneficiaries', beneficiaryRoutes);
+app.use('/api/gdpr', gdprRoutes);
+app.use('/api/sync', syncRoutes);
+app.use('/api/map', mapRoutes);
+app.use('/api/tiles', tileRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/tracking', trackingRoutes);
+app.use('/api/events', eventRoutes);
 
 // 404 handler for API routes only
 app.use('/api/*', (req, res) => {
@@ -337,6 +387,17 @@ async function startServer() {
     // 🔍 Debug: Check file system
     await checkFileSystem();
 
+    // Critical/high alerts are notified as soon as they are created
+    startAlertNotifications();
+
+    // Periodic jobs (enabled through environment variables)
+    startStaffingDigestJob();
+    startAlertEscalationJob();
+    startDataRetentionJob();
+    startFieldReencryptionJob();
+    startIdempotencyPurgeJob();
+    startOccurrenceGenerationJob();
+
     app.listen(PORT, () => {
       console.log('\n🚀 MARAUDE TRACKER FULL STACK SERVER');
       console.log('==========================================');
@@ -0,0 +1,34 @@
+// src/jobs/alertEscalation.js - Re-notify critical/high alerts nobody acknowledged
+// Runs every ALERT_ESCALATION_CHECK_MINUTES (default 5, 0 disables). Run once by hand: npm run alerts:escalate
+const { scheduleEvery } = require('./scheduler');
+const { escalateUnacknowledged } = require('../services/alertNotificationService');
+
+const DEFAULT_CHECK_MINUTES = 5;
+
+async function runAlertEscalation() {
+  const escalated = await escalateUnacknowledged();
+  if (escalated.length > 0) {
+    console.log(`🚨 Alert escalation: ${escalated.length} alert(s) escalated`);
+  }
+  return escalated;
+}
+
+function startAlertEscalationJob() {
+  const value = process.env.ALERT_ESCALATION_CHECK_MINUTES;
+  const minutes = value === undefined || value === '' ? DEFAULT_CHECK_MINUTES : parseInt(value, 10);
+  if (Number.isNaN(minutes) || minutes <= 0) {
+    return null;
+  }
+  return scheduleEvery('alert-escalation', minutes, runAlertEscalation);
+}
+
+if (require.main === module) {
+  runAlertEscalation()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌ Alert escalation failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runAlertEscalation, startAlertEscalationJob };
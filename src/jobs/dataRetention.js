@@ -0,0 +1,40 @@
+// src/jobs/dataRetention.js - Daily anonymization of alert free text older than ALERT_RETENTION_MONTHS
+// Runs at RETENTION_JOB_HOUR (0-23, default 3) when ALERT_RETENTION_MONTHS is set. Run once by hand: npm run retention:run
+const { scheduleDaily } = require('./scheduler');
+const { applyAlertRetention, getRetentionMonths } = require('../services/gdprService');
+
+const DEFAULT_HOUR = 3;
+
+async function runDataRetention() {
+  const result = await applyAlertRetention();
+  if (result.months) {
+    console.log(`🧹 Data retention: ${result.anonymized} alert(s) anonymized (older than ${result.months} months)`);
+  } else {
+    console.log('🧹 Data retention: ALERT_RETENTION_MONTHS not set, nothing to do');
+  }
+  return result;
+}
+
+function startDataRetentionJob() {
+  if (!getRetentionMonths()) {
+    return null;
+  }
+
+  const value = process.env.RETENTION_JOB_HOUR;
+  const hour = value === undefined || value === '' ? DEFAULT_HOUR : parseInt(value, 10);
+  if (Number.isNaN(hour) || hour < 0 || hour > 23) {
+    return null;
+  }
+  return scheduleDaily('data-retention', { hour }, runDataRetention);
+}
+
+if (require.main === module) {
+  runDataRetention()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌ Data retention failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runDataRetention, startDataRetentionJob };
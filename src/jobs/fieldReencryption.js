@@ -0,0 +1,68 @@
+// src/jobs/fieldReencryption.js - Re-encrypt sensitive text with the current key (FIELD_ENCRYPTION_KEY_ID)
+// Runs daily at FIELD_ENCRYPTION_JOB_HOUR (0-23, default 4) when FIELD_ENCRYPTION_KEYS is set.
+// By hand: npm run encryption:rotate | encryption:status | encryption:generate-key
+const { scheduleDaily } = require('./scheduler');
+const { isEncryptionEnabled, generateKey } = require('../utils/fieldEncryption');
+
+const DEFAULT_HOUR = 4;
+
+// Loaded on demand: generating a key needs neither the database nor the models
+const encryptionService = () => require('../services/encryptionService');
+
+async function runFieldReencryption() {
+  if (!isEncryptionEnabled()) {
+    console.log('🔐 Field encryption: FIELD_ENCRYPTION_KEYS not set, nothing to do');
+    return null;
+  }
+
+  const result = await encryptionService().reencryptAll();
+  const rewritten = Object.values(result.models).reduce((sum, count) => sum + count, 0);
+  console.log(`🔐 Field encryption: ${rewritten} row(s) re-encrypted with key "${result.keyId}", ${result.auditRowsScrubbed} audit row(s) scrubbed`);
+  result.failed.forEach(failure => {
+    console.error(`❌ ${failure.model} ${failure.id}: ${failure.error}`);
+  });
+  return result;
+}
+
+function startFieldReencryptionJob() {
+  if (!isEncryptionEnabled()) {
+    return null;
+  }
+
+  const value = process.env.FIELD_ENCRYPTION_JOB_HOUR;
+  const hour = value === undefined || value === '' ? DEFAULT_HOUR : parseInt(value, 10);
+  if (Number.isNaN(hour) || hour < 0 || hour > 23) {
+    return null;
+  }
+  return scheduleDaily('field-reencryption', { hour }, runFieldReencryption);
+}
+
+async function main(argv) {
+  if (argv.includes('--generate-key')) {
+    const id = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    console.log('New key - put it first in FIELD_ENCRYPTION_KEYS, keep the old ones until the rotation is done:');
+    console.log(`${id}:${generateKey()}`);
+    return;
+  }
+
+  if (argv.includes('--status')) {
+    console.log(JSON.stringify(await encryptionService().getEncryptionStatus(), null, 2));
+    return;
+  }
+
+  const result = await runFieldReencryption();
+  if (result && result.failed.length > 0) {
+    throw new Error(`${result.failed.length} row(s) could not be re-encrypted`);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌ Field re-encryption failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runFieldReencryption, startFieldReencryptionJob };
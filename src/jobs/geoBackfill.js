@@ -0,0 +1,22 @@
+// src/jobs/geoBackfill.js - Fill the PostGIS columns (location, startLocation, waypointsLocation, routeLocation)
+// of rows saved before they existed. New writes keep them in sync on their own.
+// Run once after enabling PostGIS: npm run geo:backfill
+const { backfillGeoColumns } = require('../services/geoService');
+
+async function runGeoBackfill() {
+  const result = await backfillGeoColumns();
+  const updated = Object.values(result).reduce((sum, count) => sum + count, 0);
+  console.log(`🗺️  Geo backfill: ${updated} row(s) updated`, result);
+  return result;
+}
+
+if (require.main === module) {
+  runGeoBackfill()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌ Geo backfill failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runGeoBackfill };
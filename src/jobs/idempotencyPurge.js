@@ -0,0 +1,29 @@
+// src/jobs/idempotencyPurge.js - Delete stored Idempotency-Key responses past IDEMPOTENCY_TTL_HOURS
+// Runs every hour. Run once by hand: npm run idempotency:purge
+const { scheduleEvery } = require('./scheduler');
+const { purgeExpiredKeys } = require('../middleware/idempotency');
+
+const CHECK_MINUTES = 60;
+
+async function runIdempotencyPurge() {
+  const deleted = await purgeExpiredKeys();
+  if (deleted > 0) {
+    console.log(`🔑 Idempotency keys: ${deleted} expired key(s) deleted`);
+  }
+  return deleted;
+}
+
+function startIdempotencyPurgeJob() {
+  return scheduleEvery('idempotency-purge', CHECK_MINUTES, runIdempotencyPurge);
+}
+
+if (require.main === module) {
+  runIdempotencyPurge()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌ Idempotency purge failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runIdempotencyPurge, startIdempotencyPurgeJob };
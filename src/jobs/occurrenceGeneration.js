@@ -0,0 +1,36 @@
+// src/jobs/occurrenceGeneration.js - Keep the rolling horizon of occurrences generated
+// (OCCURRENCE_HORIZON_DAYS ahead), so that public reads never have to write.
+// Runs at startup, then every day at OCCURRENCE_GENERATION_HOUR (default 3). Run once by hand: npm run occurrences:generate
+const { scheduleDaily } = require('./scheduler');
+const { ensureActiveOccurrences } = require('../services/occurrenceService');
+const { addDays, toDateOnly } = require('../utils/dateUtils');
+
+const DEFAULT_HOUR = 3;
+
+async function runOccurrenceGeneration() {
+  // From the day before the UTC date: covers "today" in every zone
+  const generated = await ensureActiveOccurrences({ from: addDays(toDateOnly(new Date()), -1) });
+  console.log(`📅 Occurrences: horizon checked (${generated} session(s) expected)`);
+  return generated;
+}
+
+function startOccurrenceGenerationJob() {
+  const hour = parseInt(process.env.OCCURRENCE_GENERATION_HOUR, 10);
+  runOccurrenceGeneration().catch(error => {
+    console.error('❌ Occurrence generation failed:', error);
+  });
+  return scheduleDaily('occurrence-generation', {
+    hour: Number.isNaN(hour) || hour < 0 || hour > 23 ? DEFAULT_HOUR : hour
+  }, runOccurrenceGeneration);
+}
+
+if (require.main === module) {
+  runOccurrenceGeneration()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌ Occurrence generation failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runOccurrenceGeneration, startOccurrenceGenerationJob };
@@ -0,0 +1,21 @@
+// src/jobs/routeRecompute.js - Recompute the distance, duration and polyline of every maraude
+// with the current routing engine. New and edited maraudes are computed on save.
+// Run after changing ROUTING_ENGINE: npm run routes:recompute
+const { recomputeRoutes } = require('../services/routingService');
+
+async function runRouteRecompute() {
+  const result = await recomputeRoutes();
+  console.log(`🧭 Route recompute: ${result.updated} updated, ${result.skipped} skipped (invalid route)`);
+  return result;
+}
+
+if (require.main === module) {
+  runRouteRecompute()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌ Route recompute failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runRouteRecompute };
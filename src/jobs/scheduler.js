@@ -0,0 +1,79 @@
+// src/jobs/scheduler.js - In-process periodic jobs (no external cron needed)
+const { DEFAULT_TIMEZONE, today, addDays, zonedDateTime } = require('../utils/dateUtils');
+
+// Next instant at which the wall clock of `timezone` reads hour:00
+const nextRun = (hour, timezone) => {
+  const time = `${String(hour).padStart(2, '0')}:00:00`;
+  const todayDate = today(timezone);
+  const candidate = zonedDateTime(todayDate, time, timezone);
+  return candidate > new Date() ? candidate : zonedDateTime(addDays(todayDate, 1), time, timezone);
+};
+
+/**
+ * Run `task` every day at `hour` (local time of `timezone`).
+ * Errors are logged and never stop the schedule.
+ * @param {string} name - Used in logs
+ * @param {Object} options
+ * @param {number} options.hour - 0-23
+ * @param {string} [options.timezone]
+ * @param {Function} task - async function
+ * @returns {{stop: Function}}
+ */
+function scheduleDaily(name, { hour, timezone = DEFAULT_TIMEZONE }, task) {
+  let timer = null;
+
+  const plan = () => {
+    const runAt = nextRun(hour, timezone);
+    timer = setTimeout(async () => {
+      try {
+        console.log(`⏰ Job ${name} started`);
+        await task();
+        console.log(`✅ Job ${name} finished`);
+      } catch (error) {
+        console.error(`❌ Job ${name} failed:`, error);
+      }
+      plan();
+    }, runAt.getTime() - Date.now());
+    // Do not keep the process alive just for the job
+    timer.unref();
+  };
+
+  plan();
+  console.log(`⏰ Job ${name} scheduled daily at ${hour}:00 (${timezone})`);
+
+  return {
+    stop: () => clearTimeout(timer)
+  };
+}
+
+/**
+ * Run `task` every `minutes` minutes. A run never overlaps the previous one.
+ * @param {string} name - Used in logs
+ * @param {number} minutes
+ * @param {Function} task - async function
+ * @returns {{stop: Function}}
+ */
+function scheduleEvery(name, minutes, task) {
+  let timer = null;
+
+  const plan = () => {
+    timer = setTimeout(async () => {
+      try {
+        await task();
+      } catch (error) {
+        console.error(`❌ Job ${name} failed:`, error);
+      }
+      plan();
+    }, minutes * 60 * 1000);
+    timer.unref();
+  };
+
+  plan();
+  console.log(`⏰ Job ${name} scheduled every ${minutes} min`);
+
+  return {
+    stop: () => clearTimeout(timer)
+  };
+}
+
+module.exports = { scheduleDaily, scheduleEvery };
@@ -0,0 +1,30 @@
+// src/jobs/staffingDigest.js - Daily email of understaffed upcoming maraudes
+// Enabled with STAFFING_DIGEST_HOUR (0-23). Run once by hand: npm run staffing:digest
+const { scheduleDaily } = require('./scheduler');
+const { sendAllDigests, STAFFING_WINDOW_DAYS } = require('../services/staffingService');
+
+async function runStaffingDigest() {
+  const results = await sendAllDigests({ days: STAFFING_WINDOW_DAYS });
+  const sent = results.filter(result => result.sent).length;
+  console.log(`📧 Staffing digest: ${sent}/${results.length} association(s) notified`);
+  return results;
+}
+
+function startStaffingDigestJob() {
+  const hour = parseInt(process.env.STAFFING_DIGEST_HOUR, 10);
+  if (Number.isNaN(hour) || hour < 0 || hour > 23) {
+    return null;
+  }
+  return scheduleDaily('staffing-digest', { hour }, runStaffingDigest);
+}
+
+if (require.main === module) {
+  runStaffingDigest()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌ Staffing digest failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runStaffingDigest, startStaffingDigestJob };
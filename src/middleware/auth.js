@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const { User, Association } = require('../models');
+const { setActor } = require('../utils/requestContext');
 
 const authenticateToken = async (req, res, next) => {
   try {
@@ -17,7 +18,7 @@ const authenticateToken = async (req, res, next) => {
       include: [{
         model: Association,
         as: 'association',
-        attributes: ['id', 'name', 'isActive']
+        attributes: ['id', 'name', 'isActive', 'timezone']
       }],
       attributes: { exclude: ['password'] }
     });
@@ -31,6 +32,9 @@ const authenticateToken = async (req, res, next) => {
     }
 
     req.user = user;
+    // Long-lived connections (event streams) are closed when the token expires
+    req.tokenExpiresAt = decoded.exp ? new Date(decoded.exp * 1000) : null;
+    setActor(user); // Audit trail: changes made by this request are attributed to the user
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -62,7 +66,24 @@ const requireRole = (...roles) => {
   };
 };
 
+// EventSource cannot send headers: event streams also take the token as ?access_token=.
+// It is removed from the URL so that it never reaches the access logs.
+const acceptQueryToken = (req, res, next) => {
+  const token = req.query.access_token;
+  if (token && !req.headers.authorization) {
+    req.headers.authorization = `Bearer ${token}`;
+  }
+  if (token !== undefined) {
+    delete req.query.access_token;
+    const strip = (url) => url.replace(/([?&])access_token=[^&]*(&|$)/, (match, before, after) => (after ? before : '')).replace(/[?&]$/, '');
+    req.url = strip(req.url);
+    req.originalUrl = strip(req.originalUrl);
+  }
+  next();
+};
+
 module.exports = {
   authenticateToken,
-  requireRole
+  requireRole,
+  acceptQueryToken
 };
@@ -0,0 +1,204 @@
+// src/middleware/idempotency.js - Idempotency-Key header on POST/PUT/PATCH/DELETE
+// The first request with a key runs normally and its response is stored for
+// IDEMPOTENCY_TTL_HOURS (default 24); retries with the same key get the stored
+// response back (Idempotent-Replayed: true) instead of running again.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { IdempotencyKey } = require('../models');
+const { encryptValue, decryptValue } = require('../utils/fieldEncryption');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+const DEFAULT_TTL_HOURS = 24;
+// A "processing" key older than this belongs to a request that died (crash, restart)
+const STALE_PROCESSING_SECONDS = 120;
+// Response headers worth replaying
+const STORED_HEADERS = ['content-type', 'content-disposition', 'location'];
+
+const getTtlHours = () => {
+  const hours = parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10);
+  return Number.isNaN(hours) || hours <= 0 ? DEFAULT_TTL_HOURS : hours;
+};
+
+// User of the request, from the bearer token (routes still authenticate on their own)
+const userIdOf = (req) => {
+  const token = req.headers.authorization && req.headers.authorization.split(' ')[1];
+  if (!token) return null;
+  try {
+    return jwt.verify(token, process.env.JWT_SECRET).userId || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const fingerprint = (req) => crypto.createHash('sha256')
+  .update(JSON.stringify([req.method, req.originalUrl, req.body ?? null]))
+  .digest('hex');
+
+const serializeBody = (body) => {
+  if (body === undefined || body === null) return null;
+  if (Buffer.isBuffer(body)) return `base64:${body.toString('base64')}`;
+  return `text:${typeof body === 'string' ? body : JSON.stringify(body)}`;
+};
+
+const deserializeBody = (stored) => {
+  if (stored === null) return undefined;
+  const plain = decryptValue(stored);
+  return plain.startsWith('base64:')
+    ? Buffer.from(plain.slice('base64:'.length), 'base64')
+    : plain.slice('text:'.length);
+};
+
+const replay = (res, record) => {
+  res.set(record.responseHeaders || {});
+  res.set('Idempotent-Replayed', 'true');
+  res.status(record.responseStatus);
+  const body = deserializeBody(record.responseBody);
+  return body === undefined ? res.end() : res.send(body);
+};
+
+// Store what the route sends (res.json ends up in res.send)
+const captureResponse = (res) => {
+  const captured = { body: undefined };
+  const send = res.send;
+  res.send = function(body) {
+    captured.body = body;
+    return send.call(this, body);
+  };
+  return captured;
+};
+
+/**
+ * Claim the key for this request: the new row, or the existing one to answer with
+ * @returns {Promise<{record: Object, created: boolean}>}
+ */
+async function claimKey(userId, key, req, requestHash) {
+  const now = new Date();
+  const values = {
+    userId,
+    key,
+    method: req.method,
+    path: req.originalUrl.slice(0, 255),
+    requestHash,
+    expiresAt: new Date(now.getTime() + getTtlHours() * 60 * 60 * 1000)
+  };
+
+  try {
+    return { record: await IdempotencyKey.create(values), created: true };
+  } catch (error) {
+    if (error.name !== 'SequelizeUniqueConstraintError') throw error;
+  }
+
+  const existing = await IdempotencyKey.findOne({ where: { userId, key } });
+  const abandoned = existing && existing.status === 'processing' &&
+    now - existing.updatedAt > STALE_PROCESSING_SECONDS * 1000;
+  if (existing && !existing.isExpired(now) && !abandoned) {
+    return { record: existing, created: false };
+  }
+
+  // Expired or abandoned: start over (the id check keeps a concurrent retry from doing it twice)
+  if (existing) {
+    await IdempotencyKey.destroy({ where: { id: existing.id } });
+  }
+  return { record: await IdempotencyKey.create(values), created: true };
+}
+
+/**
+ * Express middleware, mounted on /api before the routers
+ */
+const idempotency = async (req, res, next) => {
+  const key = req.get(HEADER);
+  if (!key || !MUTATING_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ error: `${HEADER} must be at most ${MAX_KEY_LENGTH} characters` });
+  }
+
+  // Unauthenticated calls (login...) are not stored: their responses may hold tokens
+  const userId = userIdOf(req);
+  if (!userId) {
+    return next();
+  }
+
+  let claim;
+  const requestHash = fingerprint(req);
+  try {
+    claim = await claimKey(userId, key, req, requestHash);
+  } catch (error) {
+    console.error('Idempotency key error:', error);
+    return res.status(500).json({ error: 'Failed to check Idempotency-Key', details: error.message });
+  }
+
+  const { record, created } = claim;
+  if (!created) {
+    if (record.requestHash !== requestHash) {
+      return res.status(409).json({
+        error: 'Idempotency-Key already used',
+        details: `The key was used for ${record.method} ${record.path} with a different body. Use a new key for a new request.`
+      });
+    }
+    if (record.status === 'processing') {
+      res.set('Retry-After', '1');
+      return res.status(409).json({
+        error: 'Request in progress',
+        details: 'A request with this Idempotency-Key is still being processed. Retry later.'
+      });
+    }
+    try {
+      return replay(res, record);
+    } catch (error) {
+      console.error('Idempotency replay error:', error);
+      return res.status(500).json({ error: 'Failed to replay stored response', details: error.message });
+    }
+  }
+
+  const captured = captureResponse(res);
+  let settled = false;
+
+  res.on('finish', async () => {
+    settled = true;
+    try {
+      // Server errors are not final: let the client retry with the same key
+      if (res.statusCode >= 500) {
+        await record.destroy();
+        return;
+      }
+      const headers = {};
+      STORED_HEADERS.forEach(name => {
+        const value = res.get(name);
+        if (value) headers[name] = value;
+      });
+      await record.update({
+        status: 'completed',
+        responseStatus: res.statusCode,
+        responseHeaders: headers,
+        responseBody: encryptValue(serializeBody(captured.body))
+      });
+    } catch (error) {
+      console.error('Idempotency store error:', error);
+    }
+  });
+
+  // Connection lost before the response was sent
+  res.on('close', () => {
+    if (!settled) {
+      record.destroy().catch(error => console.error('Idempotency cleanup error:', error));
+    }
+  });
+
+  next();
+};
+
+/**
+ * Delete expired keys
+ * @returns {Promise<number>} keys deleted
+ */
+function purgeExpiredKeys(now = new Date()) {
+  return IdempotencyKey.destroy({ where: { expiresAt: { [Op.lt]: now } } });
+}
+
+module.exports = { idempotency, purgeExpiredKeys, HEADER };
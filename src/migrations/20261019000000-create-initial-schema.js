@@ -0,0 +1,211 @@
+'use strict';
+
+// Original tables (associations, users, maraudes, merchants, reports, distributions, alerts).
+// Databases created before the migrations already have them: existing tables are left untouched.
+const TABLES = [
+  'associations', 'users', 'maraude_actions', 'merchants',
+  'distribution_types', 'maraude_reports', 'report_distributions', 'report_alerts'
+];
+
+const ENUMS = [
+  'enum_users_role', 'enum_maraude_actions_status', 'enum_merchants_category',
+  'enum_distribution_types_category', 'enum_maraude_reports_status',
+  'enum_report_alerts_alertType', 'enum_report_alerts_severity'
+];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const existing = await queryInterface.showAllTables();
+
+    const id = {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true
+    };
+    const reference = (table, allowNull = false) => ({
+      type: Sequelize.UUID,
+      allowNull,
+      references: { model: table, key: 'id' }
+    });
+    const timestamps = {
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false }
+    };
+
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const createTable = async (table, attributes, indexes = []) => {
+        if (existing.includes(table)) return;
+        await queryInterface.createTable(table, attributes, { transaction });
+        for (const fields of indexes) {
+          await queryInterface.addIndex(table, fields, { transaction });
+        }
+      };
+
+      await createTable('associations', {
+        id,
+        name: { type: Sequelize.STRING, allowNull: false },
+        description: { type: Sequelize.TEXT, allowNull: true },
+        email: { type: Sequelize.STRING, allowNull: false, unique: true },
+        phone: { type: Sequelize.STRING, allowNull: true },
+        address: { type: Sequelize.TEXT, allowNull: true },
+        website: { type: Sequelize.STRING, allowNull: true },
+        isActive: { type: Sequelize.BOOLEAN, defaultValue: true },
+        ...timestamps
+      });
+
+      await createTable('users', {
+        id,
+        firstName: { type: Sequelize.STRING, allowNull: false },
+        lastName: { type: Sequelize.STRING, allowNull: false },
+        email: { type: Sequelize.STRING, allowNull: false, unique: true },
+        password: { type: Sequelize.STRING, allowNull: false },
+        role: { type: Sequelize.ENUM('admin', 'volunteer', 'coordinator'), defaultValue: 'volunteer' },
+        phone: { type: Sequelize.STRING, allowNull: true },
+        isActive: { type: Sequelize.BOOLEAN, defaultValue: true },
+        associationId: reference('associations'),
+        ...timestamps
+      });
+
+      await createTable('maraude_actions', {
+        id,
+        title: { type: Sequelize.STRING, allowNull: false },
+        description: { type: Sequelize.TEXT, allowNull: true },
+        startLatitude: { type: Sequelize.DECIMAL(10, 8), allowNull: false },
+        startLongitude: { type: Sequelize.DECIMAL(11, 8), allowNull: false },
+        startAddress: { type: Sequelize.STRING, allowNull: true },
+        waypoints: { type: Sequelize.JSONB, allowNull: true, defaultValue: [] },
+        routePolyline: { type: Sequelize.TEXT, allowNull: true },
+        estimatedDistance: { type: Sequelize.DECIMAL(5, 2), allowNull: true },
+        estimatedDuration: { type: Sequelize.INTEGER, allowNull: true },
+        latitude: { type: Sequelize.DECIMAL(10, 8), allowNull: true },
+        longitude: { type: Sequelize.DECIMAL(11, 8), allowNull: true },
+        address: { type: Sequelize.STRING, allowNull: true },
+        dayOfWeek: { type: Sequelize.INTEGER, allowNull: true },
+        isRecurring: { type: Sequelize.BOOLEAN, defaultValue: true },
+        scheduledDate: { type: Sequelize.DATEONLY, allowNull: true },
+        startTime: { type: Sequelize.TIME, allowNull: false },
+        endTime: { type: Sequelize.TIME, allowNull: true },
+        status: {
+          type: Sequelize.ENUM('planned', 'in_progress', 'completed', 'cancelled'),
+          defaultValue: 'planned'
+        },
+        participantsCount: { type: Sequelize.INTEGER, defaultValue: 0 },
+        beneficiariesHelped: { type: Sequelize.INTEGER, defaultValue: 0 },
+        materialsDistributed: { type: Sequelize.JSONB, allowNull: true, defaultValue: {} },
+        notes: { type: Sequelize.TEXT, allowNull: true },
+        isActive: { type: Sequelize.BOOLEAN, defaultValue: true },
+        createdBy: reference('users'),
+        associationId: reference('associations'),
+        ...timestamps
+      }, [
+        ['dayOfWeek'],
+        ['isRecurring', 'isActive'],
+        ['status'],
+        ['startLatitude', 'startLongitude'],
+        ['latitude', 'longitude']
+      ]);
+
+      await createTable('merchants', {
+        id,
+        name: { type: Sequelize.STRING, allowNull: false },
+        description: { type: Sequelize.TEXT, allowNull: true },
+        category: {
+          type: Sequelize.ENUM(
+            'restaurant', 'cafe', 'bakery', 'pharmacy', 'clothing_store',
+            'supermarket', 'laundromat', 'health_center', 'other'
+          ),
+          allowNull: false
+        },
+        services: { type: Sequelize.ARRAY(Sequelize.STRING), allowNull: false, defaultValue: [] },
+        latitude: { type: Sequelize.DECIMAL(10, 8), allowNull: false },
+        longitude: { type: Sequelize.DECIMAL(11, 8), allowNull: false },
+        address: { type: Sequelize.STRING, allowNull: false },
+        phone: { type: Sequelize.STRING, allowNull: true },
+        email: { type: Sequelize.STRING, allowNull: true },
+        website: { type: Sequelize.STRING, allowNull: true },
+        openingHours: { type: Sequelize.JSONB, allowNull: true, defaultValue: {} },
+        specialInstructions: { type: Sequelize.TEXT, allowNull: true },
+        isVerified: { type: Sequelize.BOOLEAN, defaultValue: false },
+        isActive: { type: Sequelize.BOOLEAN, defaultValue: true },
+        contactPerson: { type: Sequelize.STRING, allowNull: true },
+        addedBy: reference('users', true),
+        ...timestamps
+      }, [
+        ['category'],
+        ['isActive', 'isVerified'],
+        ['latitude', 'longitude']
+      ]);
+
+      await createTable('distribution_types', {
+        id,
+        name: { type: Sequelize.STRING(100), allowNull: false, unique: true },
+        category: { type: Sequelize.ENUM('meal', 'hygiene', 'clothing', 'medical', 'other'), allowNull: false },
+        icon: { type: Sequelize.STRING(50), allowNull: true },
+        color: { type: Sequelize.STRING(7), allowNull: true },
+        isActive: { type: Sequelize.BOOLEAN, defaultValue: true },
+        ...timestamps
+      });
+
+      await createTable('maraude_reports', {
+        id,
+        maraudeActionId: reference('maraude_actions'),
+        reportDate: { type: Sequelize.DATEONLY, allowNull: false },
+        startTime: { type: Sequelize.TIME, allowNull: false },
+        endTime: { type: Sequelize.TIME, allowNull: false },
+        beneficiariesCount: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+        volunteersCount: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+        generalNotes: { type: Sequelize.TEXT, allowNull: true },
+        difficultiesEncountered: { type: Sequelize.TEXT, allowNull: true },
+        positivePoints: { type: Sequelize.TEXT, allowNull: true },
+        hasUrgentSituations: { type: Sequelize.BOOLEAN, defaultValue: false },
+        urgentSituationsDetails: { type: Sequelize.TEXT, allowNull: true },
+        // changes_requested and rejected are added by the report review migration
+        status: { type: Sequelize.ENUM('draft', 'submitted', 'validated'), defaultValue: 'draft' },
+        emailSent: { type: Sequelize.BOOLEAN, defaultValue: false },
+        emailSentAt: { type: Sequelize.DATE, allowNull: true },
+        emailRecipients: { type: Sequelize.JSONB, allowNull: true, defaultValue: [] },
+        createdBy: reference('users'),
+        validatedBy: reference('users', true),
+        validationDate: { type: Sequelize.DATE, allowNull: true },
+        ...timestamps
+      });
+
+      await createTable('report_distributions', {
+        id,
+        reportId: reference('maraude_reports'),
+        distributionTypeId: reference('distribution_types'),
+        quantity: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+        notes: { type: Sequelize.TEXT, allowNull: true },
+        createdAt: { type: Sequelize.DATE, allowNull: false }
+      });
+
+      await createTable('report_alerts', {
+        id,
+        reportId: reference('maraude_reports'),
+        alertType: { type: Sequelize.ENUM('medical', 'social', 'security', 'housing', 'other'), allowNull: false },
+        severity: { type: Sequelize.ENUM('low', 'medium', 'high', 'critical'), allowNull: false },
+        locationLatitude: { type: Sequelize.DECIMAL(10, 8), allowNull: true },
+        locationLongitude: { type: Sequelize.DECIMAL(11, 8), allowNull: true },
+        locationAddress: { type: Sequelize.TEXT, allowNull: true },
+        personDescription: { type: Sequelize.TEXT, allowNull: true },
+        situationDescription: { type: Sequelize.TEXT, allowNull: false },
+        actionTaken: { type: Sequelize.TEXT, allowNull: true },
+        followUpRequired: { type: Sequelize.BOOLEAN, defaultValue: false },
+        followUpNotes: { type: Sequelize.TEXT, allowNull: true },
+        ...timestamps
+      });
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      for (const table of [...TABLES].reverse()) {
+        await queryInterface.dropTable(table, { transaction });
+      }
+      for (const name of ENUMS) {
+        await queryInterface.sequelize.query(`DROP TYPE IF EXISTS "${name}"`, { transaction });
+      }
+    });
+  }
+};
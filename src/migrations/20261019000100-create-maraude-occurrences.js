@@ -0,0 +1,54 @@
+'use strict';
+
+// Dated sessions of maraudes: one row per template and date, with per-date overrides and cancellation
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const reference = (table, allowNull = true) => ({
+      type: Sequelize.UUID,
+      allowNull,
+      references: { model: table, key: 'id' }
+    });
+
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.createTable('maraude_occurrences', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        maraudeActionId: reference('maraude_actions', false),
+        occurrenceDate: { type: Sequelize.DATEONLY, allowNull: false },
+        status: {
+          type: Sequelize.ENUM('planned', 'in_progress', 'completed', 'cancelled'),
+          defaultValue: 'planned'
+        },
+        // Overrides of the template (null: inherited)
+        startTime: { type: Sequelize.TIME, allowNull: true },
+        endTime: { type: Sequelize.TIME, allowNull: true },
+        startLatitude: { type: Sequelize.DECIMAL(10, 8), allowNull: true },
+        startLongitude: { type: Sequelize.DECIMAL(11, 8), allowNull: true },
+        startAddress: { type: Sequelize.STRING, allowNull: true },
+        waypoints: { type: Sequelize.JSONB, allowNull: true },
+        leaderId: reference('users'),
+        notes: { type: Sequelize.TEXT, allowNull: true },
+        cancellationReason: { type: Sequelize.TEXT, allowNull: true },
+        cancelledAt: { type: Sequelize.DATE, allowNull: true },
+        cancelledBy: reference('users'),
+        isModified: { type: Sequelize.BOOLEAN, defaultValue: false },
+        createdAt: { type: Sequelize.DATE, allowNull: false },
+        updatedAt: { type: Sequelize.DATE, allowNull: false }
+      }, { transaction });
+      await queryInterface.addIndex('maraude_occurrences', ['maraudeActionId', 'occurrenceDate'], { unique: true, transaction });
+      await queryInterface.addIndex('maraude_occurrences', ['occurrenceDate', 'status'], { transaction });
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.dropTable('maraude_occurrences', { transaction });
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_maraude_occurrences_status"', { transaction });
+    });
+  }
+};
@@ -0,0 +1,32 @@
+'use strict';
+
+// RFC 5545 recurrence of maraudes: the rule (null: every week on dayOfWeek), its DTSTART and EXDATEs
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.addColumn('maraude_actions', 'recurrenceRule', {
+        type: Sequelize.TEXT,
+        allowNull: true
+      }, { transaction });
+      await queryInterface.addColumn('maraude_actions', 'recurrenceStart', {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+      }, { transaction });
+      await queryInterface.addColumn('maraude_actions', 'recurrenceExceptions', {
+        type: Sequelize.JSONB,
+        allowNull: true,
+        defaultValue: []
+      }, { transaction });
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.removeColumn('maraude_actions', 'recurrenceExceptions', { transaction });
+      await queryInterface.removeColumn('maraude_actions', 'recurrenceStart', { transaction });
+      await queryInterface.removeColumn('maraude_actions', 'recurrenceRule', { transaction });
+    });
+  }
+};
@@ -0,0 +1,25 @@
+'use strict';
+
+// Versions bumped to revoke the .ics feed URLs (see services/calendarService.js)
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      for (const table of ['associations', 'users']) {
+        await queryInterface.addColumn(table, 'calendarTokenVersion', {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 1
+        }, { transaction });
+      }
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.removeColumn('users', 'calendarTokenVersion', { transaction });
+      await queryInterface.removeColumn('associations', 'calendarTokenVersion', { transaction });
+    });
+  }
+};
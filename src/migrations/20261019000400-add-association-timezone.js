@@ -0,0 +1,19 @@
+'use strict';
+
+// IANA zone of each association, for "today", schedules and report dates.
+// Existing associations get the default zone.
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('associations', 'timezone', {
+      type: Sequelize.STRING(64),
+      allowNull: false,
+      defaultValue: 'Europe/Paris'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('associations', 'timezone');
+  }
+};
@@ -0,0 +1,59 @@
+'use strict';
+
+// Volunteer sign-ups per session, with waitlist, and the capacity of maraudes and sessions
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const reference = (table, allowNull = true) => ({
+      type: Sequelize.UUID,
+      allowNull,
+      references: { model: table, key: 'id' }
+    });
+
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      // null = unlimited; on a session, null = the maraude's capacity
+      for (const table of ['maraude_actions', 'maraude_occurrences']) {
+        await queryInterface.addColumn(table, 'maxParticipants', {
+          type: Sequelize.INTEGER,
+          allowNull: true
+        }, { transaction });
+      }
+
+      await queryInterface.createTable('maraude_participations', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        maraudeActionId: reference('maraude_actions', false),
+        occurrenceDate: { type: Sequelize.DATEONLY, allowNull: false },
+        userId: reference('users', false),
+        status: {
+          type: Sequelize.ENUM('confirmed', 'waitlisted', 'withdrawn'),
+          allowNull: false,
+          defaultValue: 'confirmed'
+        },
+        registeredAt: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+        registeredBy: reference('users'),
+        promotedAt: { type: Sequelize.DATE, allowNull: true },
+        withdrawnAt: { type: Sequelize.DATE, allowNull: true },
+        notes: { type: Sequelize.TEXT, allowNull: true },
+        createdAt: { type: Sequelize.DATE, allowNull: false },
+        updatedAt: { type: Sequelize.DATE, allowNull: false }
+      }, { transaction });
+      await queryInterface.addIndex('maraude_participations', ['maraudeActionId', 'occurrenceDate', 'userId'], { unique: true, transaction });
+      await queryInterface.addIndex('maraude_participations', ['maraudeActionId', 'occurrenceDate', 'status'], { transaction });
+      await queryInterface.addIndex('maraude_participations', ['userId', 'occurrenceDate'], { transaction });
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.dropTable('maraude_participations', { transaction });
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_maraude_participations_status"', { transaction });
+      await queryInterface.removeColumn('maraude_occurrences', 'maxParticipants', { transaction });
+      await queryInterface.removeColumn('maraude_actions', 'maxParticipants', { transaction });
+    });
+  }
+};
@@ -0,0 +1,28 @@
+'use strict';
+
+// Minimum staffing rules of each association (null: defaults) and trainings of volunteers
+// (see utils/staffing.js)
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.addColumn('associations', 'staffingRules', {
+        type: Sequelize.JSONB,
+        allowNull: true
+      }, { transaction });
+      await queryInterface.addColumn('users', 'skills', {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      }, { transaction });
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.removeColumn('users', 'skills', { transaction });
+      await queryInterface.removeColumn('associations', 'staffingRules', { transaction });
+    });
+  }
+};
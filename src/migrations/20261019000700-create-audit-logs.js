@@ -0,0 +1,39 @@
+'use strict';
+
+// Field-level history of model changes (see models/auditHooks.js)
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.createTable('audit_logs', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        entityType: { type: Sequelize.STRING(64), allowNull: false },
+        entityId: { type: Sequelize.STRING(64), allowNull: false },
+        action: { type: Sequelize.ENUM('create', 'update', 'delete'), allowNull: false },
+        changes: { type: Sequelize.JSONB, allowNull: false, defaultValue: {} },
+        // No foreign keys: the history outlives deleted users and associations
+        actorId: { type: Sequelize.UUID, allowNull: true },
+        associationId: { type: Sequelize.UUID, allowNull: true },
+        requestId: { type: Sequelize.STRING(64), allowNull: true },
+        ipAddress: { type: Sequelize.STRING(64), allowNull: true },
+        requestPath: { type: Sequelize.STRING, allowNull: true },
+        createdAt: { type: Sequelize.DATE, allowNull: false }
+      }, { transaction });
+      await queryInterface.addIndex('audit_logs', ['entityType', 'entityId', 'createdAt'], { transaction });
+      await queryInterface.addIndex('audit_logs', ['actorId', 'createdAt'], { transaction });
+      await queryInterface.addIndex('audit_logs', ['associationId', 'createdAt'], { transaction });
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.dropTable('audit_logs', { transaction });
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_audit_logs_action"', { transaction });
+    });
+  }
+};
@@ -0,0 +1,94 @@
+'use strict';
+
+// Report review workflow: changes_requested and rejected statuses, last decision,
+// submitted versions and comment threads (see services/reportReviewService.js)
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Outside the transaction: a value added to an enum cannot be used before it is committed
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_maraude_reports_status" ADD VALUE IF NOT EXISTS 'changes_requested' BEFORE 'validated'`
+    );
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_maraude_reports_status" ADD VALUE IF NOT EXISTS 'rejected' BEFORE 'validated'`
+    );
+
+    const id = {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true
+    };
+    const reference = (table, allowNull = false) => ({
+      type: Sequelize.UUID,
+      allowNull,
+      references: { model: table, key: 'id' }
+    });
+
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const options = { transaction };
+      await queryInterface.addColumn('maraude_reports', 'reviewedBy', reference('users', true), options);
+      await queryInterface.addColumn('maraude_reports', 'reviewedAt', {
+        type: Sequelize.DATE,
+        allowNull: true
+      }, options);
+      await queryInterface.addColumn('maraude_reports', 'reviewComment', {
+        type: Sequelize.TEXT,
+        allowNull: true
+      }, options);
+      await queryInterface.addColumn('maraude_reports', 'currentVersion', {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      }, options);
+
+      await queryInterface.createTable('report_versions', {
+        id,
+        reportId: reference('maraude_reports'),
+        version: { type: Sequelize.INTEGER, allowNull: false },
+        snapshot: { type: Sequelize.JSONB, allowNull: false },
+        submittedBy: reference('users'),
+        createdAt: { type: Sequelize.DATE, allowNull: false }
+      }, options);
+      await queryInterface.addIndex('report_versions', ['reportId', 'version'], { unique: true, transaction });
+
+      await queryInterface.createTable('report_comments', {
+        id,
+        reportId: reference('maraude_reports'),
+        authorId: reference('users'),
+        parentId: reference('report_comments', true),
+        body: { type: Sequelize.TEXT, allowNull: false },
+        decision: { type: Sequelize.ENUM('changes_requested', 'rejected', 'validated'), allowNull: true },
+        reportVersion: { type: Sequelize.INTEGER, allowNull: true },
+        createdAt: { type: Sequelize.DATE, allowNull: false },
+        updatedAt: { type: Sequelize.DATE, allowNull: false }
+      }, options);
+      await queryInterface.addIndex('report_comments', ['reportId', 'createdAt'], options);
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const options = { transaction };
+      await queryInterface.dropTable('report_comments', options);
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_report_comments_decision"', options);
+      await queryInterface.dropTable('report_versions', options);
+      await queryInterface.removeColumn('maraude_reports', 'currentVersion', options);
+      await queryInterface.removeColumn('maraude_reports', 'reviewComment', options);
+      await queryInterface.removeColumn('maraude_reports', 'reviewedAt', options);
+      await queryInterface.removeColumn('maraude_reports', 'reviewedBy', options);
+
+      // Enum values cannot be dropped: the type is rebuilt, reports under review go back to draft
+      await queryInterface.sequelize.query(`
+        UPDATE "maraude_reports" SET "status" = 'draft' WHERE "status" IN ('changes_requested', 'rejected');
+        ALTER TABLE "maraude_reports" ALTER COLUMN "status" DROP DEFAULT;
+        ALTER TYPE "enum_maraude_reports_status" RENAME TO "enum_maraude_reports_status_old";
+        CREATE TYPE "enum_maraude_reports_status" AS ENUM ('draft', 'submitted', 'validated');
+        ALTER TABLE "maraude_reports" ALTER COLUMN "status" TYPE "enum_maraude_reports_status"
+          USING "status"::text::"enum_maraude_reports_status";
+        ALTER TABLE "maraude_reports" ALTER COLUMN "status" SET DEFAULT 'draft';
+        DROP TYPE "enum_maraude_reports_status_old";
+      `, options);
+    });
+  }
+};
@@ -0,0 +1,80 @@
+'use strict';
+
+// Alerts followed as cases: status, assignee, due date and timeline (see services/alertCaseService.js)
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const id = {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true
+    };
+    const reference = (table, allowNull = true) => ({
+      type: Sequelize.UUID,
+      allowNull,
+      references: { model: table, key: 'id' }
+    });
+
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const options = { transaction };
+      const addColumn = (column, attributes) => queryInterface.addColumn('report_alerts', column, attributes, options);
+
+      await addColumn('status', {
+        type: Sequelize.ENUM('open', 'in_progress', 'resolved', 'escalated'),
+        allowNull: false,
+        defaultValue: 'open'
+      });
+      await addColumn('assigneeId', reference('users'));
+      await addColumn('dueAt', { type: Sequelize.DATE, allowNull: true });
+      await addColumn('resolvedAt', { type: Sequelize.DATE, allowNull: true });
+      await addColumn('resolvedBy', reference('users'));
+
+      // Due dates of existing alerts, as ReportAlert.computeDueAt would have set them
+      await queryInterface.sequelize.query(`
+        UPDATE "report_alerts" SET "dueAt" = "createdAt" + CASE "severity"
+          WHEN 'critical' THEN INTERVAL '24 hours'
+          WHEN 'high' THEN INTERVAL '72 hours'
+          WHEN 'medium' THEN INTERVAL '7 days'
+          ELSE INTERVAL '14 days'
+        END
+        WHERE "dueAt" IS NULL
+      `, options);
+
+      await queryInterface.addIndex('report_alerts', ['status', 'dueAt'], options);
+      await queryInterface.addIndex('report_alerts', ['assigneeId', 'status'], options);
+
+      await queryInterface.createTable('alert_actions', {
+        id,
+        alertId: reference('report_alerts', false),
+        actorId: reference('users'),
+        type: {
+          type: Sequelize.ENUM(
+            'assigned', 'status_changed', 'due_date_changed',
+            'note', 'contact', 'referral'
+          ),
+          allowNull: false
+        },
+        note: { type: Sequelize.TEXT, allowNull: true },
+        fromStatus: { type: Sequelize.STRING(32), allowNull: true },
+        toStatus: { type: Sequelize.STRING(32), allowNull: true },
+        metadata: { type: Sequelize.JSONB, allowNull: true },
+        createdAt: { type: Sequelize.DATE, allowNull: false }
+      }, options);
+      await queryInterface.addIndex('alert_actions', ['alertId', 'createdAt'], options);
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const options = { transaction };
+      await queryInterface.dropTable('alert_actions', options);
+      for (const column of ['resolvedBy', 'resolvedAt', 'dueAt', 'assigneeId', 'status']) {
+        await queryInterface.removeColumn('report_alerts', column, options);
+      }
+      for (const name of ['enum_alert_actions_type', 'enum_report_alerts_status']) {
+        await queryInterface.sequelize.query(`DROP TYPE IF EXISTS "${name}"`, options);
+      }
+    });
+  }
+};
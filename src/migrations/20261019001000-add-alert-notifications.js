@@ -0,0 +1,59 @@
+'use strict';
+
+// Notification of coordinators for critical and high alerts, with dedup and escalation
+// (see services/alertNotificationService.js). Past alerts are neither notified nor escalated.
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const reference = (table, allowNull = true) => ({
+      type: Sequelize.UUID,
+      allowNull,
+      references: { model: table, key: 'id' }
+    });
+
+    // Outside the transaction: a value added to an enum cannot be used before it is committed
+    for (const value of ['notified', 'acknowledged']) {
+      await queryInterface.sequelize.query(`ALTER TYPE "enum_alert_actions_type" ADD VALUE IF NOT EXISTS '${value}'`);
+    }
+
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const addColumn = (column, attributes) => queryInterface.addColumn('report_alerts', column, attributes, { transaction });
+
+      await addColumn('notifiedAt', { type: Sequelize.DATE, allowNull: true });
+      await addColumn('escalationLevel', { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 });
+      await addColumn('lastEscalatedAt', { type: Sequelize.DATE, allowNull: true });
+      await addColumn('acknowledgedAt', { type: Sequelize.DATE, allowNull: true });
+      await addColumn('acknowledgedBy', reference('users'));
+
+      await queryInterface.createTable('alert_notifications', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        alertId: reference('report_alerts', false),
+        channel: { type: Sequelize.STRING(32), allowNull: false },
+        recipient: { type: Sequelize.STRING(255), allowNull: true },
+        userId: reference('users'),
+        level: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+        status: { type: Sequelize.ENUM('sent', 'failed', 'suppressed'), allowNull: false },
+        error: { type: Sequelize.TEXT, allowNull: true },
+        duplicateOfId: reference('report_alerts'),
+        createdAt: { type: Sequelize.DATE, allowNull: false }
+      }, { transaction });
+      await queryInterface.addIndex('alert_notifications', ['alertId', 'level'], { transaction });
+    });
+  },
+
+  // The two action types stay in the enum: PostgreSQL cannot drop enum values
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.dropTable('alert_notifications', { transaction });
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_alert_notifications_status"', { transaction });
+      for (const column of ['acknowledgedBy', 'acknowledgedAt', 'lastEscalatedAt', 'escalationLevel', 'notifiedAt']) {
+        await queryInterface.removeColumn('report_alerts', column, { transaction });
+      }
+    });
+  }
+};
@@ -0,0 +1,76 @@
+'use strict';
+
+// Pseudonymous beneficiary registry, encounters recorded with reports, person concerned by an alert
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const id = {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true
+    };
+    const reference = (table, allowNull = true) => ({
+      type: Sequelize.UUID,
+      allowNull,
+      references: { model: table, key: 'id' }
+    });
+
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const options = { transaction };
+
+      await queryInterface.createTable('beneficiaries', {
+        id,
+        associationId: reference('associations', false),
+        pseudonym: { type: Sequelize.STRING(16), allowNull: false },
+        nickname: { type: Sequelize.STRING(100), allowNull: true },
+        ageRange: {
+          type: Sequelize.ENUM('under_18', '18_25', '26_40', '41_60', 'over_60', 'unknown'),
+          allowNull: false,
+          defaultValue: 'unknown'
+        },
+        usualLocation: { type: Sequelize.STRING(255), allowNull: true },
+        usualLatitude: { type: Sequelize.DECIMAL(8, 3), allowNull: true },
+        usualLongitude: { type: Sequelize.DECIMAL(8, 3), allowNull: true },
+        needs: { type: Sequelize.JSONB, allowNull: false, defaultValue: [] },
+        notes: { type: Sequelize.TEXT, allowNull: true },
+        isActive: { type: Sequelize.BOOLEAN, defaultValue: true },
+        firstSeenOn: { type: Sequelize.DATEONLY, allowNull: true },
+        lastSeenOn: { type: Sequelize.DATEONLY, allowNull: true },
+        encountersCount: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+        createdBy: reference('users'),
+        createdAt: { type: Sequelize.DATE, allowNull: false },
+        updatedAt: { type: Sequelize.DATE, allowNull: false }
+      }, options);
+      await queryInterface.addIndex('beneficiaries', ['associationId', 'pseudonym'], { unique: true, transaction });
+      await queryInterface.addIndex('beneficiaries', ['associationId', 'isActive', 'lastSeenOn'], options);
+
+      await queryInterface.createTable('beneficiary_encounters', {
+        id,
+        beneficiaryId: reference('beneficiaries', false),
+        reportId: reference('maraude_reports', false),
+        encounterDate: { type: Sequelize.DATEONLY, allowNull: false },
+        needs: { type: Sequelize.JSONB, allowNull: false, defaultValue: [] },
+        notes: { type: Sequelize.TEXT, allowNull: true },
+        recordedBy: reference('users'),
+        createdAt: { type: Sequelize.DATE, allowNull: false },
+        updatedAt: { type: Sequelize.DATE, allowNull: false }
+      }, options);
+      await queryInterface.addIndex('beneficiary_encounters', ['beneficiaryId', 'reportId'], { unique: true, transaction });
+      await queryInterface.addIndex('beneficiary_encounters', ['reportId'], options);
+      await queryInterface.addIndex('beneficiary_encounters', ['encounterDate'], options);
+
+      await queryInterface.addColumn('report_alerts', 'beneficiaryId', reference('beneficiaries'), options);
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const options = { transaction };
+      await queryInterface.removeColumn('report_alerts', 'beneficiaryId', options);
+      await queryInterface.dropTable('beneficiary_encounters', options);
+      await queryInterface.dropTable('beneficiaries', options);
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_beneficiaries_ageRange"', options);
+    });
+  }
+};
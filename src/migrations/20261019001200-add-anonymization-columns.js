@@ -0,0 +1,25 @@
+'use strict';
+
+// GDPR tooling: anonymized accounts, alerts and beneficiaries whose free text was cleared (see services/gdprService.js)
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      for (const table of ['users', 'report_alerts', 'beneficiaries']) {
+        await queryInterface.addColumn(table, 'anonymizedAt', {
+          type: Sequelize.DATE,
+          allowNull: true
+        }, { transaction });
+      }
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      for (const table of ['beneficiaries', 'report_alerts', 'users']) {
+        await queryInterface.removeColumn(table, 'anonymizedAt', { transaction });
+      }
+    });
+  }
+};
@@ -0,0 +1,43 @@
+'use strict';
+
+// Operations applied by the offline sync endpoint, replayed by opId (see services/syncService.js)
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.createTable('sync_operations', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        userId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'users', key: 'id' }
+        },
+        opId: { type: Sequelize.STRING(64), allowNull: false },
+        deviceId: { type: Sequelize.STRING(64), allowNull: true },
+        entityType: { type: Sequelize.ENUM('report', 'distribution', 'alert'), allowNull: false },
+        entityId: { type: Sequelize.UUID, allowNull: false },
+        action: { type: Sequelize.ENUM('upsert', 'delete'), allowNull: false },
+        requestHash: { type: Sequelize.STRING(64), allowNull: false },
+        status: { type: Sequelize.ENUM('applied', 'conflict', 'rejected'), allowNull: false },
+        result: { type: Sequelize.JSONB, allowNull: false },
+        createdAt: { type: Sequelize.DATE, allowNull: false }
+      }, { transaction });
+      await queryInterface.addIndex('sync_operations', ['userId', 'opId'], { unique: true, transaction });
+      await queryInterface.addIndex('sync_operations', ['entityType', 'entityId'], { transaction });
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.dropTable('sync_operations', { transaction });
+      for (const name of ['enum_sync_operations_entityType', 'enum_sync_operations_action', 'enum_sync_operations_status']) {
+        await queryInterface.sequelize.query(`DROP TYPE IF EXISTS "${name}"`, { transaction });
+      }
+    });
+  }
+};
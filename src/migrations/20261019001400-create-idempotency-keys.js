@@ -0,0 +1,47 @@
+'use strict';
+
+// Stored responses of requests sent with an Idempotency-Key header (see middleware/idempotency.js)
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.createTable('idempotency_keys', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        userId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'users', key: 'id' }
+        },
+        key: { type: Sequelize.STRING(255), allowNull: false },
+        method: { type: Sequelize.STRING(10), allowNull: false },
+        path: { type: Sequelize.STRING(255), allowNull: false },
+        requestHash: { type: Sequelize.STRING(64), allowNull: false },
+        status: {
+          type: Sequelize.ENUM('processing', 'completed'),
+          allowNull: false,
+          defaultValue: 'processing'
+        },
+        responseStatus: { type: Sequelize.INTEGER, allowNull: true },
+        responseHeaders: { type: Sequelize.JSONB, allowNull: true },
+        responseBody: { type: Sequelize.TEXT, allowNull: true },
+        expiresAt: { type: Sequelize.DATE, allowNull: false },
+        createdAt: { type: Sequelize.DATE, allowNull: false },
+        updatedAt: { type: Sequelize.DATE, allowNull: false }
+      }, { transaction });
+      await queryInterface.addIndex('idempotency_keys', ['userId', 'key'], { unique: true, transaction });
+      await queryInterface.addIndex('idempotency_keys', ['expiresAt'], { transaction });
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.dropTable('idempotency_keys', { transaction });
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_idempotency_keys_status"', { transaction });
+    });
+  }
+};
@@ -0,0 +1,15 @@
+'use strict';
+
+// PostGIS: geography columns and radius/polygon queries (see the geography columns migration).
+// Creating the extension needs a superuser, or the database owner on PostgreSQL 13+.
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query('CREATE EXTENSION IF NOT EXISTS postgis');
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query('DROP EXTENSION IF EXISTS postgis');
+  }
+};
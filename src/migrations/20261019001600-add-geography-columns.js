@@ -0,0 +1,34 @@
+'use strict';
+
+// PostGIS copies of the coordinates of merchants, maraudes and alerts, GiST-indexed
+// (see models/geoFields.js). Fill the rows saved before with: npm run geo:backfill
+
+const COLUMNS = [
+  ['merchants', 'location', 'POINT'],
+  ['maraude_actions', 'startLocation', 'POINT'],
+  ['maraude_actions', 'waypointsLocation', 'MULTIPOINT'],
+  ['report_alerts', 'location', 'POINT']
+];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      for (const [table, column, type] of COLUMNS) {
+        await queryInterface.addColumn(table, column, {
+          type: Sequelize.GEOGRAPHY(type, 4326),
+          allowNull: true
+        }, { transaction });
+        await queryInterface.addIndex(table, [column], { using: 'gist', transaction });
+      }
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      for (const [table, column] of [...COLUMNS].reverse()) {
+        await queryInterface.removeColumn(table, column, { transaction });
+      }
+    });
+  }
+};
@@ -0,0 +1,84 @@
+'use strict';
+
+// Live tracking sessions and their GPS points, track attached to the report of the session
+// (see services/trackingService.js)
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const id = {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true
+    };
+    const reference = (table, allowNull = false) => ({
+      type: Sequelize.UUID,
+      allowNull,
+      references: { model: table, key: 'id' }
+    });
+
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const options = { transaction };
+
+      await queryInterface.createTable('tracking_sessions', {
+        id,
+        maraudeActionId: reference('maraude_actions'),
+        occurrenceDate: { type: Sequelize.DATEONLY, allowNull: false },
+        associationId: reference('associations'),
+        trackerId: reference('users'),
+        status: { type: Sequelize.ENUM('active', 'ended'), allowNull: false, defaultValue: 'active' },
+        startedAt: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+        endedAt: { type: Sequelize.DATE, allowNull: true },
+        endedBy: reference('users', true),
+        lastLatitude: { type: Sequelize.DECIMAL(10, 8), allowNull: true },
+        lastLongitude: { type: Sequelize.DECIMAL(11, 8), allowNull: true },
+        lastPositionAt: { type: Sequelize.DATE, allowNull: true },
+        distanceMeters: { type: Sequelize.FLOAT, allowNull: false, defaultValue: 0 },
+        pointCount: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+        reportId: reference('maraude_reports', true),
+        createdAt: { type: Sequelize.DATE, allowNull: false },
+        updatedAt: { type: Sequelize.DATE, allowNull: false }
+      }, options);
+      await queryInterface.addIndex('tracking_sessions', ['maraudeActionId', 'occurrenceDate'], options);
+      await queryInterface.addIndex('tracking_sessions', ['associationId', 'status'], options);
+      await queryInterface.addIndex('tracking_sessions', ['trackerId'], options);
+
+      await queryInterface.createTable('track_points', {
+        id,
+        sessionId: reference('tracking_sessions'),
+        latitude: { type: Sequelize.DECIMAL(10, 8), allowNull: false },
+        longitude: { type: Sequelize.DECIMAL(11, 8), allowNull: false },
+        accuracy: { type: Sequelize.FLOAT, allowNull: true },
+        recordedAt: { type: Sequelize.DATE, allowNull: false },
+        createdAt: { type: Sequelize.DATE, allowNull: false }
+      }, options);
+      await queryInterface.addIndex('track_points', ['sessionId', 'recordedAt'], options);
+
+      // No foreign key on trackingSessionId: the session already points to the report
+      await queryInterface.addColumn('maraude_reports', 'trackingSessionId', {
+        type: Sequelize.UUID,
+        allowNull: true
+      }, options);
+      await queryInterface.addColumn('maraude_reports', 'trackDistance', {
+        type: Sequelize.DECIMAL(6, 2),
+        allowNull: true
+      }, options);
+      await queryInterface.addColumn('maraude_reports', 'trackPolyline', {
+        type: Sequelize.TEXT,
+        allowNull: true
+      }, options);
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const options = { transaction };
+      await queryInterface.removeColumn('maraude_reports', 'trackPolyline', options);
+      await queryInterface.removeColumn('maraude_reports', 'trackDistance', options);
+      await queryInterface.removeColumn('maraude_reports', 'trackingSessionId', options);
+      await queryInterface.dropTable('track_points', options);
+      await queryInterface.dropTable('tracking_sessions', options);
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_tracking_sessions_status"', options);
+    });
+  }
+};
@@ -0,0 +1,43 @@
+'use strict';
+
+// Start and finish of sessions, and the draft report opened when a maraude is finished:
+// confirmed team and planned route of the session (see services/maraudeLifecycleService.js)
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const reference = (table) => ({
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: { model: table, key: 'id' }
+    });
+
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const options = { transaction };
+      await queryInterface.addColumn('maraude_occurrences', 'startedAt', { type: Sequelize.DATE, allowNull: true }, options);
+      await queryInterface.addColumn('maraude_occurrences', 'startedBy', reference('users'), options);
+      await queryInterface.addColumn('maraude_occurrences', 'finishedAt', { type: Sequelize.DATE, allowNull: true }, options);
+      await queryInterface.addColumn('maraude_occurrences', 'finishedBy', reference('users'), options);
+
+      await queryInterface.addColumn('maraude_reports', 'team', {
+        type: Sequelize.JSONB,
+        allowNull: true
+      }, options);
+      await queryInterface.addColumn('maraude_reports', 'plannedRoute', {
+        type: Sequelize.JSONB,
+        allowNull: true
+      }, options);
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const options = { transaction };
+      await queryInterface.removeColumn('maraude_reports', 'plannedRoute', options);
+      await queryInterface.removeColumn('maraude_reports', 'team', options);
+      for (const column of ['finishedBy', 'finishedAt', 'startedBy', 'startedAt']) {
+        await queryInterface.removeColumn('maraude_occurrences', column, options);
+      }
+    });
+  }
+};
@@ -0,0 +1,21 @@
+'use strict';
+
+// Stored route of each maraude (start point then waypoints), GiST-indexed for the vector tiles
+// (see services/tileService.js). Fill existing rows with: npm run geo:backfill
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.addColumn('maraude_actions', 'routeLocation', {
+        type: Sequelize.GEOGRAPHY('GEOMETRY', 4326),
+        allowNull: true
+      }, { transaction });
+      await queryInterface.addIndex('maraude_actions', ['routeLocation'], { using: 'gist', transaction });
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('maraude_actions', 'routeLocation');
+  }
+};
@@ -0,0 +1,75 @@
+// src/models/alertAction.js - Timeline entry of an alert follow-up case
+module.exports = (sequelize, DataTypes) => {
+  const AlertAction = sequelize.define('AlertAction', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    alertId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'report_alerts',
+        key: 'id'
+      }
+    },
+    // Null for automatic entries (jobs)
+    actorId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    type: {
+      type: DataTypes.ENUM(
+        'assigned', 'status_changed', 'due_date_changed',
+        'note', 'contact', 'referral',
+        'notified', 'acknowledged'
+      ),
+      allowNull: false
+    },
+    note: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    fromStatus: {
+      type: DataTypes.STRING(32),
+      allowNull: true
+    },
+    toStatus: {
+      type: DataTypes.STRING(32),
+      allowNull: true
+    },
+    // Extra details, e.g. { assigneeId } or { dueAt }
+    metadata: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    }
+  }, {
+    timestamps: true,
+    updatedAt: false, // The timeline is append-only
+    tableName: 'alert_actions',
+    indexes: [
+      {
+        fields: ['alertId', 'createdAt']
+      }
+    ]
+  });
+
+  AlertAction.associate = (models) => {
+    AlertAction.belongsTo(models.ReportAlert, {
+      foreignKey: 'alertId',
+      as: 'alert'
+    });
+
+    AlertAction.belongsTo(models.User, {
+      foreignKey: 'actorId',
+      as: 'actor'
+    });
+  };
+
+  return AlertAction;
+};
@@ -0,0 +1,87 @@
+// src/models/alertNotification.js - One notification of an alert to one recipient on one channel
+module.exports = (sequelize, DataTypes) => {
+  const AlertNotification = sequelize.define('AlertNotification', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    alertId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'report_alerts',
+        key: 'id'
+      }
+    },
+    // email, webhook, sms or any registered channel
+    channel: {
+      type: DataTypes.STRING(32),
+      allowNull: false
+    },
+    // Email address, phone number or URL
+    recipient: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    // 0 = first notification, 1+ = escalations
+    level: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    status: {
+      type: DataTypes.ENUM('sent', 'failed', 'suppressed'),
+      allowNull: false
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Suppressed notifications: alert already notified for the same situation
+    duplicateOfId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'report_alerts',
+        key: 'id'
+      }
+    }
+  }, {
+    timestamps: true,
+    updatedAt: false,
+    tableName: 'alert_notifications',
+    indexes: [
+      {
+        fields: ['alertId', 'level']
+      }
+    ]
+  });
+
+  AlertNotification.associate = (models) => {
+    AlertNotification.belongsTo(models.ReportAlert, {
+      foreignKey: 'alertId',
+      as: 'alert'
+    });
+
+    AlertNotification.belongsTo(models.ReportAlert, {
+      foreignKey: 'duplicateOfId',
+      as: 'duplicateOf'
+    });
+
+    AlertNotification.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+  };
+
+  return AlertNotification;
+};
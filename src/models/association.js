@@ -1,3 +1,6 @@
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('../utils/dateUtils');
+const { DEFAULT_STAFFING_RULES, parseStaffingRules } = require('../utils/staffing');
+
 module.exports = (sequelize, DataTypes) => {
   const Association = sequelize.define('Association', {
     id: {
@@ -64,6 +67,37 @@ module.exports = (sequelize, DataTypes) => {
     isActive: {
       type: DataTypes.BOOLEAN,
       defaultValue: true
+    },
+    // IANA zone used for "today", schedules and report dates
+    timezone: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      defaultValue: DEFAULT_TIMEZONE,
+      validate: {
+        isValidTimezone(value) {
+          if (!isValidTimezone(value)) {
+            throw new Error('Timezone must be a valid IANA zone (e.g. Europe/Paris)');
+          }
+        }
+      }
+    },
+    // Minimum staffing of each maraude (null = DEFAULT_STAFFING_RULES, see utils/staffing)
+    staffingRules: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      validate: {
+        isValidStaffingRules(value) {
+          if (value !== null && value !== undefined) {
+            parseStaffingRules(value);
+          }
+        }
+      }
+    },
+    // Bumped to revoke the .ics feed URL (token is derived from it, see calendarService)
+    calendarTokenVersion: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
     }
   }, {
     timestamps: true,
@@ -82,6 +116,17 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'associationId',
       as: 'maraudeActions'
     });
+
+    // Pseudonymous beneficiaries followed by the association
+    Association.hasMany(models.Beneficiary, {
+      foreignKey: 'associationId',
+      as: 'beneficiaries'
+    });
+  };
+
+  // Instance method: configured staffing rules, or the defaults
+  Association.prototype.getStaffingRules = function() {
+    return this.staffingRules ? parseStaffingRules(this.staffingRules) : DEFAULT_STAFFING_RULES;
   };
 
   return Association;
@@ -0,0 +1,181 @@
+// src/models/auditHooks.js - Sequelize hooks writing the audit trail (AuditLog) of every model
+const { getContext } = require('../utils/requestContext');
+
+// Never copied to the audit trail
+const REDACTED_FIELDS = ['password'];
+// Bookkeeping columns, not worth a diff
+const IGNORED_FIELDS = ['createdAt', 'updatedAt'];
+// Append-only logs, already a history of their own, request bookkeeping
+// and live tracking (written on every GPS position)
+const NOT_AUDITED = ['AuditLog', 'AlertNotification', 'SyncOperation', 'IdempotencyKey', 'TrackingSession', 'TrackPoint'];
+
+const REDACTED = '[redacted]';
+const ERASED = '[erased]';
+// Encrypted columns (see encryptedFields.js): the trail records that they changed, not the text
+const ENCRYPTED = '[encrypted]';
+
+const isEncryptedField = (instance, field) => (instance.constructor.encryptedFields || []).includes(field);
+
+const toAuditValue = (field, value) => {
+  if (REDACTED_FIELDS.includes(field)) return REDACTED;
+  if (value instanceof Date) return value.toISOString();
+  return value === undefined ? null : value;
+};
+
+// Personal data erasure (see gdprService): pass { auditRedact: true | [fields] } to
+// record which fields changed without copying their values into the trail
+const redactValue = (field, value, options) => {
+  const redact = options.auditRedact;
+  if (!redact || value === null || (redact !== true && !redact.includes(field))) return value;
+  return ERASED;
+};
+
+// DECIMAL columns come back as strings, dates as Date: compare serialized values
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null) ||
+  (a !== null && b !== null && typeof a !== 'object' && String(a) === String(b));
+
+// PostGIS copies of the coordinates (see geoFields.js) are left out as well
+const isIgnoredField = (instance, field) => IGNORED_FIELDS.includes(field) ||
+  (instance.constructor.geoFields || []).includes(field);
+
+const auditedFields = (instance) => Object.keys(instance.constructor.rawAttributes)
+  .filter(field => !isIgnoredField(instance, field));
+
+// How to find the association owning a row, to scope history for coordinators
+const buildAssociationResolvers = (models) => {
+  const fromAction = async (maraudeActionId, transaction) => {
+    if (!maraudeActionId) return null;
+    const action = await models.MaraudeAction.findByPk(maraudeActionId, { attributes: ['associationId'], transaction });
+    return action?.associationId || null;
+  };
+
+  const fromReport = async (reportId, transaction) => {
+    if (!reportId) return null;
+    const report = await models.MaraudeReport.findByPk(reportId, { attributes: ['maraudeActionId'], transaction });
+    return report ? fromAction(report.maraudeActionId, transaction) : null;
+  };
+
+  const fromUser = async (userId, transaction) => {
+    if (!userId) return null;
+    const user = await models.User.findByPk(userId, { attributes: ['associationId'], transaction });
+    return user?.associationId || null;
+  };
+
+  return {
+    Association: (row) => row.id,
+    MaraudeOccurrence: (row, transaction) => fromAction(row.maraudeActionId, transaction),
+    MaraudeParticipation: (row, transaction) => fromAction(row.maraudeActionId, transaction),
+    MaraudeReport: (row, transaction) => fromAction(row.maraudeActionId, transaction),
+    ReportDistribution: (row, transaction) => fromReport(row.reportId, transaction),
+    ReportAlert: (row, transaction) => fromReport(row.reportId, transaction),
+    ReportComment: (row, transaction) => fromReport(row.reportId, transaction),
+    ReportVersion: (row, transaction) => fromReport(row.reportId, transaction),
+    AlertAction: async (row, transaction) => {
+      const alert = await models.ReportAlert.findByPk(row.alertId, { attributes: ['reportId'], transaction });
+      return alert ? fromReport(alert.reportId, transaction) : null;
+    },
+    BeneficiaryEncounter: (row, transaction) => fromReport(row.reportId, transaction),
+    Merchant: (row, transaction) => fromUser(row.addedBy, transaction)
+  };
+};
+
+/**
+ * Attach create/update/delete hooks to every model except AuditLog.
+ * Bulk update/destroy calls are switched to individual hooks so each row is recorded.
+ * @param {Object} models - initialized models (see models/index.js)
+ */
+function registerAuditHooks(models) {
+  const resolvers = buildAssociationResolvers(models);
+
+  const write = async (instance, action, changes, options) => {
+    const model = instance.constructor;
+    const context = getContext();
+    const resolver = resolvers[model.name];
+    const associationId = resolver
+      ? await resolver(instance, options.transaction)
+      : instance.get('associationId') || null;
+
+    await models.AuditLog.create({
+      entityType: model.name,
+      entityId: String(instance.get(model.primaryKeyAttribute)),
+      action,
+      changes,
+      actorId: context?.actor?.id || null,
+      associationId,
+      requestId: context?.requestId || null,
+      ipAddress: context?.ipAddress || null,
+      requestPath: context?.path ? context.path.slice(0, 255) : null
+    }, { transaction: options.transaction });
+  };
+
+  Object.values(models)
+    .filter(model => model && model.rawAttributes && !NOT_AUDITED.includes(model.name))
+    .forEach(model => {
+      model.addHook('afterCreate', 'audit', async (instance, options) => {
+        const changes = {};
+        auditedFields(instance).forEach(field => {
+          const value = instance.get(field);
+          if (value !== null && value !== undefined) {
+            const after = isEncryptedField(instance, field) ? ENCRYPTED : toAuditValue(field, value);
+            changes[field] = { before: null, after: redactValue(field, after, options) };
+          }
+        });
+        await write(instance, 'create', changes, options);
+      });
+
+      model.addHook('afterUpdate', 'audit', async (instance, options) => {
+        const changes = {};
+        (instance.changed() || [])
+          .filter(field => !isIgnoredField(instance, field))
+          .forEach(field => {
+            if (isEncryptedField(instance, field)) {
+              // Stored values are ciphertexts, only rewritten when the text changes
+              const before = instance.previous(field);
+              const after = instance.getDataValue(field);
+              if (!sameValue(before, after)) {
+                changes[field] = {
+                  before: before === null || before === undefined ? null : ENCRYPTED,
+                  after: after === null || after === undefined ? null : redactValue(field, ENCRYPTED, options)
+                };
+              }
+              return;
+            }
+
+            const before = toAuditValue(field, instance.previous(field));
+            const after = toAuditValue(field, instance.get(field));
+            if (REDACTED_FIELDS.includes(field) || !sameValue(before, after)) {
+              changes[field] = {
+                before: redactValue(field, before, options),
+                after: redactValue(field, after, options)
+              };
+            }
+          });
+
+        if (Object.keys(changes).length > 0) {
+          await write(instance, 'update', changes, options);
+        }
+      });
+
+      model.addHook('afterDestroy', 'audit', async (instance, options) => {
+        const changes = {};
+        auditedFields(instance).forEach(field => {
+          const value = instance.get(field);
+          if (value !== null && value !== undefined) {
+            const before = isEncryptedField(instance, field) ? ENCRYPTED : toAuditValue(field, value);
+            changes[field] = { before: redactValue(field, before, options), after: null };
+          }
+        });
+        await write(instance, 'delete', changes, options);
+      });
+
+      // Model.update(...) / Model.destroy({ where }) : record every affected row
+      model.addHook('beforeBulkUpdate', 'audit', (options) => {
+        options.individualHooks = true;
+      });
+      model.addHook('beforeBulkDestroy', 'audit', (options) => {
+        options.individualHooks = true;
+      });
+    });
+}
+
+module.exports = { registerAuditHooks, REDACTED_FIELDS, ERASED, ENCRYPTED };
@@ -0,0 +1,78 @@
+// src/models/auditLog.js - Who changed what: one row per create/update/delete of an audited model
+module.exports = (sequelize, DataTypes) => {
+  const AuditLog = sequelize.define('AuditLog', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    // Model name, e.g. 'MaraudeReport'
+    entityType: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    entityId: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    action: {
+      type: DataTypes.ENUM('create', 'update', 'delete'),
+      allowNull: false
+    },
+    // { field: { before, after } } - sensitive fields are redacted
+    changes: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    },
+    // Null for changes made outside an authenticated request (jobs, scripts)
+    actorId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    // Association owning the entity, used to scope history for coordinators
+    associationId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    // Groups the rows written by one HTTP request
+    requestId: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    ipAddress: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    requestPath: {
+      type: DataTypes.STRING,
+      allowNull: true
+    }
+  }, {
+    timestamps: true,
+    updatedAt: false, // Audit rows are never modified
+    tableName: 'audit_logs',
+    indexes: [
+      {
+        fields: ['entityType', 'entityId', 'createdAt']
+      },
+      {
+        fields: ['actorId', 'createdAt']
+      },
+      {
+        fields: ['associationId', 'createdAt']
+      }
+    ]
+  });
+
+  AuditLog.associate = (models) => {
+    // No FK constraint: history must survive the deletion of its actor
+    AuditLog.belongsTo(models.User, {
+      foreignKey: 'actorId',
+      as: 'actor',
+      constraints: false
+    });
+  };
+
+  return AuditLog;
+};
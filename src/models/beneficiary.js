@@ -0,0 +1,143 @@
+// src/models/beneficiary.js - Pseudonymous profile of a person met during maraudes (no real names)
+const { AGE_RANGES, NEED_LABELS } = require('../utils/beneficiaries');
+
+module.exports = (sequelize, DataTypes) => {
+  const Beneficiary = sequelize.define('Beneficiary', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    associationId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'associations',
+        key: 'id'
+      }
+    },
+    // Generated code, the only stable identifier (see utils/beneficiaries.js)
+    pseudonym: {
+      type: DataTypes.STRING(16),
+      allowNull: false
+    },
+    // Nickname used by the team ("le monsieur au chien") - never a legal name
+    nickname: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    ageRange: {
+      type: DataTypes.ENUM(...AGE_RANGES),
+      allowNull: false,
+      defaultValue: 'unknown'
+    },
+    usualLocation: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    // Rounded to ~100 m
+    usualLatitude: {
+      type: DataTypes.DECIMAL(8, 3),
+      allowNull: true,
+      validate: {
+        min: -90,
+        max: 90
+      }
+    },
+    usualLongitude: {
+      type: DataTypes.DECIMAL(8, 3),
+      allowNull: true,
+      validate: {
+        min: -180,
+        max: 180
+      }
+    },
+    // Keys of NEED_LABELS
+    needs: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    },
+    // Set when the profile was anonymized on request (see gdprService)
+    anonymizedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Kept in sync with encounters (services/beneficiaryService.js)
+    firstSeenOn: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    lastSeenOn: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    encountersCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    timestamps: true,
+    tableName: 'beneficiaries',
+    indexes: [
+      {
+        unique: true,
+        fields: ['associationId', 'pseudonym']
+      },
+      {
+        fields: ['associationId', 'isActive', 'lastSeenOn']
+      }
+    ]
+  });
+
+  Beneficiary.associate = (models) => {
+    Beneficiary.belongsTo(models.Association, {
+      foreignKey: 'associationId',
+      as: 'association'
+    });
+
+    Beneficiary.belongsTo(models.User, {
+      foreignKey: 'createdBy',
+      as: 'creator'
+    });
+
+    Beneficiary.hasMany(models.BeneficiaryEncounter, {
+      foreignKey: 'beneficiaryId',
+      as: 'encounters'
+    });
+
+    Beneficiary.hasMany(models.ReportAlert, {
+      foreignKey: 'beneficiaryId',
+      as: 'alerts'
+    });
+  };
+
+  // Instance method: labels of the needs
+  Beneficiary.prototype.getNeedLabels = function() {
+    return (this.needs || []).map(need => NEED_LABELS[need] || need);
+  };
+
+  // Instance method: name to show in lists
+  Beneficiary.prototype.getDisplayName = function() {
+    return this.nickname ? `${this.nickname} (${this.pseudonym})` : this.pseudonym;
+  };
+
+  return Beneficiary;
+};
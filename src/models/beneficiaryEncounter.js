@@ -0,0 +1,83 @@
+// src/models/beneficiaryEncounter.js - A beneficiary met during the maraude of a report
+module.exports = (sequelize, DataTypes) => {
+  const BeneficiaryEncounter = sequelize.define('BeneficiaryEncounter', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    beneficiaryId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'beneficiaries',
+        key: 'id'
+      }
+    },
+    reportId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'maraude_reports',
+        key: 'id'
+      }
+    },
+    // Copy of the report date, for history and new-vs-returning counts
+    encounterDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    // Needs expressed that day (keys of NEED_LABELS)
+    needs: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    recordedBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    timestamps: true,
+    tableName: 'beneficiary_encounters',
+    indexes: [
+      {
+        unique: true,
+        fields: ['beneficiaryId', 'reportId']
+      },
+      {
+        fields: ['reportId']
+      },
+      {
+        fields: ['encounterDate']
+      }
+    ]
+  });
+
+  BeneficiaryEncounter.associate = (models) => {
+    BeneficiaryEncounter.belongsTo(models.Beneficiary, {
+      foreignKey: 'beneficiaryId',
+      as: 'beneficiary'
+    });
+
+    BeneficiaryEncounter.belongsTo(models.MaraudeReport, {
+      foreignKey: 'reportId',
+      as: 'report'
+    });
+
+    BeneficiaryEncounter.belongsTo(models.User, {
+      foreignKey: 'recordedBy',
+      as: 'recorder'
+    });
+  };
+
+  return BeneficiaryEncounter;
+};
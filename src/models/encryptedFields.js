@@ -0,0 +1,161 @@
+// src/models/encryptedFields.js - Transparent encryption of sensitive free text and who may read it
+const { getContext } = require('../utils/requestContext');
+const { encryptValue, decryptValue, isEncrypted } = require('../utils/fieldEncryption');
+
+// Encrypted at rest. ReportVersion snapshots hold copies of the same text.
+const ENCRYPTED_FIELDS = {
+  ReportAlert: ['personDescription', 'situationDescription'],
+  MaraudeReport: ['difficultiesEncountered', 'urgentSituationsDetails'],
+  ReportVersion: ['snapshot']
+};
+
+// Shown instead of the text to users without decrypt access
+const MASKED = '[confidentiel]';
+
+const SENSITIVE_FIELDS = [...new Set(
+  Object.values(ENCRYPTED_FIELDS).flat().filter(field => field !== 'snapshot')
+)];
+
+const isJsonAttribute = (attribute) => ['JSON', 'JSONB'].includes(attribute.type.key);
+
+// A value that cannot be decrypted (plaintext shaped like ciphertext, key removed from
+// FIELD_ENCRYPTION_KEYS) is returned as stored rather than failing the whole read
+const decode = (stored, json) => {
+  if (!isEncrypted(stored)) return stored;
+  let plain;
+  try {
+    plain = decryptValue(stored);
+  } catch (error) {
+    console.warn('Field decryption failed, returning the stored value:', error.message);
+    return stored;
+  }
+  return json ? JSON.parse(plain) : plain;
+};
+
+const encode = (value, json) => {
+  if (value === null || value === undefined || isEncrypted(value)) return value;
+  return encryptValue(json ? JSON.stringify(value) : value);
+};
+
+/**
+ * Decrypt access: platform admins, and coordinators for the rows of their own
+ * association. Code running outside a request (jobs, scripts, notifications
+ * built from the model getters) always sees the text.
+ * @param {string|null} associationId - owning association, when known
+ * @returns {boolean}
+ */
+function canDecrypt(associationId) {
+  const context = getContext();
+  if (!context) return true;
+
+  const actor = context.actor;
+  if (!actor) return false;
+  if (actor.role === 'admin') return true;
+  // Routes already scope coordinators to their association when the owner is not in the payload
+  return actor.role === 'coordinator' && (!associationId || associationId === actor.associationId);
+}
+
+const maskValue = (value) => {
+  if (value === null || value === undefined) return value;
+  if (typeof value === 'string') return MASKED;
+  if (Array.isArray(value)) return value.map(maskValue);
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, maskValue(inner)]));
+  }
+  return value;
+};
+
+const ownerOf = (node, inherited) => node.associationId ||
+  node.maraudeAction?.associationId ||
+  node.report?.maraudeAction?.associationId ||
+  inherited;
+
+/**
+ * Replace sensitive text (at any depth, report version snapshots and diffs included)
+ * by MASKED when the current user may not decrypt it.
+ * @param {*} data - plain data (toJSON output, snapshot, diff...)
+ * @param {string|null} [associationId] - owning association if the payload does not say
+ * @returns {*}
+ */
+function maskSensitiveFields(data, associationId = null) {
+  const context = getContext();
+  if (!context || context.actor?.role === 'admin') return data;
+
+  const visit = (node, owner) => {
+    if (Array.isArray(node)) return node.map(item => visit(item, owner));
+    if (!node || typeof node !== 'object' || node instanceof Date) return node;
+
+    const nodeOwner = ownerOf(node, owner);
+    const allowed = canDecrypt(nodeOwner);
+    return Object.fromEntries(Object.entries(node).map(([key, value]) => [
+      key,
+      SENSITIVE_FIELDS.includes(key) && !allowed ? maskValue(value) : visit(value, nodeOwner)
+    ]));
+  };
+
+  return visit(data, associationId);
+}
+
+/**
+ * Encrypt ENCRYPTED_FIELDS on write and decrypt them on read, so routes and services
+ * keep working with plain text. JSON values (snapshots) are stored as an encrypted string.
+ * - setting MASKED (a form sent back by a user without access) keeps the stored value
+ * - Model.update(...) values are encrypted in beforeBulkUpdate
+ * - toJSON masks sensitive text for users without decrypt access (see canDecrypt)
+ * @param {Object} models - initialized models (see models/index.js)
+ */
+function registerFieldEncryption(models) {
+  Object.entries(ENCRYPTED_FIELDS).forEach(([modelName, fields]) => {
+    const model = models[modelName];
+
+    fields.forEach(field => {
+      const attribute = model.rawAttributes[field];
+      const json = isJsonAttribute(attribute);
+
+      attribute.get = function() {
+        return decode(this.getDataValue(field), json);
+      };
+
+      attribute.set = function(value) {
+        if (value === MASKED) return;
+        const stored = this.getDataValue(field);
+        // Same text: keep the stored ciphertext so the field is not marked as changed
+        if (stored !== undefined && JSON.stringify(decode(stored, json)) === JSON.stringify(value)) return;
+        this.setDataValue(field, encode(value, json));
+      };
+    });
+    model.refreshAttributes();
+    model.encryptedFields = fields;
+
+    model.addHook('beforeBulkUpdate', 'encryption', (options) => {
+      fields
+        .filter(field => options.attributes[field] !== undefined)
+        .forEach(field => {
+          if (options.attributes[field] === MASKED) {
+            delete options.attributes[field];
+          } else {
+            options.attributes[field] = encode(options.attributes[field], isJsonAttribute(model.rawAttributes[field]));
+          }
+        });
+    });
+  });
+
+  // Sensitive text can be nested in any payload (report -> alerts, beneficiary -> alerts...)
+  Object.values(models)
+    .filter(model => model && model.rawAttributes)
+    .forEach(model => {
+      const toJSON = model.prototype.toJSON;
+      model.prototype.toJSON = function() {
+        return maskSensitiveFields(toJSON.call(this));
+      };
+    });
+}
+
+module.exports = {
+  ENCRYPTED_FIELDS,
+  SENSITIVE_FIELDS,
+  MASKED,
+  canDecrypt,
+  maskSensitiveFields,
+  registerFieldEncryption
+};
@@ -0,0 +1,94 @@
+// src/models/eventHooks.js - Domain events emitted once changes are committed (see utils/eventBus.js),
+// pushed to the front by services/realtimeService.js. 'alert.created' is emitted by models/reportAlert.js.
+// 'user.deactivated' and 'user.access_changed' are not pushed: they close the user's open event streams.
+const { emitAfterCommit } = require('../utils/eventBus');
+const { getContext } = require('../utils/requestContext');
+
+// Report statuses announced as 'report.<status>' (drafts stay private)
+const REPORT_EVENT_STATUSES = ['submitted', 'changes_requested', 'rejected', 'validated'];
+
+const actorId = () => getContext()?.actor?.id || null;
+
+const statusChanged = (instance) => instance.changed('status') && instance.previous('status') !== instance.status;
+
+/**
+ * Attach the hooks emitting maraude, occurrence, report, merchant and user events.
+ * @param {Object} models - initialized models (see models/index.js)
+ */
+function registerEventHooks(models) {
+  const { MaraudeAction, MaraudeOccurrence, MaraudeReport, Merchant, User } = models;
+
+  const actionAssociation = async (maraudeActionId, transaction) => {
+    const action = await MaraudeAction.findByPk(maraudeActionId, { attributes: ['associationId'], transaction });
+    return action?.associationId || null;
+  };
+
+  MaraudeAction.addHook('afterUpdate', 'events', (action, options) => {
+    if (!statusChanged(action)) return;
+    emitAfterCommit(options.transaction, 'maraude.status_changed', {
+      maraudeActionId: action.id,
+      associationId: action.associationId,
+      title: action.title,
+      status: action.status,
+      previousStatus: action.previous('status'),
+      actorId: actorId()
+    });
+  });
+
+  MaraudeOccurrence.addHook('afterUpdate', 'events', async (occurrence, options) => {
+    if (!statusChanged(occurrence)) return;
+    emitAfterCommit(options.transaction, 'occurrence.status_changed', {
+      maraudeActionId: occurrence.maraudeActionId,
+      associationId: await actionAssociation(occurrence.maraudeActionId, options.transaction),
+      date: occurrence.occurrenceDate,
+      status: occurrence.status,
+      previousStatus: occurrence.previous('status'),
+      actorId: actorId()
+    });
+  });
+
+  const reportEvent = async (report, previousStatus, options) => {
+    if (!REPORT_EVENT_STATUSES.includes(report.status)) return;
+    emitAfterCommit(options.transaction, `report.${report.status}`, {
+      reportId: report.id,
+      maraudeActionId: report.maraudeActionId,
+      associationId: await actionAssociation(report.maraudeActionId, options.transaction),
+      reportDate: report.reportDate,
+      status: report.status,
+      previousStatus,
+      actorId: actorId()
+    });
+  };
+
+  // POST /api/reports and offline sync create reports already submitted
+  MaraudeReport.addHook('afterCreate', 'events', (report, options) => reportEvent(report, null, options));
+  MaraudeReport.addHook('afterUpdate', 'events', (report, options) => (
+    statusChanged(report) ? reportEvent(report, report.previous('status'), options) : undefined
+  ));
+
+  Merchant.addHook('afterUpdate', 'events', (merchant, options) => {
+    if (!merchant.changed('isVerified') || !merchant.isVerified || merchant.previous('isVerified')) return;
+    emitAfterCommit(options.transaction, 'merchant.verified', {
+      merchantId: merchant.id,
+      name: merchant.name,
+      category: merchant.category,
+      actorId: actorId()
+    });
+  });
+
+  User.addHook('afterUpdate', 'events', (user, options) => {
+    if (user.changed('isActive') && !user.isActive && user.previous('isActive')) {
+      emitAfterCommit(options.transaction, 'user.deactivated', { userId: user.id });
+      return;
+    }
+    // Streams were opened with the former role / association: they must reconnect
+    const accessChanged = ['role', 'associationId'].some(field => (
+      user.changed(field) && user.previous(field) !== user.get(field)
+    ));
+    if (accessChanged) {
+      emitAfterCommit(options.transaction, 'user.access_changed', { userId: user.id });
+    }
+  });
+}
+
+module.exports = { registerEventHooks, REPORT_EVENT_STATUSES };
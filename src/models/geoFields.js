@@ -0,0 +1,132 @@
+// src/models/geoFields.js - PostGIS geography columns derived from the latitude/longitude fields
+const { toPoint, routePoints } = require('../utils/geo');
+
+// Derived column -> source fields. Points come from a latitude/longitude pair,
+// multipoints from a JSON array of { latitude, longitude } (maraude waypoints),
+// routes from the start point and the waypoints in their order (see utils/geo.js routePoints).
+const GEO_FIELDS = {
+  Merchant: {
+    location: { latitude: 'latitude', longitude: 'longitude' }
+  },
+  MaraudeAction: {
+    startLocation: { latitude: 'startLatitude', longitude: 'startLongitude' },
+    waypointsLocation: { points: 'waypoints' },
+    routeLocation: { route: ['startLatitude', 'startLongitude', 'waypoints'] }
+  },
+  ReportAlert: {
+    location: { latitude: 'locationLatitude', longitude: 'locationLongitude' }
+  }
+};
+
+const SRID = 4326;
+// ST_GeomFromGeoJSON needs the SRID to cast to geography
+const CRS = { type: 'name', properties: { name: `EPSG:${SRID}` } };
+
+const GEO_COLUMNS = new Set(Object.values(GEO_FIELDS).flatMap(columns => Object.keys(columns)));
+
+const sourcesOf = (spec) => spec.route || (spec.points ? [spec.points] : [spec.latitude, spec.longitude]);
+
+/**
+ * GeoJSON Point (as stored by Sequelize GEOGRAPHY columns), or null
+ * @param {{latitude: number, longitude: number}|null} point
+ */
+function toGeoJSONPoint(point) {
+  if (!point) return null;
+  return { type: 'Point', coordinates: [point.longitude, point.latitude], crs: CRS };
+}
+
+// Waypoints without valid coordinates are left out
+const toGeoJSONMultiPoint = (items) => {
+  const points = (Array.isArray(items) ? items : [])
+    .map(item => item && toPoint(item.latitude, item.longitude))
+    .filter(Boolean);
+  if (points.length === 0) return null;
+  return { type: 'MultiPoint', coordinates: points.map(point => [point.longitude, point.latitude]), crs: CRS };
+};
+
+// LineString through the route, a Point when it has a single valid position
+const toGeoJSONRoute = (points) => {
+  if (points.length === 0) return null;
+  if (points.length === 1) return toGeoJSONPoint(points[0]);
+  return { type: 'LineString', coordinates: points.map(point => [point.longitude, point.latitude]), crs: CRS };
+};
+
+/**
+ * Value of a derived column from the source fields of `values`
+ * @param {Object} spec - entry of GEO_FIELDS
+ * @param {Object} values - plain values (instance.get() or a row)
+ * @returns {Object|null} GeoJSON geometry
+ */
+function computeGeoValue(spec, values) {
+  if (spec.route) return toGeoJSONRoute(routePoints(values));
+  if (spec.points) return toGeoJSONMultiPoint(values[spec.points]);
+  return toGeoJSONPoint(toPoint(values[spec.latitude], values[spec.longitude]));
+}
+
+const isGeometry = (value) => value !== null && typeof value === 'object' &&
+  typeof value.type === 'string' && Array.isArray(value.coordinates);
+
+// Drop derived columns (geometry or null) at any depth of a toJSON output
+const stripGeoColumns = (node) => {
+  if (Array.isArray(node)) return node.map(stripGeoColumns);
+  if (!node || typeof node !== 'object' || node instanceof Date) return node;
+  return Object.fromEntries(Object.entries(node)
+    .filter(([key, value]) => !(GEO_COLUMNS.has(key) && (value === null || isGeometry(value))))
+    .map(([key, value]) => [key, stripGeoColumns(value)]));
+};
+
+/**
+ * Keep the GEO_FIELDS columns in sync with their source fields on every write
+ * (create, save, instance and Model.update, bulkCreate). They are not part of the
+ * API output nor of the audit trail: clients keep reading latitude/longitude.
+ * @param {Object} models - initialized models (see models/index.js)
+ */
+function registerGeoFields(models) {
+  Object.entries(GEO_FIELDS).forEach(([modelName, columns]) => {
+    const model = models[modelName];
+    const entries = Object.entries(columns);
+
+    // Only when all the source fields are loaded: a partial select must not clear the column
+    const refresh = (instance, onlyChanged) => {
+      entries.forEach(([column, spec]) => {
+        const sources = sourcesOf(spec);
+        if (!sources.every(field => field in instance.dataValues)) return;
+        if (onlyChanged && !sources.some(field => instance.changed(field))) return;
+        instance.setDataValue(column, computeGeoValue(spec, instance.get()));
+      });
+    };
+
+    model.addHook('beforeCreate', 'geo', (instance) => refresh(instance, false));
+    model.addHook('beforeUpdate', 'geo', (instance) => refresh(instance, true));
+    model.addHook('beforeBulkCreate', 'geo', (instances) => instances.forEach(instance => refresh(instance, false)));
+
+    // Model.update(...) touching a source field: go through beforeUpdate for each row
+    model.addHook('beforeBulkUpdate', 'geo', (options) => {
+      const sources = entries.flatMap(([, spec]) => sourcesOf(spec));
+      if (sources.some(field => options.attributes[field] !== undefined)) {
+        options.individualHooks = true;
+      }
+    });
+
+    model.geoFields = entries.map(([column]) => column);
+  });
+
+  // Included rows (alert -> report -> maraudeAction) are serialized without their own toJSON
+  Object.values(models)
+    .filter(model => model && model.rawAttributes)
+    .forEach(model => {
+      const toJSON = model.prototype.toJSON;
+      model.prototype.toJSON = function() {
+        return stripGeoColumns(toJSON.call(this));
+      };
+    });
+}
+
+module.exports = {
+  GEO_FIELDS,
+  SRID,
+  toGeoJSONPoint,
+  sourcesOf,
+  computeGeoValue,
+  registerGeoFields
+};
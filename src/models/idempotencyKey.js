@@ -0,0 +1,86 @@
+// src/models/idempotencyKey.js - Response stored for an Idempotency-Key, replayed on retries
+module.exports = (sequelize, DataTypes) => {
+  const IdempotencyKey = sequelize.define('IdempotencyKey', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    // Keys are per user: two users may send the same value
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    key: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    method: {
+      type: DataTypes.STRING(10),
+      allowNull: false
+    },
+    path: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    // SHA-256 of method, path and body
+    requestHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    // processing while the first request runs, then completed
+    status: {
+      type: DataTypes.ENUM('processing', 'completed'),
+      allowNull: false,
+      defaultValue: 'processing'
+    },
+    responseStatus: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    // Content-Type, Content-Disposition, Location
+    responseHeaders: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    // Encrypted like sensitive fields when FIELD_ENCRYPTION_KEYS is set (see middleware/idempotency.js)
+    responseBody: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    timestamps: true,
+    tableName: 'idempotency_keys',
+    indexes: [
+      {
+        unique: true,
+        fields: ['userId', 'key']
+      },
+      {
+        fields: ['expiresAt']
+      }
+    ]
+  });
+
+  IdempotencyKey.associate = (models) => {
+    IdempotencyKey.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+  };
+
+  // Instance method: still usable for replays
+  IdempotencyKey.prototype.isExpired = function(now = new Date()) {
+    return this.expiresAt <= now;
+  };
+
+  return IdempotencyKey;
+};
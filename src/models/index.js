@@ -10,6 +10,23 @@ const DistributionType = require('./distributionType');
 const MaraudeReport = require('./maraudeReport');
 const ReportDistribution = require('./reportDistribution');
 const ReportAlert = require('./reportAlert');
+const ReportComment = require('./reportComment');
+const ReportVersion = require('./reportVersion');
+const AlertAction = require('./alertAction');
+const AlertNotification = require('./alertNotification');
+const Beneficiary = require('./beneficiary');
+const BeneficiaryEncounter = require('./beneficiaryEncounter');
+const MaraudeOccurrence = require('./maraudeOccurrence');
+const MaraudeParticipation = require('./maraudeParticipation');
+const SyncOperation = require('./syncOperation');
+const IdempotencyKey = require('./idempotencyKey');
+const AuditLog = require('./auditLog');
+const TrackingSession = require('./trackingSession');
+const TrackPoint = require('./trackPoint');
+const { registerFieldEncryption } = require('./encryptedFields');
+const { registerGeoFields } = require('./geoFields');
+const { registerAuditHooks } = require('./auditHooks');
+const { registerEventHooks } = require('./eventHooks');
 
 // Initialize models
 const models = {
@@ -20,7 +37,20 @@ const models = {
   DistributionType: DistributionType(sequelize, DataTypes),
   MaraudeReport: MaraudeReport(sequelize, DataTypes),
   ReportDistribution: ReportDistribution(sequelize, DataTypes),
-  ReportAlert: ReportAlert(sequelize, DataTypes)
+  ReportAlert: ReportAlert(sequelize, DataTypes),
+  ReportComment: ReportComment(sequelize, DataTypes),
+  ReportVersion: ReportVersion(sequelize, DataTypes),
+  AlertAction: AlertAction(sequelize, DataTypes),
+  AlertNotification: AlertNotification(sequelize, DataTypes),
+  Beneficiary: Beneficiary(sequelize, DataTypes),
+  BeneficiaryEncounter: BeneficiaryEncounter(sequelize, DataTypes),
+  MaraudeOccurrence: MaraudeOccurrence(sequelize, DataTypes),
+  MaraudeParticipation: MaraudeParticipation(sequelize, DataTypes),
+  SyncOperation: SyncOperation(sequelize, DataTypes),
+  IdempotencyKey: IdempotencyKey(sequelize, DataTypes),
+  AuditLog: AuditLog(sequelize, DataTypes),
+  TrackingSession: TrackingSession(sequelize, DataTypes),
+  TrackPoint: TrackPoint(sequelize, DataTypes)
 };
 
 // Set up associations
@@ -30,6 +60,18 @@ Object.keys(models).forEach(modelName => {
   }
 });
 
+// Sensitive free text: encrypted at rest, masked for users without decrypt access
+registerFieldEncryption(models);
+
+// PostGIS columns derived from latitude/longitude
+registerGeoFields(models);
+
+// Audit trail: record create/update/delete of every model
+registerAuditHooks(models);
+
+// Domain events (status changes, verifications) for the real-time push
+registerEventHooks(models);
+
 models.sequelize = sequelize;
 models.Sequelize = Sequelize;
 
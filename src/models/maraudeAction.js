@@ -1,4 +1,22 @@
 // Update your backend src/models/maraudeAction.js
+const {
+  parseRule,
+  ruleFromDayOfWeek,
+  expandRule,
+  describeRule,
+  getRuleWeekday
+} = require('../utils/recurrence');
+const {
+  DAY_NAMES,
+  DEFAULT_TIMEZONE,
+  today,
+  currentTime,
+  addDays,
+  isValidDateOnly
+} = require('../utils/dateUtils');
+
+// How far ahead getNextOccurrence() looks for the next date
+const NEXT_OCCURRENCE_LOOKAHEAD_DAYS = 400;
 
 module.exports = (sequelize, DataTypes) => {
   const MaraudeAction = sequelize.define('MaraudeAction', {
@@ -40,6 +58,20 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING,
       allowNull: true
     },
+    // PostGIS copies of the start point and of the waypoints (see geoFields.js)
+    startLocation: {
+      type: DataTypes.GEOGRAPHY('POINT', 4326),
+      allowNull: true
+    },
+    waypointsLocation: {
+      type: DataTypes.GEOGRAPHY('MULTIPOINT', 4326),
+      allowNull: true
+    },
+    // Route drawn on the map (start point, then the waypoints in order): line, or point without waypoints
+    routeLocation: {
+      type: DataTypes.GEOGRAPHY('GEOMETRY', 4326),
+      allowNull: true
+    },
     // NEW: Waypoints as JSON array
     waypoints: {
       type: DataTypes.JSONB,
@@ -102,6 +134,37 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.BOOLEAN,
       defaultValue: true
     },
+    // NEW: RFC 5545 recurrence rule, e.g. "FREQ=MONTHLY;BYDAY=1TH,3TH"
+    // When null, recurring rows fall back to "every week on dayOfWeek"
+    recurrenceRule: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      validate: {
+        isValidRule(value) {
+          if (value) {
+            parseRule(value);
+          }
+        }
+      }
+    },
+    // NEW: DTSTART of the rule (anchor for INTERVAL and COUNT)
+    recurrenceStart: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    // NEW: EXDATE - dates excluded from the rule
+    recurrenceExceptions: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      defaultValue: [],
+      validate: {
+        isDateList(value) {
+          if (value && (!Array.isArray(value) || !value.every(isValidDateOnly))) {
+            throw new Error('recurrenceExceptions must be an array of YYYY-MM-DD dates');
+          }
+        }
+      }
+    },
     scheduledDate: {
       type: DataTypes.DATEONLY,
       allowNull: true
@@ -125,6 +188,14 @@ module.exports = (sequelize, DataTypes) => {
         min: 0
       }
     },
+    // Volunteer capacity of each session (null = unlimited), see MaraudeParticipation
+    maxParticipants: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 1
+      }
+    },
     beneficiariesHelped: {
       type: DataTypes.INTEGER,
       defaultValue: 0,
@@ -179,57 +250,98 @@ module.exports = (sequelize, DataTypes) => {
       },
       {
         fields: ['latitude', 'longitude'] // Keep for backward compatibility
+      },
+      {
+        using: 'gist',
+        fields: ['startLocation']
+      },
+      {
+        using: 'gist',
+        fields: ['waypointsLocation']
+      },
+      {
+        using: 'gist',
+        fields: ['routeLocation']
       }
     ]
   });
 
-  // Instance methods (existing ones remain the same)
+  // Instance methods
   MaraudeAction.prototype.getDayName = function() {
-    const days = ['', 'Lundi', 'Mardi', 'Mercredi', 'Jeudi', 'Vendredi', 'Samedi', 'Dimanche'];
-    return this.dayOfWeek ? days[this.dayOfWeek] : 'Ponctuel';
+    if (this.recurrenceRule && this.isRecurring) {
+      const rule = parseRule(this.recurrenceRule);
+      const weekday = getRuleWeekday(rule);
+      // Plain "every <day>" rules keep the short day name
+      if (weekday && rule.freq === 'WEEKLY' && rule.interval === 1 && rule.byDay.length === 1) {
+        return DAY_NAMES[weekday];
+      }
+      return describeRule(rule);
+    }
+    return this.dayOfWeek ? DAY_NAMES[this.dayOfWeek] : 'Ponctuel';
   };
 
-  MaraudeAction.prototype.isHappeningToday = function() {
-    if (!this.isRecurring || !this.isActive) {
-      if (this.scheduledDate) {
-        const today = new Date().toISOString().split('T')[0];
-        return this.scheduledDate === today;
-      }
-      return false;
+  // Effective RRULE: explicit rule, or the legacy dayOfWeek mapping
+  MaraudeAction.prototype.getRecurrenceRule = function() {
+    if (!this.isRecurring) {
+      return null;
     }
-    
-    const today = new Date();
-    const todayISO = today.getDay() === 0 ? 7 : today.getDay();
-    return todayISO === this.dayOfWeek;
+    if (this.recurrenceRule) {
+      return this.recurrenceRule;
+    }
+    return this.dayOfWeek ? ruleFromDayOfWeek(this.dayOfWeek) : null;
+  };
+
+  // Dates (YYYY-MM-DD) on which this maraude takes place between from and to
+  MaraudeAction.prototype.getOccurrenceDates = function(from, to) {
+    if (!this.isActive) {
+      return [];
+    }
+
+    if (!this.isRecurring) {
+      const date = this.scheduledDate;
+      return date && date >= from && date <= to ? [date] : [];
+    }
+
+    const rule = this.getRecurrenceRule();
+    if (!rule) {
+      return [];
+    }
+
+    return expandRule(rule, {
+      dtstart: this.recurrenceStart,
+      from,
+      to,
+      exdates: this.recurrenceExceptions || []
+    });
   };
 
-  MaraudeAction.prototype.getNextOccurrence = function() {
+  // Zone of the owning association (needs the association include), Europe/Paris otherwise
+  MaraudeAction.prototype.getTimezone = function() {
+    return this.association?.timezone || DEFAULT_TIMEZONE;
+  };
+
+  MaraudeAction.prototype.isHappeningToday = function(timezone = this.getTimezone()) {
+    const todayDate = today(timezone);
+    if (!this.isRecurring) {
+      return this.scheduledDate === todayDate;
+    }
+    return this.getOccurrenceDates(todayDate, todayDate).length > 0;
+  };
+
+  MaraudeAction.prototype.getNextOccurrence = function(timezone = this.getTimezone()) {
     if (!this.isRecurring || !this.isActive) {
       return this.scheduledDate;
     }
 
-    const today = new Date();
-    const todayISO = today.getDay() === 0 ? 7 : today.getDay();
-    const targetDay = this.dayOfWeek;
-    
-    let daysUntilNext = targetDay - todayISO;
-    if (daysUntilNext < 0) {
-      daysUntilNext += 7;
-    }
-    
-    if (daysUntilNext === 0) {
-      const [hours, minutes] = this.startTime.split(':').map(Number);
-      const startTimeToday = new Date();
-      startTimeToday.setHours(hours, minutes, 0, 0);
-      
-      if (today > startTimeToday) {
-        daysUntilNext = 7;
-      }
+    const todayDate = today(timezone);
+    const dates = this.getOccurrenceDates(todayDate, addDays(todayDate, NEXT_OCCURRENCE_LOOKAHEAD_DAYS));
+
+    // Today's session only counts if it has not started yet (wall clock of the association)
+    if (dates[0] === todayDate && this.startTime && currentTime(timezone) > this.startTime) {
+      dates.shift();
     }
-    
-    const nextDate = new Date(today);
-    nextDate.setDate(today.getDate() + daysUntilNext);
-    return nextDate.toISOString().split('T')[0];
+
+    return dates[0] || null;
   };
 
   // NEW: Instance method to get route summary
@@ -253,6 +365,16 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'createdBy',
       as: 'creator'
     });
+
+    MaraudeAction.hasMany(models.MaraudeOccurrence, {
+      foreignKey: 'maraudeActionId',
+      as: 'occurrences'
+    });
+
+    MaraudeAction.hasMany(models.MaraudeParticipation, {
+      foreignKey: 'maraudeActionId',
+      as: 'participations'
+    });
   };
 
   return MaraudeAction;
@@ -0,0 +1,193 @@
+// src/models/maraudeOccurrence.js - One dated session generated from a MaraudeAction template
+module.exports = (sequelize, DataTypes) => {
+  const MaraudeOccurrence = sequelize.define('MaraudeOccurrence', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    maraudeActionId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'maraude_actions',
+        key: 'id'
+      }
+    },
+    occurrenceDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      validate: {
+        isDate: true
+      }
+    },
+    status: {
+      type: DataTypes.ENUM('planned', 'in_progress', 'completed', 'cancelled'),
+      defaultValue: 'planned'
+    },
+    // Overrides: null means "inherit from the MaraudeAction template"
+    startTime: {
+      type: DataTypes.TIME,
+      allowNull: true
+    },
+    endTime: {
+      type: DataTypes.TIME,
+      allowNull: true
+    },
+    startLatitude: {
+      type: DataTypes.DECIMAL(10, 8),
+      allowNull: true,
+      validate: {
+        min: -90,
+        max: 90
+      }
+    },
+    startLongitude: {
+      type: DataTypes.DECIMAL(11, 8),
+      allowNull: true,
+      validate: {
+        min: -180,
+        max: 180
+      }
+    },
+    startAddress: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    waypoints: {
+      type: DataTypes.JSONB,
+      allowNull: true
+      // Same structure as MaraudeAction.waypoints
+    },
+    leaderId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    maxParticipants: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 1
+      }
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Lifecycle (see services/maraudeLifecycleService.js)
+    startedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    startedBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    finishedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    finishedBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    // Cancellation
+    cancellationReason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    cancelledAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    cancelledBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    // Set when a coordinator edits the occurrence, so regeneration leaves it alone
+    isModified: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    }
+  }, {
+    timestamps: true,
+    tableName: 'maraude_occurrences',
+    indexes: [
+      {
+        unique: true,
+        fields: ['maraudeActionId', 'occurrenceDate']
+      },
+      {
+        fields: ['occurrenceDate', 'status']
+      }
+    ]
+  });
+
+  MaraudeOccurrence.associate = (models) => {
+    MaraudeOccurrence.belongsTo(models.MaraudeAction, {
+      foreignKey: 'maraudeActionId',
+      as: 'maraudeAction'
+    });
+
+    MaraudeOccurrence.belongsTo(models.User, {
+      foreignKey: 'leaderId',
+      as: 'leader'
+    });
+
+    MaraudeOccurrence.belongsTo(models.User, {
+      foreignKey: 'startedBy',
+      as: 'starter'
+    });
+
+    MaraudeOccurrence.belongsTo(models.User, {
+      foreignKey: 'finishedBy',
+      as: 'finisher'
+    });
+
+    MaraudeOccurrence.belongsTo(models.User, {
+      foreignKey: 'cancelledBy',
+      as: 'canceller'
+    });
+  };
+
+  // Instance method: merge overrides with the template values
+  MaraudeOccurrence.prototype.getEffectiveSchedule = function(action = this.maraudeAction) {
+    const pick = (field) => (this[field] !== null && this[field] !== undefined)
+      ? this[field]
+      : (action ? action[field] : null);
+
+    return {
+      date: this.occurrenceDate,
+      startTime: pick('startTime'),
+      endTime: pick('endTime'),
+      startLatitude: pick('startLatitude'),
+      startLongitude: pick('startLongitude'),
+      startAddress: pick('startAddress'),
+      waypoints: pick('waypoints') || [],
+      maxParticipants: pick('maxParticipants'),
+      leaderId: this.leaderId || (action ? action.createdBy : null)
+    };
+  };
+
+  MaraudeOccurrence.prototype.isCancelled = function() {
+    return this.status === 'cancelled';
+  };
+
+  return MaraudeOccurrence;
+};
@@ -0,0 +1,104 @@
+// src/models/maraudeParticipation.js - Volunteer registration for one dated session of a maraude
+module.exports = (sequelize, DataTypes) => {
+  const MaraudeParticipation = sequelize.define('MaraudeParticipation', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    maraudeActionId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'maraude_actions',
+        key: 'id'
+      }
+    },
+    occurrenceDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      validate: {
+        isDate: true
+      }
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    status: {
+      type: DataTypes.ENUM('confirmed', 'waitlisted', 'withdrawn'),
+      allowNull: false,
+      defaultValue: 'confirmed'
+    },
+    // Waitlist order: oldest registration is promoted first
+    registeredAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    // Coordinator who registered the volunteer (null = self sign-up)
+    registeredBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    promotedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    withdrawnAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    timestamps: true,
+    tableName: 'maraude_participations',
+    indexes: [
+      {
+        unique: true,
+        fields: ['maraudeActionId', 'occurrenceDate', 'userId']
+      },
+      {
+        fields: ['maraudeActionId', 'occurrenceDate', 'status']
+      },
+      {
+        fields: ['userId', 'occurrenceDate']
+      }
+    ]
+  });
+
+  MaraudeParticipation.associate = (models) => {
+    MaraudeParticipation.belongsTo(models.MaraudeAction, {
+      foreignKey: 'maraudeActionId',
+      as: 'maraudeAction'
+    });
+
+    MaraudeParticipation.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+
+    MaraudeParticipation.belongsTo(models.User, {
+      foreignKey: 'registeredBy',
+      as: 'registrar'
+    });
+  };
+
+  // Instance method: still counts for the session (confirmed or waiting)
+  MaraudeParticipation.prototype.isActive = function() {
+    return this.status === 'confirmed' || this.status === 'waitlisted';
+  };
+
+  return MaraudeParticipation;
+};
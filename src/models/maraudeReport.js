@@ -49,6 +49,7 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.TEXT,
       allowNull: true
     },
+    // Encrypted at rest (see encryptedFields.js)
     difficultiesEncountered: {
       type: DataTypes.TEXT,
       allowNull: true
@@ -61,12 +62,15 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.BOOLEAN,
       defaultValue: false
     },
+    // Encrypted at rest (see encryptedFields.js)
     urgentSituationsDetails: {
       type: DataTypes.TEXT,
       allowNull: true
     },
+    // draft -> submitted -> validated, or back to the author with changes_requested,
+    // or rejected (final). See services/reportReviewService.js
     status: {
-      type: DataTypes.ENUM('draft', 'submitted', 'validated'),
+      type: DataTypes.ENUM('draft', 'submitted', 'changes_requested', 'rejected', 'validated'),
       defaultValue: 'draft'
     },
     emailSent: {
@@ -101,6 +105,56 @@ module.exports = (sequelize, DataTypes) => {
     validationDate: {
       type: DataTypes.DATE,
       allowNull: true
+    },
+    // Last review decision (changes requested / rejected)
+    reviewedBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    reviewedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    reviewComment: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Number of the latest ReportVersion snapshot (0 = never submitted)
+    currentVersion: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    // Route actually walked, from live tracking (see services/trackingService.js).
+    // No foreign key: the session already points to the report
+    trackingSessionId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    // Kilometers
+    trackDistance: {
+      type: DataTypes.DECIMAL(6, 2),
+      allowNull: true
+    },
+    // Encoded polyline of the track
+    trackPolyline: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Filled when the maraude is finished (see services/maraudeLifecycleService.js):
+    // confirmed team of the session [{ userId, isLeader }]
+    team: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    // Route planned for the session: { startLatitude, startLongitude, startAddress, waypoints }
+    plannedRoute: {
+      type: DataTypes.JSONB,
+      allowNull: true
     }
   }, {
     timestamps: true,
@@ -132,6 +186,32 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'reportId',
       as: 'alerts'
     });
+
+    MaraudeReport.belongsTo(models.User, {
+      foreignKey: 'reviewedBy',
+      as: 'reviewer'
+    });
+
+    MaraudeReport.hasMany(models.ReportComment, {
+      foreignKey: 'reportId',
+      as: 'comments'
+    });
+
+    MaraudeReport.hasMany(models.ReportVersion, {
+      foreignKey: 'reportId',
+      as: 'versions'
+    });
+
+    MaraudeReport.hasMany(models.BeneficiaryEncounter, {
+      foreignKey: 'reportId',
+      as: 'encounters'
+    });
+
+    MaraudeReport.belongsTo(models.TrackingSession, {
+      foreignKey: 'trackingSessionId',
+      as: 'trackingSession',
+      constraints: false
+    });
   };
 
   // Instance method to calculate duration
@@ -153,5 +233,15 @@ module.exports = (sequelize, DataTypes) => {
     };
   };
 
+  // Instance method: author, or member of the team of a report opened by finishing the maraude
+  MaraudeReport.prototype.isWrittenBy = function(userId) {
+    return this.createdBy === userId || (this.team || []).some(member => member.userId === userId);
+  };
+
+  // Instance method: can the author still change the content?
+  MaraudeReport.prototype.isEditable = function() {
+    return ['draft', 'submitted', 'changes_requested'].includes(this.status);
+  };
+
   return MaraudeReport;
 };
\ No newline at end of file
@@ -46,6 +46,11 @@ module.exports = (sequelize, DataTypes) => {
         max: 180
       }
     },
+    // PostGIS point kept in sync with latitude/longitude (see geoFields.js)
+    location: {
+      type: DataTypes.GEOGRAPHY('POINT', 4326),
+      allowNull: true
+    },
     address: {
       type: DataTypes.STRING,
       allowNull: false
@@ -113,6 +118,10 @@ module.exports = (sequelize, DataTypes) => {
       },
       {
         fields: ['latitude', 'longitude']
+      },
+      {
+        using: 'gist',
+        fields: ['location']
       }
     ]
   });
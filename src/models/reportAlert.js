@@ -1,3 +1,13 @@
+// Time allowed to handle an alert, by severity (hours)
+const DUE_DELAY_HOURS = {
+  critical: 24,
+  high: 72,
+  medium: 7 * 24,
+  low: 14 * 24
+};
+
+const { emitAfterCommit } = require('../utils/eventBus');
+
 module.exports = (sequelize, DataTypes) => {
   const ReportAlert = sequelize.define('ReportAlert', {
     id: {
@@ -41,6 +51,12 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.TEXT,
       allowNull: true
     },
+    // PostGIS point kept in sync with locationLatitude/locationLongitude (see geoFields.js)
+    location: {
+      type: DataTypes.GEOGRAPHY('POINT', 4326),
+      allowNull: true
+    },
+    // Encrypted at rest, like situationDescription (see encryptedFields.js)
     personDescription: {
       type: DataTypes.TEXT,
       allowNull: true
@@ -63,17 +79,161 @@ module.exports = (sequelize, DataTypes) => {
     followUpNotes: {
       type: DataTypes.TEXT,
       allowNull: true
+    },
+    // Free-text fields cleared by the retention policy (see gdprService)
+    anonymizedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Person concerned, when known in the beneficiary registry
+    beneficiaryId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'beneficiaries',
+        key: 'id'
+      }
+    },
+    // Follow-up case (see services/alertCaseService.js)
+    status: {
+      type: DataTypes.ENUM('open', 'in_progress', 'resolved', 'escalated'),
+      allowNull: false,
+      defaultValue: 'open'
+    },
+    assigneeId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    dueAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    resolvedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    resolvedBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    // Notification of coordinators (see services/alertNotificationService.js)
+    notifiedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    escalationLevel: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    lastEscalatedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    acknowledgedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    acknowledgedBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
     }
   }, {
     timestamps: true,
-    tableName: 'report_alerts'
+    tableName: 'report_alerts',
+    indexes: [
+      {
+        fields: ['status', 'dueAt']
+      },
+      {
+        fields: ['assigneeId', 'status']
+      },
+      {
+        using: 'gist',
+        fields: ['location']
+      }
+    ],
+    hooks: {
+      // Due date derived from severity unless set explicitly
+      beforeCreate: (alert) => {
+        if (!alert.dueAt) {
+          alert.dueAt = ReportAlert.computeDueAt(alert.severity);
+        }
+      },
+      // Picked up by the notification pipeline once the report is saved
+      afterCreate: (alert, options) => {
+        emitAfterCommit(options.transaction, 'alert.created', { alertId: alert.id });
+      }
+    }
   });
 
+  ReportAlert.DUE_DELAY_HOURS = DUE_DELAY_HOURS;
+
+  // Class method: due date of an alert of this severity raised at `from`
+  ReportAlert.computeDueAt = (severity, from = new Date()) => (
+    new Date(new Date(from).getTime() + (DUE_DELAY_HOURS[severity] || DUE_DELAY_HOURS.low) * 3600 * 1000)
+  );
+
   ReportAlert.associate = (models) => {
     ReportAlert.belongsTo(models.MaraudeReport, {
       foreignKey: 'reportId',
       as: 'report'
     });
+
+    ReportAlert.belongsTo(models.Beneficiary, {
+      foreignKey: 'beneficiaryId',
+      as: 'beneficiary'
+    });
+
+    ReportAlert.belongsTo(models.User, {
+      foreignKey: 'assigneeId',
+      as: 'assignee'
+    });
+
+    ReportAlert.belongsTo(models.User, {
+      foreignKey: 'resolvedBy',
+      as: 'resolver'
+    });
+
+    ReportAlert.hasMany(models.AlertAction, {
+      foreignKey: 'alertId',
+      as: 'actions'
+    });
+
+    ReportAlert.belongsTo(models.User, {
+      foreignKey: 'acknowledgedBy',
+      as: 'acknowledger'
+    });
+
+    ReportAlert.hasMany(models.AlertNotification, {
+      foreignKey: 'alertId',
+      as: 'notifications'
+    });
+  };
+
+  // Instance method: still waiting for a follow-up
+  ReportAlert.prototype.isOpenCase = function() {
+    return this.status !== 'resolved';
+  };
+
+  ReportAlert.prototype.isOverdue = function(now = new Date()) {
+    return this.isOpenCase() && !!this.dueAt && new Date(this.dueAt) < now;
+  };
+
+  ReportAlert.prototype.isAcknowledged = function() {
+    return !!this.acknowledgedAt;
   };
 
   // Instance method pour obtenir le label de sévérité
@@ -99,5 +259,16 @@ module.exports = (sequelize, DataTypes) => {
     return labels[this.alertType] || this.alertType;
   };
 
+  // Instance method pour obtenir le label du statut de suivi
+  ReportAlert.prototype.getStatusLabel = function() {
+    const labels = {
+      open: 'Ouvert',
+      in_progress: 'En cours',
+      resolved: 'Résolu',
+      escalated: 'Escaladé'
+    };
+    return labels[this.status] || this.status;
+  };
+
   return ReportAlert;
 };
\ No newline at end of file
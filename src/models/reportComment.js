@@ -0,0 +1,83 @@
+module.exports = (sequelize, DataTypes) => {
+  const ReportComment = sequelize.define('ReportComment', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    reportId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'maraude_reports',
+        key: 'id'
+      }
+    },
+    authorId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    // Reply to another comment of the same report (null = new thread)
+    parentId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'report_comments',
+        key: 'id'
+      }
+    },
+    body: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    // Review decision this comment was written with, if any
+    decision: {
+      type: DataTypes.ENUM('changes_requested', 'rejected', 'validated'),
+      allowNull: true
+    },
+    // Report version the comment refers to
+    reportVersion: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    }
+  }, {
+    timestamps: true,
+    tableName: 'report_comments',
+    indexes: [
+      {
+        fields: ['reportId', 'createdAt']
+      }
+    ]
+  });
+
+  ReportComment.associate = (models) => {
+    ReportComment.belongsTo(models.MaraudeReport, {
+      foreignKey: 'reportId',
+      as: 'report'
+    });
+
+    ReportComment.belongsTo(models.User, {
+      foreignKey: 'authorId',
+      as: 'author'
+    });
+
+    ReportComment.belongsTo(models.ReportComment, {
+      foreignKey: 'parentId',
+      as: 'parent'
+    });
+
+    ReportComment.hasMany(models.ReportComment, {
+      foreignKey: 'parentId',
+      as: 'replies'
+    });
+  };
+
+  return ReportComment;
+};
@@ -0,0 +1,61 @@
+module.exports = (sequelize, DataTypes) => {
+  const ReportVersion = sequelize.define('ReportVersion', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    reportId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'maraude_reports',
+        key: 'id'
+      }
+    },
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1
+      }
+    },
+    // Report fields + distributions + alerts as submitted (encrypted at rest, see encryptedFields.js)
+    snapshot: {
+      type: DataTypes.JSONB,
+      allowNull: false
+    },
+    submittedBy: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    timestamps: true,
+    updatedAt: false, // Versions are immutable
+    tableName: 'report_versions',
+    indexes: [
+      {
+        unique: true,
+        fields: ['reportId', 'version']
+      }
+    ]
+  });
+
+  ReportVersion.associate = (models) => {
+    ReportVersion.belongsTo(models.MaraudeReport, {
+      foreignKey: 'reportId',
+      as: 'report'
+    });
+
+    ReportVersion.belongsTo(models.User, {
+      foreignKey: 'submittedBy',
+      as: 'submitter'
+    });
+  };
+
+  return ReportVersion;
+};
@@ -0,0 +1,75 @@
+// src/models/syncOperation.js - Operation received from an offline client, kept to answer retries identically
+module.exports = (sequelize, DataTypes) => {
+  const SyncOperation = sequelize.define('SyncOperation', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    // Idempotency key generated by the client for this operation
+    opId: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    deviceId: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    entityType: {
+      type: DataTypes.ENUM('report', 'distribution', 'alert'),
+      allowNull: false
+    },
+    entityId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    action: {
+      type: DataTypes.ENUM('upsert', 'delete'),
+      allowNull: false
+    },
+    // SHA-256 of the operation, to refuse a key reused for different content
+    requestHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('applied', 'conflict', 'rejected'),
+      allowNull: false
+    },
+    // Result sent back to the client (see services/syncService.js)
+    result: {
+      type: DataTypes.JSONB,
+      allowNull: false
+    }
+  }, {
+    timestamps: true,
+    updatedAt: false,
+    tableName: 'sync_operations',
+    indexes: [
+      {
+        unique: true,
+        fields: ['userId', 'opId']
+      },
+      {
+        fields: ['entityType', 'entityId']
+      }
+    ]
+  });
+
+  SyncOperation.associate = (models) => {
+    SyncOperation.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+  };
+
+  return SyncOperation;
+};
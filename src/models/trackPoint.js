@@ -0,0 +1,62 @@
+// src/models/trackPoint.js - One GPS position of a live tracking session
+module.exports = (sequelize, DataTypes) => {
+  const TrackPoint = sequelize.define('TrackPoint', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    sessionId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'tracking_sessions',
+        key: 'id'
+      }
+    },
+    latitude: {
+      type: DataTypes.DECIMAL(10, 8),
+      allowNull: false,
+      validate: {
+        min: -90,
+        max: 90
+      }
+    },
+    longitude: {
+      type: DataTypes.DECIMAL(11, 8),
+      allowNull: false,
+      validate: {
+        min: -180,
+        max: 180
+      }
+    },
+    // Radius of uncertainty reported by the phone, in meters
+    accuracy: {
+      type: DataTypes.FLOAT,
+      allowNull: true
+    },
+    // Time on the phone: positions buffered offline arrive later
+    recordedAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    timestamps: true,
+    updatedAt: false,
+    tableName: 'track_points',
+    indexes: [
+      {
+        fields: ['sessionId', 'recordedAt']
+      }
+    ]
+  });
+
+  TrackPoint.associate = (models) => {
+    TrackPoint.belongsTo(models.TrackingSession, {
+      foreignKey: 'sessionId',
+      as: 'session'
+    });
+  };
+
+  return TrackPoint;
+};
@@ -0,0 +1,142 @@
+// src/models/trackingSession.js - Live GPS tracking of one dated session of a maraude
+// (see services/trackingService.js). Positions are TrackPoint rows.
+module.exports = (sequelize, DataTypes) => {
+  const TrackingSession = sequelize.define('TrackingSession', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    maraudeActionId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'maraude_actions',
+        key: 'id'
+      }
+    },
+    occurrenceDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    // Copy of the maraude's association: live positions only go to its coordinators
+    associationId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'associations',
+        key: 'id'
+      }
+    },
+    // Team member whose phone sends the positions
+    trackerId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    status: {
+      type: DataTypes.ENUM('active', 'ended'),
+      allowNull: false,
+      defaultValue: 'active'
+    },
+    startedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    endedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    endedBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    // Last accepted position, for the coordinators' map
+    lastLatitude: {
+      type: DataTypes.DECIMAL(10, 8),
+      allowNull: true
+    },
+    lastLongitude: {
+      type: DataTypes.DECIMAL(11, 8),
+      allowNull: true
+    },
+    lastPositionAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Walked so far, along the accepted positions
+    distanceMeters: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      defaultValue: 0
+    },
+    pointCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    // Report the track was attached to
+    reportId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'maraude_reports',
+        key: 'id'
+      }
+    }
+  }, {
+    timestamps: true,
+    tableName: 'tracking_sessions',
+    indexes: [
+      {
+        fields: ['maraudeActionId', 'occurrenceDate']
+      },
+      {
+        fields: ['associationId', 'status']
+      },
+      {
+        fields: ['trackerId']
+      }
+    ]
+  });
+
+  TrackingSession.associate = (models) => {
+    TrackingSession.belongsTo(models.MaraudeAction, {
+      foreignKey: 'maraudeActionId',
+      as: 'maraudeAction'
+    });
+
+    TrackingSession.belongsTo(models.User, {
+      foreignKey: 'trackerId',
+      as: 'tracker'
+    });
+
+    TrackingSession.belongsTo(models.MaraudeReport, {
+      foreignKey: 'reportId',
+      as: 'report'
+    });
+
+    TrackingSession.hasMany(models.TrackPoint, {
+      foreignKey: 'sessionId',
+      as: 'points'
+    });
+  };
+
+  TrackingSession.prototype.isActive = function() {
+    return this.status === 'active';
+  };
+
+  TrackingSession.prototype.getDistanceKm = function() {
+    return Math.round(this.distanceMeters / 10) / 100;
+  };
+
+  return TrackingSession;
+};
@@ -53,6 +53,19 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.BOOLEAN,
       defaultValue: true
     },
+    // Trainings checked by staffing rules, e.g. ['team_leader', 'first_aid']
+    skills: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      validate: {
+        isStringArray(value) {
+          if (!Array.isArray(value) || !value.every(skill => typeof skill === 'string' && skill.trim())) {
+            throw new Error('Skills must be an array of strings');
+          }
+        }
+      }
+    },
     associationId: {
       type: DataTypes.UUID,
       allowNull: false,
@@ -60,6 +73,17 @@ module.exports = (sequelize, DataTypes) => {
         model: 'associations',
         key: 'id'
       }
+    },
+    // Set when the account was anonymized on request (see gdprService)
+    anonymizedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Bumped to revoke the .ics feed URL (token is derived from it, see calendarService)
+    calendarTokenVersion: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
     }
   }, {
     timestamps: true,
@@ -90,6 +114,12 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'createdBy',
       as: 'maraudeActions'
     });
+
+    // Sign-ups to maraude sessions
+    User.hasMany(models.MaraudeParticipation, {
+      foreignKey: 'userId',
+      as: 'participations'
+    });
   };
 
   // Instance method to check password
@@ -0,0 +1,329 @@
+// src/routes/alerts.js - Follow-up of report alerts as cases (assignee, status, due date, timeline)
+const express = require('express');
+const { User, ReportAlert, AlertNotification } = require('../models');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const {
+  OPEN_STATUSES,
+  STATUS_TRANSITIONS,
+  MANUAL_ACTION_TYPES,
+  serializeCase,
+  listCases,
+  findCase,
+  addAction,
+  changeStatus,
+  assignCase,
+  setDueDate
+} = require('../services/alertCaseService');
+const { acknowledgeAlert } = require('../services/alertNotificationService');
+const { parseGeoFilters } = require('../services/geoService');
+
+const router = express.Router();
+
+const ALL_STATUSES = Object.keys(STATUS_TRANSITIONS);
+const SEVERITIES = Object.keys(ReportAlert.DUE_DELAY_HOURS);
+
+const isManager = (user) => ['coordinator', 'admin'].includes(user.role);
+
+// Load a case the current user may see; responds and returns null otherwise
+const loadCase = async (req, res) => {
+  const alert = await findCase(req.params.id);
+
+  if (!alert) {
+    res.status(404).json({ error: 'Alert not found' });
+    return null;
+  }
+
+  const associationId = alert.report.maraudeAction.associationId;
+  if (req.user.role !== 'admin' && associationId !== req.user.associationId) {
+    res.status(403).json({ error: 'Access denied - different association' });
+    return null;
+  }
+
+  if (!isManager(req.user) && alert.assigneeId !== req.user.id) {
+    res.status(403).json({ error: 'Access denied - case not assigned to you' });
+    return null;
+  }
+
+  return alert;
+};
+
+// GET /api/alerts - Cases of the association (?status, ?severity, ?alertType, ?assigneeId, ?overdue, ?page, ?limit)
+// ?lat&lng&radius (km, default 5): nearest first with distanceKm; ?area=<GeoJSON Polygon|MultiPolygon>
+// Volunteers only see the cases assigned to them
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { status, severity, alertType, assigneeId, overdue, associationId } = req.query;
+
+    let statuses = OPEN_STATUSES;
+    if (status === 'all') {
+      statuses = ALL_STATUSES;
+    } else if (status) {
+      statuses = status.split(',').map(value => value.trim());
+      const invalid = statuses.filter(value => !ALL_STATUSES.includes(value));
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid status filter',
+          details: `Use 'all' or any of: ${ALL_STATUSES.join(', ')}`
+        });
+      }
+    }
+
+    if (severity && !SEVERITIES.includes(severity)) {
+      return res.status(400).json({ error: `severity must be one of: ${SEVERITIES.join(', ')}` });
+    }
+
+    const geoFilters = parseGeoFilters(req.query, { defaultRadiusKm: 5 });
+    if (geoFilters.error) {
+      return res.status(geoFilters.status).json({ error: geoFilters.error });
+    }
+
+    const filters = {
+      ...geoFilters.filters,
+      statuses,
+      severity,
+      alertType,
+      overdue: overdue === 'true',
+      associationId: req.user.role === 'admin' ? associationId : req.user.associationId
+    };
+
+    if (!isManager(req.user)) {
+      filters.assigneeId = req.user.id;
+    } else if (assigneeId) {
+      filters.assigneeId = assigneeId === 'me' ? req.user.id : assigneeId;
+    }
+
+    const result = await listCases(filters, req.query);
+    res.json(result);
+
+  } catch (error) {
+    console.error('Get alerts error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch alerts',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/alerts/:id - Case detail with its timeline
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const alert = await loadCase(req, res);
+    if (!alert) return;
+
+    res.json({
+      alert: {
+        ...serializeCase(alert),
+        allowedStatuses: STATUS_TRANSITIONS[alert.status]
+      }
+    });
+
+  } catch (error) {
+    console.error('Get alert error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch alert',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/alerts/:id/acknowledge - Take an alert into account (stops notification escalations)
+router.post('/:id/acknowledge', authenticateToken, async (req, res) => {
+  try {
+    const alert = await loadCase(req, res);
+    if (!alert) return;
+
+    const result = await acknowledgeAlert(alert, req.user.id);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const updated = await findCase(alert.id);
+    res.json({
+      message: 'Alert acknowledged',
+      alert: serializeCase(updated)
+    });
+
+  } catch (error) {
+    console.error('Acknowledge alert error:', error);
+    res.status(400).json({
+      error: 'Failed to acknowledge alert',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/alerts/:id/notifications - Deliveries of an alert (channels, recipients, escalations)
+router.get('/:id/notifications', authenticateToken, requireRole('coordinator', 'admin'), async (req, res) => {
+  try {
+    const alert = await loadCase(req, res);
+    if (!alert) return;
+
+    const notifications = await AlertNotification.findAll({
+      where: { alertId: alert.id },
+      include: [{ model: User, as: 'user', attributes: ['id', 'firstName', 'lastName'] }],
+      order: [['createdAt', 'ASC']]
+    });
+
+    res.json({
+      alertId: alert.id,
+      notifiedAt: alert.notifiedAt,
+      escalationLevel: alert.escalationLevel,
+      acknowledgedAt: alert.acknowledgedAt,
+      notifications
+    });
+
+  } catch (error) {
+    console.error('Get alert notifications error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch alert notifications',
+      details: error.message
+    });
+  }
+});
+
+// PATCH /api/alerts/:id/assign - Assign (or unassign with assigneeId: null) a case
+router.patch('/:id/assign', authenticateToken, requireRole('coordinator', 'admin'), async (req, res) => {
+  try {
+    const alert = await loadCase(req, res);
+    if (!alert) return;
+
+    const { assigneeId, note } = req.body;
+    if (assigneeId === undefined) {
+      return res.status(400).json({ error: 'assigneeId is required (null to unassign)' });
+    }
+
+    if (assigneeId) {
+      const assignee = await User.findByPk(assigneeId, {
+        attributes: ['id', 'associationId', 'isActive']
+      });
+
+      if (!assignee || !assignee.isActive) {
+        return res.status(400).json({ error: 'Assignee not found or inactive' });
+      }
+
+      if (assignee.associationId !== alert.report.maraudeAction.associationId) {
+        return res.status(400).json({ error: 'Assignee must belong to the association of the report' });
+      }
+    }
+
+    if ((assigneeId || null) === alert.assigneeId) {
+      return res.status(400).json({ error: 'Case already assigned to this user' });
+    }
+
+    await assignCase(alert, req.user.id, assigneeId || null, note);
+
+    const updated = await findCase(alert.id);
+    res.json({
+      message: assigneeId ? 'Case assigned' : 'Case unassigned',
+      alert: serializeCase(updated)
+    });
+
+  } catch (error) {
+    console.error('Assign alert error:', error);
+    res.status(400).json({
+      error: 'Failed to assign alert',
+      details: error.message
+    });
+  }
+});
+
+// PATCH /api/alerts/:id/status - Move a case (note required to resolve or escalate)
+router.patch('/:id/status', authenticateToken, async (req, res) => {
+  try {
+    const alert = await loadCase(req, res);
+    if (!alert) return;
+
+    const { status, note } = req.body;
+    if (!ALL_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${ALL_STATUSES.join(', ')}` });
+    }
+
+    // Reopening a resolved case is a coordinator decision
+    if (alert.status === 'resolved' && !isManager(req.user)) {
+      return res.status(403).json({ error: 'Only coordinators can reopen a resolved case' });
+    }
+
+    const result = await changeStatus(alert, req.user.id, status, note);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const updated = await findCase(alert.id);
+    res.json({
+      message: `Case status changed to ${status}`,
+      alert: serializeCase(updated)
+    });
+
+  } catch (error) {
+    console.error('Update alert status error:', error);
+    res.status(400).json({
+      error: 'Failed to update alert status',
+      details: error.message
+    });
+  }
+});
+
+// PATCH /api/alerts/:id/due-date - Move the deadline of a case
+router.patch('/:id/due-date', authenticateToken, requireRole('coordinator', 'admin'), async (req, res) => {
+  try {
+    const alert = await loadCase(req, res);
+    if (!alert) return;
+
+    const { dueAt, note } = req.body;
+    const dueDate = new Date(dueAt);
+    if (!dueAt || Number.isNaN(dueDate.getTime())) {
+      return res.status(400).json({ error: 'dueAt must be a valid date (ISO 8601)' });
+    }
+
+    await setDueDate(alert, req.user.id, dueDate, note);
+
+    const updated = await findCase(alert.id);
+    res.json({
+      message: 'Due date updated',
+      alert: serializeCase(updated)
+    });
+
+  } catch (error) {
+    console.error('Update alert due date error:', error);
+    res.status(400).json({
+      error: 'Failed to update due date',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/alerts/:id/actions - Log a follow-up action (note, contact, referral)
+router.post('/:id/actions', authenticateToken, async (req, res) => {
+  try {
+    const alert = await loadCase(req, res);
+    if (!alert) return;
+
+    const { type = 'note', note, metadata } = req.body;
+    if (!MANUAL_ACTION_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of: ${MANUAL_ACTION_TYPES.join(', ')}` });
+    }
+
+    if (!note || !note.trim()) {
+      return res.status(400).json({ error: 'note is required' });
+    }
+
+    const action = await addAction(alert, req.user.id, type, {
+      note: note.trim(),
+      metadata: metadata || null
+    });
+
+    res.status(201).json({
+      message: 'Action added to the case timeline',
+      action
+    });
+
+  } catch (error) {
+    console.error('Add alert action error:', error);
+    res.status(400).json({
+      error: 'Failed to add action',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,63 @@
+// src/routes/analytics.js - Coordinator analytics across maraudes
+const express = require('express');
+const { Association } = require('../models');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { parseHotspotOptions, getHotspots } = require('../services/hotspotService');
+const { DEFAULT_TIMEZONE, today } = require('../utils/dateUtils');
+
+const router = express.Router();
+
+router.use(authenticateToken, requireRole('coordinator', 'admin'));
+
+// GET /api/analytics/hotspots - Alerts and encounters per grid cell, emerging hotspots flagged
+// ?from&to (YYYY-MM-DD, default last 30 days), ?cell=hex|square, ?size (meters), ?alertType,
+// ?minAlerts, ?minEncounters, ?growth, ?format=geojson; admins: ?associationId (required)
+router.get('/hotspots', async (req, res) => {
+  try {
+    const associationId = req.user.role === 'admin' ? req.query.associationId : req.user.associationId;
+    if (!associationId) {
+      return req.user.role === 'admin'
+        ? res.status(400).json({ error: 'associationId is required' })
+        : res.status(403).json({ error: 'Access denied - no association' });
+    }
+
+    const association = await Association.findByPk(associationId, { attributes: ['id', 'timezone'] });
+    if (!association) {
+      return res.status(404).json({ error: 'Association not found' });
+    }
+    const timezone = association.timezone || DEFAULT_TIMEZONE;
+
+    const parsed = parseHotspotOptions(req.query, today(timezone));
+    if (parsed.error) {
+      return res.status(parsed.status).json({ error: parsed.error });
+    }
+
+    const hotspots = await getHotspots(associationId, parsed.options, timezone);
+
+    if (req.query.format === 'geojson') {
+      const { cells, ...summary } = hotspots;
+      res.type('application/geo+json');
+      return res.json({
+        type: 'FeatureCollection',
+        features: cells.map(({ id, geometry, center, ...properties }) => ({
+          type: 'Feature',
+          id,
+          geometry,
+          properties
+        })),
+        ...summary
+      });
+    }
+
+    res.json(hotspots);
+
+  } catch (error) {
+    console.error('Get hotspots error:', error);
+    res.status(500).json({
+      error: 'Failed to compute hotspots',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
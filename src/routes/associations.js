@@ -1,6 +1,8 @@
 const express = require('express');
 const { Association, User, MaraudeAction } = require('../models');
 const { authenticateToken, requireRole } = require('../middleware/auth');
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('../utils/dateUtils');
+const { DEFAULT_STAFFING_RULES, parseStaffingRules } = require('../utils/staffing');
 
 const router = express.Router();
 
@@ -27,7 +29,7 @@ router.get('/', async (req, res) => {
       limit: parseInt(limit),
       offset: parseInt(offset),
       order: [['name', 'ASC']],
-      attributes: ['id', 'name', 'description', 'email', 'phone', 'address', 'website', 'isActive', 'createdAt']
+      attributes: ['id', 'name', 'description', 'email', 'phone', 'address', 'website', 'timezone', 'isActive', 'createdAt']
     });
 
     res.json({
@@ -60,7 +62,8 @@ router.post('/', async (req, res) => {
       email,
       phone,
       address,
-      website
+      website,
+      timezone
     } = req.body;
 
     // Validation des champs requis
@@ -87,6 +90,15 @@ router.post('/', async (req, res) => {
       });
     }
 
+    // Validation fuseau horaire (optionnel, Europe/Paris par défaut)
+    if (timezone && !isValidTimezone(timezone)) {
+      return res.status(400).json({ 
+        error: 'Validation error',
+        message: 'Invalid timezone',
+        details: { timezone: 'Please provide a valid IANA timezone (e.g. Europe/Paris)' }
+      });
+    }
+
     // Check if association with same email exists
     const existingAssociation = await Association.findOne({ 
       where: { email } 
@@ -109,6 +121,7 @@ router.post('/', async (req, res) => {
       phone: phone?.trim() || null,
       address: address?.trim() || null,
       website: website?.trim() || null,
+      timezone: timezone || DEFAULT_TIMEZONE,
       isActive: false // New associations need approval
     };
 
@@ -167,7 +180,7 @@ router.post('/', async (req, res) => {
 router.get('/:id', async (req, res) => {
   try {
     const association = await Association.findByPk(req.params.id, {
-      attributes: ['id', 'name', 'description', 'email', 'phone', 'address', 'website', 'isActive', 'createdAt']
+      attributes: ['id', 'name', 'description', 'email', 'phone', 'address', 'website', 'timezone', 'isActive', 'createdAt']
     });
 
     if (!association) {
@@ -208,9 +221,17 @@ router.put('/:id', authenticateToken, async (req, res) => {
       phone,
       address,
       website,
+      timezone,
       isActive
     } = req.body;
 
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+      return res.status(400).json({ 
+        error: 'Invalid timezone',
+        details: 'Please provide a valid IANA timezone (e.g. Europe/Paris)'
+      });
+    }
+
     // Only admins can change isActive status
     const updateData = {
       name,
@@ -221,6 +242,10 @@ router.put('/:id', authenticateToken, async (req, res) => {
       website
     };
 
+    if (timezone !== undefined) {
+      updateData.timezone = timezone;
+    }
+
     if (req.user.role === 'admin' && typeof isActive === 'boolean') {
       updateData.isActive = isActive;
     }
@@ -241,6 +266,81 @@ router.put('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// GET /api/associations/:id/staffing-rules - Minimum staffing of the association's maraudes
+router.get('/:id/staffing-rules', authenticateToken, async (req, res) => {
+  try {
+    const association = await Association.findByPk(req.params.id);
+
+    if (!association) {
+      return res.status(404).json({ error: 'Association not found' });
+    }
+
+    if (req.user.role !== 'admin' && req.user.associationId !== association.id) {
+      return res.status(403).json({ 
+        error: 'Access denied - different association' 
+      });
+    }
+
+    res.json({
+      rules: association.getStaffingRules(),
+      isDefault: !association.staffingRules
+    });
+
+  } catch (error) {
+    console.error('Get staffing rules error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch staffing rules',
+      details: error.message 
+    });
+  }
+});
+
+// PUT /api/associations/:id/staffing-rules - Configure staffing rules (coordinator/admin), null resets to defaults
+router.put('/:id/staffing-rules', authenticateToken, requireRole('coordinator', 'admin'), async (req, res) => {
+  try {
+    const association = await Association.findByPk(req.params.id);
+
+    if (!association) {
+      return res.status(404).json({ error: 'Association not found' });
+    }
+
+    if (req.user.role !== 'admin' && req.user.associationId !== association.id) {
+      return res.status(403).json({ 
+        error: 'Access denied - different association' 
+      });
+    }
+
+    const { rules } = req.body;
+    let staffingRules = null;
+
+    if (rules !== null && rules !== undefined) {
+      try {
+        staffingRules = parseStaffingRules(rules);
+      } catch (error) {
+        return res.status(400).json({ 
+          error: 'Invalid staffing rules',
+          details: error.message 
+        });
+      }
+    }
+
+    await association.update({ staffingRules });
+
+    res.json({
+      message: 'Staffing rules updated successfully',
+      rules: staffingRules || DEFAULT_STAFFING_RULES,
+      isDefault: !staffingRules
+    });
+
+  } catch (error) {
+    console.error('Update staffing rules error:', error);
+    res.status(400).json({ 
+      error: 'Failed to update staffing rules',
+      details: error.message 
+    });
+  }
+});
+
 // GET /api/associations/:id/stats - Get association statistics
 router.get('/:id/stats', authenticateToken, async (req, res) => {
   try {
@@ -0,0 +1,132 @@
+// src/routes/audit.js - Change history (audit trail) for coordinators and admins
+const express = require('express');
+const { User } = require('../models');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { ENTITY_TYPES, resolveEntityType, getHistory } = require('../services/auditService');
+const { DEFAULT_TIMEZONE, isValidDateOnly } = require('../utils/dateUtils');
+
+const router = express.Router();
+
+router.use(authenticateToken, requireRole('coordinator', 'admin'));
+
+// Common query filters; coordinators only ever see their association's history
+const buildFilters = (req) => {
+  const { action, from, to, associationId } = req.query;
+
+  if (action && !['create', 'update', 'delete'].includes(action)) {
+    return { error: 'action must be create, update or delete' };
+  }
+
+  if ((from && !isValidDateOnly(from)) || (to && !isValidDateOnly(to))) {
+    return { error: 'from/to must be dates (YYYY-MM-DD)' };
+  }
+
+  return {
+    filters: {
+      action,
+      from,
+      to,
+      timezone: req.user.association?.timezone || DEFAULT_TIMEZONE,
+      associationId: req.user.role === 'admin' ? associationId : req.user.associationId
+    }
+  };
+};
+
+// GET /api/audit - Browse the audit trail (?entityType, ?actorId, ?action, ?from, ?to, ?page, ?limit)
+router.get('/', async (req, res) => {
+  try {
+    const { filters, error } = buildFilters(req);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (req.query.entityType) {
+      filters.entityType = resolveEntityType(req.query.entityType);
+      if (!filters.entityType) {
+        return res.status(400).json({
+          error: 'Unknown entityType',
+          details: `Use one of: ${Object.keys(ENTITY_TYPES).join(', ')}`
+        });
+      }
+    }
+    filters.entityId = req.query.entityId;
+    filters.actorId = req.query.actorId;
+
+    const history = await getHistory(filters, req.query);
+    res.json(history);
+
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch audit log',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/audit/actors/:userId - Everything a user changed
+router.get('/actors/:userId', async (req, res) => {
+  try {
+    const { filters, error } = buildFilters(req);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const actor = await User.findByPk(req.params.userId, {
+      attributes: ['id', 'firstName', 'lastName', 'role', 'associationId']
+    });
+
+    if (!actor) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (req.user.role !== 'admin' && actor.associationId !== req.user.associationId) {
+      return res.status(403).json({ error: 'Access denied - different association' });
+    }
+
+    filters.actorId = actor.id;
+
+    const history = await getHistory(filters, req.query);
+    res.json({ actor, ...history });
+
+  } catch (error) {
+    console.error('Get actor audit log error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch user activity',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/audit/:entityType/:entityId - History of one entity, e.g. /api/audit/reports/<id>
+router.get('/:entityType/:entityId', async (req, res) => {
+  try {
+    const entityType = resolveEntityType(req.params.entityType);
+    if (!entityType) {
+      return res.status(400).json({
+        error: 'Unknown entityType',
+        details: `Use one of: ${Object.keys(ENTITY_TYPES).join(', ')}`
+      });
+    }
+
+    const { filters, error } = buildFilters(req);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    filters.entityType = entityType;
+    filters.entityId = req.params.entityId;
+
+    const history = await getHistory(filters, req.query);
+    res.json({ entityType, entityId: req.params.entityId, ...history });
+
+  } catch (error) {
+    console.error('Get entity audit log error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch entity history',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
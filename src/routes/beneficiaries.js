@@ -0,0 +1,236 @@
+// src/routes/beneficiaries.js - Pseudonymous beneficiary registry of an association
+const express = require('express');
+const { Op } = require('sequelize');
+const { Beneficiary } = require('../models');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const {
+  buildProfile,
+  createBeneficiary,
+  getBeneficiaryHistory
+} = require('../services/beneficiaryService');
+const { AGE_RANGES, NEED_LABELS } = require('../utils/beneficiaries');
+const { isValidDateOnly } = require('../utils/dateUtils');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Beneficiaries are only visible to members of their association
+const loadBeneficiary = async (req, res) => {
+  const beneficiary = await Beneficiary.findByPk(req.params.id);
+
+  if (!beneficiary) {
+    res.status(404).json({ error: 'Beneficiary not found' });
+    return null;
+  }
+
+  if (req.user.role !== 'admin' && beneficiary.associationId !== req.user.associationId) {
+    res.status(403).json({ error: 'Access denied - different association' });
+    return null;
+  }
+
+  return beneficiary;
+};
+
+const serializeBeneficiary = (beneficiary) => ({
+  ...beneficiary.toJSON(),
+  displayName: beneficiary.getDisplayName(),
+  needLabels: beneficiary.getNeedLabels()
+});
+
+// GET /api/beneficiaries/options - Age ranges and needs for forms
+router.get('/options', (req, res) => {
+  res.json({
+    ageRanges: AGE_RANGES,
+    needs: Object.entries(NEED_LABELS).map(([key, label]) => ({ key, label }))
+  });
+});
+
+// GET /api/beneficiaries - Search the registry (?search, ?need, ?ageRange, ?active, ?seenSince, ?page, ?limit)
+router.get('/', async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 50,
+      search,
+      need,
+      ageRange,
+      active = 'true',
+      seenSince,
+      associationId
+    } = req.query;
+
+    const whereClause = {
+      associationId: req.user.role === 'admin' && associationId ? associationId : req.user.associationId
+    };
+
+    if (active !== 'all') {
+      whereClause.isActive = active === 'true';
+    }
+
+    if (search) {
+      whereClause[Op.or] = [
+        { pseudonym: { [Op.iLike]: `%${search}%` } },
+        { nickname: { [Op.iLike]: `%${search}%` } },
+        { usualLocation: { [Op.iLike]: `%${search}%` } }
+      ];
+    }
+
+    if (need) {
+      whereClause.needs = { [Op.contains]: [need] };
+    }
+
+    if (ageRange) {
+      whereClause.ageRange = ageRange;
+    }
+
+    if (seenSince) {
+      if (!isValidDateOnly(seenSince)) {
+        return res.status(400).json({ error: 'seenSince must be a date (YYYY-MM-DD)' });
+      }
+      whereClause.lastSeenOn = { [Op.gte]: seenSince };
+    }
+
+    const pageSize = Math.min(parseInt(limit, 10) || 50, 200);
+    const offset = (Math.max(parseInt(page, 10) || 1, 1) - 1) * pageSize;
+
+    const { count, rows } = await Beneficiary.findAndCountAll({
+      where: whereClause,
+      limit: pageSize,
+      offset,
+      order: [
+        ['lastSeenOn', 'DESC NULLS LAST'],
+        ['createdAt', 'DESC']
+      ]
+    });
+
+    res.json({
+      beneficiaries: rows.map(serializeBeneficiary),
+      pagination: {
+        total: count,
+        page: parseInt(page, 10) || 1,
+        limit: pageSize,
+        pages: Math.ceil(count / pageSize)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get beneficiaries error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch beneficiaries',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/beneficiaries/:id - Profile with encounter history and alerts
+router.get('/:id', async (req, res) => {
+  try {
+    const beneficiary = await loadBeneficiary(req, res);
+    if (!beneficiary) return;
+
+    const { encounters, alerts } = await getBeneficiaryHistory(beneficiary.id);
+
+    res.json({
+      beneficiary: serializeBeneficiary(beneficiary),
+      encounters,
+      alerts
+    });
+
+  } catch (error) {
+    console.error('Get beneficiary error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch beneficiary',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/beneficiaries - Create a profile (a pseudonym is generated)
+router.post('/', async (req, res) => {
+  try {
+    const associationId = req.user.role === 'admin' && req.body.associationId
+      ? req.body.associationId
+      : req.user.associationId;
+
+    if (!associationId) {
+      return res.status(400).json({ error: 'associationId is required' });
+    }
+
+    const result = await createBeneficiary(associationId, req.body, req.user.id);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.status(201).json({
+      message: 'Beneficiary created',
+      beneficiary: serializeBeneficiary(result.beneficiary)
+    });
+
+  } catch (error) {
+    console.error('Create beneficiary error:', error);
+    res.status(400).json({
+      error: 'Failed to create beneficiary',
+      details: error.message
+    });
+  }
+});
+
+// PUT /api/beneficiaries/:id - Update the profile
+router.put('/:id', async (req, res) => {
+  try {
+    const beneficiary = await loadBeneficiary(req, res);
+    if (!beneficiary) return;
+
+    if (beneficiary.anonymizedAt) {
+      return res.status(409).json({ error: 'This profile has been anonymized and cannot be edited' });
+    }
+
+    const { profile, error } = buildProfile(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await beneficiary.update(profile);
+
+    res.json({
+      message: 'Beneficiary updated',
+      beneficiary: serializeBeneficiary(beneficiary)
+    });
+
+  } catch (error) {
+    console.error('Update beneficiary error:', error);
+    res.status(400).json({
+      error: 'Failed to update beneficiary',
+      details: error.message
+    });
+  }
+});
+
+// PATCH /api/beneficiaries/:id/toggle - Archive or reactivate a profile
+router.patch('/:id/toggle', requireRole('coordinator', 'admin'), async (req, res) => {
+  try {
+    const beneficiary = await loadBeneficiary(req, res);
+    if (!beneficiary) return;
+
+    if (beneficiary.anonymizedAt) {
+      return res.status(409).json({ error: 'This profile has been anonymized and cannot be reactivated' });
+    }
+
+    await beneficiary.update({ isActive: !beneficiary.isActive });
+
+    res.json({
+      message: `Beneficiary ${beneficiary.isActive ? 'reactivated' : 'archived'}`,
+      beneficiary: serializeBeneficiary(beneficiary)
+    });
+
+  } catch (error) {
+    console.error('Toggle beneficiary status error:', error);
+    res.status(500).json({
+      error: 'Failed to update beneficiary status',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
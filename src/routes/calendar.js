@@ -0,0 +1,173 @@
+// src/routes/calendar.js - iCalendar (.ics) subscriptions for phone calendars
+const express = require('express');
+const { Association, User } = require('../models');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const {
+  getCalendarToken,
+  isValidCalendarToken,
+  buildAssociationCalendar,
+  buildUserCalendar
+} = require('../services/calendarService');
+
+const router = express.Router();
+
+// Subscription URLs (https and webcal) for a feed path
+const buildFeedUrls = (req, path, token) => {
+  const httpUrl = `${req.protocol}://${req.get('host')}/api/calendar/${path}.ics?token=${token}`;
+  return {
+    url: httpUrl,
+    webcalUrl: httpUrl.replace(/^https?:/, 'webcal:')
+  };
+};
+
+const sendCalendar = (res, filename, content) => {
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `inline; filename="${filename}.ics"`);
+  res.setHeader('Cache-Control', 'private, max-age=300');
+  res.send(content);
+};
+
+const canManageAssociationFeed = (user, associationId) => (
+  user.role === 'admin' ||
+  (user.role === 'coordinator' && user.associationId === associationId)
+);
+
+// GET /api/calendar/associations/:id.ics?token=... - Association feed (public, token protected)
+router.get('/associations/:id.ics', async (req, res) => {
+  try {
+    const association = await Association.findByPk(req.params.id);
+
+    // Same answer for unknown association and bad token: do not leak ids
+    if (!association || !association.isActive ||
+        !isValidCalendarToken('association', association, req.query.token)) {
+      return res.status(404).json({ error: 'Calendar not found' });
+    }
+
+    const content = await buildAssociationCalendar(association);
+    sendCalendar(res, `maraudes-${association.id}`, content);
+
+  } catch (error) {
+    console.error('Association calendar error:', error);
+    res.status(500).json({
+      error: 'Failed to build calendar',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/calendar/users/:id.ics?token=... - Volunteer feed (public, token protected)
+router.get('/users/:id.ics', async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id, {
+      attributes: ['id', 'firstName', 'lastName', 'isActive', 'associationId', 'calendarTokenVersion']
+    });
+
+    if (!user || !user.isActive || !isValidCalendarToken('user', user, req.query.token)) {
+      return res.status(404).json({ error: 'Calendar not found' });
+    }
+
+    const content = await buildUserCalendar(user);
+    sendCalendar(res, `mes-maraudes-${user.id}`, content);
+
+  } catch (error) {
+    console.error('User calendar error:', error);
+    res.status(500).json({
+      error: 'Failed to build calendar',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/calendar/associations/:id/feed - Subscription URL of an association (coordinator/admin)
+router.get('/associations/:id/feed', authenticateToken, requireRole('coordinator', 'admin'), async (req, res) => {
+  try {
+    const association = await Association.findByPk(req.params.id);
+
+    if (!association) {
+      return res.status(404).json({ error: 'Association not found' });
+    }
+
+    if (!canManageAssociationFeed(req.user, association.id)) {
+      return res.status(403).json({ error: 'Access denied - different association' });
+    }
+
+    const token = getCalendarToken('association', association);
+    res.json({ feed: buildFeedUrls(req, `associations/${association.id}`, token) });
+
+  } catch (error) {
+    console.error('Get association feed error:', error);
+    res.status(500).json({
+      error: 'Failed to get calendar feed',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/calendar/associations/:id/feed/rotate - Revoke the current URL and issue a new one
+router.post('/associations/:id/feed/rotate', authenticateToken, requireRole('coordinator', 'admin'), async (req, res) => {
+  try {
+    const association = await Association.findByPk(req.params.id);
+
+    if (!association) {
+      return res.status(404).json({ error: 'Association not found' });
+    }
+
+    if (!canManageAssociationFeed(req.user, association.id)) {
+      return res.status(403).json({ error: 'Access denied - different association' });
+    }
+
+    await association.increment('calendarTokenVersion');
+    await association.reload();
+
+    const token = getCalendarToken('association', association);
+    res.json({
+      message: 'Calendar feed URL rotated successfully',
+      feed: buildFeedUrls(req, `associations/${association.id}`, token)
+    });
+
+  } catch (error) {
+    console.error('Rotate association feed error:', error);
+    res.status(500).json({
+      error: 'Failed to rotate calendar feed',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/calendar/me/feed - Subscription URL of the current user
+router.get('/me/feed', authenticateToken, async (req, res) => {
+  try {
+    const token = getCalendarToken('user', req.user);
+    res.json({ feed: buildFeedUrls(req, `users/${req.user.id}`, token) });
+
+  } catch (error) {
+    console.error('Get user feed error:', error);
+    res.status(500).json({
+      error: 'Failed to get calendar feed',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/calendar/me/feed/rotate - Revoke the current user's URL and issue a new one
+router.post('/me/feed/rotate', authenticateToken, async (req, res) => {
+  try {
+    await req.user.increment('calendarTokenVersion');
+    await req.user.reload();
+
+    const token = getCalendarToken('user', req.user);
+    res.json({
+      message: 'Calendar feed URL rotated successfully',
+      feed: buildFeedUrls(req, `users/${req.user.id}`, token)
+    });
+
+  } catch (error) {
+    console.error('Rotate user feed error:', error);
+    res.status(500).json({
+      error: 'Failed to rotate calendar feed',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,45 @@
+// src/routes/events.js - Real-time push of schedule, report, alert and merchant changes
+// (see services/realtimeService.js)
+const express = require('express');
+const { authenticateToken, acceptQueryToken } = require('../middleware/auth');
+const { REALTIME_EVENTS, subscribe, parseEventFilter } = require('../services/realtimeService');
+const { openEventStream } = require('../utils/sse');
+
+const router = express.Router();
+
+// GET /api/events - Events that can be pushed
+router.get('/', authenticateToken, (req, res) => {
+  res.json({ events: REALTIME_EVENTS });
+});
+
+// GET /api/events/stream - Server-Sent Events of your association (?events=report,alert.created to filter;
+// admins: everything, or ?associationId). Each event carries ids and statuses: read the data from the API.
+// EventSource cannot send headers: pass the token as ?access_token=. On reconnection the missed events are
+// replayed from the Last-Event-ID header (or ?lastEventId), or a `resync` event asks for a full reload.
+router.get('/stream', acceptQueryToken, authenticateToken, (req, res) => {
+  try {
+    const filter = parseEventFilter(req.query.events);
+    if (filter.error) {
+      return res.status(400).json({ error: filter.error });
+    }
+
+    const stream = openEventStream(req, res);
+    subscribe(req.user, stream, {
+      associationId: req.query.associationId || undefined,
+      events: filter.events,
+      lastEventId: req.get('Last-Event-ID') || req.query.lastEventId,
+      expiresAt: req.tokenExpiresAt
+    });
+
+  } catch (error) {
+    console.error('Event stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Failed to open event stream',
+        details: error.message
+      });
+    }
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,192 @@
+// src/routes/gdpr.js - Data subject requests (GDPR) and retention policy, administrators only
+const express = require('express');
+const { User, Beneficiary } = require('../models');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const {
+  exportUser,
+  exportBeneficiary,
+  exportToZip,
+  eraseUser,
+  eraseBeneficiary,
+  getRetentionMonths,
+  applyAlertRetention
+} = require('../services/gdprService');
+
+const router = express.Router();
+
+router.use(authenticateToken, requireRole('admin'));
+
+// JSON (default) or ZIP download (?format=zip)
+const sendExport = (req, res, data, filename) => {
+  if (req.query.format === 'zip') {
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${filename}.zip"`
+    });
+    return res.send(exportToZip(data));
+  }
+
+  res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+  res.json(data);
+};
+
+// Irreversible operations need { "confirm": true }
+const requireConfirmation = (req, res) => {
+  if (req.body.confirm !== true) {
+    res.status(400).json({
+      error: 'Confirmation required',
+      details: 'This operation cannot be undone. Send { "confirm": true } to proceed.'
+    });
+    return false;
+  }
+  return true;
+};
+
+// GET /api/gdpr/users/:id/export - Everything stored about a user (?format=json|zip)
+router.get('/users/:id/export', async (req, res) => {
+  try {
+    const data = await exportUser(req.params.id);
+    if (!data) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    sendExport(req, res, data, `user-${req.params.id}`);
+
+  } catch (error) {
+    console.error('Export user data error:', error);
+    res.status(500).json({
+      error: 'Failed to export user data',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/gdpr/users/:id/erase - Anonymize a user account
+router.post('/users/:id/erase', async (req, res) => {
+  try {
+    if (!requireConfirmation(req, res)) return;
+
+    const user = await User.findByPk(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const result = await eraseUser(user, req.user);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({
+      message: 'User anonymized',
+      summary: result.summary
+    });
+
+  } catch (error) {
+    console.error('Erase user error:', error);
+    res.status(500).json({
+      error: 'Failed to erase user',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/gdpr/beneficiaries/:id/export - Everything stored about a beneficiary (?format=json|zip)
+router.get('/beneficiaries/:id/export', async (req, res) => {
+  try {
+    const data = await exportBeneficiary(req.params.id);
+    if (!data) {
+      return res.status(404).json({ error: 'Beneficiary not found' });
+    }
+
+    sendExport(req, res, data, `beneficiary-${data.subject.pseudonym}`);
+
+  } catch (error) {
+    console.error('Export beneficiary data error:', error);
+    res.status(500).json({
+      error: 'Failed to export beneficiary data',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/gdpr/beneficiaries/:id/erase - Anonymize ({ mode: 'anonymize' }) or delete ({ mode: 'delete' }) a beneficiary
+router.post('/beneficiaries/:id/erase', async (req, res) => {
+  try {
+    if (!requireConfirmation(req, res)) return;
+
+    const beneficiary = await Beneficiary.findByPk(req.params.id);
+    if (!beneficiary) {
+      return res.status(404).json({ error: 'Beneficiary not found' });
+    }
+
+    const result = await eraseBeneficiary(beneficiary, req.body.mode || 'anonymize');
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({
+      message: result.summary.mode === 'delete' ? 'Beneficiary deleted' : 'Beneficiary anonymized',
+      summary: result.summary
+    });
+
+  } catch (error) {
+    console.error('Erase beneficiary error:', error);
+    res.status(500).json({
+      error: 'Failed to erase beneficiary',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/gdpr/retention - Retention policy and alerts due for anonymization (?months to simulate another period)
+router.get('/retention', async (req, res) => {
+  try {
+    const months = req.query.months ? parseInt(req.query.months, 10) : getRetentionMonths();
+    if (req.query.months && (Number.isNaN(months) || months <= 0)) {
+      return res.status(400).json({ error: 'months must be a positive integer' });
+    }
+
+    const preview = await applyAlertRetention({ months, dryRun: true });
+    res.json({
+      configuredMonths: getRetentionMonths(),
+      ...preview
+    });
+
+  } catch (error) {
+    console.error('Get retention error:', error);
+    res.status(500).json({
+      error: 'Failed to compute retention preview',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/gdpr/retention/run - Apply the retention policy now ({ months } overrides the configuration)
+router.post('/retention/run', async (req, res) => {
+  try {
+    if (!requireConfirmation(req, res)) return;
+
+    const months = req.body.months !== undefined ? parseInt(req.body.months, 10) : getRetentionMonths();
+    if (!months || Number.isNaN(months) || months <= 0) {
+      return res.status(400).json({
+        error: 'No retention period',
+        details: 'Set ALERT_RETENTION_MONTHS or send a positive "months"'
+      });
+    }
+
+    const result = await applyAlertRetention({ months });
+    res.json({
+      message: `${result.anonymized} alert(s) anonymized`,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Run retention error:', error);
+    res.status(500).json({
+      error: 'Failed to apply retention policy',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,167 @@
+// src/routes/map.js - Map layers as GeoJSON FeatureCollections (application/geo+json)
+// Every layer takes ?bbox=minLng,minLat,maxLng,maxLat, ?lat&lng&radius, ?area and ?limit
+const express = require('express');
+const { Association, Merchant, MaraudeAction, ReportAlert } = require('../models');
+const { authenticateToken } = require('../middleware/auth');
+const { parseGeoFilters } = require('../services/geoService');
+const { merchantsLayer, maraudesLayer, alertsLayer } = require('../services/mapLayerService');
+const { STATUS_TRANSITIONS } = require('../services/alertCaseService');
+const { DEFAULT_TIMEZONE, isValidDateOnly } = require('../utils/dateUtils');
+
+const router = express.Router();
+
+const MERCHANT_CATEGORIES = Merchant.rawAttributes.category.values;
+const MARAUDE_STATUSES = MaraudeAction.rawAttributes.status.values;
+const ALERT_STATUSES = Object.keys(STATUS_TRANSITIONS);
+const ALERT_SEVERITIES = ReportAlert.rawAttributes.severity.values;
+const ALERT_TYPES = ReportAlert.rawAttributes.alertType.values;
+
+// Comma separated filter, checked against the allowed values when given
+const parseList = (value, name, allowed) => {
+  if (value === undefined || value === '') return { values: undefined };
+  const values = String(value).split(',').map(item => item.trim()).filter(Boolean);
+  const invalid = allowed ? values.filter(item => !allowed.includes(item)) : [];
+  if (invalid.length > 0) {
+    return { error: `${name} must be any of: ${allowed.join(', ')}` };
+  }
+  return { values };
+};
+
+// active=true (default) | false | all
+const parseActive = (value) => (value === 'all' ? null : value !== 'false');
+
+const sendLayer = (res, collection) => {
+  res.type('application/geo+json');
+  res.json(collection);
+};
+
+// GET /api/map/merchants - Merchants as Points (?category, ?services, ?verified, ?active)
+router.get('/merchants', async (req, res) => {
+  try {
+    const geoFilters = parseGeoFilters(req.query);
+    if (geoFilters.error) {
+      return res.status(geoFilters.status).json({ error: geoFilters.error });
+    }
+
+    const categories = parseList(req.query.category, 'category', MERCHANT_CATEGORIES);
+    if (categories.error) {
+      return res.status(400).json({ error: categories.error });
+    }
+
+    const collection = await merchantsLayer({
+      ...geoFilters.filters,
+      categories: categories.values,
+      services: parseList(req.query.services).values,
+      verified: req.query.verified === undefined ? undefined : req.query.verified === 'true',
+      active: parseActive(req.query.active),
+      limit: req.query.limit
+    });
+
+    sendLayer(res, collection);
+
+  } catch (error) {
+    console.error('Get merchants layer error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch merchants layer',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/map/maraudes - Maraude routes as LineStrings (?associationId, ?status, ?dayOfWeek, ?active)
+router.get('/maraudes', async (req, res) => {
+  try {
+    const geoFilters = parseGeoFilters(req.query);
+    if (geoFilters.error) {
+      return res.status(geoFilters.status).json({ error: geoFilters.error });
+    }
+
+    const statuses = parseList(req.query.status, 'status', MARAUDE_STATUSES);
+    if (statuses.error) {
+      return res.status(400).json({ error: statuses.error });
+    }
+
+    let dayOfWeek;
+    if (req.query.dayOfWeek !== undefined && req.query.dayOfWeek !== '') {
+      dayOfWeek = parseInt(req.query.dayOfWeek, 10);
+      if (!(dayOfWeek >= 1 && dayOfWeek <= 7)) {
+        return res.status(400).json({ error: 'dayOfWeek must be between 1 (Monday) and 7 (Sunday)' });
+      }
+    }
+
+    const collection = await maraudesLayer({
+      ...geoFilters.filters,
+      associationId: req.query.associationId,
+      statuses: statuses.values,
+      dayOfWeek,
+      active: parseActive(req.query.active),
+      limit: req.query.limit
+    });
+
+    sendLayer(res, collection);
+
+  } catch (error) {
+    console.error('Get maraudes layer error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch maraudes layer',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/map/alerts - Anonymized alert locations of the association
+// (?status comma list or all, ?severity, ?alertType, ?from/?to YYYY-MM-DD; admins: ?associationId)
+router.get('/alerts', authenticateToken, async (req, res) => {
+  try {
+    const geoFilters = parseGeoFilters(req.query);
+    if (geoFilters.error) {
+      return res.status(geoFilters.status).json({ error: geoFilters.error });
+    }
+
+    const statuses = req.query.status === 'all'
+      ? { values: ALERT_STATUSES }
+      : parseList(req.query.status, 'status', ALERT_STATUSES);
+    const severities = parseList(req.query.severity, 'severity', ALERT_SEVERITIES);
+    const alertTypes = parseList(req.query.alertType, 'alertType', ALERT_TYPES);
+    const invalid = [statuses, severities, alertTypes].find(list => list.error);
+    if (invalid) {
+      return res.status(400).json({ error: invalid.error });
+    }
+
+    const { from, to } = req.query;
+    if ((from && !isValidDateOnly(from)) || (to && !isValidDateOnly(to))) {
+      return res.status(400).json({ error: 'from and to must be YYYY-MM-DD dates' });
+    }
+
+    const associationId = req.user.role === 'admin' ? req.query.associationId : req.user.associationId;
+    if (!associationId && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Access denied - no association' });
+    }
+    const association = associationId
+      ? await Association.findByPk(associationId, { attributes: ['timezone'] })
+      : null;
+
+    const collection = await alertsLayer({
+      ...geoFilters.filters,
+      associationId,
+      statuses: statuses.values,
+      severities: severities.values,
+      alertTypes: alertTypes.values,
+      from,
+      to,
+      timezone: association?.timezone || DEFAULT_TIMEZONE,
+      limit: req.query.limit
+    });
+
+    sendLayer(res, collection);
+
+  } catch (error) {
+    console.error('Get alerts layer error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch alerts layer',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
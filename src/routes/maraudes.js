@@ -1,66 +1,184 @@
 // src/routes/maraudes.js - Fixed route order with admin association support
 const express = require('express');
 const { Op } = require('sequelize');
-const { MaraudeAction, Association, User } = require('../models');
+const {
+  sequelize,
+  MaraudeAction,
+  MaraudeOccurrence,
+  MaraudeParticipation,
+  MaraudeReport,
+  TrackingSession,
+  Association,
+  User
+} = require('../models');
 const { authenticateToken, requireRole } = require('../middleware/auth');
+const {
+  readOccurrences,
+  readOccurrence,
+  syncActionOccurrences,
+  findOccurrence,
+  getNextOccurrences,
+  serializeOccurrence,
+  resolveTimezone,
+  HORIZON_DAYS,
+  MAX_READ_DAYS
+} = require('../services/occurrenceService');
+const {
+  register,
+  withdraw,
+  promoteWaitlist,
+  promoteUpcomingWaitlists,
+  getRoster
+} = require('../services/participationService');
+const {
+  findUnderstaffed,
+  sendAssociationDigest,
+  STAFFING_WINDOW_DAYS
+} = require('../services/staffingService');
+const { parseGeoFilters, buildGeoQuery } = require('../services/geoService');
+const { validateRoute, validateWaypoints, planRoute, routeGeometry } = require('../services/routingService');
+const { suggestWaypointOrder } = require('../services/routeOptimizationService');
+const {
+  resolveSession,
+  startMaraude,
+  finishMaraude,
+  cancelMaraude,
+  restoreMaraude
+} = require('../services/maraudeLifecycleService');
+const {
+  DAY_NAMES,
+  DEFAULT_TIMEZONE,
+  toDateOnly,
+  today,
+  addDays,
+  isoWeekday,
+  startOfWeek,
+  isValidDateOnly
+} = require('../utils/dateUtils');
+const { parseRule, formatRule, getRuleWeekday } = require('../utils/recurrence');
 
 const router = express.Router();
 
+// Timezone for "today" in list routes: the requested association's, else the default
+const getRequestTimezone = async (associationId) => {
+  if (!associationId) {
+    return DEFAULT_TIMEZONE;
+  }
+  const association = await Association.findByPk(associationId, { attributes: ['timezone'] });
+  return association?.timezone || DEFAULT_TIMEZONE;
+};
+
+// Validate and normalize the RRULE fields of a create/update body.
+// Returns { error } or { values } containing only the fields that were sent.
+const parseRecurrenceInput = ({ recurrenceRule, recurrenceStart, recurrenceExceptions }) => {
+  const values = {};
+
+  if (recurrenceRule !== undefined) {
+    if (recurrenceRule === null || recurrenceRule === '') {
+      values.recurrenceRule = null;
+    } else {
+      try {
+        const rule = parseRule(recurrenceRule);
+        values.recurrenceRule = formatRule(rule);
+        values.ruleWeekday = getRuleWeekday(rule);
+        values.needsAnchor = rule.interval > 1 || !!rule.count;
+      } catch (error) {
+        return { error: `Invalid recurrenceRule: ${error.message}` };
+      }
+    }
+  }
+
+  if (recurrenceStart !== undefined) {
+    if (recurrenceStart !== null && !isValidDateOnly(recurrenceStart)) {
+      return { error: 'recurrenceStart must be a date (YYYY-MM-DD)' };
+    }
+    values.recurrenceStart = recurrenceStart;
+  }
+
+  if (recurrenceExceptions !== undefined) {
+    const exceptions = recurrenceExceptions || [];
+    if (!Array.isArray(exceptions) || !exceptions.every(isValidDateOnly)) {
+      return { error: 'recurrenceExceptions must be an array of dates (YYYY-MM-DD)' };
+    }
+    values.recurrenceExceptions = [...new Set(exceptions)].sort();
+  }
+
+  return { values };
+};
+
 // IMPORTANT: Specific routes MUST come before general patterns like /:id
 
 // GET /api/maraudes/today/active - MOVED UP
+// "Today" is the calendar day of each maraude's association (Europe/Paris by default);
+// ?associationId=... restricts the list to one association
 router.get('/today/active', async (req, res) => {
   try {
-    const today = new Date();
-    const todayISO = today.getDay() === 0 ? 7 : today.getDay();
+    const { associationId } = req.query;
+    const timezone = await getRequestTimezone(associationId);
+    const todayDate = today(timezone);
+    const todayISO = isoWeekday(todayDate);
 
-    const actions = await MaraudeAction.findAll({
+    // Every zone's "today" falls within one day of the UTC date
+    const utcDate = toDateOnly(new Date());
+    const window = { from: addDays(utcDate, -1), to: addDays(utcDate, 1) };
+
+    // Read only: today's occurrences are generated ahead (see jobs/occurrenceGeneration.js)
+    const actionWhere = { isActive: true };
+    if (associationId) {
+      actionWhere.associationId = associationId;
+    }
+
+    const candidates = await MaraudeOccurrence.findAll({
       where: {
-        [Op.and]: [
-          { isActive: true },
-          {
-            [Op.or]: [
-              {
-                isRecurring: true,
-                dayOfWeek: todayISO
-              },
-              {
-                isRecurring: false,
-                scheduledDate: today.toISOString().split('T')[0]
-              }
-            ]
-          }
-        ]
+        occurrenceDate: { [Op.between]: [window.from, window.to] },
+        status: { [Op.ne]: 'cancelled' }
       },
       include: [
         {
-          model: Association,
-          as: 'association',
-          attributes: ['id', 'name']
-        },
-        {
-          model: User,
-          as: 'creator',
-          attributes: ['id', 'firstName', 'lastName']
+          model: MaraudeAction,
+          as: 'maraudeAction',
+          where: actionWhere,
+          include: [
+            {
+              model: Association,
+              as: 'association',
+              attributes: ['id', 'name', 'timezone']
+            },
+            {
+              model: User,
+              as: 'creator',
+              attributes: ['id', 'firstName', 'lastName']
+            }
+          ]
         }
-      ],
-      order: [['startTime', 'ASC']]
+      ]
     });
 
-    const actionsWithMetadata = actions.map(action => {
+    const occurrences = candidates.filter(occurrence => (
+      occurrence.occurrenceDate === today(occurrence.maraudeAction.getTimezone())
+    ));
+
+    const actions = occurrences.map(occurrence => occurrence.maraudeAction);
+    const nextOccurrences = await getNextOccurrences(actions);
+
+    const actionsWithMetadata = occurrences.map(occurrence => {
+      const action = occurrence.maraudeAction;
       const actionData = action.toJSON();
-      actionData.nextOccurrence = action.getNextOccurrence();
-      actionData.isHappeningToday = action.isHappeningToday();
+      const next = nextOccurrences.get(action.id);
+      actionData.occurrence = serializeOccurrence(occurrence);
+      actionData.nextOccurrence = next ? next.occurrenceDate : null;
+      actionData.isHappeningToday = true;
       actionData.dayName = action.getDayName();
       return actionData;
-    });
+    }).sort((a, b) => String(a.occurrence.effective.startTime).localeCompare(String(b.occurrence.effective.startTime)));
 
     res.json({
       actions: actionsWithMetadata,
-      count: actions.length,
-      date: today.toISOString().split('T')[0],
+      count: actionsWithMetadata.length,
+      date: todayDate,
+      timezone,
       currentDayOfWeek: todayISO,
-      currentDayName: ['', 'Lundi', 'Mardi', 'Mercredi', 'Jeudi', 'Vendredi', 'Samedi', 'Dimanche'][todayISO]
+      currentDayName: DAY_NAMES[todayISO]
     });
 
   } catch (error) {
@@ -73,42 +191,73 @@ router.get('/today/active', async (req, res) => {
 });
 
 // GET /api/maraudes/weekly-schedule - MOVED UP
+// Optional ?weekOf=YYYY-MM-DD picks the week (defaults to the current one),
+// ?associationId=... restricts to one association and uses its timezone
 router.get('/weekly-schedule', async (req, res) => {
   try {
-    const recurringActions = await MaraudeAction.findAll({
-      where: {
-        isRecurring: true,
-        isActive: true
-      },
+    const { weekOf, associationId } = req.query;
+
+    if (weekOf && !isValidDateOnly(weekOf)) {
+      return res.status(400).json({ error: 'weekOf must be a date (YYYY-MM-DD)' });
+    }
+
+    const timezone = await getRequestTimezone(associationId);
+    const weekStart = startOfWeek(weekOf || today(timezone));
+    const weekEnd = addDays(weekStart, 6);
+
+    const actionWhere = {
+      isRecurring: true,
+      isActive: true
+    };
+    if (associationId) {
+      actionWhere.associationId = associationId;
+    }
+
+    const actions = await MaraudeAction.findAll({
+      where: actionWhere,
       include: [
         {
           model: Association,
           as: 'association',
-          attributes: ['id', 'name']
+          attributes: ['id', 'name', 'timezone']
         },
         {
           model: User,
           as: 'creator',
           attributes: ['id', 'firstName', 'lastName']
         }
-      ],
-      order: [['dayOfWeek', 'ASC'], ['startTime', 'ASC']]
+      ]
     });
 
+    // Read only: weeks beyond the generated horizon show their planned sessions unsaved
+    const occurrences = await readOccurrences(actions, weekStart, weekEnd);
+
+    const nextOccurrences = await getNextOccurrences(occurrences.map(occurrence => occurrence.maraudeAction));
+
     const weeklySchedule = {
       1: [], 2: [], 3: [], 4: [], 5: [], 6: [], 7: []
     };
 
-    recurringActions.forEach(action => {
+    occurrences.forEach(occurrence => {
+      const action = occurrence.maraudeAction;
       const actionData = action.toJSON();
-      actionData.nextOccurrence = action.getNextOccurrence();
+      const next = nextOccurrences.get(action.id);
+      actionData.occurrence = serializeOccurrence(occurrence);
+      actionData.nextOccurrence = next ? next.occurrenceDate : null;
       actionData.dayName = action.getDayName();
-      actionData.isHappeningToday = action.isHappeningToday();
-      weeklySchedule[action.dayOfWeek].push(actionData);
+      actionData.isHappeningToday = occurrence.occurrenceDate === today(action.getTimezone()) && !occurrence.isCancelled();
+      weeklySchedule[isoWeekday(occurrence.occurrenceDate)].push(actionData);
+    });
+
+    Object.values(weeklySchedule).forEach(dayActions => {
+      dayActions.sort((a, b) => String(a.occurrence.effective.startTime).localeCompare(String(b.occurrence.effective.startTime)));
     });
 
     res.json({
       weeklySchedule,
+      weekStart,
+      weekEnd,
+      timezone,
       days: [
         { value: 1, name: 'Lundi', short: 'Lun' },
         { value: 2, name: 'Mardi', short: 'Mar' },
@@ -117,7 +266,7 @@ router.get('/weekly-schedule', async (req, res) => {
         { value: 5, name: 'Vendredi', short: 'Ven' },
         { value: 6, name: 'Samedi', short: 'Sam' },
         { value: 7, name: 'Dimanche', short: 'Dim' }
-      ]
+      ].map(day => ({ ...day, date: addDays(weekStart, day.value - 1) }))
     });
 
   } catch (error) {
@@ -129,6 +278,115 @@ router.get('/weekly-schedule', async (req, res) => {
   }
 });
 
+// Association targeted by the staffing routes: coordinators are limited to their own
+const resolveStaffingAssociation = async (req, res) => {
+  const associationId = req.user.role === 'admin'
+    ? (req.query.associationId || req.body?.associationId || req.user.associationId)
+    : req.user.associationId;
+
+  const association = await Association.findByPk(associationId);
+  if (!association) {
+    res.status(404).json({ error: 'Association not found' });
+    return null;
+  }
+  return association;
+};
+
+const parseStaffingDays = (value) => {
+  if (value === undefined) return STAFFING_WINDOW_DAYS;
+  const days = parseInt(value, 10);
+  return days >= 1 && days <= 60 ? days : null;
+};
+
+// GET /api/maraudes/staffing/warnings - Upcoming maraudes breaking the staffing rules
+router.get('/staffing/warnings', authenticateToken, requireRole('coordinator', 'admin'), async (req, res) => {
+  try {
+    const days = parseStaffingDays(req.query.days);
+    if (days === null) {
+      return res.status(400).json({ error: 'days must be between 1 and 60' });
+    }
+
+    const association = await resolveStaffingAssociation(req, res);
+    if (!association) return;
+
+    const warnings = await findUnderstaffed(association, { days });
+
+    res.json({
+      associationId: association.id,
+      rules: association.getStaffingRules(),
+      days,
+      warnings,
+      count: warnings.length
+    });
+
+  } catch (error) {
+    console.error('Get staffing warnings error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch staffing warnings',
+      details: error.message 
+    });
+  }
+});
+
+// POST /api/maraudes/staffing/digest - Email the warnings to the association's coordinators now
+router.post('/staffing/digest', authenticateToken, requireRole('coordinator', 'admin'), async (req, res) => {
+  try {
+    const days = parseStaffingDays(req.body.days);
+    if (days === null) {
+      return res.status(400).json({ error: 'days must be between 1 and 60' });
+    }
+
+    const association = await resolveStaffingAssociation(req, res);
+    if (!association) return;
+
+    const { sent, warnings, recipients } = await sendAssociationDigest(association, { days });
+
+    res.json({
+      message: sent
+        ? 'Staffing digest sent successfully'
+        : warnings.length === 0 ? 'No understaffed maraude: nothing to send' : 'Staffing digest could not be sent',
+      sent,
+      recipients: recipients.length,
+      count: warnings.length
+    });
+
+  } catch (error) {
+    console.error('Send staffing digest error:', error);
+    res.status(500).json({ 
+      error: 'Failed to send staffing digest',
+      details: error.message 
+    });
+  }
+});
+
+// POST /api/maraudes/route/preview - Distance, duration and path of a route being edited (nothing saved)
+router.post('/route/preview', authenticateToken, async (req, res) => {
+  try {
+    const checkedRoute = validateRoute(req.body);
+    if (checkedRoute.error) {
+      return res.status(checkedRoute.status).json({ error: checkedRoute.error });
+    }
+
+    const plan = await planRoute(checkedRoute.route);
+    if (plan.error) {
+      return res.status(plan.status).json({ error: plan.error });
+    }
+
+    res.json({
+      ...checkedRoute.route,
+      ...plan,
+      geometry: routeGeometry({ ...checkedRoute.route, routePolyline: plan.routePolyline })
+    });
+
+  } catch (error) {
+    console.error('Preview route error:', error);
+    res.status(500).json({ 
+      error: 'Failed to compute route',
+      details: error.message 
+    });
+  }
+});
+
 // GET /api/maraudes/:id - Get specific maraude (MOVED AFTER specific routes)
 router.get('/:id', async (req, res) => {
   try {
@@ -137,7 +395,7 @@ router.get('/:id', async (req, res) => {
         {
           model: Association,
           as: 'association',
-          attributes: ['id', 'name', 'email', 'phone']
+          attributes: ['id', 'name', 'email', 'phone', 'timezone']
         },
         {
           model: User,
@@ -168,6 +426,8 @@ router.get('/:id', async (req, res) => {
 });
 
 // GET /api/maraudes - Get all maraude actions (MOVED AFTER /:id)
+// ?lat&lng&radius (km, default 10): start point or a waypoint within the radius, nearest first, with distanceKm
+// ?area=<GeoJSON Polygon|MultiPolygon>: passing through a neighbourhood
 router.get('/', async (req, res) => {
   try {
     const {
@@ -180,6 +440,12 @@ router.get('/', async (req, res) => {
       isActive = 'true'
     } = req.query;
 
+    const geoFilters = parseGeoFilters(req.query, { defaultRadiusKm: 10 });
+    if (geoFilters.error) {
+      return res.status(geoFilters.status).json({ error: geoFilters.error });
+    }
+    const geo = buildGeoQuery(MaraudeAction, ['startLocation', 'waypointsLocation'], geoFilters.filters);
+
     const offset = (page - 1) * limit;
     const whereClause = {};
 
@@ -198,14 +464,18 @@ router.get('/', async (req, res) => {
     if (isActive !== 'all') {
       whereClause.isActive = isActive === 'true';
     }
+    if (geo.where.length > 0) {
+      whereClause[Op.and] = geo.where;
+    }
 
     const { count, rows: actions } = await MaraudeAction.findAndCountAll({
       where: whereClause,
+      attributes: { include: geo.attributes },
       include: [
         {
           model: Association,
           as: 'association',
-          attributes: ['id', 'name']
+          attributes: ['id', 'name', 'timezone']
         },
         {
           model: User,
@@ -215,7 +485,7 @@ router.get('/', async (req, res) => {
       ],
       limit: parseInt(limit),
       offset: parseInt(offset),
-      order: [['dayOfWeek', 'ASC'], ['startTime', 'ASC']]
+      order: [...geo.order, ['dayOfWeek', 'ASC'], ['startTime', 'ASC']]
     });
 
     const actionsWithMetadata = actions.map(action => {
@@ -259,19 +529,24 @@ router.post('/', authenticateToken, requireRole('coordinator', 'admin'), async (
       startLongitude,
       startAddress,
       waypoints,
-      estimatedDistance,
-      estimatedDuration,
-      routePolyline,
       dayOfWeek,
       isRecurring = true,
       scheduledDate,
       startTime,
       endTime,
       participantsCount,
+      maxParticipants,
       notes,
       associationId // NEW: Association ID from request body
     } = req.body;
 
+    // NEW: RFC 5545 recurrence rule (takes precedence over dayOfWeek)
+    const recurrence = parseRecurrenceInput(req.body);
+    if (recurrence.error) {
+      return res.status(400).json({ error: recurrence.error });
+    }
+    const { recurrenceRule, recurrenceStart, recurrenceExceptions, ruleWeekday, needsAnchor } = recurrence.values;
+
     // Validation
     if (!title || startLatitude === undefined || startLongitude === undefined) {
       return res.status(400).json({ 
@@ -279,9 +554,9 @@ router.post('/', authenticateToken, requireRole('coordinator', 'admin'), async (
       });
     }
 
-    if (isRecurring && (dayOfWeek === null || dayOfWeek === undefined)) {
+    if (isRecurring && !recurrenceRule && (dayOfWeek === null || dayOfWeek === undefined)) {
       return res.status(400).json({ 
-        error: 'dayOfWeek is required for recurring maraudes' 
+        error: 'dayOfWeek or recurrenceRule is required for recurring maraudes' 
       });
     }
 
@@ -334,38 +609,36 @@ router.post('/', authenticateToken, requireRole('coordinator', 'admin'), async (
       });
     }
 
-    // Prepare waypoints
-    let parsedWaypoints = [];
-    if (waypoints) {
-      try {
-        parsedWaypoints = typeof waypoints === 'string' ? JSON.parse(waypoints) : waypoints;
-        if (!Array.isArray(parsedWaypoints)) {
-          parsedWaypoints = [];
-        }
-        console.log('📍 Parsed waypoints:', parsedWaypoints.length, 'points');
-      } catch (error) {
-        console.error('⚠️ Error parsing waypoints:', error);
-        parsedWaypoints = [];
-      }
+    // Route checked and measured server-side, whatever the client computed
+    const checkedRoute = validateRoute({ startLatitude, startLongitude, waypoints });
+    if (checkedRoute.error) {
+      return res.status(checkedRoute.status).json({ error: checkedRoute.error });
+    }
+    const plan = await planRoute(checkedRoute.route);
+    if (plan.error) {
+      return res.status(plan.status).json({ error: plan.error });
     }
 
     // Clean data for database
     const cleanData = {
       title,
       description: description?.trim() || null,
-      startLatitude,
-      startLongitude,
+      ...checkedRoute.route,
       startAddress: startAddress?.trim() || null,
-      waypoints: parsedWaypoints,
-      estimatedDistance: estimatedDistance || null,
-      estimatedDuration: estimatedDuration || null,
-      routePolyline: routePolyline || null,
-      dayOfWeek: isRecurring ? dayOfWeek : null,
+      estimatedDistance: plan.estimatedDistance,
+      estimatedDuration: plan.estimatedDuration,
+      routePolyline: plan.routePolyline,
+      // Keep dayOfWeek filled for single-weekday rules (legacy filters and sorting)
+      dayOfWeek: isRecurring ? (dayOfWeek ?? ruleWeekday ?? null) : null,
       isRecurring,
+      recurrenceRule: isRecurring ? recurrenceRule || null : null,
+      recurrenceStart: isRecurring ? (recurrenceStart || (needsAnchor ? today(await getRequestTimezone(targetAssociationId)) : null)) : null,
+      recurrenceExceptions: isRecurring ? recurrenceExceptions || [] : [],
       scheduledDate: !isRecurring ? scheduledDate : null,
       startTime,
       endTime: endTime?.trim() || null,
       participantsCount: participantsCount || 0,
+      maxParticipants: maxParticipants || null,
       notes: notes?.trim() || null,
       createdBy: req.user.id,
       associationId: targetAssociationId, // Use the determined association ID
@@ -377,12 +650,15 @@ router.post('/', authenticateToken, requireRole('coordinator', 'admin'), async (
 
     const action = await MaraudeAction.create(cleanData);
 
+    // Materialize the upcoming occurrences of the new template
+    await syncActionOccurrences(action);
+
     const createdAction = await MaraudeAction.findByPk(action.id, {
       include: [
         {
           model: Association,
           as: 'association',
-          attributes: ['id', 'name', 'email']
+          attributes: ['id', 'name', 'email', 'timezone']
         },
         {
           model: User,
@@ -442,17 +718,25 @@ router.put('/:id', authenticateToken, async (req, res) => {
     const {
       title, description, 
       startLatitude, startLongitude, startAddress, waypoints,
-      estimatedDistance, estimatedDuration, routePolyline,
       dayOfWeek, isRecurring, scheduledDate, startTime, endTime, 
-      status, participantsCount, beneficiariesHelped, materialsDistributed,
+      status, participantsCount, maxParticipants, beneficiariesHelped, materialsDistributed,
       notes, isActive,
       associationId // NEW: Allow admin to change association
     } = req.body;
 
+    const recurrence = parseRecurrenceInput(req.body);
+    if (recurrence.error) {
+      return res.status(400).json({ error: recurrence.error });
+    }
+    const { ruleWeekday, needsAnchor, ...recurrenceData } = recurrence.values;
+    const nextRule = recurrenceData.recurrenceRule !== undefined
+      ? recurrenceData.recurrenceRule
+      : action.recurrenceRule;
+
     // Validation
-    if (isRecurring !== undefined && isRecurring && (dayOfWeek === null || dayOfWeek === undefined)) {
+    if (isRecurring !== undefined && isRecurring && !nextRule && (dayOfWeek === null || dayOfWeek === undefined)) {
       return res.status(400).json({ 
-        error: 'dayOfWeek is required for recurring maraudes' 
+        error: 'dayOfWeek or recurrenceRule is required for recurring maraudes' 
       });
     }
 
@@ -462,6 +746,13 @@ router.put('/:id', authenticateToken, async (req, res) => {
       });
     }
 
+    // The status follows the sessions (start / finish / cancel), forms may send it back unchanged
+    if (status !== undefined && status !== action.status) {
+      return res.status(400).json({ 
+        error: 'Status changes go through POST /api/maraudes/:id/start, /finish and /cancel' 
+      });
+    }
+
     // Build update data object
     const updateData = {};
 
@@ -471,27 +762,53 @@ router.put('/:id', authenticateToken, async (req, res) => {
     if (notes !== undefined) updateData.notes = notes;
     if (startTime !== undefined) updateData.startTime = startTime;
     if (endTime !== undefined) updateData.endTime = endTime;
-    if (status !== undefined) updateData.status = status;
     if (participantsCount !== undefined) updateData.participantsCount = participantsCount;
+    if (maxParticipants !== undefined) updateData.maxParticipants = maxParticipants || null;
     if (beneficiariesHelped !== undefined) updateData.beneficiariesHelped = beneficiariesHelped;
     if (materialsDistributed !== undefined) updateData.materialsDistributed = materialsDistributed;
 
-    // Route planning fields
-    if (startLatitude !== undefined) updateData.startLatitude = startLatitude;
-    if (startLongitude !== undefined) updateData.startLongitude = startLongitude;
+    // Route planning fields: distance, duration and polyline follow the route
     if (startAddress !== undefined) updateData.startAddress = startAddress;
-    if (waypoints !== undefined) updateData.waypoints = waypoints;
-    if (estimatedDistance !== undefined) updateData.estimatedDistance = estimatedDistance;
-    if (estimatedDuration !== undefined) updateData.estimatedDuration = estimatedDuration;
-    if (routePolyline !== undefined) updateData.routePolyline = routePolyline;
+    if (startLatitude !== undefined || startLongitude !== undefined || waypoints !== undefined) {
+      const checkedRoute = validateRoute({
+        startLatitude: startLatitude !== undefined ? startLatitude : action.startLatitude,
+        startLongitude: startLongitude !== undefined ? startLongitude : action.startLongitude,
+        waypoints: waypoints !== undefined ? waypoints : action.waypoints
+      });
+      if (checkedRoute.error) {
+        return res.status(checkedRoute.status).json({ error: checkedRoute.error });
+      }
+      const plan = await planRoute(checkedRoute.route);
+      if (plan.error) {
+        return res.status(plan.status).json({ error: plan.error });
+      }
+      Object.assign(updateData, checkedRoute.route, {
+        estimatedDistance: plan.estimatedDistance,
+        estimatedDuration: plan.estimatedDuration,
+        routePolyline: plan.routePolyline
+      });
+    }
 
     // Scheduling updates
     if (isRecurring !== undefined) {
       updateData.isRecurring = isRecurring;
-      updateData.dayOfWeek = isRecurring ? dayOfWeek : null;
+      updateData.dayOfWeek = isRecurring ? (dayOfWeek ?? ruleWeekday ?? null) : null;
       updateData.scheduledDate = !isRecurring ? scheduledDate : null;
     }
 
+    // Recurrence rule updates (a one-time maraude has no rule)
+    if (isRecurring === false) {
+      Object.assign(updateData, { recurrenceRule: null, recurrenceStart: null, recurrenceExceptions: [] });
+    } else {
+      Object.assign(updateData, recurrenceData);
+      if (recurrenceData.recurrenceRule && isRecurring === undefined && dayOfWeek === undefined) {
+        updateData.dayOfWeek = ruleWeekday;
+      }
+      if (needsAnchor && !updateData.recurrenceStart && !action.recurrenceStart) {
+        updateData.recurrenceStart = today(await resolveTimezone(action));
+      }
+    }
+
     if (isActive !== undefined) updateData.isActive = isActive;
 
     // NEW: Allow admin to change association
@@ -513,12 +830,20 @@ router.put('/:id', authenticateToken, async (req, res) => {
 
     await action.update(updateData);
 
+    // Schedule may have changed: realign future occurrences
+    await syncActionOccurrences(action);
+
+    // More room on the template: move waitlisted volunteers up
+    if (updateData.maxParticipants !== undefined) {
+      await promoteUpcomingWaitlists(action);
+    }
+
     const updatedAction = await MaraudeAction.findByPk(action.id, {
       include: [
         {
           model: Association,
           as: 'association',
-          attributes: ['id', 'name', 'email']
+          attributes: ['id', 'name', 'email', 'timezone']
         },
         {
           model: User,
@@ -562,7 +887,27 @@ router.delete('/:id', authenticateToken, requireRole('coordinator', 'admin'), as
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    await action.destroy();
+    // A maraude with a history (reports, tracks) is deactivated, never deleted
+    const deleted = await sequelize.transaction(async (transaction) => {
+      const where = { maraudeActionId: action.id };
+      const reports = await MaraudeReport.count({ where, transaction });
+      const trackingSessions = await TrackingSession.count({ where, transaction });
+      if (reports > 0 || trackingSessions > 0) {
+        return false;
+      }
+
+      await MaraudeParticipation.destroy({ where, transaction });
+      await MaraudeOccurrence.destroy({ where, transaction });
+      await action.destroy({ transaction });
+      return true;
+    });
+
+    if (!deleted) {
+      return res.status(409).json({
+        error: 'This maraude has reports or tracked sessions and cannot be deleted',
+        details: 'Deactivate it instead with PATCH /api/maraudes/:id/toggle'
+      });
+    }
 
     res.json({
       message: 'Maraude action deleted successfully'
@@ -591,6 +936,7 @@ router.patch('/:id/toggle', authenticateToken, requireRole('coordinator', 'admin
     }
 
     await action.update({ isActive: !action.isActive });
+    await syncActionOccurrences(action);
 
     const actionData = action.toJSON();
     actionData.nextOccurrence = action.getNextOccurrence();
@@ -611,4 +957,615 @@ router.patch('/:id/toggle', authenticateToken, requireRole('coordinator', 'admin
   }
 });
 
+// ============================================
+// Occurrences: dated sessions of a maraude
+// ============================================
+
+// Coordinators of the owning association (or admins) manage occurrences
+const canManageOccurrences = (user, action) => (
+  user.role === 'admin' ||
+  (user.role === 'coordinator' && user.associationId === action.associationId)
+);
+
+// Load the template + the occurrence for :date, answering 400/404 itself when missing.
+// readOnly: a date not generated yet gives an unsaved row instead of being stored.
+const loadOccurrence = async (req, res, { readOnly = false } = {}) => {
+  const { id, date } = req.params;
+
+  if (!isValidDateOnly(date)) {
+    res.status(400).json({ error: 'Occurrence date must be formatted as YYYY-MM-DD' });
+    return null;
+  }
+
+  const action = await MaraudeAction.findByPk(id);
+  if (!action) {
+    res.status(404).json({ error: 'Maraude action not found' });
+    return null;
+  }
+
+  const occurrence = readOnly ? await readOccurrence(action, date) : await findOccurrence(action, date);
+  if (!occurrence) {
+    res.status(404).json({ error: `No occurrence of this maraude on ${date}` });
+    return null;
+  }
+
+  return { action, occurrence };
+};
+
+// ============================================
+// Lifecycle: planned -> in_progress -> completed, or cancelled
+// ============================================
+
+// Load the template + the session targeted by body.date (default: one-off day, else today)
+const loadSession = async (req, res) => {
+  const { date } = req.body;
+  if (date !== undefined && !isValidDateOnly(date)) {
+    res.status(400).json({ error: 'date must be formatted as YYYY-MM-DD' });
+    return null;
+  }
+
+  const action = await MaraudeAction.findByPk(req.params.id);
+  if (!action) {
+    res.status(404).json({ error: 'Maraude action not found' });
+    return null;
+  }
+
+  const session = await resolveSession(action, date);
+  if (session.error) {
+    res.status(session.status).json({ error: session.error });
+    return null;
+  }
+
+  return { action, occurrence: session.occurrence };
+};
+
+// POST /api/maraudes/:id/start - The team sets off: { date? } (team of the session)
+router.post('/:id/start', authenticateToken, async (req, res) => {
+  try {
+    const loaded = await loadSession(req, res);
+    if (!loaded) return;
+    const { action, occurrence } = loaded;
+
+    const result = await startMaraude(action, occurrence, req.user);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({
+      message: 'Maraude started',
+      occurrence: serializeOccurrence(occurrence, action)
+    });
+
+  } catch (error) {
+    console.error('Start maraude error:', error);
+    res.status(500).json({ 
+      error: 'Failed to start maraude',
+      details: error.message 
+    });
+  }
+});
+
+// POST /api/maraudes/:id/finish - The team is back: { date? } (team of the session)
+// Opens the draft report of the session, pre-filled with times, team and route
+router.post('/:id/finish', authenticateToken, async (req, res) => {
+  try {
+    const loaded = await loadSession(req, res);
+    if (!loaded) return;
+    const { action, occurrence } = loaded;
+
+    const result = await finishMaraude(action, occurrence, req.user);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({
+      message: result.reportCreated
+        ? 'Maraude finished, draft report opened'
+        : 'Maraude finished, a report already exists for this session',
+      occurrence: serializeOccurrence(occurrence, action),
+      report: result.report,
+      reportCreated: result.reportCreated
+    });
+
+  } catch (error) {
+    console.error('Finish maraude error:', error);
+    res.status(500).json({ 
+      error: 'Failed to finish maraude',
+      details: error.message 
+    });
+  }
+});
+
+// POST /api/maraudes/:id/cancel - Cancel a session: { reason, date? } (coordinator)
+router.post('/:id/cancel', authenticateToken, requireRole('coordinator', 'admin'), async (req, res) => {
+  try {
+    const loaded = await loadSession(req, res);
+    if (!loaded) return;
+    const { action, occurrence } = loaded;
+
+    if (!canManageOccurrences(req.user, action)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+      return res.status(400).json({ error: 'A cancellation reason is required' });
+    }
+
+    const result = await cancelMaraude(action, occurrence, req.user, reason);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({
+      message: 'Maraude cancelled',
+      occurrence: serializeOccurrence(occurrence, action)
+    });
+
+  } catch (error) {
+    console.error('Cancel maraude error:', error);
+    res.status(500).json({ 
+      error: 'Failed to cancel maraude',
+      details: error.message 
+    });
+  }
+});
+
+// GET /api/maraudes/:id/route - Route of a maraude with the path to draw (GeoJSON)
+router.get('/:id/route', async (req, res) => {
+  try {
+    const action = await MaraudeAction.findByPk(req.params.id, {
+      attributes: [
+        'id', 'startLatitude', 'startLongitude', 'startAddress', 'waypoints',
+        'estimatedDistance', 'estimatedDuration', 'routePolyline'
+      ]
+    });
+
+    if (!action) {
+      return res.status(404).json({ error: 'Maraude action not found' });
+    }
+
+    res.json({
+      ...action.toJSON(),
+      summary: action.getRouteSummary(),
+      geometry: routeGeometry(action)
+    });
+
+  } catch (error) {
+    console.error('Get maraude route error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch maraude route',
+      details: error.message 
+    });
+  }
+});
+
+// POST /api/maraudes/:id/route/optimize - Suggested waypoint order (shortest walk, merchants
+// visited while open). Body: waypoints, start, end or returnToStart, date, startTime, stopMinutes.
+// Nothing is saved.
+router.post('/:id/route/optimize', authenticateToken, requireRole('coordinator', 'admin'), async (req, res) => {
+  try {
+    const action = await MaraudeAction.findByPk(req.params.id);
+    if (!action) {
+      return res.status(404).json({ error: 'Maraude action not found' });
+    }
+
+    if (!canManageOccurrences(req.user, action)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { waypoints, start, end, returnToStart, date, startTime, stopMinutes } = req.body;
+    if (date !== undefined && !isValidDateOnly(date)) {
+      return res.status(400).json({ error: 'date must be formatted as YYYY-MM-DD' });
+    }
+
+    const suggestion = await suggestWaypointOrder(action, {
+      waypoints,
+      start,
+      end,
+      returnToStart: returnToStart === true,
+      date,
+      startTime,
+      stopMinutes,
+      timezone: await resolveTimezone(action)
+    });
+    if (suggestion.error) {
+      return res.status(suggestion.status).json({ error: suggestion.error });
+    }
+
+    res.json(suggestion);
+
+  } catch (error) {
+    console.error('Optimize route error:', error);
+    res.status(500).json({ 
+      error: 'Failed to optimize route',
+      details: error.message 
+    });
+  }
+});
+
+// GET /api/maraudes/:id/occurrences - List occurrences (public, like the map)
+router.get('/:id/occurrences', async (req, res) => {
+  try {
+    const action = await MaraudeAction.findByPk(req.params.id);
+    if (!action) {
+      return res.status(404).json({ error: 'Maraude action not found' });
+    }
+
+    const from = req.query.from || today(await resolveTimezone(action));
+    const to = req.query.to || addDays(from, HORIZON_DAYS);
+    const { status } = req.query;
+
+    if (!isValidDateOnly(from) || !isValidDateOnly(to) || from > to) {
+      return res.status(400).json({ error: 'from/to must be dates (YYYY-MM-DD) with from <= to' });
+    }
+    if (to > addDays(from, MAX_READ_DAYS)) {
+      return res.status(400).json({ error: `from/to cannot span more than ${MAX_READ_DAYS} days` });
+    }
+
+    // Read only: dates not generated yet come back unsaved (id null)
+    const occurrences = (await readOccurrences([action], from, to, {
+      include: [
+        {
+          model: User,
+          as: 'leader',
+          attributes: ['id', 'firstName', 'lastName']
+        }
+      ]
+    })).filter(occurrence => !status || occurrence.status === status);
+
+    res.json({
+      occurrences: occurrences.map(occurrence => serializeOccurrence(occurrence, action)),
+      count: occurrences.length,
+      from,
+      to
+    });
+
+  } catch (error) {
+    console.error('Get occurrences error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch occurrences',
+      details: error.message 
+    });
+  }
+});
+
+// POST /api/maraudes/:id/occurrences/generate - Regenerate the rolling horizon
+router.post('/:id/occurrences/generate', authenticateToken, requireRole('coordinator', 'admin'), async (req, res) => {
+  try {
+    const action = await MaraudeAction.findByPk(req.params.id);
+
+    if (!action) {
+      return res.status(404).json({ error: 'Maraude action not found' });
+    }
+
+    if (!canManageOccurrences(req.user, action)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const result = await syncActionOccurrences(action);
+
+    res.json({
+      message: 'Occurrences regenerated successfully',
+      horizonDays: HORIZON_DAYS,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Generate occurrences error:', error);
+    res.status(500).json({ 
+      error: 'Failed to generate occurrences',
+      details: error.message 
+    });
+  }
+});
+
+// GET /api/maraudes/:id/occurrences/:date - Get one occurrence
+router.get('/:id/occurrences/:date', async (req, res) => {
+  try {
+    const loaded = await loadOccurrence(req, res, { readOnly: true });
+    if (!loaded) return;
+
+    res.json({ occurrence: serializeOccurrence(loaded.occurrence, loaded.action) });
+
+  } catch (error) {
+    console.error('Get occurrence error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch occurrence',
+      details: error.message 
+    });
+  }
+});
+
+// PATCH /api/maraudes/:id/occurrences/:date - Override time/route/leader/status of one occurrence
+router.patch('/:id/occurrences/:date', authenticateToken, requireRole('coordinator', 'admin'), async (req, res) => {
+  try {
+    const loaded = await loadOccurrence(req, res);
+    if (!loaded) return;
+    const { action, occurrence } = loaded;
+
+    if (!canManageOccurrences(req.user, action)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (occurrence.isCancelled()) {
+      return res.status(400).json({ 
+        error: 'Cannot modify a cancelled occurrence. Restore it first.' 
+      });
+    }
+
+    const {
+      startTime, endTime,
+      startLatitude, startLongitude, startAddress, waypoints,
+      leaderId, maxParticipants, notes, status
+    } = req.body;
+
+    if (status !== undefined && status !== occurrence.status) {
+      return res.status(400).json({ 
+        error: 'Status changes go through POST /api/maraudes/:id/start, /finish and /cancel' 
+      });
+    }
+
+    // null resets the start point to the template's (both coordinates at once)
+    if (startLatitude !== undefined || startLongitude !== undefined) {
+      const nextLatitude = startLatitude !== undefined ? startLatitude : occurrence.startLatitude;
+      const nextLongitude = startLongitude !== undefined ? startLongitude : occurrence.startLongitude;
+      if (nextLatitude !== null || nextLongitude !== null) {
+        const checkedStart = validateRoute({ startLatitude: nextLatitude, startLongitude: nextLongitude });
+        if (checkedStart.error) {
+          return res.status(checkedStart.status).json({ error: checkedStart.error });
+        }
+      }
+    }
+
+    let checkedWaypoints = null;
+    if (waypoints !== undefined && waypoints !== null) {
+      checkedWaypoints = validateWaypoints(waypoints);
+      if (checkedWaypoints.error) {
+        return res.status(checkedWaypoints.status).json({ error: checkedWaypoints.error });
+      }
+    }
+
+    if (leaderId) {
+      const leader = await User.findByPk(leaderId, { attributes: ['id', 'associationId', 'isActive'] });
+      if (!leader || !leader.isActive || leader.associationId !== action.associationId) {
+        return res.status(400).json({ 
+          error: 'Leader must be an active member of the maraude\'s association' 
+        });
+      }
+    }
+
+    // null resets a field to the template value
+    const updateData = { isModified: true };
+    if (startTime !== undefined) updateData.startTime = startTime;
+    if (endTime !== undefined) updateData.endTime = endTime;
+    if (startLatitude !== undefined) updateData.startLatitude = startLatitude;
+    if (startLongitude !== undefined) updateData.startLongitude = startLongitude;
+    if (startAddress !== undefined) updateData.startAddress = startAddress;
+    if (waypoints !== undefined) updateData.waypoints = checkedWaypoints ? checkedWaypoints.waypoints : null;
+    if (leaderId !== undefined) updateData.leaderId = leaderId;
+    if (maxParticipants !== undefined) updateData.maxParticipants = maxParticipants || null;
+    if (notes !== undefined) updateData.notes = notes;
+
+    await occurrence.update(updateData);
+
+    if (maxParticipants !== undefined) {
+      await promoteWaitlist(action, occurrence);
+    }
+
+    res.json({
+      message: 'Occurrence updated successfully',
+      occurrence: serializeOccurrence(occurrence, action)
+    });
+
+  } catch (error) {
+    console.error('Update occurrence error:', error);
+    res.status(400).json({ 
+      error: 'Failed to update occurrence',
+      details: error.message 
+    });
+  }
+});
+
+// POST /api/maraudes/:id/occurrences/:date/cancel - Cancel a single occurrence
+router.post('/:id/occurrences/:date/cancel', authenticateToken, requireRole('coordinator', 'admin'), async (req, res) => {
+  try {
+    const loaded = await loadOccurrence(req, res);
+    if (!loaded) return;
+    const { action, occurrence } = loaded;
+
+    if (!canManageOccurrences(req.user, action)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const reason = req.body.reason?.trim();
+    if (!reason) {
+      return res.status(400).json({ error: 'A cancellation reason is required' });
+    }
+
+    const result = await cancelMaraude(action, occurrence, req.user, reason);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({
+      message: 'Occurrence cancelled successfully',
+      occurrence: serializeOccurrence(occurrence, action)
+    });
+
+  } catch (error) {
+    console.error('Cancel occurrence error:', error);
+    res.status(500).json({ 
+      error: 'Failed to cancel occurrence',
+      details: error.message 
+    });
+  }
+});
+
+// POST /api/maraudes/:id/occurrences/:date/restore - Undo a cancellation
+router.post('/:id/occurrences/:date/restore', authenticateToken, requireRole('coordinator', 'admin'), async (req, res) => {
+  try {
+    const loaded = await loadOccurrence(req, res);
+    if (!loaded) return;
+    const { action, occurrence } = loaded;
+
+    if (!canManageOccurrences(req.user, action)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!occurrence.isCancelled()) {
+      return res.status(400).json({ error: 'Only cancelled occurrences can be restored' });
+    }
+
+    const result = await restoreMaraude(action, occurrence, req.user);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({
+      message: 'Occurrence restored successfully',
+      occurrence: serializeOccurrence(occurrence, action)
+    });
+
+  } catch (error) {
+    console.error('Restore occurrence error:', error);
+    res.status(500).json({ 
+      error: 'Failed to restore occurrence',
+      details: error.message 
+    });
+  }
+});
+
+// ============================================
+// Roster: volunteer sign-ups per occurrence
+// ============================================
+
+// Members of the maraude's association (or admins) can see and join its sessions
+const isAssociationMember = (user, action) => (
+  user.role === 'admin' || user.associationId === action.associationId
+);
+
+// GET /api/maraudes/:id/occurrences/:date/roster - Confirmed volunteers and waitlist
+router.get('/:id/occurrences/:date/roster', authenticateToken, async (req, res) => {
+  try {
+    const loaded = await loadOccurrence(req, res, { readOnly: true });
+    if (!loaded) return;
+    const { action, occurrence } = loaded;
+
+    if (!isAssociationMember(req.user, action)) {
+      return res.status(403).json({ error: 'Access denied - different association' });
+    }
+
+    const roster = await getRoster(action, occurrence, {
+      includeWithdrawn: canManageOccurrences(req.user, action) && req.query.includeWithdrawn === 'true'
+    });
+
+    // Contact details are for coordinators only
+    if (!canManageOccurrences(req.user, action)) {
+      [...roster.confirmed, ...roster.waitlist].forEach(participation => {
+        participation.user.setDataValue('email', undefined);
+        participation.user.setDataValue('phone', undefined);
+      });
+    }
+
+    res.json({ roster });
+
+  } catch (error) {
+    console.error('Get roster error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch roster',
+      details: error.message 
+    });
+  }
+});
+
+// POST /api/maraudes/:id/occurrences/:date/participants - Sign up (self, or a member by a coordinator)
+router.post('/:id/occurrences/:date/participants', authenticateToken, async (req, res) => {
+  try {
+    const loaded = await loadOccurrence(req, res);
+    if (!loaded) return;
+    const { action, occurrence } = loaded;
+
+    if (!isAssociationMember(req.user, action)) {
+      return res.status(403).json({ error: 'Access denied - different association' });
+    }
+
+    const userId = req.body.userId || req.user.id;
+    const isSelf = userId === req.user.id;
+
+    if (!isSelf) {
+      if (!canManageOccurrences(req.user, action)) {
+        return res.status(403).json({ error: 'Only coordinators can register another volunteer' });
+      }
+
+      const volunteer = await User.findByPk(userId, { attributes: ['id', 'associationId', 'isActive'] });
+      if (!volunteer || !volunteer.isActive || volunteer.associationId !== action.associationId) {
+        return res.status(400).json({ 
+          error: 'Volunteer must be an active member of the maraude\'s association' 
+        });
+      }
+    }
+
+    const result = await register(action, occurrence, userId, {
+      registeredBy: isSelf ? null : req.user.id,
+      notes: req.body.notes?.trim() || null
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const { participation } = result;
+    res.status(201).json({
+      message: participation.status === 'confirmed'
+        ? 'Registration confirmed'
+        : 'Occurrence is full: added to the waitlist',
+      participation,
+      roster: await getRoster(action, occurrence)
+    });
+
+  } catch (error) {
+    console.error('Register participant error:', error);
+    res.status(500).json({ 
+      error: 'Failed to register for occurrence',
+      details: error.message 
+    });
+  }
+});
+
+// DELETE /api/maraudes/:id/occurrences/:date/participants/:userId - Withdraw (self or coordinator)
+router.delete('/:id/occurrences/:date/participants/:userId', authenticateToken, async (req, res) => {
+  try {
+    const loaded = await loadOccurrence(req, res);
+    if (!loaded) return;
+    const { action, occurrence } = loaded;
+
+    const userId = req.params.userId === 'me' ? req.user.id : req.params.userId;
+
+    if (userId !== req.user.id && !canManageOccurrences(req.user, action)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const result = await withdraw(action, occurrence, userId);
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({
+      message: 'Withdrawal recorded successfully',
+      participation: result.participation,
+      promoted: result.promoted.map(participation => participation.userId),
+      roster: await getRoster(action, occurrence)
+    });
+
+  } catch (error) {
+    console.error('Withdraw participant error:', error);
+    res.status(500).json({ 
+      error: 'Failed to withdraw from occurrence',
+      details: error.message 
+    });
+  }
+});
+
 module.exports = router;
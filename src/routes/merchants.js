@@ -2,10 +2,13 @@ const express = require('express');
 const { Op } = require('sequelize');
 const { Merchant, User } = require('../models');
 const { authenticateToken, requireRole } = require('../middleware/auth');
+const { parseGeoFilters, buildGeoQuery } = require('../services/geoService');
 
 const router = express.Router();
 
 // GET /api/merchants - Get all merchants (public)
+// ?lat&lng&radius (km, default 10): within the radius, nearest first, with distanceKm
+// ?area=<GeoJSON Polygon|MultiPolygon>: inside a neighbourhood
 router.get('/', async (req, res) => {
   try {
     const {
@@ -15,12 +18,15 @@ router.get('/', async (req, res) => {
       services,
       verified,
       active = 'true',
-      lat,
-      lng,
-      radius = 10, // km
       search
     } = req.query;
 
+    const geoFilters = parseGeoFilters(req.query, { defaultRadiusKm: 10 });
+    if (geoFilters.error) {
+      return res.status(geoFilters.status).json({ error: geoFilters.error });
+    }
+    const geo = buildGeoQuery(Merchant, ['location'], geoFilters.filters);
+
     const offset = (page - 1) * limit;
     const whereClause = {};
 
@@ -55,21 +61,14 @@ router.get('/', async (req, res) => {
       ];
     }
 
-    // Filter by location (if lat/lng provided)
-    if (lat && lng) {
-      const latRadius = radius / 111;
-      const lngRadius = radius / (111 * Math.cos(lat * Math.PI / 180));
-      
-      whereClause.latitude = {
-        [Op.between]: [parseFloat(lat) - latRadius, parseFloat(lat) + latRadius]
-      };
-      whereClause.longitude = {
-        [Op.between]: [parseFloat(lng) - lngRadius, parseFloat(lng) + lngRadius]
-      };
+    // Filter by location (radius and/or area)
+    if (geo.where.length > 0) {
+      whereClause[Op.and] = geo.where;
     }
 
     const { count, rows: merchants } = await Merchant.findAndCountAll({
       where: whereClause,
+      attributes: { include: geo.attributes },
       include: [
         {
           model: User,
@@ -80,7 +79,7 @@ router.get('/', async (req, res) => {
       ],
       limit: parseInt(limit),
       offset: parseInt(offset),
-      order: [['name', 'ASC']]
+      order: [...geo.order, ['name', 'ASC']]
     });
 
     res.json({
@@ -387,30 +386,23 @@ router.get('/services/list', async (req, res) => {
   }
 });
 
-// GET /api/merchants/nearby - Get merchants near a location
+// GET /api/merchants/nearby - Get merchants near a location, nearest first (?radius in km, default 5)
 router.get('/nearby/:lat/:lng', async (req, res) => {
   try {
     const { lat, lng } = req.params;
-    const { radius = 5, services, category } = req.query;
+    const { radius, services, category } = req.query;
 
-    if (!lat || !lng) {
-      return res.status(400).json({ error: 'Latitude and longitude required' });
+    const geoFilters = parseGeoFilters({ lat, lng, radius }, { defaultRadiusKm: 5 });
+    if (geoFilters.error) {
+      return res.status(geoFilters.status).json({ error: geoFilters.error });
     }
+    const { near } = geoFilters.filters;
+    const geo = buildGeoQuery(Merchant, ['location'], geoFilters.filters);
 
     const whereClause = {
       isActive: true,
-      isVerified: true
-    };
-
-    // Filter by location
-    const latRadius = radius / 111;
-    const lngRadius = radius / (111 * Math.cos(lat * Math.PI / 180));
-    
-    whereClause.latitude = {
-      [Op.between]: [parseFloat(lat) - latRadius, parseFloat(lat) + latRadius]
-    };
-    whereClause.longitude = {
-      [Op.between]: [parseFloat(lng) - lngRadius, parseFloat(lng) + lngRadius]
+      isVerified: true,
+      [Op.and]: geo.where
     };
 
     // Filter by category
@@ -430,16 +422,17 @@ router.get('/nearby/:lat/:lng', async (req, res) => {
       where: whereClause,
       attributes: [
         'id', 'name', 'category', 'services', 'latitude', 
-        'longitude', 'address', 'phone', 'openingHours'
+        'longitude', 'address', 'phone', 'openingHours',
+        ...geo.attributes
       ],
-      order: [['name', 'ASC']],
+      order: [...geo.order, ['name', 'ASC']],
       limit: 50
     });
 
     res.json({
       merchants,
-      location: { lat: parseFloat(lat), lng: parseFloat(lng) },
-      radius: parseFloat(radius),
+      location: { lat: near.point.latitude, lng: near.point.longitude },
+      radius: near.radiusKm,
       count: merchants.length
     });
 
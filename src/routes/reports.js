@@ -8,13 +8,51 @@ const {
   DistributionType,
   MaraudeAction,
   User,
-  Association
+  Association,
+  ReportComment,
+  ReportVersion,
+  BeneficiaryEncounter,
+  Beneficiary
 } = require('../models');
+const { maskSensitiveFields, canDecrypt } = require('../models/encryptedFields');
 const { authenticateToken, requireRole } = require('../middleware/auth');
 const { sendReportEmail } = require('../services/emailService');
+const { resolveTimezone } = require('../services/occurrenceService');
+const { countConfirmed } = require('../services/participationService');
+const {
+  submitReport,
+  reviewReport,
+  buildCommentThreads,
+  diffSnapshots
+} = require('../services/reportReviewService');
+const { checkReportEditable, createReport, updateReport, deleteReport } = require('../services/reportService');
+const { getAttendance } = require('../services/beneficiaryService');
+const {
+  DEFAULT_TIMEZONE,
+  today,
+  addDays,
+  startOfWeek,
+  isValidDateOnly
+} = require('../utils/dateUtils');
 
 const router = express.Router();
 
+// Date range of a named statistics period ending today (association calendar)
+const getPeriodRange = (period, todayDate) => {
+  switch (period) {
+    case 'week':
+      return { startDate: startOfWeek(todayDate), endDate: todayDate };
+    case 'month':
+      return { startDate: `${todayDate.slice(0, 7)}-01`, endDate: todayDate };
+    case 'year':
+      return { startDate: `${todayDate.slice(0, 4)}-01-01`, endDate: todayDate };
+    case 'last30days':
+      return { startDate: addDays(todayDate, -29), endDate: todayDate };
+    default:
+      return null;
+  }
+};
+
 // GET /api/reports/distribution-types - Get all distribution types
 router.get('/distribution-types', async (req, res) => {
   try {
@@ -87,7 +125,9 @@ router.get('/check-duplicate', authenticateToken, async (req, res) => {
 
     if (existingReport) {
       const creatorName = `${existingReport.creator.firstName} ${existingReport.creator.lastName}`;
-      const createdDate = new Date(existingReport.createdAt).toLocaleDateString('fr-FR');
+      const createdDate = new Date(existingReport.createdAt).toLocaleDateString('fr-FR', {
+        timeZone: req.user.association?.timezone || DEFAULT_TIMEZONE
+      });
       
       console.log('Duplicate found:', existingReport.id);
       
@@ -109,7 +149,9 @@ router.get('/check-duplicate', authenticateToken, async (req, res) => {
     
     res.json({
       exists: false,
-      message: 'Aucun rapport existant trouvé'
+      message: 'Aucun rapport existant trouvé',
+      // Pre-fill for the report form: confirmed volunteers of the roster
+      suggestedVolunteersCount: await countConfirmed(maraudeActionId, reportDate)
     });
 
   } catch (error) {
@@ -259,6 +301,12 @@ router.get('/:id', authenticateToken, async (req, res) => {
           attributes: ['id', 'firstName', 'lastName'],
           required: false
         },
+        {
+          model: User,
+          as: 'reviewer',
+          attributes: ['id', 'firstName', 'lastName'],
+          required: false
+        },
         {
           model: ReportDistribution,
           as: 'distributions',
@@ -272,6 +320,17 @@ router.get('/:id', authenticateToken, async (req, res) => {
         {
           model: ReportAlert,
           as: 'alerts'
+        },
+        {
+          model: BeneficiaryEncounter,
+          as: 'encounters',
+          include: [
+            {
+              model: Beneficiary,
+              as: 'beneficiary',
+              attributes: ['id', 'pseudonym', 'nickname', 'ageRange']
+            }
+          ]
         }
       ]
     });
@@ -305,22 +364,9 @@ router.get('/:id', authenticateToken, async (req, res) => {
 // POST /api/reports -
 router.post('/', authenticateToken, async (req, res) => {
   try {
-    const {
-      maraudeActionId,
-      reportDate,
-      startTime,
-      endTime,
-      beneficiariesCount,
-      volunteersCount,
-      generalNotes,
-      difficultiesEncountered,
-      positivePoints,
-      distributions,
-      alerts,
-      urgentSituationsDetails
-    } = req.body;
-
-    console.log('Creating report for:', { maraudeActionId, reportDate });
+    const { maraudeActionId } = req.body;
+
+    console.log('Creating report for:', { maraudeActionId, reportDate: req.body.reportDate });
 
     // Verify maraude action exists
     const maraudeAction = await MaraudeAction.findByPk(maraudeActionId);
@@ -340,6 +386,9 @@ router.post('/', authenticateToken, async (req, res) => {
       });
     }
 
+    // Default report date: today in the association's timezone
+    const reportDate = req.body.reportDate || today(await resolveTimezone(maraudeAction));
+
     // Enhanced duplicate check
     const existingReport = await MaraudeReport.findOne({
       where: { 
@@ -357,7 +406,9 @@ router.post('/', authenticateToken, async (req, res) => {
 
     if (existingReport) {
       const creatorName = `${existingReport.creator.firstName} ${existingReport.creator.lastName}`;
-      const createdDate = new Date(existingReport.createdAt).toLocaleDateString('fr-FR');
+      const createdDate = new Date(existingReport.createdAt).toLocaleDateString('fr-FR', {
+        timeZone: req.user.association?.timezone || DEFAULT_TIMEZONE
+      });
       
       console.log('Duplicate report found:', existingReport.id);
       return res.status(409).json({ 
@@ -370,60 +421,19 @@ router.post('/', authenticateToken, async (req, res) => {
 
     console.log('No existing report found, proceeding...');
 
-    // Create report with AUTO-SUBMIT status
-    const report = await MaraudeReport.create({
-      maraudeActionId,
-      reportDate,
-      startTime,
-      endTime,
-      beneficiariesCount: parseInt(beneficiariesCount),
-      volunteersCount: parseInt(volunteersCount),
-      generalNotes: generalNotes || null,
-      difficultiesEncountered: difficultiesEncountered || null,
-      positivePoints: positivePoints || null,
-      hasUrgentSituations: (alerts && alerts.length > 0) || !!urgentSituationsDetails,
-      urgentSituationsDetails: urgentSituationsDetails || null,
-      createdBy: req.user.id,
-      status: 'submitted' // AUTO-SUBMIT instead of 'draft'
-    });
+    // Report, distributions, alerts, encounters and first version: all or nothing
+    const result = await createReport(maraudeAction, req.user, { ...req.body, reportDate });
+    if (result.error) {
+      return res.status(result.status).json({
+        error: result.error,
+        details: result.details,
+        errors: result.errors
+      });
+    }
+    const report = result.report;
 
     console.log('Report created with auto-submit status:', report.id);
 
-    // Create distributions
-    if (distributions && distributions.length > 0) {
-      const distributionPromises = distributions.map(dist => 
-        ReportDistribution.create({
-          reportId: report.id,
-          distributionTypeId: dist.distributionTypeId,
-          quantity: parseInt(dist.quantity),
-          notes: dist.notes || null
-        })
-      );
-      await Promise.all(distributionPromises);
-      console.log('Distributions created:', distributions.length);
-    }
-
-    // Create alerts
-    if (alerts && alerts.length > 0) {
-      const alertPromises = alerts.map(alert =>
-        ReportAlert.create({
-          reportId: report.id,
-          alertType: alert.alertType,
-          severity: alert.severity,
-          locationLatitude: alert.locationLatitude || null,
-          locationLongitude: alert.locationLongitude || null,
-          locationAddress: alert.locationAddress || null,
-          personDescription: alert.personDescription || null,
-          situationDescription: alert.situationDescription,
-          actionTaken: alert.actionTaken || null,
-          followUpRequired: alert.followUpRequired || false,
-          followUpNotes: alert.followUpNotes || null
-        })
-      );
-      await Promise.all(alertPromises);
-      console.log('Alerts created:', alerts.length);
-    }
-
     // Return complete report
     const completeReport = await MaraudeReport.findByPk(report.id, {
       include: [
@@ -438,7 +448,8 @@ router.post('/', authenticateToken, async (req, res) => {
           as: 'distributions',
           include: [{ model: DistributionType, as: 'distributionType' }]
         },
-        { model: ReportAlert, as: 'alerts' }
+        { model: ReportAlert, as: 'alerts' },
+        { model: BeneficiaryEncounter, as: 'encounters' }
       ]
     });
 
@@ -476,70 +487,27 @@ router.put('/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Report not found' });
     }
 
-    // UPDATED PERMISSIONS: Allow editing of submitted reports
-    const canEdit = (
-      report.createdBy === req.user.id || // Creator can edit their own reports
-      (req.user.associationId === report.maraudeAction.associationId && 
-       ['coordinator', 'admin'].includes(req.user.role)) || // Coordinator/admin of same association
-      req.user.role === 'admin' // Admin can edit any report
-    );
-
-    if (!canEdit) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
-    // UPDATED: Only prevent editing of validated reports (not submitted)
-    if (report.status === 'validated' && req.user.role !== 'admin') {
-      return res.status(403).json({ 
-        error: 'Cannot edit validated report. Only administrators can modify validated reports.' 
+    // UPDATED PERMISSIONS: Allow editing of submitted reports (creator, coordinator of
+    // the association, admin); validated or rejected reports are admin-only
+    const editError = checkReportEditable(report, req.user);
+    if (editError) {
+      return res.status(403).json({
+        error: editError === 'Access denied'
+          ? editError
+          : `Cannot edit ${report.status} report. Only administrators can modify ${report.status} reports.`
       });
     }
 
     console.log(`Updating report ${report.id} by user ${req.user.id}`);
 
-    const {
-      distributions,
-      alerts,
-      ...reportData
-    } = req.body;
-
-    // Update report
-    await report.update(reportData);
-
-    // Update distributions if provided
-    if (distributions !== undefined) {
-      // Delete existing distributions
-      await ReportDistribution.destroy({ where: { reportId: report.id } });
-      
-      // Create new distributions
-      if (distributions.length > 0) {
-        const distributionPromises = distributions.map(dist => 
-          ReportDistribution.create({
-            reportId: report.id,
-            distributionTypeId: dist.distributionTypeId,
-            quantity: dist.quantity,
-            notes: dist.notes
-          })
-        );
-        await Promise.all(distributionPromises);
-      }
-    }
-
-    // Update alerts if provided
-    if (alerts !== undefined) {
-      // Delete existing alerts
-      await ReportAlert.destroy({ where: { reportId: report.id } });
-      
-      // Create new alerts
-      if (alerts.length > 0) {
-        const alertPromises = alerts.map(alert =>
-          ReportAlert.create({
-            reportId: report.id,
-            ...alert
-          })
-        );
-        await Promise.all(alertPromises);
-      }
+    // Report, alerts, encounters, distributions and new version: all or nothing
+    const result = await updateReport(report, req.user, req.body);
+    if (result.error) {
+      return res.status(result.status).json({
+        error: result.error,
+        details: result.details,
+        errors: result.errors
+      });
     }
 
     // Fetch updated report
@@ -557,7 +525,8 @@ router.put('/:id', authenticateToken, async (req, res) => {
           as: 'distributions',
           include: [{ model: DistributionType, as: 'distributionType' }]
         },
-        { model: ReportAlert, as: 'alerts' }
+        { model: ReportAlert, as: 'alerts' },
+        { model: BeneficiaryEncounter, as: 'encounters' }
       ]
     });
 
@@ -593,21 +562,20 @@ router.patch('/:id/submit', authenticateToken, async (req, res) => {
     }
 
     // Check permissions
-    if (report.createdBy !== req.user.id && req.user.role !== 'admin') {
+    if (!report.isWrittenBy(req.user.id) && req.user.role !== 'admin') {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    if (report.status !== 'draft') {
-      return res.status(400).json({ 
-        error: 'Only draft reports can be submitted' 
-      });
+    // Draft, or resubmission after the reviewer requested changes
+    const result = await submitReport(report, req.user);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    await report.update({ status: 'submitted' });
-
     res.json({
       message: 'Report submitted for validation',
-      report
+      report,
+      version: result.version.version
     });
 
   } catch (error) {
@@ -641,21 +609,16 @@ router.patch('/:id/validate', authenticateToken, requireRole('coordinator', 'adm
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    if (report.status !== 'submitted') {
-      return res.status(400).json({ 
-        error: 'Only submitted reports can be validated' 
-      });
+    // Optional comment, added to the report's discussion
+    const result = await reviewReport(report, req.user, 'validated', req.body.comment);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    await report.update({
-      status: 'validated',
-      validatedBy: req.user.id,
-      validationDate: new Date()
-    });
-
     res.json({
       message: 'Report validated successfully',
-      report
+      report,
+      comment: result.comment
     });
 
   } catch (error) {
@@ -667,6 +630,254 @@ router.patch('/:id/validate', authenticateToken, requireRole('coordinator', 'adm
   }
 });
 
+// Load a report with its maraude, answering 404/403 itself. Readers: same association or admin.
+const loadReport = async (req, res) => {
+  const report = await MaraudeReport.findByPk(req.params.id, {
+    include: [
+      {
+        model: MaraudeAction,
+        as: 'maraudeAction'
+      }
+    ]
+  });
+
+  if (!report) {
+    res.status(404).json({ error: 'Report not found' });
+    return null;
+  }
+
+  if (req.user.role !== 'admin' && 
+      report.maraudeAction.associationId !== req.user.associationId) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+
+  return report;
+};
+
+// Shared handler of the reviewer decisions that send a report back
+const reviewDecisionHandler = (decision, message) => async (req, res) => {
+  try {
+    const report = await loadReport(req, res);
+    if (!report) return;
+
+    const result = await reviewReport(report, req.user, decision, req.body.comment);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({
+      message,
+      report,
+      comment: result.comment
+    });
+
+  } catch (error) {
+    console.error(`Review report (${decision}) error:`, error);
+    res.status(500).json({ 
+      error: 'Failed to review report',
+      details: error.message 
+    });
+  }
+};
+
+// PATCH /api/reports/:id/request-changes - Send the report back to its author (comment required)
+router.patch('/:id/request-changes', authenticateToken, requireRole('coordinator', 'admin'),
+  reviewDecisionHandler('changes_requested', 'Changes requested on report'));
+
+// PATCH /api/reports/:id/reject - Reject the report for good (comment required)
+router.patch('/:id/reject', authenticateToken, requireRole('coordinator', 'admin'),
+  reviewDecisionHandler('rejected', 'Report rejected'));
+
+// GET /api/reports/:id/comments - Discussion between the author and reviewers, as threads
+router.get('/:id/comments', authenticateToken, async (req, res) => {
+  try {
+    const report = await loadReport(req, res);
+    if (!report) return;
+
+    const comments = await ReportComment.findAll({
+      where: { reportId: report.id },
+      include: [
+        {
+          model: User,
+          as: 'author',
+          attributes: ['id', 'firstName', 'lastName', 'role']
+        }
+      ],
+      order: [['createdAt', 'ASC']]
+    });
+
+    res.json({
+      threads: buildCommentThreads(comments),
+      count: comments.length
+    });
+
+  } catch (error) {
+    console.error('Get report comments error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch comments',
+      details: error.message 
+    });
+  }
+});
+
+// POST /api/reports/:id/comments - Comment or reply (report author, coordinators, admins)
+router.post('/:id/comments', authenticateToken, async (req, res) => {
+  try {
+    const report = await loadReport(req, res);
+    if (!report) return;
+
+    const canComment = (
+      report.isWrittenBy(req.user.id) ||
+      ['coordinator', 'admin'].includes(req.user.role)
+    );
+
+    if (!canComment) {
+      return res.status(403).json({ error: 'Only the report author and coordinators can comment' });
+    }
+
+    const body = req.body.body?.trim();
+    if (!body) {
+      return res.status(400).json({ error: 'Comment body is required' });
+    }
+
+    const { parentId } = req.body;
+    if (parentId) {
+      const parent = await ReportComment.findByPk(parentId, { attributes: ['id', 'reportId'] });
+      if (!parent || parent.reportId !== report.id) {
+        return res.status(400).json({ error: 'parentId must be a comment of the same report' });
+      }
+    }
+
+    const comment = await ReportComment.create({
+      reportId: report.id,
+      authorId: req.user.id,
+      parentId: parentId || null,
+      body,
+      reportVersion: report.currentVersion || null
+    });
+
+    res.status(201).json({
+      message: 'Comment added successfully',
+      comment
+    });
+
+  } catch (error) {
+    console.error('Create report comment error:', error);
+    res.status(400).json({ 
+      error: 'Failed to add comment',
+      details: error.message 
+    });
+  }
+});
+
+// GET /api/reports/:id/versions - Submitted versions of a report
+router.get('/:id/versions', authenticateToken, async (req, res) => {
+  try {
+    const report = await loadReport(req, res);
+    if (!report) return;
+
+    const versions = await ReportVersion.findAll({
+      where: { reportId: report.id },
+      attributes: ['id', 'version', 'submittedBy', 'createdAt'],
+      include: [
+        {
+          model: User,
+          as: 'submitter',
+          attributes: ['id', 'firstName', 'lastName']
+        }
+      ],
+      order: [['version', 'ASC']]
+    });
+
+    res.json({
+      versions,
+      currentVersion: report.currentVersion
+    });
+
+  } catch (error) {
+    console.error('Get report versions error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch report versions',
+      details: error.message 
+    });
+  }
+});
+
+// GET /api/reports/:id/versions/diff?from=1&to=2 - What changed between two versions
+// (defaults: the latest version against the one before it)
+router.get('/:id/versions/diff', authenticateToken, async (req, res) => {
+  try {
+    const report = await loadReport(req, res);
+    if (!report) return;
+
+    const to = req.query.to !== undefined ? parseInt(req.query.to, 10) : report.currentVersion;
+    const from = req.query.from !== undefined ? parseInt(req.query.from, 10) : to - 1;
+
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || from >= to) {
+      return res.status(400).json({ error: 'from and to must be version numbers with from < to' });
+    }
+
+    const versions = await ReportVersion.findAll({
+      where: { reportId: report.id, version: [from, to] }
+    });
+    const before = versions.find(version => version.version === from);
+    const after = versions.find(version => version.version === to);
+
+    if (!before || !after) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    res.json({
+      from,
+      to,
+      diff: maskSensitiveFields(
+        diffSnapshots(before.snapshot, after.snapshot),
+        report.maraudeAction.associationId
+      )
+    });
+
+  } catch (error) {
+    console.error('Diff report versions error:', error);
+    res.status(500).json({ 
+      error: 'Failed to compare report versions',
+      details: error.message 
+    });
+  }
+});
+
+// GET /api/reports/:id/versions/:version - Content of one version
+router.get('/:id/versions/:version', authenticateToken, async (req, res) => {
+  try {
+    const report = await loadReport(req, res);
+    if (!report) return;
+
+    const version = await ReportVersion.findOne({
+      where: { reportId: report.id, version: parseInt(req.params.version, 10) || 0 },
+      include: [
+        {
+          model: User,
+          as: 'submitter',
+          attributes: ['id', 'firstName', 'lastName']
+        }
+      ]
+    });
+
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    res.json({ version });
+
+  } catch (error) {
+    console.error('Get report version error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch report version',
+      details: error.message 
+    });
+  }
+});
+
 // POST /api/reports/:id/send-email - Send report by email
 router.post('/:id/send-email', authenticateToken, async (req, res) => {
   try {
@@ -713,7 +924,9 @@ router.post('/:id/send-email', authenticateToken, async (req, res) => {
       subject: subject || `Compte-rendu de maraude - ${report.maraudeAction.title}`,
       message: message || '',
       senderName: `${req.user.firstName} ${req.user.lastName}`,
-      senderEmail: req.user.email
+      senderEmail: req.user.email,
+      // Authors without decrypt access cannot send the alert text out either
+      masked: !canDecrypt(report.maraudeAction.associationId)
     });
 
     if (emailSent) {
@@ -743,21 +956,42 @@ router.post('/:id/send-email', authenticateToken, async (req, res) => {
 // GET /api/reports/stats/summary - Get reports statistics
 router.get('/stats/summary', authenticateToken, async (req, res) => {
   try {
-    const { startDate, endDate, associationId } = req.query;
+    const { associationId, period } = req.query;
+    let { startDate, endDate } = req.query;
+
+    // Non-admins only see their association's stats
+    const associationFilter = req.user.role === 'admin' && associationId
+      ? associationId
+      : req.user.associationId;
+
+    // Periods are computed on the association's calendar, not the server clock
+    const association = await Association.findByPk(associationFilter, { attributes: ['timezone'] });
+    const timezone = association?.timezone || DEFAULT_TIMEZONE;
+
+    if (period) {
+      const range = getPeriodRange(period, today(timezone));
+      if (!range) {
+        return res.status(400).json({ error: 'period must be one of: week, month, year, last30days' });
+      }
+      ({ startDate, endDate } = range);
+    }
+
+    if ((startDate && !isValidDateOnly(startDate)) || (endDate && !isValidDateOnly(endDate))) {
+      return res.status(400).json({ error: 'startDate/endDate must be dates (YYYY-MM-DD)' });
+    }
 
     const whereClause = {};
-    
+
     if (startDate && endDate) {
       whereClause.reportDate = {
         [Op.between]: [startDate, endDate]
       };
+    } else if (startDate) {
+      whereClause.reportDate = { [Op.gte]: startDate };
+    } else if (endDate) {
+      whereClause.reportDate = { [Op.lte]: endDate };
     }
 
-    // Non-admins only see their association's stats
-    const associationFilter = req.user.role === 'admin' && associationId
-      ? associationId
-      : req.user.associationId;
-
     const reports = await MaraudeReport.findAll({
       where: whereClause,
       include: [
@@ -786,16 +1020,21 @@ router.get('/stats/summary', authenticateToken, async (req, res) => {
       ]
     });
 
+    const attendance = await getAttendance(associationFilter, startDate, endDate);
+
     // Calculate statistics
     const stats = {
       totalReports: reports.length,
       totalBeneficiaries: reports.reduce((sum, r) => sum + r.beneficiariesCount, 0),
       totalVolunteers: reports.reduce((sum, r) => sum + r.volunteersCount, 0),
-      newBeneficiaries: reports.reduce((sum, r) => sum + r.newBeneficiariesCount, 0),
       totalDistance: reports.reduce((sum, r) => sum + (parseFloat(r.distanceCovered) || 0), 0),
       averageBeneficiariesPerMaraude: reports.length > 0 
         ? Math.round(reports.reduce((sum, r) => sum + r.beneficiariesCount, 0) / reports.length)
         : 0,
+      // People identified in the registry (beneficiariesCount also counts anonymous people)
+      identifiedBeneficiaries: attendance.identified,
+      newBeneficiaries: attendance.new,
+      returningBeneficiaries: attendance.returning,
       distributions: {},
       alertsCount: {
         total: 0,
@@ -832,7 +1071,10 @@ router.get('/stats/summary', authenticateToken, async (req, res) => {
       });
     });
 
-    res.json({ stats });
+    res.json({
+      stats,
+      range: { startDate: startDate || null, endDate: endDate || null, timezone }
+    });
 
   } catch (error) {
     console.error('Get stats error:', error);
@@ -876,22 +1118,8 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 
     console.log(`Deleting report ${report.id} by user ${req.user.id}`);
 
-    // DELETE RELATED RECORDS FIRST (cascade delete manually)
-    
-    // 1. Delete report alerts first
-    await ReportAlert.destroy({
-      where: { reportId: report.id }
-    });
-    console.log('Deleted alerts for report:', report.id);
-
-    // 2. Delete report distributions
-    await ReportDistribution.destroy({
-      where: { reportId: report.id }
-    });
-    console.log('Deleted distributions for report:', report.id);
-
-    // 3. Now delete the main report
-    await report.destroy();
+    // Alerts (with their timeline), distributions, encounters, comments and versions go with it
+    await deleteReport(report);
     console.log('Deleted report:', report.id);
 
     res.json({
@@ -946,6 +1174,8 @@ router.get('/dashboard/stats', authenticateToken, async (req, res) => {
 
     console.log(`Found ${userMaraudes.length} maraudes and ${userReports.length} reports`);
 
+    const attendance = await getAttendance(associationFilter, startDate, endDate);
+
     // Calculate statistics
     const stats = {
       // Maraudes stats
@@ -965,6 +1195,8 @@ router.get('/dashboard/stats', authenticateToken, async (req, res) => {
       validatedReports: userReports.filter(r => r.status === 'validated').length,
       pendingReports: userReports.filter(r => r.status === 'submitted').length,
       draftReports: userReports.filter(r => r.status === 'draft').length,
+      changesRequestedReports: userReports.filter(r => r.status === 'changes_requested').length,
+      rejectedReports: userReports.filter(r => r.status === 'rejected').length,
 
       // Average beneficiaries per report
       avgBeneficiariesPerReport: userReports.length > 0 ? 
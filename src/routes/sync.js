@@ -0,0 +1,51 @@
+// src/routes/sync.js - Offline-first sync of report entry (see services/syncService.js)
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { applyBatch, getChanges } = require('../services/syncService');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// POST /api/sync - Apply queued operations in order
+// { deviceId, operations: [{ opId, entity: report|distribution|alert, action: upsert|delete, id, data, lastSyncedAt, force }] }
+// Always 200: each operation has its own status (applied, conflict, rejected)
+router.post('/', async (req, res) => {
+  try {
+    const result = await applyBatch(req.user, req.body);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Sync error:', error);
+    res.status(500).json({
+      error: 'Failed to sync operations',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/sync/changes?since=ISO - Reports, distributions and alerts changed or deleted since the last pull
+// (admins: ?associationId to narrow it down)
+router.get('/changes', async (req, res) => {
+  try {
+    const result = await getChanges(req.user, req.query);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Get sync changes error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch changes',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,102 @@
+// src/routes/tiles.js - Mapbox Vector Tiles of the map layers (see services/tileService.js)
+const express = require('express');
+const { Merchant } = require('../models');
+const { authenticateToken } = require('../middleware/auth');
+const { LAYERS, MAX_ZOOM, parseTile, getTile } = require('../services/tileService');
+const { STATUS_TRANSITIONS } = require('../services/alertCaseService');
+
+const router = express.Router();
+
+const MVT_CONTENT_TYPE = 'application/vnd.mapbox-vector-tile';
+const MERCHANT_CATEGORIES = Merchant.rawAttributes.category.values;
+// Alerts are per association: never stored by shared caches
+const PRIVATE_LAYERS = ['alerts'];
+const MAX_AGE_SECONDS = 60;
+
+const authenticatePrivateLayers = (req, res, next) => (
+  PRIVATE_LAYERS.includes(req.params.layer) ? authenticateToken(req, res, next) : next()
+);
+
+// Layer filters from the query string: { filters } or { error, status }
+const layerFilters = (layer, req) => {
+  if (layer === 'merchants') {
+    const categories = req.query.category
+      ? String(req.query.category).split(',').map(value => value.trim()).filter(Boolean)
+      : undefined;
+    if (categories && categories.some(category => !MERCHANT_CATEGORIES.includes(category))) {
+      return { error: `category must be any of: ${MERCHANT_CATEGORIES.join(', ')}`, status: 400 };
+    }
+    return { filters: { categories } };
+  }
+
+  if (layer === 'maraudes') {
+    return { filters: { associationId: req.query.associationId || undefined } };
+  }
+
+  // alerts: the user's association (admins: all, or ?associationId); ?status=all for closed ones too
+  const associationId = req.user.role === 'admin' ? req.query.associationId || undefined : req.user.associationId;
+  if (!associationId && req.user.role !== 'admin') {
+    return { error: 'Access denied - no association', status: 403 };
+  }
+  return {
+    filters: {
+      associationId,
+      statuses: req.query.status === 'all' ? Object.keys(STATUS_TRANSITIONS) : undefined
+    }
+  };
+};
+
+// GET /api/tiles - Available layers and the tile URL template
+router.get('/', (req, res) => {
+  res.json({
+    layers: LAYERS,
+    tiles: `${req.baseUrl}/{layer}/{z}/{x}/{y}.mvt`,
+    minzoom: 0,
+    maxzoom: MAX_ZOOM,
+    private: PRIVATE_LAYERS
+  });
+});
+
+// GET /api/tiles/:layer/:z/:x/:y.mvt - One tile (204 when empty)
+// merchants: ?category comma list; maraudes: ?associationId; alerts (auth): ?status=all, admins ?associationId
+router.get('/:layer/:z/:x/:y.mvt', authenticatePrivateLayers, async (req, res) => {
+  try {
+    const { layer, z, x, y } = req.params;
+    if (!LAYERS.includes(layer)) {
+      return res.status(404).json({ error: `Unknown layer, use one of: ${LAYERS.join(', ')}` });
+    }
+
+    const parsed = parseTile(z, x, y);
+    if (parsed.error) {
+      return res.status(parsed.status).json({ error: parsed.error });
+    }
+
+    const options = layerFilters(layer, req);
+    if (options.error) {
+      return res.status(options.status).json({ error: options.error });
+    }
+
+    const result = await getTile(layer, parsed.tile, options.filters);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.set('Cache-Control', `${PRIVATE_LAYERS.includes(layer) ? 'private' : 'public'}, max-age=${MAX_AGE_SECONDS}`);
+    res.set('X-Tile-Cache', result.cached ? 'HIT' : 'MISS');
+    if (result.tile.length === 0) {
+      return res.status(204).end();
+    }
+
+    res.type(MVT_CONTENT_TYPE);
+    res.send(result.tile);
+
+  } catch (error) {
+    console.error('Get tile error:', error);
+    res.status(500).json({
+      error: 'Failed to generate tile',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
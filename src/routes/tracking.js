@@ -0,0 +1,208 @@
+// src/routes/tracking.js - Live tracking of maraudes in progress (see services/trackingService.js)
+const express = require('express');
+const { MaraudeAction, TrackingSession } = require('../models');
+const { authenticateToken, requireRole, acceptQueryToken } = require('../middleware/auth');
+const {
+  canViewSession,
+  serializeSession,
+  startSession,
+  recordPositions,
+  endSession,
+  getTrack,
+  listSessions
+} = require('../services/trackingService');
+const { subscribe } = require('../services/realtimeService');
+const { openEventStream } = require('../utils/sse');
+const { isValidDateOnly } = require('../utils/dateUtils');
+
+const router = express.Router();
+
+const TRACKING_EVENTS = ['tracking.started', 'tracking.position', 'tracking.ended'];
+
+// Association whose sessions the user can follow (admins: ?associationId or all)
+const followedAssociation = (req) => (
+  req.user.role === 'admin' ? req.query.associationId || undefined : req.user.associationId
+);
+
+// Load :id and check it can be seen, answering 404/403 itself
+const loadSession = async (req, res) => {
+  const session = await TrackingSession.findByPk(req.params.id);
+  if (!session) {
+    res.status(404).json({ error: 'Tracking session not found' });
+    return null;
+  }
+  if (!canViewSession(req.user, session)) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+  return session;
+};
+
+// GET /api/tracking/stream - Live events of the association's sessions (Server-Sent Events)
+// Events: snapshot (active sessions on connect), tracking.started, tracking.position, tracking.ended.
+// EventSource cannot send headers: pass the token as ?access_token=
+router.get('/stream', acceptQueryToken, authenticateToken, requireRole('coordinator', 'admin'), async (req, res) => {
+  try {
+    const associationId = followedAssociation(req);
+    if (!associationId && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Access denied - no association' });
+    }
+
+    const active = await listSessions(associationId, { status: 'active' });
+
+    const stream = openEventStream(req, res);
+    stream.send('snapshot', { sessions: active.map(serializeSession) });
+    subscribe(req.user, stream, { associationId, events: TRACKING_EVENTS, expiresAt: req.tokenExpiresAt });
+
+  } catch (error) {
+    console.error('Tracking stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Failed to open tracking stream',
+        details: error.message
+      });
+    }
+  }
+});
+
+// GET /api/tracking/sessions - Sessions of the association (?status=active|ended, ?date)
+router.get('/sessions', authenticateToken, requireRole('coordinator', 'admin'), async (req, res) => {
+  try {
+    const { status, date } = req.query;
+    if (status && !['active', 'ended'].includes(status)) {
+      return res.status(400).json({ error: 'status must be active or ended' });
+    }
+    if (date && !isValidDateOnly(date)) {
+      return res.status(400).json({ error: 'date must be formatted as YYYY-MM-DD' });
+    }
+
+    const associationId = followedAssociation(req);
+    if (!associationId && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Access denied - no association' });
+    }
+
+    const sessions = await listSessions(associationId, { status, date });
+    res.json({ sessions: sessions.map(serializeSession) });
+
+  } catch (error) {
+    console.error('List tracking sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch tracking sessions',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/tracking/sessions - Start (or resume) tracking a session: { maraudeActionId, date? }
+router.post('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const { maraudeActionId, date } = req.body;
+    if (!maraudeActionId) {
+      return res.status(400).json({ error: 'maraudeActionId is required' });
+    }
+    if (date !== undefined && !isValidDateOnly(date)) {
+      return res.status(400).json({ error: 'date must be formatted as YYYY-MM-DD' });
+    }
+
+    const action = await MaraudeAction.findByPk(maraudeActionId);
+    if (!action) {
+      return res.status(404).json({ error: 'Maraude action not found' });
+    }
+
+    const result = await startSession(action, req.user, date);
+    if (result.error) {
+      return res.status(result.status).json({
+        error: result.error,
+        ...(result.session ? { session: serializeSession(result.session) } : {})
+      });
+    }
+
+    res.status(result.created ? 201 : 200).json({
+      message: result.created ? 'Tracking started' : 'Tracking resumed',
+      session: serializeSession(result.session)
+    });
+
+  } catch (error) {
+    console.error('Start tracking error:', error);
+    res.status(500).json({
+      error: 'Failed to start tracking',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/tracking/sessions/:id - Session with its track (GeoJSON) (tracker or coordinators)
+router.get('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const session = await loadSession(req, res);
+    if (!session) return;
+
+    const track = await getTrack(session);
+    res.json({
+      session: serializeSession(session),
+      track: track.geometry,
+      polyline: track.polyline
+    });
+
+  } catch (error) {
+    console.error('Get tracking session error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch tracking session',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/tracking/sessions/:id/positions - Positions from the tracking phone
+// { latitude, longitude, accuracy?, recordedAt? } or { positions: [...] } for buffered ones
+router.post('/sessions/:id/positions', authenticateToken, async (req, res) => {
+  try {
+    const session = await loadSession(req, res);
+    if (!session) return;
+
+    const result = await recordPositions(session, req.user, req.body);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({
+      accepted: result.accepted,
+      skipped: result.skipped,
+      session: serializeSession(result.session)
+    });
+
+  } catch (error) {
+    console.error('Record positions error:', error);
+    res.status(500).json({
+      error: 'Failed to record positions',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/tracking/sessions/:id/end - Stop tracking (tracker or coordinators)
+router.post('/sessions/:id/end', authenticateToken, async (req, res) => {
+  try {
+    const session = await loadSession(req, res);
+    if (!session) return;
+
+    const result = await endSession(session, req.user);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({
+      message: 'Tracking ended',
+      session: serializeSession(result.session)
+    });
+
+  } catch (error) {
+    console.error('End tracking error:', error);
+    res.status(500).json({
+      error: 'Failed to end tracking',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,9 @@
 const express = require('express');
-const { User, Association, MaraudeAction } = require('../models');
+const { Op } = require('sequelize');
+const { User, Association, MaraudeAction, MaraudeParticipation } = require('../models');
 const { authenticateToken, requireRole } = require('../middleware/auth');
+const { DEFAULT_TIMEZONE, today, isValidDateOnly } = require('../utils/dateUtils');
+const { normalizeSkill } = require('../utils/staffing');
 
 const router = express.Router();
 
@@ -154,7 +157,8 @@ router.put('/:id', authenticateToken, async (req, res) => {
       email,
       phone,
       role,
-      isActive
+      isActive,
+      skills
     } = req.body;
 
     const updateData = {
@@ -174,6 +178,14 @@ router.put('/:id', authenticateToken, async (req, res) => {
       }
     }
 
+    // Trainings (team leader, first aid...) are validated by coordinators/admins
+    if (skills !== undefined && ['coordinator', 'admin'].includes(req.user.role)) {
+      if (!Array.isArray(skills) || !skills.every(skill => typeof skill === 'string' && skill.trim())) {
+        return res.status(400).json({ error: 'skills must be an array of strings' });
+      }
+      updateData.skills = [...new Set(skills.map(normalizeSkill))];
+    }
+
     await user.update(updateData);
 
     // Fetch updated user
@@ -358,4 +370,69 @@ router.get('/:id/stats', authenticateToken, async (req, res) => {
   }
 });
 
+// GET /api/users/:id/participations - Maraude sessions a volunteer signed up for
+router.get('/:id/participations', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.params.id === 'me' ? req.user.id : req.params.id;
+
+    const canView = (
+      userId === req.user.id ||
+      ['coordinator', 'admin'].includes(req.user.role)
+    );
+
+    if (!canView) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const user = await User.findByPk(userId, { attributes: ['id', 'associationId'] });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (req.user.role !== 'admin' &&
+        req.user.associationId !== user.associationId &&
+        userId !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied - different association' });
+    }
+
+    // Upcoming sessions by default
+    const from = req.query.from || today(req.user.association?.timezone || DEFAULT_TIMEZONE);
+    const { to, status } = req.query;
+
+    if (!isValidDateOnly(from) || (to && !isValidDateOnly(to))) {
+      return res.status(400).json({ error: 'from/to must be dates (YYYY-MM-DD)' });
+    }
+
+    const whereClause = {
+      userId,
+      occurrenceDate: to ? { [Op.between]: [from, to] } : { [Op.gte]: from },
+      status: status || { [Op.in]: ['confirmed', 'waitlisted'] }
+    };
+
+    const participations = await MaraudeParticipation.findAll({
+      where: whereClause,
+      include: [
+        {
+          model: MaraudeAction,
+          as: 'maraudeAction',
+          attributes: ['id', 'title', 'startTime', 'endTime', 'startAddress', 'associationId']
+        }
+      ],
+      order: [['occurrenceDate', 'ASC']]
+    });
+
+    res.json({
+      participations,
+      count: participations.length
+    });
+
+  } catch (error) {
+    console.error('Get user participations error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch participations',
+      details: error.message 
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
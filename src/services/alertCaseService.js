@@ -0,0 +1,335 @@
+// src/services/alertCaseService.js - Follow-up cases built on report alerts
+const { Op } = require('sequelize');
+const {
+  sequelize,
+  ReportAlert,
+  AlertAction,
+  MaraudeReport,
+  MaraudeAction,
+  User
+} = require('../models');
+const { buildGeoQuery } = require('./geoService');
+
+// Cases still waiting for a follow-up
+const OPEN_STATUSES = ['open', 'in_progress', 'escalated'];
+
+// Allowed status changes (resolved -> open reopens a case)
+const STATUS_TRANSITIONS = {
+  open: ['in_progress', 'escalated', 'resolved'],
+  in_progress: ['open', 'escalated', 'resolved'],
+  escalated: ['in_progress', 'resolved'],
+  resolved: ['open']
+};
+
+// Timeline entries users can add by hand
+const MANUAL_ACTION_TYPES = ['note', 'contact', 'referral'];
+
+// Alert fields editable through the report form
+const ALERT_CONTENT_FIELDS = [
+  'alertType', 'severity', 'beneficiaryId',
+  'locationLatitude', 'locationLongitude', 'locationAddress',
+  'personDescription', 'situationDescription', 'actionTaken',
+  'followUpRequired', 'followUpNotes'
+];
+
+const MAX_PAGE_SIZE = 100;
+
+// Report + maraude of an alert, optionally restricted to one association
+const reportInclude = (associationId) => ({
+  model: MaraudeReport,
+  as: 'report',
+  attributes: ['id', 'reportDate', 'maraudeActionId', 'createdBy'],
+  required: true,
+  include: [
+    {
+      model: MaraudeAction,
+      as: 'maraudeAction',
+      attributes: ['id', 'title', 'associationId'],
+      required: true,
+      ...(associationId ? { where: { associationId } } : {})
+    }
+  ]
+});
+
+const userAttributes = ['id', 'firstName', 'lastName'];
+
+// API representation of a case
+const serializeCase = (alert, now = new Date()) => ({
+  ...alert.toJSON(),
+  severityLabel: alert.getSeverityLabel(),
+  typeLabel: alert.getTypeLabel(),
+  statusLabel: alert.getStatusLabel(),
+  isOverdue: alert.isOverdue(now)
+});
+
+/**
+ * Page of cases, earliest due date first
+ * @param {Object} filters
+ * @param {string} [filters.associationId]
+ * @param {string[]} [filters.statuses=OPEN_STATUSES]
+ * @param {string} [filters.severity]
+ * @param {string} [filters.alertType]
+ * @param {string} [filters.assigneeId]
+ * @param {boolean} [filters.overdue] - only open cases past their due date
+ * @param {Object} [filters.near] - { point, radiusKm }: within the radius, nearest first, with distanceKm
+ * @param {Object} [filters.area] - GeoJSON polygon the alert lies in (see geoService.parseGeoFilters)
+ * @returns {Promise<{cases: Object[], summary: Object, pagination: Object}>}
+ */
+async function listCases(filters, { page = 1, limit = 20 } = {}) {
+  const now = new Date();
+  const whereClause = {
+    status: { [Op.in]: filters.statuses || OPEN_STATUSES }
+  };
+
+  if (filters.severity) whereClause.severity = filters.severity;
+  if (filters.alertType) whereClause.alertType = filters.alertType;
+  if (filters.assigneeId) whereClause.assigneeId = filters.assigneeId;
+  if (filters.overdue) {
+    whereClause.status = { [Op.in]: OPEN_STATUSES.filter(status => (filters.statuses || OPEN_STATUSES).includes(status)) };
+    whereClause.dueAt = { [Op.lt]: now };
+  }
+
+  const geo = buildGeoQuery(ReportAlert, ['location'], filters);
+  if (geo.where.length > 0) {
+    whereClause[Op.and] = geo.where;
+  }
+
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_PAGE_SIZE);
+
+  const [{ count, rows }, openCases] = await Promise.all([
+    ReportAlert.findAndCountAll({
+      where: whereClause,
+      attributes: { include: geo.attributes },
+      include: [
+        reportInclude(filters.associationId),
+        { model: User, as: 'assignee', attributes: userAttributes }
+      ],
+      order: [...geo.order, ['dueAt', 'ASC'], ['createdAt', 'ASC']],
+      limit: pageSize,
+      offset: (pageNumber - 1) * pageSize,
+      distinct: true
+    }),
+    // Counters of the association's open cases, whatever the filters
+    ReportAlert.findAll({
+      where: { status: { [Op.in]: OPEN_STATUSES } },
+      attributes: ['id', 'status', 'dueAt'],
+      include: [reportInclude(filters.associationId)]
+    })
+  ]);
+
+  const summary = { open: 0, in_progress: 0, escalated: 0, overdue: 0 };
+  openCases.forEach(alert => {
+    summary[alert.status]++;
+    if (alert.isOverdue(now)) summary.overdue++;
+  });
+
+  return {
+    cases: rows.map(alert => serializeCase(alert, now)),
+    summary,
+    pagination: {
+      total: count,
+      page: pageNumber,
+      limit: pageSize,
+      pages: Math.ceil(count / pageSize)
+    }
+  };
+}
+
+/**
+ * One case with its report, people and timeline
+ * @returns {Promise<Object|null>} ReportAlert instance
+ */
+function findCase(alertId) {
+  return ReportAlert.findByPk(alertId, {
+    include: [
+      reportInclude(),
+      { model: User, as: 'assignee', attributes: userAttributes },
+      { model: User, as: 'resolver', attributes: userAttributes },
+      { model: User, as: 'acknowledger', attributes: userAttributes },
+      {
+        model: AlertAction,
+        as: 'actions',
+        include: [{ model: User, as: 'actor', attributes: userAttributes }]
+      }
+    ],
+    order: [[{ model: AlertAction, as: 'actions' }, 'createdAt', 'ASC']]
+  });
+}
+
+// Working on a case acknowledges it (stops notification escalations)
+const acknowledgement = (alert, actorId) => (
+  !alert.acknowledgedAt && actorId ? { acknowledgedAt: new Date(), acknowledgedBy: actorId } : {}
+);
+
+// Append a timeline entry
+function addAction(alert, actorId, type, { note = null, fromStatus = null, toStatus = null, metadata = null, transaction } = {}) {
+  return AlertAction.create({
+    alertId: alert.id,
+    actorId,
+    type,
+    note,
+    fromStatus,
+    toStatus,
+    metadata
+  }, { transaction });
+}
+
+/**
+ * Move a case to another status. Resolving or escalating needs a note.
+ * @param {Object} alert - ReportAlert instance
+ * @param {string|null} actorId - null for automatic changes
+ * @param {string} status
+ * @param {string} [note]
+ * @returns {Promise<{alert?: Object, action?: Object, error?: string, status?: number}>}
+ */
+async function changeStatus(alert, actorId, status, note) {
+  const text = note?.trim() || null;
+
+  if (!STATUS_TRANSITIONS[alert.status]?.includes(status)) {
+    return { error: `Cannot move a case from ${alert.status} to ${status}`, status: 400 };
+  }
+
+  if (['resolved', 'escalated'].includes(status) && !text) {
+    return { error: `A note is required to mark a case as ${status}`, status: 400 };
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    const fromStatus = alert.status;
+    const updateData = { status, ...acknowledgement(alert, actorId) };
+
+    if (status === 'resolved') {
+      Object.assign(updateData, { resolvedAt: new Date(), resolvedBy: actorId });
+    } else if (fromStatus === 'resolved') {
+      Object.assign(updateData, { resolvedAt: null, resolvedBy: null });
+    }
+
+    await alert.update(updateData, { transaction });
+    const action = await addAction(alert, actorId, 'status_changed', {
+      note: text,
+      fromStatus,
+      toStatus: status,
+      transaction
+    });
+
+    return { alert, action };
+  });
+}
+
+/**
+ * Assign a case (null unassigns it)
+ * @returns {Promise<{alert: Object, action: Object}>}
+ */
+async function assignCase(alert, actorId, assigneeId, note) {
+  return sequelize.transaction(async (transaction) => {
+    const previousAssigneeId = alert.assigneeId;
+    await alert.update({ assigneeId, ...acknowledgement(alert, actorId) }, { transaction });
+
+    const action = await addAction(alert, actorId, 'assigned', {
+      note: note?.trim() || null,
+      metadata: { assigneeId, previousAssigneeId },
+      transaction
+    });
+
+    return { alert, action };
+  });
+}
+
+/**
+ * Move the due date of a case
+ * @returns {Promise<{alert: Object, action: Object}>}
+ */
+async function setDueDate(alert, actorId, dueAt, note) {
+  return sequelize.transaction(async (transaction) => {
+    const previousDueAt = alert.dueAt;
+    await alert.update({ dueAt }, { transaction });
+
+    const action = await addAction(alert, actorId, 'due_date_changed', {
+      note: note?.trim() || null,
+      metadata: { dueAt, previousDueAt },
+      transaction
+    });
+
+    return { alert, action };
+  });
+}
+
+// A case someone already worked on must not disappear with a report edit
+const hasFollowUp = async (alert, transaction) => (
+  alert.status !== 'open' ||
+  !!alert.assigneeId ||
+  await AlertAction.count({ where: { alertId: alert.id }, transaction }) > 0
+);
+
+/**
+ * Apply the alerts of a report edit without losing follow-up data:
+ * alerts sent with their `id` are updated in place, new ones are created,
+ * missing ones are deleted unless their case has been worked on.
+ * @param {Object} report - MaraudeReport instance
+ * @param {Object[]} alerts - alerts of the request body
+ * @returns {Promise<{error?: string, status?: number}>}
+ */
+async function syncReportAlerts(report, alerts, { transaction } = {}) {
+  const existing = await ReportAlert.findAll({ where: { reportId: report.id }, transaction });
+  const existingById = new Map(existing.map(alert => [alert.id, alert]));
+  const sentIds = new Set(alerts.filter(alert => alert.id).map(alert => alert.id));
+
+  const unknown = [...sentIds].filter(id => !existingById.has(id));
+  if (unknown.length > 0) {
+    return { error: `Unknown alert id(s) for this report: ${unknown.join(', ')}`, status: 400 };
+  }
+
+  const removed = existing.filter(alert => !sentIds.has(alert.id));
+  const locked = [];
+  for (const alert of removed) {
+    if (await hasFollowUp(alert, transaction)) {
+      locked.push(alert.id);
+    }
+  }
+  if (locked.length > 0) {
+    return {
+      error: `Alert(s) with an ongoing follow-up cannot be removed from the report: ${locked.join(', ')}`,
+      status: 409
+    };
+  }
+
+  for (const alert of removed) {
+    await alert.destroy({ transaction });
+  }
+
+  for (const data of alerts) {
+    const content = ALERT_CONTENT_FIELDS.reduce((acc, field) => {
+      if (data[field] !== undefined) acc[field] = data[field];
+      return acc;
+    }, {});
+
+    if (data.id) {
+      const alert = existingById.get(data.id);
+      // New severity, new deadline (counted from when the alert was raised)
+      if (content.severity && content.severity !== alert.severity) {
+        content.dueAt = ReportAlert.computeDueAt(content.severity, alert.createdAt);
+      }
+      await alert.update(content, { transaction });
+    } else {
+      await ReportAlert.create({ reportId: report.id, ...content }, { transaction });
+    }
+  }
+
+  return {};
+}
+
+module.exports = {
+  OPEN_STATUSES,
+  STATUS_TRANSITIONS,
+  MANUAL_ACTION_TYPES,
+  ALERT_CONTENT_FIELDS,
+  serializeCase,
+  listCases,
+  findCase,
+  addAction,
+  changeStatus,
+  assignCase,
+  setDueDate,
+  hasFollowUp,
+  syncReportAlerts
+};
@@ -0,0 +1,417 @@
+// src/services/alertNotificationService.js - Immediate notification of critical/high alerts,
+// with deduplication and escalation while nobody acknowledges them
+const { Op } = require('sequelize');
+const {
+  sequelize,
+  ReportAlert,
+  AlertNotification,
+  AlertAction,
+  MaraudeReport,
+  MaraudeAction,
+  Association,
+  User
+} = require('../models');
+const { eventBus } = require('../utils/eventBus');
+const { toPoint, roundCoordinate, haversineDistance } = require('../utils/geo');
+const { DEFAULT_TIMEZONE } = require('../utils/dateUtils');
+const emailChannel = require('./notificationChannels/email');
+const webhookChannel = require('./notificationChannels/webhook');
+const smsChannel = require('./notificationChannels/sms');
+
+const NOTIFIED_SEVERITIES = ['critical', 'high'];
+
+// Third-party webhooks and SMS get positions rounded to ~100 m (same as the alert map layer)
+const WEBHOOK_COORDINATE_DECIMALS = 3;
+
+// Same type, same place, same association within this window: one notification only
+const DEDUP_WINDOW_MINUTES = parseInt(process.env.ALERT_DEDUP_WINDOW_MINUTES, 10) || 120;
+const DEDUP_RADIUS_METERS = 200;
+
+// Delay without acknowledgement before each escalation, by severity
+const ESCALATION_DELAY_MINUTES = {
+  critical: 30,
+  high: 120
+};
+const MAX_ESCALATION_LEVEL = 2;
+
+// Registered channels by name. Channel interface:
+//   { name, isEnabled(): boolean, send(message, recipients): Promise<[{ userId, recipient, ok, error }]> }
+const channels = new Map();
+
+/**
+ * Add (or replace) a delivery channel, e.g. a push or messaging integration
+ * @param {Object} channel - see interface above
+ */
+function registerChannel(channel) {
+  if (!channel || !channel.name || typeof channel.send !== 'function') {
+    throw new Error('A notification channel needs a name and a send(message, recipients) function');
+  }
+  channels.set(channel.name, channel);
+}
+
+const enabledChannels = () => [...channels.values()]
+  .filter(channel => !channel.isEnabled || channel.isEnabled());
+
+[emailChannel, webhookChannel, smsChannel].forEach(registerChannel);
+
+// Alert with its report, maraude and association
+const loadAlert = (alertId) => ReportAlert.findByPk(alertId, {
+  include: [
+    {
+      model: MaraudeReport,
+      as: 'report',
+      attributes: ['id', 'reportDate', 'maraudeActionId'],
+      include: [
+        {
+          model: MaraudeAction,
+          as: 'maraudeAction',
+          attributes: ['id', 'title', 'associationId'],
+          include: [{ model: Association, as: 'association', attributes: ['id', 'name', 'timezone'] }]
+        }
+      ]
+    }
+  ]
+});
+
+/**
+ * Who gets notified at each level:
+ * 0 - coordinators of the association
+ * 1 - coordinators and administrators of the association
+ * 2+ - the above and every platform administrator
+ * @returns {Promise<Object[]>} active users
+ */
+async function getRecipients(associationId, level) {
+  const where = { isActive: true };
+
+  if (level === 0) {
+    Object.assign(where, { associationId, role: 'coordinator' });
+  } else if (level === 1) {
+    Object.assign(where, { associationId, role: { [Op.in]: ['coordinator', 'admin'] } });
+  } else {
+    where[Op.or] = [
+      { associationId, role: { [Op.in]: ['coordinator', 'admin'] } },
+      { role: 'admin' }
+    ];
+  }
+
+  return User.findAll({
+    where,
+    attributes: ['id', 'firstName', 'lastName', 'email', 'phone', 'role']
+  });
+}
+
+// Page of the report in the web app (FRONTEND_URL), null when not configured
+const reportUrl = (reportId) => (
+  process.env.FRONTEND_URL && reportId
+    ? `${process.env.FRONTEND_URL.replace(/\/$/, '')}/reports/${reportId}`
+    : null
+);
+
+/**
+ * Channel-independent content of a notification. `webhook` and `sms` are what may leave
+ * for a third party: type, severity, coarse position (and ids, due date or a link to the
+ * report), no free text.
+ * @returns {{subject: string, text: string, sms: string, data: Object, webhook: {subject: string, alert: Object}}}
+ */
+function buildAlertMessage(alert, level = 0) {
+  const maraude = alert.report?.maraudeAction;
+  const timezone = maraude?.association?.timezone || DEFAULT_TIMEZONE;
+  const point = toPoint(alert.locationLatitude, alert.locationLongitude);
+  const location = alert.locationAddress ||
+    (point ? `${point.latitude.toFixed(5)}, ${point.longitude.toFixed(5)}` : null);
+
+  const data = {
+    alertId: alert.id,
+    reportId: alert.reportId,
+    associationId: maraude?.associationId || null,
+    associationName: maraude?.association?.name || null,
+    maraudeTitle: maraude?.title || null,
+    reportDate: alert.report?.reportDate || null,
+    alertType: alert.alertType,
+    typeLabel: alert.getTypeLabel(),
+    severity: alert.severity,
+    severityLabel: alert.getSeverityLabel(),
+    location,
+    latitude: point?.latitude ?? null,
+    longitude: point?.longitude ?? null,
+    situationDescription: alert.situationDescription,
+    personDescription: alert.personDescription || null,
+    actionTaken: alert.actionTaken || null,
+    dueAt: alert.dueAt,
+    dueAtLabel: alert.dueAt
+      ? new Date(alert.dueAt).toLocaleString('fr-FR', { timeZone: timezone })
+      : null,
+    level
+  };
+
+  const prefix = level > 0 ? `RELANCE ${level} - ` : '';
+  const subject = `${prefix}Alerte ${data.severityLabel.toLowerCase()} : ${data.typeLabel}${location ? ` - ${location}` : ''}`;
+  const text = [
+    subject,
+    data.maraudeTitle ? `Maraude : ${data.maraudeTitle} (${data.reportDate})` : null,
+    `Situation : ${data.situationDescription || ''}`,
+    data.actionTaken ? `Action menée : ${data.actionTaken}` : null
+  ].filter(Boolean).join('\n');
+
+  const coarse = point && {
+    latitude: roundCoordinate(point.latitude, WEBHOOK_COORDINATE_DECIMALS),
+    longitude: roundCoordinate(point.longitude, WEBHOOK_COORDINATE_DECIMALS)
+  };
+
+  const webhook = {
+    subject: `${prefix}Alerte ${data.severityLabel.toLowerCase()} : ${data.typeLabel}`,
+    alert: {
+      alertId: data.alertId,
+      reportId: data.reportId,
+      associationId: data.associationId,
+      alertType: data.alertType,
+      severity: data.severity,
+      latitude: coarse ? coarse.latitude : null,
+      longitude: coarse ? coarse.longitude : null,
+      dueAt: data.dueAt,
+      level
+    }
+  };
+
+  const sms = [
+    webhook.subject,
+    coarse ? `Zone : ${coarse.latitude}, ${coarse.longitude}` : null,
+    reportUrl(data.reportId)
+  ].filter(Boolean).join('\n');
+
+  return { subject, text, sms, data, webhook };
+}
+
+/**
+ * An alert of the same association, type and place already notified
+ * within the dedup window (and not resolved), if any
+ * @returns {Promise<Object|null>} ReportAlert
+ */
+async function findDuplicate(alert) {
+  const associationId = alert.report.maraudeAction.associationId;
+  const since = new Date(new Date(alert.createdAt).getTime() - DEDUP_WINDOW_MINUTES * 60 * 1000);
+
+  const candidates = await ReportAlert.findAll({
+    where: {
+      id: { [Op.ne]: alert.id },
+      alertType: alert.alertType,
+      status: { [Op.ne]: 'resolved' },
+      notifiedAt: { [Op.ne]: null },
+      createdAt: { [Op.gte]: since }
+    },
+    include: [
+      {
+        model: MaraudeReport,
+        as: 'report',
+        attributes: ['id'],
+        required: true,
+        include: [
+          {
+            model: MaraudeAction,
+            as: 'maraudeAction',
+            attributes: ['id'],
+            required: true,
+            where: { associationId }
+          }
+        ]
+      }
+    ],
+    order: [['createdAt', 'DESC']]
+  });
+
+  const point = toPoint(alert.locationLatitude, alert.locationLongitude);
+  const address = alert.locationAddress?.trim().toLowerCase();
+
+  return candidates.find(candidate => {
+    const candidatePoint = toPoint(candidate.locationLatitude, candidate.locationLongitude);
+    if (point && candidatePoint) {
+      return haversineDistance(point, candidatePoint) <= DEDUP_RADIUS_METERS;
+    }
+    if (address) {
+      return candidate.locationAddress?.trim().toLowerCase() === address;
+    }
+    // No location at all: same report only
+    return candidate.reportId === alert.reportId;
+  }) || null;
+}
+
+/**
+ * Send an alert on every enabled channel and record each delivery
+ * @param {Object} alert - ReportAlert loaded with loadAlert
+ * @param {number} level - 0 for the first notification, 1+ for escalations
+ * @returns {Promise<Object[]>} AlertNotification rows
+ */
+async function dispatch(alert, level) {
+  const associationId = alert.report.maraudeAction.associationId;
+  const recipients = await getRecipients(associationId, level);
+  const message = buildAlertMessage(alert, level);
+
+  const results = [];
+  for (const channel of enabledChannels()) {
+    try {
+      const delivered = await channel.send(message, recipients);
+      delivered.forEach(result => results.push({ channel: channel.name, ...result }));
+    } catch (error) {
+      console.error(`Alert notification channel ${channel.name} failed:`, error);
+      results.push({ channel: channel.name, userId: null, recipient: null, ok: false, error: error.message });
+    }
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    const notifications = await AlertNotification.bulkCreate(results.map(result => ({
+      alertId: alert.id,
+      channel: result.channel,
+      recipient: result.recipient,
+      userId: result.userId,
+      level,
+      status: result.ok ? 'sent' : 'failed',
+      error: result.error || null
+    })), { transaction });
+
+    const now = new Date();
+    await alert.update(level === 0
+      ? { notifiedAt: now }
+      : { escalationLevel: level, lastEscalatedAt: now }, { transaction });
+
+    await AlertAction.create({
+      alertId: alert.id,
+      actorId: null,
+      type: 'notified',
+      note: level > 0 ? `Relance n°${level} : alerte non prise en charge` : null,
+      metadata: {
+        level,
+        recipients: recipients.length,
+        sent: results.filter(result => result.ok).length,
+        failed: results.filter(result => !result.ok).length,
+        channels: [...new Set(results.map(result => result.channel))]
+      }
+    }, { transaction });
+
+    return notifications;
+  });
+}
+
+/**
+ * First notification of a newly created alert (critical/high only)
+ * @returns {Promise<{skipped?: string, duplicateOf?: string, notifications?: Object[]}>}
+ */
+async function notifyAlert(alertId) {
+  const alert = await loadAlert(alertId);
+  if (!alert || !alert.report?.maraudeAction) {
+    return { skipped: 'not_found' };
+  }
+
+  if (!NOTIFIED_SEVERITIES.includes(alert.severity)) {
+    return { skipped: 'severity' };
+  }
+
+  if (alert.notifiedAt) {
+    return { skipped: 'already_notified' };
+  }
+
+  const duplicate = await findDuplicate(alert);
+  if (duplicate) {
+    await AlertNotification.create({
+      alertId: alert.id,
+      channel: 'none',
+      level: 0,
+      status: 'suppressed',
+      duplicateOfId: duplicate.id
+    });
+    await AlertAction.create({
+      alertId: alert.id,
+      actorId: null,
+      type: 'notified',
+      note: 'Notification non envoyée : alerte similaire déjà signalée',
+      metadata: { level: 0, duplicateOf: duplicate.id }
+    });
+    return { duplicateOf: duplicate.id };
+  }
+
+  const notifications = await dispatch(alert, 0);
+  return { notifications };
+}
+
+/**
+ * Mark an alert as taken into account: stops escalations
+ * @returns {Promise<{alert?: Object, error?: string, status?: number}>}
+ */
+async function acknowledgeAlert(alert, userId) {
+  if (alert.acknowledgedAt) {
+    return { error: 'Alert already acknowledged', status: 409 };
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    await alert.update({ acknowledgedAt: new Date(), acknowledgedBy: userId }, { transaction });
+    await AlertAction.create({
+      alertId: alert.id,
+      actorId: userId,
+      type: 'acknowledged'
+    }, { transaction });
+    return { alert };
+  });
+}
+
+/**
+ * Escalate notified alerts nobody acknowledged in time
+ * @param {Date} [now]
+ * @returns {Promise<Object[]>} [{ alertId, level }]
+ */
+async function escalateUnacknowledged(now = new Date()) {
+  const pending = await ReportAlert.findAll({
+    where: {
+      severity: { [Op.in]: NOTIFIED_SEVERITIES },
+      status: { [Op.in]: ['open', 'escalated'] },
+      notifiedAt: { [Op.ne]: null },
+      acknowledgedAt: null,
+      escalationLevel: { [Op.lt]: MAX_ESCALATION_LEVEL }
+    },
+    attributes: ['id', 'severity', 'notifiedAt', 'lastEscalatedAt']
+  });
+
+  const escalated = [];
+  for (const candidate of pending) {
+    const since = new Date(candidate.lastEscalatedAt || candidate.notifiedAt);
+    const delay = ESCALATION_DELAY_MINUTES[candidate.severity] * 60 * 1000;
+    if (now.getTime() - since.getTime() < delay) continue;
+
+    try {
+      const alert = await loadAlert(candidate.id);
+      const level = alert.escalationLevel + 1;
+      await dispatch(alert, level);
+      escalated.push({ alertId: alert.id, level });
+    } catch (error) {
+      console.error(`Escalation of alert ${candidate.id} failed:`, error);
+    }
+  }
+  return escalated;
+}
+
+let listening = false;
+
+// Subscribe to 'alert.created' (see models/reportAlert.js). Called once at startup.
+function startAlertNotifications() {
+  if (listening) return;
+  listening = true;
+
+  eventBus.on('alert.created', ({ alertId }) => {
+    notifyAlert(alertId).catch(error => {
+      console.error(`Notification of alert ${alertId} failed:`, error);
+    });
+  });
+  console.log(`🚨 Alert notifications enabled (${enabledChannels().map(channel => channel.name).join(', ') || 'no channel configured'})`);
+}
+
+module.exports = {
+  NOTIFIED_SEVERITIES,
+  ESCALATION_DELAY_MINUTES,
+  MAX_ESCALATION_LEVEL,
+  registerChannel,
+  getRecipients,
+  buildAlertMessage,
+  findDuplicate,
+  notifyAlert,
+  acknowledgeAlert,
+  escalateUnacknowledged,
+  startAlertNotifications
+};
@@ -0,0 +1,97 @@
+// src/services/auditService.js - Browsing the audit trail written by models/auditHooks.js
+const { Op } = require('sequelize');
+const { AuditLog, User } = require('../models');
+const { addDays, zonedDateTime } = require('../utils/dateUtils');
+
+// URL names of audited entities -> model names
+const ENTITY_TYPES = {
+  associations: 'Association',
+  users: 'User',
+  maraudes: 'MaraudeAction',
+  occurrences: 'MaraudeOccurrence',
+  participations: 'MaraudeParticipation',
+  reports: 'MaraudeReport',
+  distributions: 'ReportDistribution',
+  alerts: 'ReportAlert',
+  'alert-actions': 'AlertAction',
+  'report-comments': 'ReportComment',
+  'report-versions': 'ReportVersion',
+  beneficiaries: 'Beneficiary',
+  encounters: 'BeneficiaryEncounter',
+  merchants: 'Merchant',
+  'distribution-types': 'DistributionType'
+};
+
+const MAX_PAGE_SIZE = 200;
+
+// 'reports' or 'MaraudeReport' -> 'MaraudeReport' (null when unknown)
+const resolveEntityType = (value) => {
+  if (!value) return null;
+  if (ENTITY_TYPES[value]) return ENTITY_TYPES[value];
+  return Object.values(ENTITY_TYPES).includes(value) ? value : null;
+};
+
+/**
+ * Page of audit rows, most recent first
+ * @param {Object} filters
+ * @param {string} [filters.entityType] - model name
+ * @param {string} [filters.entityId]
+ * @param {string} [filters.actorId]
+ * @param {string} [filters.associationId] - scope (forced for coordinators)
+ * @param {string} [filters.action] - create, update or delete
+ * @param {string} [filters.from] - YYYY-MM-DD, local day of `timezone`
+ * @param {string} [filters.to] - YYYY-MM-DD, inclusive
+ * @param {string} [filters.timezone]
+ * @param {Object} [pagination]
+ * @returns {Promise<{entries: Object[], pagination: Object}>}
+ */
+async function getHistory(filters, { page = 1, limit = 50 } = {}) {
+  const whereClause = {};
+
+  ['entityType', 'entityId', 'actorId', 'associationId', 'action'].forEach(field => {
+    if (filters[field]) whereClause[field] = filters[field];
+  });
+
+  if (filters.from || filters.to) {
+    whereClause.createdAt = {};
+    if (filters.from) {
+      whereClause.createdAt[Op.gte] = zonedDateTime(filters.from, '00:00:00', filters.timezone);
+    }
+    if (filters.to) {
+      whereClause.createdAt[Op.lt] = zonedDateTime(addDays(filters.to, 1), '00:00:00', filters.timezone);
+    }
+  }
+
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_PAGE_SIZE);
+
+  const { count, rows } = await AuditLog.findAndCountAll({
+    where: whereClause,
+    include: [
+      {
+        model: User,
+        as: 'actor',
+        attributes: ['id', 'firstName', 'lastName', 'role']
+      }
+    ],
+    order: [['createdAt', 'DESC']],
+    limit: pageSize,
+    offset: (pageNumber - 1) * pageSize
+  });
+
+  return {
+    entries: rows,
+    pagination: {
+      total: count,
+      page: pageNumber,
+      limit: pageSize,
+      pages: Math.ceil(count / pageSize)
+    }
+  };
+}
+
+module.exports = {
+  ENTITY_TYPES,
+  resolveEntityType,
+  getHistory
+};
@@ -0,0 +1,359 @@
+// src/services/beneficiaryService.js - Pseudonymous beneficiary registry and encounters recorded in reports
+const { Op, fn, col } = require('sequelize');
+const {
+  Beneficiary,
+  BeneficiaryEncounter,
+  MaraudeReport,
+  MaraudeAction,
+  ReportAlert
+} = require('../models');
+const {
+  AGE_RANGES,
+  generatePseudonym,
+  normalizeNeeds,
+  approximateCoordinate
+} = require('../utils/beneficiaries');
+
+// Profile fields users can set (pseudonym and counters are managed here)
+const PROFILE_FIELDS = ['nickname', 'ageRange', 'usualLocation', 'usualLatitude', 'usualLongitude', 'needs', 'notes'];
+
+const MAX_PSEUDONYM_ATTEMPTS = 5;
+
+/**
+ * Validate profile data coming from a request
+ * @param {Object} data
+ * @returns {{profile?: Object, error?: string}}
+ */
+function buildProfile(data) {
+  const profile = {};
+  PROFILE_FIELDS.forEach(field => {
+    if (data[field] !== undefined) profile[field] = data[field];
+  });
+
+  if (profile.ageRange !== undefined && !AGE_RANGES.includes(profile.ageRange)) {
+    return { error: `ageRange must be one of: ${AGE_RANGES.join(', ')}` };
+  }
+
+  if (profile.needs !== undefined) {
+    try {
+      profile.needs = normalizeNeeds(profile.needs);
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  // Only an approximate position is kept
+  ['usualLatitude', 'usualLongitude'].forEach(field => {
+    if (profile[field] !== undefined) profile[field] = approximateCoordinate(profile[field]);
+  });
+
+  if (typeof profile.nickname === 'string') {
+    profile.nickname = profile.nickname.trim() || null;
+  }
+
+  return { profile };
+}
+
+/**
+ * Create a profile with a fresh pseudonym
+ * @returns {Promise<{beneficiary?: Object, error?: string, status?: number}>}
+ */
+async function createBeneficiary(associationId, data, userId, { transaction } = {}) {
+  const { profile, error } = buildProfile(data);
+  if (error) {
+    return { error, status: 400 };
+  }
+
+  for (let attempt = 0; attempt < MAX_PSEUDONYM_ATTEMPTS; attempt++) {
+    const pseudonym = generatePseudonym();
+    const taken = await Beneficiary.count({ where: { associationId, pseudonym }, transaction });
+    if (taken) continue;
+
+    const beneficiary = await Beneficiary.create({
+      ...profile,
+      associationId,
+      pseudonym,
+      createdBy: userId
+    }, { transaction });
+    return { beneficiary };
+  }
+
+  return { error: 'Could not generate a unique pseudonym, please retry', status: 500 };
+}
+
+/**
+ * Recompute first/last seen dates and encounter counts from the encounters
+ * @param {string[]} beneficiaryIds
+ */
+async function refreshStats(beneficiaryIds, { transaction } = {}) {
+  const ids = [...new Set(beneficiaryIds.filter(Boolean))];
+  if (ids.length === 0) return;
+
+  const rows = await BeneficiaryEncounter.findAll({
+    where: { beneficiaryId: { [Op.in]: ids } },
+    attributes: [
+      'beneficiaryId',
+      [fn('MIN', col('encounterDate')), 'firstSeenOn'],
+      [fn('MAX', col('encounterDate')), 'lastSeenOn'],
+      [fn('COUNT', col('id')), 'encountersCount']
+    ],
+    group: ['beneficiaryId'],
+    raw: true,
+    transaction
+  });
+  const byId = new Map(rows.map(row => [row.beneficiaryId, row]));
+
+  for (const id of ids) {
+    const row = byId.get(id);
+    await Beneficiary.update({
+      firstSeenOn: row?.firstSeenOn || null,
+      lastSeenOn: row?.lastSeenOn || null,
+      encountersCount: row ? parseInt(row.encountersCount, 10) : 0
+    }, { where: { id }, transaction });
+  }
+}
+
+/**
+ * Check that beneficiaries exist, are active and belong to the association
+ * @returns {Promise<{error?: string, status?: number}>}
+ */
+async function checkBeneficiaries(beneficiaryIds, associationId, { transaction } = {}) {
+  const ids = [...new Set(beneficiaryIds.filter(Boolean))];
+  if (ids.length === 0) return {};
+
+  const found = await Beneficiary.findAll({
+    where: { id: { [Op.in]: ids }, associationId, isActive: true },
+    attributes: ['id'],
+    transaction
+  });
+
+  if (found.length !== ids.length) {
+    const known = new Set(found.map(beneficiary => beneficiary.id));
+    return {
+      error: `Unknown or inactive beneficiary for this association: ${ids.filter(id => !known.has(id)).join(', ')}`,
+      status: 400
+    };
+  }
+  return {};
+}
+
+/**
+ * Validate the encounters of a report before anything is written. Each item is
+ * { beneficiaryId, needs?, notes? } or { beneficiary: { ...new profile }, needs?, notes? }.
+ * @returns {Promise<{items?: Object[], error?: string, status?: number}>}
+ */
+async function validateEncounters(encounters, associationId, { transaction } = {}) {
+  if (!Array.isArray(encounters)) {
+    return { error: 'encounters must be an array', status: 400 };
+  }
+
+  const items = [];
+  for (const encounter of encounters) {
+    let needs;
+    try {
+      needs = normalizeNeeds(encounter.needs);
+    } catch (error) {
+      return { error: error.message, status: 400 };
+    }
+
+    if (!encounter.beneficiaryId && !encounter.beneficiary) {
+      return { error: 'Each encounter needs a beneficiaryId or a new beneficiary profile', status: 400 };
+    }
+    if (encounter.beneficiary) {
+      const { error } = buildProfile(encounter.beneficiary);
+      if (error) return { error, status: 400 };
+    }
+    items.push({ ...encounter, needs });
+  }
+
+  const existingIds = items.filter(item => item.beneficiaryId).map(item => item.beneficiaryId);
+  if (new Set(existingIds).size !== existingIds.length) {
+    return { error: 'A beneficiary can only be met once per report', status: 400 };
+  }
+
+  const check = await checkBeneficiaries(existingIds, associationId, { transaction });
+  if (check.error) return check;
+
+  return { items };
+}
+
+/**
+ * Replace the encounters of a report (see validateEncounters for the items).
+ * New profiles are created on the fly, encounters no longer listed are removed.
+ * @param {Object} report - MaraudeReport instance
+ * @param {string} associationId
+ * @param {Object[]} encounters
+ * @param {string} userId
+ * @returns {Promise<{encounters?: Object[], error?: string, status?: number}>}
+ */
+async function syncReportEncounters(report, associationId, encounters, userId, { transaction } = {}) {
+  const { items, error, status } = await validateEncounters(encounters, associationId, { transaction });
+  if (error) {
+    return { error, status };
+  }
+
+  const previous = await BeneficiaryEncounter.findAll({ where: { reportId: report.id }, transaction });
+  const previousByBeneficiary = new Map(previous.map(encounter => [encounter.beneficiaryId, encounter]));
+
+  const saved = [];
+  for (const item of items) {
+    let beneficiaryId = item.beneficiaryId;
+    if (!beneficiaryId) {
+      const created = await createBeneficiary(associationId, item.beneficiary, userId, { transaction });
+      if (created.error) return created;
+      beneficiaryId = created.beneficiary.id;
+    }
+
+    const data = {
+      encounterDate: report.reportDate,
+      needs: item.needs,
+      notes: item.notes || null
+    };
+
+    const existing = previousByBeneficiary.get(beneficiaryId);
+    if (existing) {
+      saved.push(await existing.update(data, { transaction }));
+      previousByBeneficiary.delete(beneficiaryId);
+    } else {
+      saved.push(await BeneficiaryEncounter.create({
+        ...data,
+        beneficiaryId,
+        reportId: report.id,
+        recordedBy: userId
+      }, { transaction }));
+    }
+  }
+
+  // Encounters no longer listed in the report
+  for (const encounter of previousByBeneficiary.values()) {
+    await encounter.destroy({ transaction });
+  }
+
+  await refreshStats([
+    ...previous.map(encounter => encounter.beneficiaryId),
+    ...saved.map(encounter => encounter.beneficiaryId)
+  ], { transaction });
+
+  return { encounters: saved };
+}
+
+/**
+ * Follow a report date change on its encounters
+ */
+async function syncEncounterDates(report, { transaction } = {}) {
+  const encounters = await BeneficiaryEncounter.findAll({
+    where: { reportId: report.id, encounterDate: { [Op.ne]: report.reportDate } },
+    transaction
+  });
+  if (encounters.length === 0) return;
+
+  for (const encounter of encounters) {
+    await encounter.update({ encounterDate: report.reportDate }, { transaction });
+  }
+  await refreshStats(encounters.map(encounter => encounter.beneficiaryId), { transaction });
+}
+
+/**
+ * Remove the encounters of a deleted report
+ */
+async function removeReportEncounters(reportId, { transaction } = {}) {
+  const encounters = await BeneficiaryEncounter.findAll({
+    where: { reportId },
+    attributes: ['id', 'beneficiaryId'],
+    transaction
+  });
+  if (encounters.length === 0) return;
+
+  await BeneficiaryEncounter.destroy({ where: { reportId }, transaction });
+  await refreshStats(encounters.map(encounter => encounter.beneficiaryId), { transaction });
+}
+
+/**
+ * Identified people met over a period: new ones (first met within the period)
+ * versus returning ones (already met before)
+ * @param {string} associationId
+ * @param {string} [startDate] - YYYY-MM-DD
+ * @param {string} [endDate] - YYYY-MM-DD
+ * @returns {Promise<{identified: number, new: number, returning: number, encounters: number}>}
+ */
+async function getAttendance(associationId, startDate, endDate) {
+  const where = {};
+  if (startDate || endDate) {
+    where.encounterDate = {};
+    if (startDate) where.encounterDate[Op.gte] = startDate;
+    if (endDate) where.encounterDate[Op.lte] = endDate;
+  }
+
+  const encounters = await BeneficiaryEncounter.findAll({
+    where,
+    attributes: ['id', 'beneficiaryId'],
+    include: [
+      {
+        model: Beneficiary,
+        as: 'beneficiary',
+        attributes: ['id', 'firstSeenOn'],
+        where: { associationId },
+        required: true
+      }
+    ]
+  });
+
+  const people = new Map();
+  encounters.forEach(encounter => people.set(encounter.beneficiaryId, encounter.beneficiary));
+
+  let newCount = 0;
+  people.forEach(beneficiary => {
+    if (!startDate || (beneficiary.firstSeenOn && beneficiary.firstSeenOn >= startDate)) {
+      newCount++;
+    }
+  });
+
+  return {
+    identified: people.size,
+    new: newCount,
+    returning: people.size - newCount,
+    encounters: encounters.length
+  };
+}
+
+/**
+ * Encounter history and alerts of a beneficiary, most recent first
+ * @returns {Promise<{encounters: Object[], alerts: Object[]}>}
+ */
+async function getBeneficiaryHistory(beneficiaryId) {
+  const reportInclude = {
+    model: MaraudeReport,
+    as: 'report',
+    attributes: ['id', 'reportDate', 'maraudeActionId'],
+    include: [{ model: MaraudeAction, as: 'maraudeAction', attributes: ['id', 'title'] }]
+  };
+
+  const [encounters, alerts] = await Promise.all([
+    BeneficiaryEncounter.findAll({
+      where: { beneficiaryId },
+      include: [reportInclude],
+      order: [['encounterDate', 'DESC']]
+    }),
+    ReportAlert.findAll({
+      where: { beneficiaryId },
+      include: [reportInclude],
+      order: [['createdAt', 'DESC']]
+    })
+  ]);
+
+  return { encounters, alerts };
+}
+
+module.exports = {
+  PROFILE_FIELDS,
+  buildProfile,
+  createBeneficiary,
+  refreshStats,
+  checkBeneficiaries,
+  validateEncounters,
+  syncReportEncounters,
+  syncEncounterDates,
+  removeReportEncounters,
+  getAttendance,
+  getBeneficiaryHistory
+};
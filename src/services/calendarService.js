@@ -0,0 +1,160 @@
+// src/services/calendarService.js - iCalendar feeds built from maraude occurrences
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { MaraudeAction, MaraudeOccurrence, Association } = require('../models');
+const { ensureOccurrences, HORIZON_DAYS } = require('./occurrenceService');
+const { DEFAULT_TIMEZONE, today, addDays, zonedDateTime } = require('../utils/dateUtils');
+const { buildCalendar, formatUtcDateTime } = require('../utils/ical');
+
+// Past occurrences kept in the feed so recent sessions do not vanish from phones
+const CALENDAR_PAST_DAYS = parseInt(process.env.CALENDAR_PAST_DAYS, 10) || 14;
+// Used for DTEND when a maraude has no endTime
+const DEFAULT_DURATION_MINUTES = 120;
+
+// Feed tokens are derived, not stored: HMAC(secret, kind:id:version).
+// Bumping calendarTokenVersion on the owner revokes the previous URL.
+const getCalendarSecret = () => {
+  const secret = process.env.CALENDAR_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('Missing required environment variable: CALENDAR_SECRET or JWT_SECRET');
+  }
+  return secret;
+};
+
+const getCalendarToken = (kind, owner) => crypto
+  .createHmac('sha256', getCalendarSecret())
+  .update(`${kind}:${owner.id}:${owner.calendarTokenVersion || 1}`)
+  .digest('hex');
+
+// Constant-time comparison of the token sent by the calendar client
+const isValidCalendarToken = (kind, owner, provided) => {
+  if (typeof provided !== 'string') {
+    return false;
+  }
+  const a = Buffer.from(getCalendarToken(kind, owner));
+  const b = Buffer.from(provided);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// HH:MM:SS + minutes, with day rollover
+const addMinutes = (date, time, minutes) => {
+  const [hours, mins] = time.split(':').map(Number);
+  const total = hours * 60 + mins + minutes;
+  const dayOffset = Math.floor(total / (24 * 60));
+  const inDay = total % (24 * 60);
+  const endTime = `${String(Math.floor(inDay / 60)).padStart(2, '0')}:${String(inDay % 60).padStart(2, '0')}:00`;
+  return { date: addDays(date, dayOffset), time: endTime };
+};
+
+// Convert one occurrence to a VEVENT description object.
+// Times are emitted in UTC, converted from the association's timezone.
+function occurrenceToEvent(occurrence, action) {
+  const schedule = occurrence.getEffectiveSchedule(action);
+  const timezone = action.getTimezone();
+  const startTime = schedule.startTime || '00:00:00';
+  const toUtc = (date, time) => formatUtcDateTime(zonedDateTime(date, time, timezone));
+
+  // Maraudes ending after midnight (e.g. 21:00 -> 00:30) end the next day
+  let end;
+  if (schedule.endTime) {
+    const endDate = schedule.endTime > startTime ? schedule.date : addDays(schedule.date, 1);
+    end = toUtc(endDate, schedule.endTime);
+  } else {
+    const computed = addMinutes(schedule.date, startTime, action.estimatedDuration || DEFAULT_DURATION_MINUTES);
+    end = toUtc(computed.date, computed.time);
+  }
+
+  const descriptionParts = [];
+  if (action.description) descriptionParts.push(action.description);
+  if (occurrence.notes) descriptionParts.push(occurrence.notes);
+  if (action.association?.name) descriptionParts.push(`Association : ${action.association.name}`);
+  if (occurrence.isCancelled()) {
+    descriptionParts.push(`Annulée${occurrence.cancellationReason ? ` : ${occurrence.cancellationReason}` : ''}`);
+  }
+
+  const hasCoordinates = schedule.startLatitude !== null && schedule.startLongitude !== null;
+
+  return {
+    uid: `${occurrence.id}@maraude-tracker`,
+    start: toUtc(schedule.date, startTime),
+    end,
+    summary: occurrence.isCancelled() ? `[Annulée] ${action.title}` : action.title,
+    description: descriptionParts.join('\n\n'),
+    location: schedule.startAddress || (hasCoordinates ? `${schedule.startLatitude}, ${schedule.startLongitude}` : null),
+    geo: hasCoordinates ? { latitude: schedule.startLatitude, longitude: schedule.startLongitude } : null,
+    status: occurrence.isCancelled() ? 'CANCELLED' : 'CONFIRMED',
+    lastModified: occurrence.updatedAt
+  };
+}
+
+// Occurrences of the given templates over the feed window, as VEVENTs
+async function buildEvents(actions, timezone, extraOccurrenceWhere = null) {
+  const from = addDays(today(timezone), -CALENDAR_PAST_DAYS);
+  const to = addDays(today(timezone), HORIZON_DAYS);
+
+  await ensureOccurrences(actions, { from, to });
+
+  const actionsById = new Map(actions.map(action => [action.id, action]));
+  const occurrenceFilter = { maraudeActionId: { [Op.in]: [...actionsById.keys()] } };
+
+  const occurrences = await MaraudeOccurrence.findAll({
+    where: {
+      occurrenceDate: { [Op.between]: [from, to] },
+      [Op.or]: extraOccurrenceWhere ? [occurrenceFilter, extraOccurrenceWhere] : [occurrenceFilter]
+    },
+    include: [
+      {
+        model: MaraudeAction,
+        as: 'maraudeAction',
+        include: [{ model: Association, as: 'association', attributes: ['id', 'name', 'timezone'] }]
+      }
+    ],
+    order: [['occurrenceDate', 'ASC']]
+  });
+
+  return occurrences.map(occurrence => occurrenceToEvent(occurrence, occurrence.maraudeAction));
+}
+
+/**
+ * .ics feed of every maraude of an association (recurring and one-off)
+ * @param {Object} association - Association instance
+ * @returns {Promise<string>}
+ */
+async function buildAssociationCalendar(association) {
+  const actions = await MaraudeAction.findAll({
+    where: { associationId: association.id, isActive: true }
+  });
+
+  return buildCalendar({
+    name: `Maraudes - ${association.name}`,
+    timezone: association.timezone,
+    events: await buildEvents(actions, association.timezone)
+  });
+}
+
+/**
+ * .ics feed of a volunteer: maraudes they created plus occurrences they lead
+ * @param {Object} user - User instance
+ * @returns {Promise<string>}
+ */
+async function buildUserCalendar(user) {
+  const actions = await MaraudeAction.findAll({
+    where: { createdBy: user.id, isActive: true }
+  });
+  const association = await Association.findByPk(user.associationId, { attributes: ['timezone'] });
+  const timezone = association?.timezone || DEFAULT_TIMEZONE;
+
+  return buildCalendar({
+    name: `Mes maraudes - ${user.firstName} ${user.lastName}`,
+    timezone,
+    events: await buildEvents(actions, timezone, { leaderId: user.id })
+  });
+}
+
+module.exports = {
+  getCalendarToken,
+  isValidCalendarToken,
+  occurrenceToEvent,
+  buildAssociationCalendar,
+  buildUserCalendar
+};
@@ -1,4 +1,29 @@
 const nodemailer = require('nodemailer');
+const { MASKED } = require('../models/encryptedFields');
+
+// ⚙️ Config transport SMTP (utilise tes vraies infos)
+function createTransporter() {
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'smtp.example.com',
+    port: process.env.SMTP_PORT || 587,
+    secure: false, // true si port 465
+    auth: {
+      user: process.env.SMTP_USER || 'user@example.com',
+      pass: process.env.SMTP_PASS || 'password'
+    }
+  });
+}
+
+// Texte saisi par les utilisateurs, inséré dans le HTML
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Expéditeur des emails automatiques (digests, notifications)
+const getSystemSender = () => process.env.SMTP_FROM || `"Maraude Tracker" <${process.env.SMTP_USER || 'no-reply@example.com'}>`;
 
 /**
  * Envoi d'un email contenant un compte-rendu de maraude
@@ -9,19 +34,11 @@ const nodemailer = require('nodemailer');
  * @param {string} options.message - Message personnalisé
  * @param {string} options.senderName - Nom de l’expéditeur
  * @param {string} options.senderEmail - Email de l’expéditeur
+ * @param {boolean} [options.masked] - Texte des alertes remplacé par MASKED (expéditeur sans accès au déchiffrement)
  */
-async function sendReportEmail({ report, recipients, subject, message, senderName, senderEmail }) {
+async function sendReportEmail({ report, recipients, subject, message, senderName, senderEmail, masked = false }) {
   try {
-    // ⚙️ Config transport SMTP (utilise tes vraies infos)
-    const transporter = nodemailer.createTransport({
-      host: process.env.SMTP_HOST || 'smtp.example.com',
-      port: process.env.SMTP_PORT || 587,
-      secure: false, // true si port 465
-      auth: {
-        user: process.env.SMTP_USER || 'user@example.com',
-        pass: process.env.SMTP_PASS || 'password'
-      }
-    });
+    const transporter = createTransporter();
 
     // 📝 Construction du contenu HTML du rapport
     const htmlContent = `
@@ -52,7 +69,7 @@ async function sendReportEmail({ report, recipients, subject, message, senderNam
           ${report.alerts
             .map(
               a =>
-                `<li><strong>${a.severity.toUpperCase()}</strong> - ${a.situationDescription || ''}</li>`
+                `<li><strong>${a.severity.toUpperCase()}</strong> - ${masked ? MASKED : a.situationDescription || ''}</li>`
             )
             .join('')}
         </ul>
@@ -90,4 +107,104 @@ async function sendReportEmail({ report, recipients, subject, message, senderNam
   }
 }
 
-module.exports = { sendReportEmail };
+/**
+ * Digest des maraudes à venir qui ne respectent pas les règles d'encadrement
+ * @param {Object} options
+ * @param {Object} options.association - Association (name)
+ * @param {string[]} options.recipients - Liste d'emails
+ * @param {Object[]} options.warnings - Résultat de staffingService.findUnderstaffed
+ * @param {number} options.days - Fenêtre couverte (jours)
+ */
+async function sendStaffingDigest({ association, recipients, warnings, days }) {
+  try {
+    const transporter = createTransporter();
+
+    const rows = warnings
+      .map(
+        w => `
+        <tr>
+          <td style="padding:4px 8px;">${w.date}${w.startTime ? ` ${w.startTime.slice(0, 5)}` : ''}</td>
+          <td style="padding:4px 8px;">${w.title}</td>
+          <td style="padding:4px 8px;">${w.confirmedCount}</td>
+          <td style="padding:4px 8px;">${w.violations.map(v => v.message).join('<br>')}</td>
+        </tr>`
+      )
+      .join('');
+
+    const htmlContent = `
+      <h2 style="color:#dc2626;">⚠️ Maraudes en sous-effectif</h2>
+      <p><strong>Association :</strong> ${association.name}</p>
+      <p>${warnings.length} maraude(s) des ${days} prochains jours ne respectent pas les règles d'encadrement.</p>
+      <table style="border-collapse:collapse;">
+        <thead>
+          <tr>
+            <th style="padding:4px 8px;text-align:left;">Date</th>
+            <th style="padding:4px 8px;text-align:left;">Maraude</th>
+            <th style="padding:4px 8px;text-align:left;">Inscrits</th>
+            <th style="padding:4px 8px;text-align:left;">Manque</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+
+    await transporter.sendMail({
+      from: getSystemSender(),
+      to: recipients.join(','),
+      subject: `[Maraudes] ${warnings.length} maraude(s) en sous-effectif - ${association.name}`,
+      html: htmlContent
+    });
+
+    return true;
+  } catch (error) {
+    console.error('Erreur envoi digest encadrement:', error);
+    return false;
+  }
+}
+
+/**
+ * Notification immédiate d'une alerte (critique / haute) aux coordinateurs
+ * @param {Object} options
+ * @param {Object} options.message - Voir alertNotificationService.buildAlertMessage
+ * @param {string[]} options.recipients - Liste d'emails
+ * @returns {Promise<boolean>}
+ */
+async function sendAlertNotification({ message, recipients }) {
+  try {
+    const transporter = createTransporter();
+    const { data } = message;
+
+    const htmlContent = `
+      <h2 style="color:#dc2626;">🚨 ${escapeHtml(message.subject)}</h2>
+      ${
+        data.level > 0
+          ? `<p style="color:#dc2626;"><strong>Relance n°${data.level} : alerte toujours non prise en charge.</strong></p>`
+          : ''
+      }
+      <p><strong>Type :</strong> ${escapeHtml(data.typeLabel)}</p>
+      <p><strong>Sévérité :</strong> ${escapeHtml(data.severityLabel)}</p>
+      <p><strong>Maraude :</strong> ${escapeHtml(data.maraudeTitle)} (${escapeHtml(data.reportDate)})</p>
+      <p><strong>Lieu :</strong> ${data.location ? escapeHtml(data.location) : 'Non précisé'}</p>
+      <h3>Situation :</h3>
+      <p>${escapeHtml(data.situationDescription)}</p>
+      ${data.personDescription ? `<p><strong>Personne :</strong> ${escapeHtml(data.personDescription)}</p>` : ''}
+      ${data.actionTaken ? `<p><strong>Action menée :</strong> ${escapeHtml(data.actionTaken)}</p>` : ''}
+      <p style="margin-top:20px;color:#6b7280;">À prendre en charge avant le ${data.dueAtLabel || '-'}.</p>
+    `;
+
+    await transporter.sendMail({
+      from: getSystemSender(),
+      to: recipients.join(','),
+      subject: `[Maraudes] ${message.subject}`,
+      text: message.text,
+      html: htmlContent
+    });
+
+    return true;
+  } catch (error) {
+    console.error('Erreur envoi notification alerte:', error);
+    return false;
+  }
+}
+
+module.exports = { createTransporter, getSystemSender, sendReportEmail, sendStaffingDigest, sendAlertNotification };
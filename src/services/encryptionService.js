@@ -0,0 +1,184 @@
+// src/services/encryptionService.js - Key rotation: re-encrypt sensitive columns with the current key
+const { Op } = require('sequelize');
+const models = require('../models');
+const { ENCRYPTED_FIELDS } = require('../models/encryptedFields');
+const { ENCRYPTED, ERASED } = require('../models/auditHooks');
+const {
+  getKeyring,
+  isEncrypted,
+  encryptValue,
+  decryptValue,
+  needsReencryption
+} = require('../utils/fieldEncryption');
+
+const { sequelize, AuditLog } = models;
+
+const REENCRYPTION_BATCH_SIZE = 200;
+
+// Values already free of sensitive text in the audit trail
+const SAFE_AUDIT_VALUES = [ENCRYPTED, ERASED];
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, match => `\\${match}`);
+
+const isJsonField = (model, field) => ['JSON', 'JSONB'].includes(model.rawAttributes[field].type.key);
+
+// Stored value (text, or JSON holding an encrypted string), compared as text
+const storedText = (model, field) => (isJsonField(model, field)
+  ? sequelize.cast(sequelize.col(field), 'text')
+  : sequelize.col(field));
+
+// Rows with at least one field not encrypted with the current key
+const staleWhere = (model, fields, currentKeyId) => {
+  const prefix = `enc:${escapeLike(currentKeyId)}:%`;
+  return {
+    [Op.or]: fields.map(field => ({
+      [Op.and]: [
+        { [field]: { [Op.ne]: null } },
+        sequelize.where(storedText(model, field), Op.ne, ''),
+        sequelize.where(storedText(model, field), Op.notLike, isJsonField(model, field) ? `"${prefix}` : prefix)
+      ]
+    }))
+  };
+};
+
+const reencrypt = (stored, json) => {
+  if (!isEncrypted(stored)) {
+    return encryptValue(json ? JSON.stringify(stored) : stored);
+  }
+  return encryptValue(decryptValue(stored));
+};
+
+/**
+ * Re-encrypt every sensitive value that is still plaintext or encrypted with an older key.
+ * Rows are rewritten without hooks nor updatedAt (same content, new ciphertext).
+ * @returns {Promise<{keyId: string|null, models: Object, auditRowsScrubbed: number, failed: Array}>}
+ */
+async function reencryptAll({ batchSize = REENCRYPTION_BATCH_SIZE } = {}) {
+  const { currentKeyId } = getKeyring();
+  const result = { keyId: currentKeyId, models: {}, auditRowsScrubbed: 0, failed: [] };
+  if (!currentKeyId) return result;
+
+  for (const [modelName, fields] of Object.entries(ENCRYPTED_FIELDS)) {
+    const model = models[modelName];
+    // Rows left as they are, not to be fetched again
+    const skippedIds = [];
+    let rewritten = 0;
+
+    for (;;) {
+      const where = staleWhere(model, fields, currentKeyId);
+      if (skippedIds.length > 0) {
+        where.id = { [Op.notIn]: skippedIds };
+      }
+      const rows = await model.findAll({
+        where,
+        attributes: [model.primaryKeyAttribute, ...fields],
+        order: [[model.primaryKeyAttribute, 'ASC']],
+        limit: batchSize
+      });
+      if (rows.length === 0) break;
+
+      await sequelize.transaction(async (transaction) => {
+        for (const row of rows) {
+          try {
+            const changed = fields.filter(field => needsReencryption(row.getDataValue(field)));
+            if (changed.length === 0) {
+              skippedIds.push(row.id);
+              continue;
+            }
+            changed.forEach(field => {
+              row.setDataValue(field, reencrypt(row.getDataValue(field), isJsonField(model, field)));
+              row.changed(field, true);
+            });
+            await row.save({ fields: changed, hooks: false, silent: true, validate: false, transaction });
+            rewritten++;
+          } catch (error) {
+            // Unknown key: keep the row as is and report it
+            skippedIds.push(row.id);
+            result.failed.push({ model: modelName, id: row.id, error: error.message });
+          }
+        }
+      });
+    }
+
+    result.models[modelName] = rewritten;
+    result.auditRowsScrubbed += await scrubAuditPlaintext(modelName, fields);
+  }
+
+  return result;
+}
+
+/**
+ * Audit rows written before encryption was enabled still hold the text:
+ * replace it by the ENCRYPTED marker.
+ * @returns {Promise<number>} rows scrubbed
+ */
+async function scrubAuditPlaintext(entityType, fields) {
+  const safe = SAFE_AUDIT_VALUES.map(value => sequelize.escape(value)).join(', ');
+  const holdsText = fields
+    .map(field => sequelize.escape(field))
+    .flatMap(field => ['before', 'after'].map(side =>
+      `(changes -> ${field} ->> '${side}') NOT IN (${safe})`))
+    .join(' OR ');
+
+  const rows = await AuditLog.findAll({
+    where: {
+      entityType,
+      [Op.and]: sequelize.literal(`(${holdsText})`)
+    }
+  });
+
+  for (const row of rows) {
+    const changes = { ...row.changes };
+    fields.forEach(field => {
+      const change = changes[field];
+      if (!change) return;
+      changes[field] = {
+        before: change.before === null || SAFE_AUDIT_VALUES.includes(change.before) ? change.before : ENCRYPTED,
+        after: change.after === null || SAFE_AUDIT_VALUES.includes(change.after) ? change.after : ENCRYPTED
+      };
+    });
+    await row.update({ changes });
+  }
+  return rows.length;
+}
+
+/**
+ * How sensitive values are stored: count per key id ("plaintext" when not encrypted)
+ * @returns {Promise<{currentKeyId: string|null, configuredKeys: string[], fields: Object}>}
+ */
+async function getEncryptionStatus() {
+  const { currentKeyId, keys } = getKeyring();
+  const fields = {};
+
+  for (const [modelName, modelFields] of Object.entries(ENCRYPTED_FIELDS)) {
+    const model = models[modelName];
+    for (const field of modelFields) {
+      const text = storedText(model, field);
+      // "enc:<keyId>:..." (JSON: "\"enc:<keyId>:...")
+      const keyExpression = sequelize.fn('split_part', sequelize.fn('ltrim', text, '"'), ':', 2);
+      const rows = await model.findAll({
+        attributes: [
+          [sequelize.fn('left', sequelize.fn('ltrim', text, '"'), 4), 'prefix'],
+          [keyExpression, 'keyId'],
+          [sequelize.fn('COUNT', sequelize.col(model.primaryKeyAttribute)), 'count']
+        ],
+        where: { [field]: { [Op.ne]: null } },
+        group: ['prefix', 'keyId'],
+        raw: true
+      });
+
+      fields[`${modelName}.${field}`] = rows.reduce((acc, row) => {
+        const key = row.prefix === 'enc:' ? row.keyId : 'plaintext';
+        acc[key] = (acc[key] || 0) + parseInt(row.count, 10);
+        return acc;
+      }, {});
+    }
+  }
+
+  return { currentKeyId, configuredKeys: [...keys.keys()], fields };
+}
+
+module.exports = {
+  reencryptAll,
+  getEncryptionStatus
+};
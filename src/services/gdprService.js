@@ -0,0 +1,485 @@
+// src/services/gdprService.js - Data subject requests (export, erasure) and retention of alert free text
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const {
+  sequelize,
+  User,
+  Association,
+  MaraudeParticipation,
+  MaraudeAction,
+  MaraudeReport,
+  ReportComment,
+  ReportVersion,
+  ReportAlert,
+  AlertAction,
+  AlertNotification,
+  Beneficiary,
+  BeneficiaryEncounter,
+  Merchant,
+  AuditLog,
+  TrackingSession,
+  TrackPoint
+} = require('../models');
+const { ERASED } = require('../models/auditHooks');
+const { refreshStats } = require('./beneficiaryService');
+const { ACTIVE_STATUSES, withdraw } = require('./participationService');
+const { findOccurrence } = require('./occurrenceService');
+const { DEFAULT_TIMEZONE, today } = require('../utils/dateUtils');
+const { createZip } = require('../utils/zip');
+const { roundCoordinate: roundToDecimals } = require('../utils/geo');
+
+// Personal fields, per model, scrubbed from the audit trail on erasure
+const USER_PERSONAL_FIELDS = ['firstName', 'lastName', 'email', 'phone'];
+const BENEFICIARY_PERSONAL_FIELDS = ['nickname', 'usualLocation', 'usualLatitude', 'usualLongitude', 'notes'];
+const ENCOUNTER_PERSONAL_FIELDS = ['notes'];
+
+// Alert free text cleared by the retention policy; type, severity, dates and counts stay
+const ALERT_FREE_TEXT_FIELDS = ['personDescription', 'situationDescription', 'actionTaken', 'followUpNotes', 'locationAddress'];
+const ANONYMIZED_TEXT = '[anonymisé]';
+// Alert positions are kept to ~1 km so maps and hotspots still make sense
+const RETAINED_COORDINATE_DECIMALS = 2;
+
+const RETENTION_BATCH_SIZE = 200;
+
+const toJSONList = (rows) => rows.map(row => row.toJSON());
+
+const roundCoordinate = (value) => roundToDecimals(value, RETAINED_COORDINATE_DECIMALS);
+
+/**
+ * Replace the values of `fields` in the audit rows of an entity
+ * @returns {Promise<number>} rows scrubbed
+ */
+async function scrubAuditTrail(entityType, entityIds, fields, { transaction } = {}) {
+  if (entityIds.length === 0) return 0;
+
+  const rows = await AuditLog.findAll({
+    where: { entityType, entityId: { [Op.in]: entityIds.map(String) } },
+    transaction
+  });
+
+  let scrubbed = 0;
+  for (const row of rows) {
+    const changes = { ...(row.changes || {}) };
+    let touched = false;
+    fields.forEach(field => {
+      const change = changes[field];
+      if (!change) return;
+      changes[field] = {
+        before: change.before === null ? null : ERASED,
+        after: change.after === null ? null : ERASED
+      };
+      touched = true;
+    });
+    if (touched) {
+      await row.update({ changes }, { transaction });
+      scrubbed++;
+    }
+  }
+  return scrubbed;
+}
+
+/**
+ * Everything stored about a user, grouped by kind
+ * @returns {Promise<Object|null>} null when the user does not exist
+ */
+async function exportUser(userId) {
+  const user = await User.findByPk(userId, {
+    attributes: { exclude: ['password'] },
+    include: [{ model: Association, as: 'association', attributes: ['id', 'name'] }]
+  });
+  if (!user) return null;
+
+  const [
+    participations, reportsCreated, reportsReviewed, comments, versions,
+    alerts, alertActions, notifications, encounters, merchants,
+    trackingSessions, changesMade, profileHistory
+  ] = await Promise.all([
+    MaraudeParticipation.findAll({ where: { [Op.or]: [{ userId }, { registeredBy: userId }] } }),
+    MaraudeReport.findAll({ where: { createdBy: userId } }),
+    MaraudeReport.findAll({
+      where: { [Op.or]: [{ validatedBy: userId }, { reviewedBy: userId }] },
+      attributes: ['id', 'reportDate', 'status', 'validatedBy', 'validationDate', 'reviewedBy', 'reviewedAt', 'reviewComment']
+    }),
+    ReportComment.findAll({ where: { authorId: userId } }),
+    ReportVersion.findAll({
+      where: { submittedBy: userId },
+      attributes: ['id', 'reportId', 'version', 'createdAt']
+    }),
+    ReportAlert.findAll({
+      where: { [Op.or]: [{ assigneeId: userId }, { resolvedBy: userId }, { acknowledgedBy: userId }] },
+      attributes: ['id', 'reportId', 'alertType', 'severity', 'status', 'assigneeId', 'resolvedBy', 'resolvedAt', 'acknowledgedBy', 'acknowledgedAt']
+    }),
+    AlertAction.findAll({ where: { actorId: userId } }),
+    AlertNotification.findAll({ where: { userId } }),
+    // Only the fact that the user recorded them: the content is about beneficiaries
+    BeneficiaryEncounter.findAll({
+      where: { recordedBy: userId },
+      attributes: ['id', 'reportId', 'encounterDate', 'createdAt']
+    }),
+    Merchant.findAll({ where: { addedBy: userId } }),
+    // Positions sent from the user's phone
+    TrackingSession.findAll({
+      where: { trackerId: userId },
+      include: [{ model: TrackPoint, as: 'points', attributes: ['latitude', 'longitude', 'accuracy', 'recordedAt'] }],
+      order: [['startedAt', 'ASC'], [{ model: TrackPoint, as: 'points' }, 'recordedAt', 'ASC']]
+    }),
+    AuditLog.findAll({ where: { actorId: userId }, order: [['createdAt', 'ASC']] }),
+    AuditLog.findAll({ where: { entityType: 'User', entityId: String(userId) }, order: [['createdAt', 'ASC']] })
+  ]);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    subject: { type: 'user', id: user.id },
+    profile: user.toJSON(),
+    participations: toJSONList(participations),
+    reportsCreated: toJSONList(reportsCreated),
+    reportsReviewed: toJSONList(reportsReviewed),
+    reportComments: toJSONList(comments),
+    reportVersionsSubmitted: toJSONList(versions),
+    alerts: toJSONList(alerts),
+    alertActions: toJSONList(alertActions),
+    alertNotifications: toJSONList(notifications),
+    encountersRecorded: toJSONList(encounters),
+    merchantsAdded: toJSONList(merchants),
+    trackingSessions: toJSONList(trackingSessions),
+    auditTrail: {
+      changesMade: toJSONList(changesMade),
+      profileHistory: toJSONList(profileHistory)
+    }
+  };
+}
+
+/**
+ * Everything stored about a pseudonymous beneficiary
+ * @returns {Promise<Object|null>}
+ */
+async function exportBeneficiary(beneficiaryId) {
+  const beneficiary = await Beneficiary.findByPk(beneficiaryId);
+  if (!beneficiary) return null;
+
+  const [encounters, alerts] = await Promise.all([
+    BeneficiaryEncounter.findAll({ where: { beneficiaryId }, order: [['encounterDate', 'ASC']] }),
+    ReportAlert.findAll({
+      where: { beneficiaryId },
+      include: [{ model: AlertAction, as: 'actions' }]
+    })
+  ]);
+
+  const [profileHistory, encounterHistory] = await Promise.all([
+    AuditLog.findAll({ where: { entityType: 'Beneficiary', entityId: String(beneficiaryId) }, order: [['createdAt', 'ASC']] }),
+    AuditLog.findAll({
+      where: { entityType: 'BeneficiaryEncounter', entityId: { [Op.in]: encounters.map(encounter => String(encounter.id)) } },
+      order: [['createdAt', 'ASC']]
+    })
+  ]);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    subject: { type: 'beneficiary', id: beneficiary.id, pseudonym: beneficiary.pseudonym },
+    profile: beneficiary.toJSON(),
+    encounters: toJSONList(encounters),
+    alerts: toJSONList(alerts),
+    auditTrail: {
+      profileHistory: toJSONList(profileHistory),
+      encounterHistory: toJSONList(encounterHistory)
+    }
+  };
+}
+
+/**
+ * ZIP with one JSON file per section of an export
+ * @param {Object} data - result of exportUser / exportBeneficiary
+ * @returns {Buffer}
+ */
+function exportToZip(data) {
+  const files = Object.entries(data)
+    .filter(([key]) => !['exportedAt', 'subject'].includes(key))
+    .map(([key, value]) => ({ name: `${key}.json`, content: JSON.stringify(value, null, 2) }));
+
+  files.unshift({
+    name: 'manifest.json',
+    content: JSON.stringify({
+      exportedAt: data.exportedAt,
+      subject: data.subject,
+      files: files.map(file => file.name)
+    }, null, 2)
+  });
+
+  return createZip(files);
+}
+
+/**
+ * Anonymize a user account. Reports, comments and other work records stay
+ * (they belong to the association) but now point to an anonymous account.
+ * @param {Object} user - User instance
+ * @param {Object} requester - User asking for the erasure
+ * @returns {Promise<{summary?: Object, error?: string, status?: number}>}
+ */
+async function eraseUser(user, requester) {
+  if (user.id === requester.id) {
+    return { error: 'You cannot erase your own account', status: 400 };
+  }
+  if (user.anonymizedAt) {
+    return { error: 'User already anonymized', status: 409 };
+  }
+
+  const association = await Association.findByPk(user.associationId, { attributes: ['timezone'] });
+  const todayDate = today(association?.timezone || DEFAULT_TIMEZONE);
+
+  // Upcoming sign-ups are withdrawn (waitlists move up), past ones stay in the session history
+  const upcoming = await MaraudeParticipation.findAll({
+    where: {
+      userId: user.id,
+      occurrenceDate: { [Op.gte]: todayDate },
+      status: { [Op.in]: ACTIVE_STATUSES }
+    },
+    include: [{ model: MaraudeAction, as: 'maraudeAction' }]
+  });
+  let withdrawnParticipations = 0;
+  for (const participation of upcoming) {
+    const occurrence = await findOccurrence(participation.maraudeAction, participation.occurrenceDate);
+    if (occurrence && !(await withdraw(participation.maraudeAction, occurrence, user.id)).error) {
+      withdrawnParticipations++;
+    }
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    await user.update({
+      firstName: 'Utilisateur',
+      lastName: 'anonyme',
+      email: `anonymized-${user.id}@example.invalid`,
+      phone: null,
+      password: crypto.randomBytes(32).toString('hex'),
+      skills: [],
+      isActive: false,
+      anonymizedAt: new Date(),
+      calendarTokenVersion: user.calendarTokenVersion + 1
+    }, { transaction, auditRedact: USER_PERSONAL_FIELDS });
+
+    // Open cases go back to the coordinators
+    const [unassignedAlerts] = await ReportAlert.update({ assigneeId: null }, {
+      where: { assigneeId: user.id, status: { [Op.ne]: 'resolved' } },
+      transaction
+    });
+
+    const [notifications] = await AlertNotification.update({ recipient: null }, {
+      where: { userId: user.id },
+      transaction
+    });
+
+    const auditRowsScrubbed = await scrubAuditTrail('User', [user.id], USER_PERSONAL_FIELDS, { transaction });
+    const [actorRowsCleared] = await AuditLog.update({ ipAddress: null }, {
+      where: { actorId: user.id },
+      transaction
+    });
+
+    return {
+      summary: {
+        userId: user.id,
+        upcomingParticipationsWithdrawn: withdrawnParticipations,
+        alertsUnassigned: unassignedAlerts,
+        notificationsCleared: notifications,
+        auditRowsScrubbed,
+        auditIpAddressesCleared: actorRowsCleared
+      }
+    };
+  });
+}
+
+/**
+ * Erase a beneficiary.
+ * - anonymize: the profile and encounter notes are cleared, the pseudonym and
+ *   encounter dates stay so statistics (new vs returning) are unchanged
+ * - delete: profile and encounters are removed, alerts are unlinked
+ * In both cases the person description of linked alerts is cleared.
+ * @param {Object} beneficiary - Beneficiary instance
+ * @param {string} mode - 'anonymize' or 'delete'
+ * @returns {Promise<{summary?: Object, error?: string, status?: number}>}
+ */
+async function eraseBeneficiary(beneficiary, mode = 'anonymize') {
+  if (!['anonymize', 'delete'].includes(mode)) {
+    return { error: "mode must be 'anonymize' or 'delete'", status: 400 };
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    const encounters = await BeneficiaryEncounter.findAll({
+      where: { beneficiaryId: beneficiary.id },
+      transaction
+    });
+    const encounterIds = encounters.map(encounter => encounter.id);
+
+    const alerts = await ReportAlert.findAll({ where: { beneficiaryId: beneficiary.id }, transaction });
+    for (const alert of alerts) {
+      await alert.update({
+        personDescription: null,
+        ...(mode === 'delete' ? { beneficiaryId: null } : {})
+      }, { transaction, auditRedact: ['personDescription'] });
+    }
+
+    let auditRowsScrubbed = 0;
+    auditRowsScrubbed += await scrubAuditTrail('Beneficiary', [beneficiary.id], BENEFICIARY_PERSONAL_FIELDS, { transaction });
+    auditRowsScrubbed += await scrubAuditTrail('BeneficiaryEncounter', encounterIds, ENCOUNTER_PERSONAL_FIELDS, { transaction });
+    auditRowsScrubbed += await scrubAuditTrail('ReportAlert', alerts.map(alert => alert.id), ['personDescription'], { transaction });
+
+    if (mode === 'delete') {
+      for (const encounter of encounters) {
+        await encounter.destroy({ transaction, auditRedact: ENCOUNTER_PERSONAL_FIELDS });
+      }
+      await beneficiary.destroy({ transaction, auditRedact: BENEFICIARY_PERSONAL_FIELDS });
+    } else {
+      for (const encounter of encounters) {
+        await encounter.update({ notes: null }, { transaction, auditRedact: ENCOUNTER_PERSONAL_FIELDS });
+      }
+      await beneficiary.update({
+        nickname: null,
+        usualLocation: null,
+        usualLatitude: null,
+        usualLongitude: null,
+        notes: null,
+        isActive: false,
+        anonymizedAt: new Date()
+      }, { transaction, auditRedact: BENEFICIARY_PERSONAL_FIELDS });
+      await refreshStats([beneficiary.id], { transaction });
+    }
+
+    return {
+      summary: {
+        beneficiaryId: beneficiary.id,
+        pseudonym: beneficiary.pseudonym,
+        mode,
+        encounters: encounters.length,
+        alertsCleared: alerts.length,
+        auditRowsScrubbed
+      }
+    };
+  });
+}
+
+// Months of alert free text to keep (ALERT_RETENTION_MONTHS), null when the policy is off
+const getRetentionMonths = () => {
+  const months = parseInt(process.env.ALERT_RETENTION_MONTHS, 10);
+  return Number.isNaN(months) || months <= 0 ? null : months;
+};
+
+const retentionCutoff = (months, now = new Date()) => {
+  const cutoff = new Date(now);
+  cutoff.setMonth(cutoff.getMonth() - months);
+  return cutoff;
+};
+
+// Alerts past retention: created before the cutoff, and resolved or untouched since
+const retentionWhere = (cutoff) => ({
+  anonymizedAt: null,
+  createdAt: { [Op.lt]: cutoff },
+  [Op.or]: [
+    { status: 'resolved' },
+    { updatedAt: { [Op.lt]: cutoff } }
+  ]
+});
+
+// Clear alert free text inside report version snapshots older than the cutoff
+async function scrubVersionSnapshots(reportIds, cutoff, transaction) {
+  const versions = await ReportVersion.findAll({
+    where: { reportId: { [Op.in]: reportIds }, createdAt: { [Op.lt]: cutoff } },
+    transaction
+  });
+
+  for (const version of versions) {
+    const snapshot = version.snapshot || {};
+    if (!Array.isArray(snapshot.alerts) || snapshot.alerts.length === 0) continue;
+
+    await version.update({
+      snapshot: {
+        ...snapshot,
+        alerts: snapshot.alerts.map(alert => {
+          const scrubbed = { ...alert };
+          ALERT_FREE_TEXT_FIELDS.forEach(field => {
+            if (scrubbed[field]) scrubbed[field] = field === 'situationDescription' ? ANONYMIZED_TEXT : null;
+          });
+          scrubbed.locationLatitude = roundCoordinate(scrubbed.locationLatitude);
+          scrubbed.locationLongitude = roundCoordinate(scrubbed.locationLongitude);
+          return scrubbed;
+        })
+      }
+    }, { transaction, auditRedact: ['snapshot'] });
+  }
+  return versions.length;
+}
+
+/**
+ * Anonymize the free text of alerts older than the retention period.
+ * Alert type, severity, dates, report links and counts are kept, so
+ * statistics do not change.
+ * @param {Object} [options]
+ * @param {number} [options.months] - defaults to ALERT_RETENTION_MONTHS
+ * @param {boolean} [options.dryRun] - only count
+ * @returns {Promise<{months: number|null, cutoff?: Date, candidates?: number, anonymized?: number, versionsScrubbed?: number, dryRun?: boolean}>}
+ */
+async function applyAlertRetention({ months = getRetentionMonths(), dryRun = false, now = new Date() } = {}) {
+  if (!months) {
+    return { months: null };
+  }
+
+  const cutoff = retentionCutoff(months, now);
+  const candidates = await ReportAlert.count({ where: retentionWhere(cutoff) });
+
+  if (dryRun) {
+    return { months, cutoff, candidates, dryRun: true };
+  }
+
+  let anonymized = 0;
+  let versionsScrubbed = 0;
+  // Each batch leaves the processed alerts out of retentionWhere
+  for (;;) {
+    const batch = await ReportAlert.findAll({
+      where: retentionWhere(cutoff),
+      limit: RETENTION_BATCH_SIZE,
+      order: [['createdAt', 'ASC']]
+    });
+    if (batch.length === 0) break;
+
+    await sequelize.transaction(async (transaction) => {
+      const alertIds = batch.map(alert => alert.id);
+
+      for (const alert of batch) {
+        await alert.update({
+          personDescription: null,
+          situationDescription: ANONYMIZED_TEXT,
+          actionTaken: null,
+          followUpNotes: null,
+          locationAddress: null,
+          locationLatitude: roundCoordinate(alert.locationLatitude),
+          locationLongitude: roundCoordinate(alert.locationLongitude),
+          anonymizedAt: new Date()
+        }, { transaction, auditRedact: ALERT_FREE_TEXT_FIELDS });
+      }
+
+      const actions = await AlertAction.findAll({
+        where: { alertId: { [Op.in]: alertIds }, note: { [Op.ne]: null } },
+        transaction
+      });
+      for (const action of actions) {
+        await action.update({ note: null }, { transaction, auditRedact: ['note'] });
+      }
+
+      await scrubAuditTrail('ReportAlert', alertIds, ALERT_FREE_TEXT_FIELDS, { transaction });
+      await scrubAuditTrail('AlertAction', actions.map(action => action.id), ['note'], { transaction });
+      versionsScrubbed += await scrubVersionSnapshots([...new Set(batch.map(alert => alert.reportId))], cutoff, transaction);
+    });
+
+    anonymized += batch.length;
+  }
+
+  return { months, cutoff, candidates, anonymized, versionsScrubbed };
+}
+
+module.exports = {
+  ALERT_FREE_TEXT_FIELDS,
+  exportUser,
+  exportBeneficiary,
+  exportToZip,
+  eraseUser,
+  eraseBeneficiary,
+  getRetentionMonths,
+  applyAlertRetention
+};
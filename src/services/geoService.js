@@ -0,0 +1,235 @@
+// src/services/geoService.js - PostGIS radius, distance and polygon filters on the geography columns
+// (see models/geoFields.js). Distances are computed on the spheroid, in meters.
+const { Op } = require('sequelize');
+const models = require('../models');
+const { GEO_FIELDS, SRID, sourcesOf, computeGeoValue } = require('../models/geoFields');
+const { toPoint } = require('../utils/geo');
+
+const { sequelize } = models;
+
+const MAX_RADIUS_KM = 100;
+// Neighbourhood outlines, not whole countries
+const MAX_AREA_VERTICES = 5000;
+const BACKFILL_BATCH_SIZE = 500;
+
+const quote = (identifier) => sequelize.getQueryInterface().quoteIdentifier(identifier);
+
+// "Model"."column" as aliased by findAll
+const columnSql = (model, column) => `${quote(model.name)}.${quote(model.rawAttributes[column].field || column)}`;
+
+// Coordinates went through toPoint: plain finite numbers
+const pointSql = ({ latitude, longitude }) => (
+  `ST_SetSRID(ST_MakePoint(${Number(longitude)}, ${Number(latitude)}), ${SRID})::geography`
+);
+
+const areaSql = (area) => `ST_SetSRID(ST_GeomFromGeoJSON(${sequelize.escape(JSON.stringify(area))}), ${SRID})::geography`;
+
+// Nearest of the columns (LEAST ignores NULL, e.g. a maraude without waypoints)
+const distanceSql = (model, columns, point) => {
+  const distances = columns.map(column => `ST_Distance(${columnSql(model, column)}, ${pointSql(point)})`);
+  return distances.length === 1 ? distances[0] : `LEAST(${distances.join(', ')})`;
+};
+
+const validPosition = (position) => Array.isArray(position) && position.length >= 2 &&
+  typeof position[0] === 'number' && typeof position[1] === 'number' &&
+  toPoint(position[1], position[0]) !== null;
+
+// Closed ring of at least 4 positions (GeoJSON linear ring)
+const validRing = (ring) => Array.isArray(ring) && ring.length >= 4 && ring.every(validPosition) &&
+  ring[0][0] === ring[ring.length - 1][0] && ring[0][1] === ring[ring.length - 1][1];
+
+const validPolygon = (rings) => Array.isArray(rings) && rings.length > 0 && rings.every(validRing);
+
+/**
+ * Polygon of an "area" filter: a GeoJSON Polygon or MultiPolygon geometry, a Feature
+ * wrapping one, or the JSON text of either ([longitude, latitude] positions)
+ * @param {Object|string} input
+ * @returns {{area?: Object, error?: string, status?: number}}
+ */
+function parseArea(input) {
+  let geometry = input;
+  if (typeof geometry === 'string') {
+    try {
+      geometry = JSON.parse(geometry);
+    } catch (error) {
+      return { error: 'area must be GeoJSON', status: 400 };
+    }
+  }
+  if (geometry && geometry.type === 'Feature') {
+    geometry = geometry.geometry;
+  }
+
+  const invalid = { error: 'area must be a GeoJSON Polygon or MultiPolygon with closed rings of [longitude, latitude]', status: 400 };
+  if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type)) return invalid;
+
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  if (!Array.isArray(polygons) || polygons.length === 0 || !polygons.every(validPolygon)) return invalid;
+
+  const vertices = polygons.flat().reduce((sum, ring) => sum + ring.length, 0);
+  if (vertices > MAX_AREA_VERTICES) {
+    return { error: `area must have at most ${MAX_AREA_VERTICES} vertices`, status: 400 };
+  }
+
+  return { area: { type: geometry.type, coordinates: geometry.coordinates } };
+}
+
+/**
+ * Map viewport: "minLng,minLat,maxLng,maxLat" (GeoJSON bbox order) or an array of it
+ * @param {string|number[]} input
+ * @returns {{bbox?: number[], error?: string, status?: number}}
+ */
+function parseBbox(input) {
+  const values = (Array.isArray(input) ? input : String(input).split(',')).map(value => Number(value));
+  const invalid = { error: 'bbox must be minLng,minLat,maxLng,maxLat', status: 400 };
+  if (values.length !== 4) return invalid;
+
+  const [minLng, minLat, maxLng, maxLat] = values;
+  if (!toPoint(minLat, minLng) || !toPoint(maxLat, maxLng) || minLng > maxLng || minLat > maxLat) {
+    return invalid;
+  }
+  return { bbox: values };
+}
+
+/**
+ * Geographic filters of a listing from its query string:
+ * `lat` + `lng` (+ `radius` in km), `area` (see parseArea) and/or `bbox` (see parseBbox)
+ * @param {Object} query
+ * @param {Object} [options]
+ * @param {number} [options.defaultRadiusKm=10]
+ * @returns {{filters?: {near?: {point: Object, radiusKm: number}, area?: Object, bbox?: number[]}, error?: string, status?: number}}
+ */
+function parseGeoFilters({ lat, lng, radius, area, bbox } = {}, { defaultRadiusKm = 10 } = {}) {
+  const filters = {};
+
+  const hasLat = lat !== undefined && lat !== '';
+  const hasLng = lng !== undefined && lng !== '';
+  if (hasLat || hasLng) {
+    const point = hasLat && hasLng ? toPoint(lat, lng) : null;
+    if (!point) {
+      return { error: 'lat and lng must both be valid coordinates', status: 400 };
+    }
+
+    const radiusKm = radius === undefined || radius === '' ? defaultRadiusKm : Number(radius);
+    if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+      return { error: `radius must be a number of km, at most ${MAX_RADIUS_KM}`, status: 400 };
+    }
+    filters.near = { point, radiusKm };
+  }
+
+  if (area !== undefined && area !== '') {
+    const parsed = parseArea(area);
+    if (parsed.error) return parsed;
+    filters.area = parsed.area;
+  }
+
+  if (bbox !== undefined && bbox !== '') {
+    const parsed = parseBbox(bbox);
+    if (parsed.error) return parsed;
+    filters.bbox = parsed.bbox;
+  }
+
+  return { filters };
+}
+
+/**
+ * Sequelize options for geographic filters. A row matches when any of the columns
+ * does (maraudes: start point or one of the waypoints).
+ * - near: ST_DWithin (true radius, GiST index), `distanceKm` attribute, nearest first
+ * - area: ST_Intersects with the polygon
+ * - bbox: inside the longitude/latitude rectangle
+ * @param {Object} model
+ * @param {string[]} columns - geography columns of GEO_FIELDS
+ * @param {{near?: Object, area?: Object, bbox?: number[]}} filters - see parseGeoFilters
+ * @returns {{where: Object[], attributes: Array, order: Array}}
+ */
+function buildGeoQuery(model, columns, { near, area, bbox } = {}) {
+  const query = { where: [], attributes: [], order: [] };
+
+  if (near) {
+    const meters = near.radiusKm * 1000;
+    const conditions = columns.map(column => `ST_DWithin(${columnSql(model, column)}, ${pointSql(near.point)}, ${meters})`);
+    const distance = distanceSql(model, columns, near.point);
+
+    query.where.push(sequelize.literal(`(${conditions.join(' OR ')})`));
+    query.attributes.push([sequelize.literal(`ROUND((${distance} / 1000)::numeric, 3)::float8`), 'distanceKm']);
+    query.order.push([sequelize.literal(distance), 'ASC']);
+  }
+
+  if (area) {
+    const conditions = columns.map(column => `ST_Intersects(${columnSql(model, column)}, ${areaSql(area)})`);
+    query.where.push(sequelize.literal(`(${conditions.join(' OR ')})`));
+  }
+
+  if (bbox) {
+    // && uses the GiST index (on a slightly larger box: geography edges are great circles),
+    // the geometry test keeps the exact rectangle
+    const [minLng, minLat, maxLng, maxLat] = bbox.map(Number);
+    const envelope = `ST_MakeEnvelope(${minLng}, ${minLat}, ${maxLng}, ${maxLat}, ${SRID})`;
+    const margin = 0.01;
+    const wider = `ST_MakeEnvelope(${Math.max(minLng - margin, -180)}, ${Math.max(minLat - margin, -90)}, ` +
+      `${Math.min(maxLng + margin, 180)}, ${Math.min(maxLat + margin, 90)}, ${SRID})::geography`;
+    const conditions = columns.map(column => (
+      `(${columnSql(model, column)} && ${wider} AND ST_Intersects(${columnSql(model, column)}::geometry, ${envelope}))`
+    ));
+    query.where.push(sequelize.literal(`(${conditions.join(' OR ')})`));
+  }
+
+  return query;
+}
+
+/**
+ * Fill the geography columns of rows saved before they existed (or written with
+ * raw SQL). Rows are updated without hooks nor updatedAt change, so neither the
+ * audit trail nor offline sync see them as edited.
+ * @returns {Promise<Object<string, number>>} rows updated per model
+ */
+async function backfillGeoColumns({ batchSize = BACKFILL_BATCH_SIZE } = {}) {
+  const result = {};
+
+  for (const [modelName, columns] of Object.entries(GEO_FIELDS)) {
+    const model = models[modelName];
+    const entries = Object.entries(columns);
+    const attributes = [...new Set(['id', ...entries.flatMap(([column, spec]) => [column, ...sourcesOf(spec)])])];
+    result[modelName] = 0;
+
+    let lastId = null;
+    for (;;) {
+      const rows = await model.findAll({
+        where: {
+          [Op.or]: entries.map(([column]) => ({ [column]: null })),
+          ...(lastId ? { id: { [Op.gt]: lastId } } : {})
+        },
+        attributes,
+        order: [['id', 'ASC']],
+        limit: batchSize
+      });
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        const values = {};
+        entries.forEach(([column, spec]) => {
+          if (row.getDataValue(column) === null) {
+            const value = computeGeoValue(spec, row.get());
+            if (value) values[column] = value;
+          }
+        });
+        if (Object.keys(values).length > 0) {
+          await model.update(values, { where: { id: row.id }, hooks: false, silent: true });
+          result[modelName]++;
+        }
+      }
+      lastId = rows[rows.length - 1].id;
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  MAX_RADIUS_KM,
+  parseArea,
+  parseBbox,
+  parseGeoFilters,
+  buildGeoQuery,
+  backfillGeoColumns
+};
@@ -0,0 +1,283 @@
+// src/services/hotspotService.js - Where needs concentrate: alerts and encounters
+// aggregated into grid cells over a period, compared with the previous period
+const { Op } = require('sequelize');
+const { ReportAlert, MaraudeReport, MaraudeAction, MaraudeOccurrence } = require('../models');
+const { toPoint, routePoints } = require('../utils/geo');
+const { GRID_TYPES, createGrid } = require('../utils/grid');
+const { DEFAULT_TIMEZONE, addDays, parseDateOnly, zonedDateTime, isValidDateOnly } = require('../utils/dateUtils');
+
+const DEFAULT_CELL_SIZE = 500;
+// Below ~100 m a cell with one alert points at a person
+const MIN_CELL_SIZE = 100;
+const MAX_CELL_SIZE = 5000;
+const DEFAULT_PERIOD_DAYS = 30;
+const MAX_PERIOD_DAYS = 366;
+
+// A cell is emerging when a count reaches the minimum and has grown by `growth`
+// compared with the previous period (any count is growth when there was none)
+const DEFAULT_THRESHOLDS = { minAlerts: 3, minEncounters: 10, growth: 1.5 };
+
+const ALERT_TYPES = ReportAlert.rawAttributes.alertType.values;
+
+const daysBetween = (from, to) => Math.round((parseDateOnly(to) - parseDateOnly(from)) / 86400000) + 1;
+
+const positiveNumber = (value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+};
+
+/**
+ * Hotspot options from the query string
+ * @param {Object} query - from, to, cell, size, alertType, minAlerts, minEncounters, growth
+ * @param {string} todayDate - YYYY-MM-DD in the association's zone (end of the default period)
+ * @returns {{options: Object}|{error: string, status: number}}
+ */
+function parseHotspotOptions(query, todayDate) {
+  const to = query.to || todayDate;
+  const from = query.from || addDays(to, 1 - DEFAULT_PERIOD_DAYS);
+  if (!isValidDateOnly(from) || !isValidDateOnly(to)) {
+    return { error: 'from and to must be YYYY-MM-DD dates', status: 400 };
+  }
+  if (from > to) {
+    return { error: 'from must be before to', status: 400 };
+  }
+  if (daysBetween(from, to) > MAX_PERIOD_DAYS) {
+    return { error: `The period cannot exceed ${MAX_PERIOD_DAYS} days`, status: 400 };
+  }
+
+  const gridType = query.cell || 'hex';
+  if (!GRID_TYPES.includes(gridType)) {
+    return { error: `cell must be one of: ${GRID_TYPES.join(', ')}`, status: 400 };
+  }
+  const size = positiveNumber(query.size, DEFAULT_CELL_SIZE);
+  if (size === null || size < MIN_CELL_SIZE || size > MAX_CELL_SIZE) {
+    return { error: `size must be between ${MIN_CELL_SIZE} and ${MAX_CELL_SIZE} meters`, status: 400 };
+  }
+
+  const alertTypes = query.alertType
+    ? String(query.alertType).split(',').map(value => value.trim()).filter(Boolean)
+    : undefined;
+  if (alertTypes && alertTypes.some(alertType => !ALERT_TYPES.includes(alertType))) {
+    return { error: `alertType must be any of: ${ALERT_TYPES.join(', ')}`, status: 400 };
+  }
+
+  const thresholds = {};
+  for (const [name, fallback] of Object.entries(DEFAULT_THRESHOLDS)) {
+    thresholds[name] = positiveNumber(query[name], fallback);
+    if (thresholds[name] === null) {
+      return { error: `${name} must be a positive number`, status: 400 };
+    }
+  }
+
+  return { options: { from, to, gridType, size, alertTypes, thresholds } };
+}
+
+// Located alerts of the association created during [from, to] (zoned days)
+const fetchAlerts = (associationId, from, to, timezone, alertTypes) => {
+  const where = {
+    locationLatitude: { [Op.ne]: null },
+    locationLongitude: { [Op.ne]: null },
+    createdAt: {
+      [Op.gte]: zonedDateTime(from, '00:00', timezone),
+      [Op.lt]: zonedDateTime(addDays(to, 1), '00:00', timezone)
+    }
+  };
+  if (alertTypes && alertTypes.length > 0) where.alertType = { [Op.in]: alertTypes };
+
+  return ReportAlert.findAll({
+    where,
+    attributes: ['alertType', 'locationLatitude', 'locationLongitude'],
+    include: [
+      {
+        model: MaraudeReport,
+        as: 'report',
+        attributes: [],
+        required: true,
+        include: [{ model: MaraudeAction, as: 'maraudeAction', attributes: [], required: true, where: { associationId } }]
+      }
+    ],
+    raw: true
+  });
+};
+
+// Reports of the period with the route actually followed that day (occurrence overrides first)
+const fetchReportRoutes = async (associationId, from, to) => {
+  const reports = await MaraudeReport.findAll({
+    where: {
+      reportDate: { [Op.between]: [from, to] },
+      status: { [Op.ne]: 'rejected' }
+    },
+    attributes: ['id', 'maraudeActionId', 'reportDate', 'beneficiariesCount'],
+    include: [
+      {
+        model: MaraudeAction,
+        as: 'maraudeAction',
+        attributes: ['id', 'startLatitude', 'startLongitude', 'waypoints'],
+        required: true,
+        where: { associationId }
+      }
+    ]
+  });
+  if (reports.length === 0) return [];
+
+  const occurrences = await MaraudeOccurrence.findAll({
+    where: {
+      maraudeActionId: { [Op.in]: [...new Set(reports.map(report => report.maraudeActionId))] },
+      occurrenceDate: { [Op.between]: [from, to] }
+    },
+    attributes: ['maraudeActionId', 'occurrenceDate', 'startLatitude', 'startLongitude', 'waypoints']
+  });
+  const occurrenceByDay = new Map(
+    occurrences.map(occurrence => [`${occurrence.maraudeActionId}|${occurrence.occurrenceDate}`, occurrence])
+  );
+
+  return reports.map(report => {
+    const occurrence = occurrenceByDay.get(`${report.maraudeActionId}|${report.reportDate}`);
+    const route = occurrence ? occurrence.getEffectiveSchedule(report.maraudeAction) : report.maraudeAction;
+    return { beneficiariesCount: report.beneficiariesCount || 0, points: routePoints(route) };
+  });
+};
+
+const emptyCounts = () => ({ alerts: 0, alertsByType: {}, encounters: 0, reports: 0 });
+
+/**
+ * Adds a period's alerts and reports to the cells.
+ * Encounters are not located: a report's beneficiaries are spread evenly over the
+ * points of its route, and the report counts once in each cell the route goes through.
+ */
+const accumulate = (cells, grid, key, alerts, reports) => {
+  const counts = (id) => {
+    if (!cells.has(id)) cells.set(id, { current: emptyCounts(), previous: emptyCounts() });
+    return cells.get(id)[key];
+  };
+
+  for (const alert of alerts) {
+    const point = toPoint(alert.locationLatitude, alert.locationLongitude);
+    if (!point) continue;
+    const cellCounts = counts(grid.cellOf(point));
+    cellCounts.alerts += 1;
+    cellCounts.alertsByType[alert.alertType] = (cellCounts.alertsByType[alert.alertType] || 0) + 1;
+  }
+
+  let unlocatedReports = 0;
+  for (const report of reports) {
+    if (report.points.length === 0) {
+      unlocatedReports += 1;
+      continue;
+    }
+    const share = report.beneficiariesCount / report.points.length;
+    const visited = new Set();
+    for (const point of report.points) {
+      const id = grid.cellOf(point);
+      counts(id).encounters += share;
+      visited.add(id);
+    }
+    visited.forEach(id => { counts(id).reports += 1; });
+  }
+  return unlocatedReports;
+};
+
+const isEmerging = (current, previous, minimum, growth) => (
+  current >= minimum && current >= previous * growth && current > previous
+);
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Alerts and encounters per grid cell over [from, to], with the previous period of the
+ * same length for comparison. Cells flagged `emerging` have alerts or encounters above
+ * the thresholds and growing by the growth factor.
+ * @param {string} associationId
+ * @param {Object} options - see parseHotspotOptions
+ * @param {string} [timezone] - zone of the days (association's)
+ * @returns {Promise<Object>}
+ */
+async function getHotspots(associationId, options, timezone = DEFAULT_TIMEZONE) {
+  const { from, to, gridType, size, alertTypes, thresholds } = options;
+  const length = daysBetween(from, to);
+  const previousPeriod = { from: addDays(from, -length), to: addDays(from, -1) };
+
+  const [alerts, previousAlerts, reports, previousReports] = await Promise.all([
+    fetchAlerts(associationId, from, to, timezone, alertTypes),
+    fetchAlerts(associationId, previousPeriod.from, previousPeriod.to, timezone, alertTypes),
+    fetchReportRoutes(associationId, from, to),
+    fetchReportRoutes(associationId, previousPeriod.from, previousPeriod.to)
+  ]);
+
+  // Whole degree: the same cells from one request to the next in a given city
+  const latitudes = [
+    ...[...alerts, ...previousAlerts].map(alert => Number(alert.locationLatitude)),
+    ...[...reports, ...previousReports].flatMap(report => report.points.map(point => point.latitude))
+  ].filter(Number.isFinite);
+  const referenceLatitude = latitudes.length > 0
+    ? Math.round(latitudes.reduce((sum, latitude) => sum + latitude, 0) / latitudes.length)
+    : 0;
+  const grid = createGrid({ type: gridType, size, referenceLatitude });
+
+  const cells = new Map();
+  const unlocatedReports = accumulate(cells, grid, 'current', alerts, reports);
+  accumulate(cells, grid, 'previous', previousAlerts, previousReports);
+
+  const result = [...cells.entries()].map(([id, { current, previous }]) => {
+    const emergingOn = [];
+    if (isEmerging(current.alerts, previous.alerts, thresholds.minAlerts, thresholds.growth)) {
+      emergingOn.push('alerts');
+    }
+    if (isEmerging(current.encounters, previous.encounters, thresholds.minEncounters, thresholds.growth)) {
+      emergingOn.push('encounters');
+    }
+
+    return {
+      ...grid.cell(id),
+      alerts: current.alerts,
+      alertsByType: current.alertsByType,
+      encounters: round1(current.encounters),
+      reports: current.reports,
+      previous: {
+        alerts: previous.alerts,
+        encounters: round1(previous.encounters),
+        reports: previous.reports
+      },
+      emerging: emergingOn.length > 0,
+      emergingOn
+    };
+  });
+
+  // Emerging first, then by alerts and encounters
+  result.sort((a, b) => (
+    (b.emerging - a.emerging) || (b.alerts - a.alerts) || (b.encounters - a.encounters)
+  ));
+
+  const sum = (list, field) => list.reduce((total, item) => total + (item[field] || 0), 0);
+
+  return {
+    period: { from, to },
+    previousPeriod,
+    timezone,
+    grid: { type: grid.type, size: grid.size, referenceLatitude },
+    thresholds,
+    totals: {
+      alerts: alerts.length,
+      encounters: sum(reports, 'beneficiariesCount'),
+      reports: reports.length,
+      // Reports of maraudes without any position: counted here, in no cell
+      unlocatedReports,
+      previous: {
+        alerts: previousAlerts.length,
+        encounters: sum(previousReports, 'beneficiariesCount'),
+        reports: previousReports.length
+      }
+    },
+    emerging: result.filter(cell => cell.emerging).map(cell => cell.id),
+    cells: result
+  };
+}
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  MIN_CELL_SIZE,
+  MAX_CELL_SIZE,
+  parseHotspotOptions,
+  getHotspots
+};
@@ -0,0 +1,221 @@
+// src/services/mapLayerService.js - GeoJSON FeatureCollections for the map layers
+// (merchants, maraude routes, anonymized alerts). Positions are [longitude, latitude].
+const { Op } = require('sequelize');
+const { Merchant, MaraudeAction, ReportAlert, MaraudeReport } = require('../models');
+const { buildGeoQuery } = require('./geoService');
+const { OPEN_STATUSES } = require('./alertCaseService');
+const { toPoint, roundCoordinate, routePoints } = require('../utils/geo');
+const { DEFAULT_TIMEZONE, addDays, dateInTimezone, zonedDateTime } = require('../utils/dateUtils');
+
+const DEFAULT_FEATURE_LIMIT = 1000;
+const MAX_FEATURE_LIMIT = 5000;
+// ~100 m: enough for a heat of needs, not to find someone again
+const ALERT_COORDINATE_DECIMALS = 3;
+
+const featureLimit = (limit) => Math.min(Math.max(parseInt(limit, 10) || DEFAULT_FEATURE_LIMIT, 1), MAX_FEATURE_LIMIT);
+
+const position = (point) => [point.longitude, point.latitude];
+
+const feature = (id, geometry, properties) => ({ type: 'Feature', id, geometry, properties });
+
+// Rows are fetched with limit + 1 to know whether some were left out
+const featureCollection = (features, truncated) => ({
+  type: 'FeatureCollection',
+  features,
+  // More rows than returned: zoom in or narrow the filters
+  truncated
+});
+
+const geoOptions = (model, columns, filters) => {
+  const geo = buildGeoQuery(model, columns, filters);
+  return {
+    where: geo.where.length > 0 ? { [Op.and]: geo.where } : {},
+    attributes: geo.attributes,
+    order: geo.order
+  };
+};
+
+/**
+ * Merchants as Points
+ * @param {Object} filters - geo filters (see geoService.parseGeoFilters)
+ * @param {string[]} [filters.categories]
+ * @param {string[]} [filters.services] - any of them
+ * @param {boolean} [filters.verified]
+ * @param {boolean|null} [filters.active=true] - null for all
+ * @param {number} [filters.limit]
+ * @returns {Promise<Object>} FeatureCollection
+ */
+async function merchantsLayer(filters = {}) {
+  const limit = featureLimit(filters.limit);
+  const geo = geoOptions(Merchant, ['location'], filters);
+  const where = { ...geo.where };
+
+  if (filters.active !== null) where.isActive = filters.active !== false;
+  if (filters.verified !== undefined) where.isVerified = filters.verified;
+  if (filters.categories && filters.categories.length > 0) where.category = { [Op.in]: filters.categories };
+  if (filters.services && filters.services.length > 0) where.services = { [Op.overlap]: filters.services };
+
+  const merchants = await Merchant.findAll({
+    where,
+    attributes: [
+      'id', 'name', 'category', 'services', 'latitude', 'longitude', 'address',
+      'phone', 'website', 'openingHours', 'isVerified', 'isActive',
+      ...geo.attributes
+    ],
+    order: [...geo.order, ['name', 'ASC']],
+    limit: limit + 1
+  });
+
+  const features = merchants.slice(0, limit)
+    .map(merchant => {
+      const point = toPoint(merchant.latitude, merchant.longitude);
+      if (!point) return null;
+      const data = merchant.toJSON();
+      delete data.latitude;
+      delete data.longitude;
+      return feature(merchant.id, { type: 'Point', coordinates: position(point) }, data);
+    })
+    .filter(Boolean);
+
+  return featureCollection(features, merchants.length > limit);
+}
+
+/**
+ * Maraude routes: a LineString from the start point through the ordered waypoints
+ * (a Point when the maraude has no waypoint)
+ * @param {Object} filters - geo filters (see geoService.parseGeoFilters)
+ * @param {string} [filters.associationId]
+ * @param {string[]} [filters.statuses]
+ * @param {number} [filters.dayOfWeek]
+ * @param {boolean|null} [filters.active=true] - null for all
+ * @param {number} [filters.limit]
+ * @returns {Promise<Object>} FeatureCollection
+ */
+async function maraudesLayer(filters = {}) {
+  const limit = featureLimit(filters.limit);
+  const geo = geoOptions(MaraudeAction, ['startLocation', 'waypointsLocation'], filters);
+  const where = { ...geo.where };
+
+  if (filters.active !== null) where.isActive = filters.active !== false;
+  if (filters.associationId) where.associationId = filters.associationId;
+  if (filters.statuses && filters.statuses.length > 0) where.status = { [Op.in]: filters.statuses };
+  if (filters.dayOfWeek !== undefined) where.dayOfWeek = filters.dayOfWeek;
+
+  const actions = await MaraudeAction.findAll({
+    where,
+    attributes: [
+      'id', 'title', 'associationId', 'status', 'isRecurring', 'recurrenceRule', 'dayOfWeek', 'startTime', 'endTime',
+      'startLatitude', 'startLongitude', 'startAddress', 'waypoints', 'estimatedDistance', 'estimatedDuration',
+      ...geo.attributes
+    ],
+    order: [...geo.order, ['dayOfWeek', 'ASC'], ['startTime', 'ASC']],
+    limit: limit + 1
+  });
+
+  const features = actions.slice(0, limit)
+    .map(action => {
+      const positions = routePoints(action).map(position);
+      if (positions.length === 0) return null;
+
+      const geometry = positions.length === 1
+        ? { type: 'Point', coordinates: positions[0] }
+        : { type: 'LineString', coordinates: positions };
+      const data = action.toJSON();
+      ['startLatitude', 'startLongitude', 'waypoints'].forEach(field => delete data[field]);
+
+      return feature(action.id, geometry, {
+        ...data,
+        dayName: action.getDayName(),
+        waypointCount: positions.length - 1
+      });
+    })
+    .filter(Boolean);
+
+  return featureCollection(features, actions.length > limit);
+}
+
+/**
+ * Alert locations without anything that identifies the person or the case:
+ * type, severity, status and day only, position rounded to ~100 m
+ * @param {Object} filters - geo filters (see geoService.parseGeoFilters)
+ * @param {string} [filters.associationId] - required unless admin
+ * @param {string[]} [filters.statuses=OPEN_STATUSES]
+ * @param {string[]} [filters.severities]
+ * @param {string[]} [filters.alertTypes]
+ * @param {string} [filters.from] - YYYY-MM-DD, first day
+ * @param {string} [filters.to] - YYYY-MM-DD, last day
+ * @param {string} [filters.timezone] - zone of the days (association's)
+ * @param {number} [filters.limit]
+ * @returns {Promise<Object>} FeatureCollection
+ */
+async function alertsLayer(filters = {}) {
+  const limit = featureLimit(filters.limit);
+  const timezone = filters.timezone || DEFAULT_TIMEZONE;
+  const geo = geoOptions(ReportAlert, ['location'], filters);
+  const where = {
+    ...geo.where,
+    location: { [Op.ne]: null },
+    status: { [Op.in]: filters.statuses || OPEN_STATUSES }
+  };
+
+  if (filters.severities && filters.severities.length > 0) where.severity = { [Op.in]: filters.severities };
+  if (filters.alertTypes && filters.alertTypes.length > 0) where.alertType = { [Op.in]: filters.alertTypes };
+  if (filters.from || filters.to) {
+    where.createdAt = {
+      ...(filters.from ? { [Op.gte]: zonedDateTime(filters.from, '00:00', timezone) } : {}),
+      ...(filters.to ? { [Op.lt]: zonedDateTime(addDays(filters.to, 1), '00:00', timezone) } : {})
+    };
+  }
+
+  const alerts = await ReportAlert.findAll({
+    where,
+    attributes: ['alertType', 'severity', 'status', 'locationLatitude', 'locationLongitude', 'createdAt'],
+    include: [
+      {
+        model: MaraudeReport,
+        as: 'report',
+        attributes: [],
+        required: true,
+        include: [
+          {
+            model: MaraudeAction,
+            as: 'maraudeAction',
+            attributes: [],
+            required: true,
+            ...(filters.associationId ? { where: { associationId: filters.associationId } } : {})
+          }
+        ]
+      }
+    ],
+    order: [...geo.order, ['createdAt', 'DESC']],
+    limit: limit + 1
+  });
+
+  const features = alerts.slice(0, limit)
+    .map(alert => {
+      const point = toPoint(
+        roundCoordinate(alert.locationLatitude, ALERT_COORDINATE_DECIMALS),
+        roundCoordinate(alert.locationLongitude, ALERT_COORDINATE_DECIMALS)
+      );
+      if (!point) return null;
+
+      // No id nor exact distance: features must not lead back to the case or the place
+      return feature(undefined, { type: 'Point', coordinates: position(point) }, {
+        alertType: alert.alertType,
+        severity: alert.severity,
+        status: alert.status,
+        date: dateInTimezone(alert.createdAt, timezone)
+      });
+    })
+    .filter(Boolean);
+
+  return featureCollection(features, alerts.length > limit);
+}
+
+module.exports = {
+  MAX_FEATURE_LIMIT,
+  ALERT_COORDINATE_DECIMALS,
+  merchantsLayer,
+  maraudesLayer,
+  alertsLayer
+};
@@ -0,0 +1,147 @@
+// src/services/maraudeLifecycleService.js - Start, finish and cancel the dated session of a maraude.
+// Status moves follow STATUS_TRANSITIONS (see occurrenceService.js): recurring templates share
+// one row, so the lifecycle lives on the occurrence. Finishing opens the draft report of the session.
+const { sequelize, MaraudeReport, MaraudeParticipation, TrackingSession } = require('../models');
+const { findOccurrence, transitionOccurrence, resolveTimezone } = require('./occurrenceService');
+const { isTeamMember } = require('./participationService');
+const { attachTrackToReport, endSession } = require('./trackingService');
+const { today, timeInTimezone } = require('../utils/dateUtils');
+
+/**
+ * Session an action applies to: `date`, else the day of a one-off maraude,
+ * else today in the association's zone
+ * @param {Object} action - MaraudeAction instance
+ * @param {string} [date] - YYYY-MM-DD
+ * @returns {Promise<{occurrence?: Object, error?: string, status?: number}>}
+ */
+async function resolveSession(action, date) {
+  const sessionDate = date || (!action.isRecurring && action.scheduledDate) || today(await resolveTimezone(action));
+  const occurrence = await findOccurrence(action, sessionDate);
+  if (!occurrence) {
+    return { error: `No session of this maraude on ${sessionDate}`, status: 404 };
+  }
+  return { occurrence };
+}
+
+/**
+ * The team sets off (team members only, not before the day of the session)
+ * @returns {Promise<{occurrence?: Object, error?: string, status?: number}>}
+ */
+async function startMaraude(action, occurrence, user) {
+  if (!await isTeamMember(action, occurrence, user)) {
+    return { error: 'Only the team of this session can start it', status: 403 };
+  }
+  if (occurrence.occurrenceDate > today(await resolveTimezone(action))) {
+    return { error: 'A session cannot start before its day', status: 400 };
+  }
+  return transitionOccurrence(action, occurrence, 'in_progress', user);
+}
+
+// Draft report of a finished session: times, confirmed team and planned route of the day
+const draftReportValues = async (action, occurrence, user, transaction) => {
+  const timezone = await resolveTimezone(action);
+  const schedule = occurrence.getEffectiveSchedule(action);
+
+  const participations = await MaraudeParticipation.findAll({
+    where: { maraudeActionId: action.id, occurrenceDate: occurrence.occurrenceDate, status: 'confirmed' },
+    attributes: ['userId'],
+    order: [['registeredAt', 'ASC']],
+    transaction
+  });
+  const team = participations.map(participation => ({
+    userId: participation.userId,
+    isLeader: participation.userId === schedule.leaderId
+  }));
+
+  const endTime = timeInTimezone(occurrence.finishedAt, timezone);
+  return {
+    maraudeActionId: action.id,
+    reportDate: occurrence.occurrenceDate,
+    startTime: occurrence.startedAt ? timeInTimezone(occurrence.startedAt, timezone) : schedule.startTime || endTime,
+    endTime,
+    beneficiariesCount: 0,
+    volunteersCount: team.length,
+    team,
+    plannedRoute: {
+      startLatitude: schedule.startLatitude,
+      startLongitude: schedule.startLongitude,
+      startAddress: schedule.startAddress,
+      waypoints: schedule.waypoints
+    },
+    // The leader writes the report (any team member can complete and submit it)
+    createdBy: schedule.leaderId || user.id,
+    status: 'draft'
+  };
+};
+
+/**
+ * The team is back: complete the session and open its draft report (pre-filled, with
+ * the track when the session was tracked). A report already filed for the day is kept.
+ * @returns {Promise<{occurrence?: Object, report?: Object, reportCreated?: boolean, error?: string, status?: number}>}
+ */
+async function finishMaraude(action, occurrence, user) {
+  if (!await isTeamMember(action, occurrence, user)) {
+    return { error: 'Only the team of this session can finish it', status: 403 };
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    const result = await transitionOccurrence(action, occurrence, 'completed', user, { transaction });
+    if (result.error) return result;
+
+    const existing = await MaraudeReport.findOne({
+      where: { maraudeActionId: action.id, reportDate: occurrence.occurrenceDate },
+      transaction
+    });
+    if (existing) {
+      return { occurrence, report: existing, reportCreated: false };
+    }
+
+    const report = await MaraudeReport.create(
+      await draftReportValues(action, occurrence, user, transaction),
+      { transaction }
+    );
+    // Ends the live tracking and keeps the walked route
+    await attachTrackToReport(report, { transaction });
+    return { occurrence, report, reportCreated: true };
+  });
+}
+
+/**
+ * Cancel a planned session, or one in progress (the team is called back: tracking stops)
+ * @param {string} reason
+ * @returns {Promise<{occurrence?: Object, error?: string, status?: number}>}
+ */
+function cancelMaraude(action, occurrence, user, reason) {
+  return sequelize.transaction(async (transaction) => {
+    const result = await transitionOccurrence(action, occurrence, 'cancelled', user, { reason, transaction });
+    if (result.error) return result;
+
+    const tracking = await TrackingSession.findOne({
+      where: { maraudeActionId: action.id, occurrenceDate: occurrence.occurrenceDate, status: 'active' },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (tracking) {
+      const ended = await endSession(tracking, user, { transaction });
+      // Rolls the cancellation back with it
+      if (ended.error) throw new Error(`Tracking could not be stopped: ${ended.error}`);
+    }
+    return result;
+  });
+}
+
+/**
+ * Back to planned after a cancellation
+ * @returns {Promise<{occurrence?: Object, error?: string, status?: number}>}
+ */
+function restoreMaraude(action, occurrence, user) {
+  return transitionOccurrence(action, occurrence, 'planned', user);
+}
+
+module.exports = {
+  resolveSession,
+  startMaraude,
+  finishMaraude,
+  cancelMaraude,
+  restoreMaraude
+};
@@ -0,0 +1,28 @@
+// src/services/notificationChannels/email.js - Alert notifications through the SMTP transport
+const { sendAlertNotification } = require('../emailService');
+
+module.exports = {
+  name: 'email',
+
+  isEnabled: () => !!process.env.SMTP_HOST,
+
+  // One email to every recipient having an address
+  async send(message, recipients) {
+    const withEmail = recipients.filter(user => user.email);
+    if (withEmail.length === 0) {
+      return [];
+    }
+
+    const sent = await sendAlertNotification({
+      message,
+      recipients: withEmail.map(user => user.email)
+    });
+
+    return withEmail.map(user => ({
+      userId: user.id,
+      recipient: user.email,
+      ok: sent,
+      error: sent ? null : 'SMTP delivery failed'
+    }));
+  }
+};
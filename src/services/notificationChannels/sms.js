@@ -0,0 +1,43 @@
+// src/services/notificationChannels/sms.js - SMS through an HTTP gateway
+// The gateway receives POST SMS_GATEWAY_URL { to, message } (SMS_GATEWAY_TOKEN as Bearer token)
+// Only the minimized text is sent (message.sms): descriptions never go through the gateway.
+const TIMEOUT_MS = 10000;
+const MAX_LENGTH = 320; // two SMS
+
+module.exports = {
+  name: 'sms',
+
+  isEnabled: () => !!process.env.SMS_GATEWAY_URL,
+
+  async send(message, recipients) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.SMS_GATEWAY_TOKEN) {
+      headers.Authorization = `Bearer ${process.env.SMS_GATEWAY_TOKEN}`;
+    }
+
+    const body = message.sms.length > MAX_LENGTH
+      ? `${message.sms.slice(0, MAX_LENGTH - 1)}…`
+      : message.sms;
+
+    const results = [];
+    for (const user of recipients.filter(recipient => recipient.phone)) {
+      try {
+        const response = await fetch(process.env.SMS_GATEWAY_URL, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify({ to: user.phone, message: body }),
+          signal: AbortSignal.timeout(TIMEOUT_MS)
+        });
+        results.push({
+          userId: user.id,
+          recipient: user.phone,
+          ok: response.ok,
+          error: response.ok ? null : `HTTP ${response.status}`
+        });
+      } catch (error) {
+        results.push({ userId: user.id, recipient: user.phone, ok: false, error: error.message });
+      }
+    }
+    return results;
+  }
+};
@@ -0,0 +1,42 @@
+// src/services/notificationChannels/webhook.js - POST the alert as JSON to ALERT_WEBHOOK_URL
+// (chat integrations, on-call tools...). ALERT_WEBHOOK_SECRET is sent as a Bearer token.
+// Only the minimized payload is sent (message.webhook): descriptions never leave the app.
+const TIMEOUT_MS = 10000;
+
+module.exports = {
+  name: 'webhook',
+
+  isEnabled: () => !!process.env.ALERT_WEBHOOK_URL,
+
+  // A single delivery per alert, whoever the recipients are
+  async send(message, recipients) {
+    const url = process.env.ALERT_WEBHOOK_URL;
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.ALERT_WEBHOOK_SECRET) {
+      headers.Authorization = `Bearer ${process.env.ALERT_WEBHOOK_SECRET}`;
+    }
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          event: message.data.level > 0 ? 'alert.escalated' : 'alert.created',
+          subject: message.webhook.subject,
+          alert: message.webhook.alert,
+          recipients: recipients.map(user => ({ id: user.id, email: user.email }))
+        }),
+        signal: AbortSignal.timeout(TIMEOUT_MS)
+      });
+
+      return [{
+        userId: null,
+        recipient: url,
+        ok: response.ok,
+        error: response.ok ? null : `HTTP ${response.status}`
+      }];
+    } catch (error) {
+      return [{ userId: null, recipient: url, ok: false, error: error.message }];
+    }
+  }
+};
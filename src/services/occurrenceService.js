@@ -0,0 +1,305 @@
+// src/services/occurrenceService.js - Persisted occurrences generated from MaraudeAction templates
+const { Op } = require('sequelize');
+const { MaraudeAction, MaraudeOccurrence, MaraudeParticipation, Association } = require('../models');
+const { DEFAULT_TIMEZONE, today, currentTime, toDateOnly, addDays } = require('../utils/dateUtils');
+
+// How far ahead occurrences are materialized (rolling horizon)
+const HORIZON_DAYS = parseInt(process.env.OCCURRENCE_HORIZON_DAYS, 10) || 56;
+
+// Longest range served by the public occurrence list
+const MAX_READ_DAYS = 366;
+
+// Lifecycle of a session: allowed source status -> next statuses (see maraudeLifecycleService.js)
+const STATUS_TRANSITIONS = {
+  planned: ['in_progress', 'cancelled'],
+  in_progress: ['completed', 'cancelled'],
+  cancelled: ['planned'],
+  completed: []
+};
+
+/**
+ * Dates on which a template takes place between `from` and `to` (inclusive),
+ * expanding its recurrence rule (see MaraudeAction#getOccurrenceDates)
+ * @param {Object} action - MaraudeAction instance
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {string[]}
+ */
+function getOccurrenceDates(action, from, to) {
+  return action.getOccurrenceDates(from, to);
+}
+
+/**
+ * Create the missing occurrences of the given templates over a date range.
+ * Existing rows (and their overrides) are left untouched.
+ */
+async function ensureOccurrences(actions, { from = today(), to = addDays(from, HORIZON_DAYS), transaction } = {}) {
+  const rows = [];
+
+  actions.forEach(action => {
+    getOccurrenceDates(action, from, to).forEach(occurrenceDate => {
+      rows.push({ maraudeActionId: action.id, occurrenceDate, status: 'planned' });
+    });
+  });
+
+  if (rows.length === 0) {
+    return 0;
+  }
+
+  await MaraudeOccurrence.bulkCreate(rows, { ignoreDuplicates: true, transaction });
+  return rows.length;
+}
+
+// Generate occurrences for every active template over a date range
+async function ensureActiveOccurrences({ from = today(), to = addDays(from, HORIZON_DAYS) } = {}) {
+  const actions = await MaraudeAction.findAll({
+    where: {
+      isActive: true,
+      [Op.or]: [
+        { isRecurring: true },
+        { isRecurring: false, scheduledDate: { [Op.between]: [from, to] } }
+      ]
+    },
+    attributes: [
+      'id', 'isActive', 'isRecurring', 'dayOfWeek', 'scheduledDate',
+      'recurrenceRule', 'recurrenceStart', 'recurrenceExceptions'
+    ]
+  });
+
+  return ensureOccurrences(actions, { from, to });
+}
+
+/**
+ * Sessions of templates over a date range, without writing anything: the stored rows,
+ * completed with unsaved planned ones for dates not generated yet (beyond the horizon).
+ * For public reads (see jobs/occurrenceGeneration.js for the horizon).
+ * @param {Object[]} actions - MaraudeAction instances (their includes are kept)
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @param {Object} [options]
+ * @param {Object[]} [options.include] - includes of the stored rows
+ * @returns {Promise<Object[]>} occurrences sorted by date, each with its maraudeAction
+ */
+async function readOccurrences(actions, from, to, { include } = {}) {
+  if (actions.length === 0) {
+    return [];
+  }
+
+  const actionsById = new Map(actions.map(action => [action.id, action]));
+  const stored = await MaraudeOccurrence.findAll({
+    where: {
+      maraudeActionId: { [Op.in]: [...actionsById.keys()] },
+      occurrenceDate: { [Op.between]: [from, to] }
+    },
+    include
+  });
+
+  const known = new Set(stored.map(occurrence => `${occurrence.maraudeActionId}:${occurrence.occurrenceDate}`));
+  const virtual = [];
+  actions.forEach(action => {
+    getOccurrenceDates(action, from, to)
+      .filter(occurrenceDate => !known.has(`${action.id}:${occurrenceDate}`))
+      .forEach(occurrenceDate => {
+        // No id: not stored yet
+        virtual.push(MaraudeOccurrence.build({ id: null, maraudeActionId: action.id, occurrenceDate, status: 'planned' }));
+      });
+  });
+
+  return [...stored, ...virtual]
+    .map(occurrence => {
+      occurrence.maraudeAction = actionsById.get(occurrence.maraudeActionId);
+      return occurrence;
+    })
+    .sort((a, b) => a.occurrenceDate.localeCompare(b.occurrenceDate));
+}
+
+// Zone of the association owning a template (loaded when not included)
+async function resolveTimezone(action) {
+  if (action.association?.timezone) {
+    return action.association.timezone;
+  }
+  const association = await Association.findByPk(action.associationId, { attributes: ['timezone'] });
+  return association?.timezone || DEFAULT_TIMEZONE;
+}
+
+/**
+ * Re-align the future occurrences of a template after it was created or edited:
+ * untouched planned occurrences that no longer match the schedule are removed
+ * (unless volunteers are registered for them), then the horizon is filled again.
+ */
+async function syncActionOccurrences(action, { transaction } = {}) {
+  const from = today(await resolveTimezone(action));
+  const to = addDays(from, HORIZON_DAYS);
+
+  const registeredSessions = await MaraudeParticipation.findAll({
+    where: {
+      maraudeActionId: action.id,
+      occurrenceDate: { [Op.gte]: from },
+      status: { [Op.in]: ['confirmed', 'waitlisted'] }
+    },
+    attributes: ['occurrenceDate'],
+    group: ['occurrenceDate'],
+    transaction
+  });
+  const expectedDates = [
+    ...getOccurrenceDates(action, from, to),
+    ...registeredSessions.map(session => session.occurrenceDate)
+  ];
+
+  const removed = await MaraudeOccurrence.destroy({
+    where: {
+      maraudeActionId: action.id,
+      occurrenceDate: { [Op.gte]: from, [Op.notIn]: expectedDates.length ? expectedDates : ['1970-01-01'] },
+      status: 'planned',
+      isModified: false
+    },
+    transaction
+  });
+
+  const created = await ensureOccurrences([action], { from, to, transaction });
+  return { removed, created };
+}
+
+/**
+ * Find the occurrence of a template on a given date, materializing it
+ * when the date is part of the schedule but beyond the generated horizon.
+ * @returns {Promise<Object|null>} null when the template does not run that day
+ */
+async function findOccurrence(action, date) {
+  const existing = await MaraudeOccurrence.findOne({
+    where: { maraudeActionId: action.id, occurrenceDate: date }
+  });
+
+  if (existing) {
+    return existing;
+  }
+
+  if (getOccurrenceDates(action, date, date).length === 0) {
+    return null;
+  }
+
+  const [occurrence] = await MaraudeOccurrence.findOrCreate({
+    where: { maraudeActionId: action.id, occurrenceDate: date },
+    defaults: { status: 'planned' }
+  });
+  return occurrence;
+}
+
+/**
+ * Read-only counterpart of findOccurrence: a date not generated yet gives an unsaved planned row.
+ * @returns {Promise<Object|null>} null when the template does not run that day
+ */
+async function readOccurrence(action, date, { include } = {}) {
+  const [occurrence] = await readOccurrences([action], date, date, { include });
+  return occurrence || null;
+}
+
+// Has this occurrence already started, on the wall clock of its association?
+function hasStarted(schedule, timezone = DEFAULT_TIMEZONE) {
+  const todayDate = today(timezone);
+  if (schedule.date !== todayDate) {
+    return schedule.date < todayDate;
+  }
+  return !!schedule.startTime && currentTime(timezone) > schedule.startTime;
+}
+
+/**
+ * Next non-cancelled, not-yet-started occurrence for each template
+ * @param {Object[]} actions - MaraudeAction instances
+ * @returns {Promise<Map<string, Object>>} actionId -> occurrence
+ */
+async function getNextOccurrences(actions) {
+  const result = new Map();
+  if (actions.length === 0) {
+    return result;
+  }
+
+  const actionsById = new Map(actions.map(action => [action.id, action]));
+  // Day before the UTC date: covers "today" in every zone, hasStarted() filters the rest
+  const from = addDays(toDateOnly(new Date()), -1);
+
+  const upcoming = await MaraudeOccurrence.findAll({
+    where: {
+      maraudeActionId: { [Op.in]: [...actionsById.keys()] },
+      occurrenceDate: { [Op.between]: [from, addDays(from, HORIZON_DAYS)] },
+      status: { [Op.ne]: 'cancelled' }
+    },
+    order: [['occurrenceDate', 'ASC']]
+  });
+
+  upcoming.forEach(occurrence => {
+    if (result.has(occurrence.maraudeActionId)) {
+      return;
+    }
+    const action = actionsById.get(occurrence.maraudeActionId);
+    if (!hasStarted(occurrence.getEffectiveSchedule(action), action.getTimezone())) {
+      result.set(occurrence.maraudeActionId, occurrence);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Move an occurrence along its lifecycle, recording when and by whom. A one-off maraude
+ * follows the status of its single session; recurring templates keep theirs.
+ * @param {Object} action - MaraudeAction instance
+ * @param {Object} occurrence - MaraudeOccurrence instance
+ * @param {string} status - target status
+ * @param {Object} user - actor
+ * @param {Object} [options]
+ * @param {string} [options.reason] - required to cancel
+ * @param {Object} [options.transaction]
+ * @returns {Promise<{occurrence?: Object, error?: string, status?: number}>}
+ */
+async function transitionOccurrence(action, occurrence, status, user, { reason, transaction } = {}) {
+  if (!STATUS_TRANSITIONS[occurrence.status]?.includes(status)) {
+    return { error: `Cannot move a session from ${occurrence.status} to ${status}`, status: 400 };
+  }
+  if (status === 'cancelled' && !reason) {
+    return { error: 'A cancellation reason is required', status: 400 };
+  }
+
+  const now = new Date();
+  const updateData = {
+    in_progress: { startedAt: now, startedBy: user.id },
+    completed: { finishedAt: now, finishedBy: user.id },
+    cancelled: { cancellationReason: reason, cancelledAt: now, cancelledBy: user.id, isModified: true },
+    planned: { cancellationReason: null, cancelledAt: null, cancelledBy: null }
+  }[status];
+
+  await occurrence.update({ status, ...updateData }, { transaction });
+
+  if (!action.isRecurring && action.scheduledDate === occurrence.occurrenceDate && action.status !== status) {
+    await action.update({ status }, { transaction });
+  }
+  return { occurrence };
+}
+
+// API representation: occurrence row + effective (template-merged) schedule
+function serializeOccurrence(occurrence, action = occurrence.maraudeAction) {
+  const data = occurrence.toJSON();
+  delete data.maraudeAction;
+  return {
+    ...data,
+    effective: occurrence.getEffectiveSchedule(action)
+  };
+}
+
+module.exports = {
+  HORIZON_DAYS,
+  MAX_READ_DAYS,
+  STATUS_TRANSITIONS,
+  resolveTimezone,
+  hasStarted,
+  getOccurrenceDates,
+  ensureOccurrences,
+  ensureActiveOccurrences,
+  readOccurrences,
+  readOccurrence,
+  syncActionOccurrences,
+  findOccurrence,
+  transitionOccurrence,
+  getNextOccurrences,
+  serializeOccurrence
+};
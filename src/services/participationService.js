@@ -0,0 +1,280 @@
+// src/services/participationService.js - Volunteer sign-ups, capacity and waitlist of maraude sessions
+const { Op } = require('sequelize');
+const { sequelize, MaraudeOccurrence, MaraudeParticipation, User } = require('../models');
+const { findOccurrence, hasStarted, resolveTimezone } = require('./occurrenceService');
+const { today } = require('../utils/dateUtils');
+
+const ACTIVE_STATUSES = ['confirmed', 'waitlisted'];
+
+// Row lock on the occurrence: sign-ups of the same session are serialized,
+// so two volunteers cannot both take the last spot
+const lockOccurrence = (occurrence, transaction) => MaraudeOccurrence.findByPk(occurrence.id, {
+  transaction,
+  lock: transaction.LOCK.UPDATE
+});
+
+const sessionWhere = (action, date) => ({ maraudeActionId: action.id, occurrenceDate: date });
+
+// Capacity of a session: occurrence override, else the template (null = unlimited)
+const getCapacity = (occurrence, action) => occurrence.getEffectiveSchedule(action).maxParticipants ?? null;
+
+/**
+ * Number of confirmed volunteers of a session
+ * @param {string} maraudeActionId
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<number>}
+ */
+function countConfirmed(maraudeActionId, date, { transaction } = {}) {
+  return MaraudeParticipation.count({
+    where: { maraudeActionId, occurrenceDate: date, status: 'confirmed' },
+    transaction
+  });
+}
+
+/**
+ * Is this user part of the team running a session: a coordinator of the association
+ * (or an admin), the effective leader or a confirmed volunteer?
+ * @param {Object} action - MaraudeAction instance
+ * @param {Object} occurrence - MaraudeOccurrence instance
+ * @param {Object} user
+ * @returns {Promise<boolean>}
+ */
+async function isTeamMember(action, occurrence, user) {
+  if (user.role === 'admin' || (user.role === 'coordinator' && user.associationId === action.associationId)) {
+    return true;
+  }
+  if (occurrence.getEffectiveSchedule(action).leaderId === user.id) {
+    return true;
+  }
+  const participation = await MaraudeParticipation.findOne({
+    where: { ...sessionWhere(action, occurrence.occurrenceDate), userId: user.id, status: 'confirmed' },
+    attributes: ['id']
+  });
+  return !!participation;
+}
+
+// One-off maraudes: participantsCount mirrors the roster of their single session
+async function syncParticipantsCount(action, date, { transaction } = {}) {
+  if (action.isRecurring || (action.scheduledDate && action.scheduledDate !== date)) {
+    return;
+  }
+  const participantsCount = await countConfirmed(action.id, date, { transaction });
+  await action.update({ participantsCount }, { transaction });
+}
+
+// Fill free spots with the oldest waitlisted registrations. Lowering the capacity
+// never demotes volunteers who are already confirmed.
+async function fillFromWaitlist(action, occurrence, { transaction }) {
+  const waitlisted = await MaraudeParticipation.findAll({
+    where: { ...sessionWhere(action, occurrence.occurrenceDate), status: 'waitlisted' },
+    order: [['registeredAt', 'ASC']],
+    transaction
+  });
+
+  if (waitlisted.length === 0) {
+    return [];
+  }
+
+  const capacity = getCapacity(occurrence, action);
+  const freeSpots = capacity === null
+    ? waitlisted.length
+    : capacity - await countConfirmed(action.id, occurrence.occurrenceDate, { transaction });
+
+  const promoted = waitlisted.slice(0, Math.max(freeSpots, 0));
+  const promotedAt = new Date();
+  for (const participation of promoted) {
+    await participation.update({ status: 'confirmed', promotedAt }, { transaction });
+  }
+
+  return promoted;
+}
+
+/**
+ * Register a volunteer for a session. Confirmed while there is room, waitlisted otherwise.
+ * A withdrawn volunteer who signs up again goes to the back of the queue.
+ * @param {Object} action - MaraudeAction instance
+ * @param {Object} occurrence - MaraudeOccurrence instance
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {string} [options.registeredBy] - Coordinator registering someone else
+ * @param {string} [options.notes]
+ * @returns {Promise<{participation?: Object, error?: string, status?: number}>}
+ */
+async function register(action, occurrence, userId, { registeredBy = null, notes = null } = {}) {
+  const timezone = await resolveTimezone(action);
+
+  return sequelize.transaction(async (transaction) => {
+    const locked = await lockOccurrence(occurrence, transaction);
+
+    if (locked.status === 'cancelled' || locked.status === 'completed') {
+      return { error: `Cannot register for a ${locked.status} occurrence`, status: 400 };
+    }
+
+    if (hasStarted(locked.getEffectiveSchedule(action), timezone)) {
+      return { error: 'Registration is closed: this occurrence has already started', status: 400 };
+    }
+
+    const existing = await MaraudeParticipation.findOne({
+      where: { ...sessionWhere(action, locked.occurrenceDate), userId },
+      transaction
+    });
+
+    if (existing && existing.isActive()) {
+      return { error: `Already registered for this occurrence (${existing.status})`, status: 409 };
+    }
+
+    const capacity = getCapacity(locked, action);
+    const confirmedCount = await countConfirmed(action.id, locked.occurrenceDate, { transaction });
+
+    const values = {
+      status: capacity === null || confirmedCount < capacity ? 'confirmed' : 'waitlisted',
+      registeredAt: new Date(),
+      registeredBy,
+      promotedAt: null,
+      withdrawnAt: null,
+      notes
+    };
+
+    const participation = existing
+      ? await existing.update(values, { transaction })
+      : await MaraudeParticipation.create({
+        ...sessionWhere(action, locked.occurrenceDate),
+        userId,
+        ...values
+      }, { transaction });
+
+    await syncParticipantsCount(action, locked.occurrenceDate, { transaction });
+
+    return { participation };
+  });
+}
+
+/**
+ * Withdraw a volunteer from a session; a freed confirmed spot goes to the waitlist
+ * @returns {Promise<{participation?: Object, promoted?: Object[], error?: string, status?: number}>}
+ */
+async function withdraw(action, occurrence, userId) {
+  return sequelize.transaction(async (transaction) => {
+    const locked = await lockOccurrence(occurrence, transaction);
+
+    const participation = await MaraudeParticipation.findOne({
+      where: { ...sessionWhere(action, locked.occurrenceDate), userId },
+      transaction
+    });
+
+    if (!participation || !participation.isActive()) {
+      return { error: 'No active registration for this occurrence', status: 404 };
+    }
+
+    if (locked.status === 'completed') {
+      return { error: 'Cannot withdraw from a completed occurrence', status: 400 };
+    }
+
+    const wasConfirmed = participation.status === 'confirmed';
+    await participation.update({ status: 'withdrawn', withdrawnAt: new Date() }, { transaction });
+
+    const promoted = wasConfirmed ? await fillFromWaitlist(action, locked, { transaction }) : [];
+    await syncParticipantsCount(action, locked.occurrenceDate, { transaction });
+
+    return { participation, promoted };
+  });
+}
+
+/**
+ * Promote waitlisted volunteers of one session, e.g. after its capacity was raised
+ * @returns {Promise<Object[]>} promoted participations
+ */
+async function promoteWaitlist(action, occurrence) {
+  return sequelize.transaction(async (transaction) => {
+    const locked = await lockOccurrence(occurrence, transaction);
+    const promoted = await fillFromWaitlist(action, locked, { transaction });
+    if (promoted.length > 0) {
+      await syncParticipantsCount(action, locked.occurrenceDate, { transaction });
+    }
+    return promoted;
+  });
+}
+
+/**
+ * Promote waitlists of every upcoming session of a template (template capacity changed)
+ * @returns {Promise<number>} number of promoted volunteers
+ */
+async function promoteUpcomingWaitlists(action) {
+  const from = today(await resolveTimezone(action));
+
+  const sessions = await MaraudeParticipation.findAll({
+    where: {
+      maraudeActionId: action.id,
+      occurrenceDate: { [Op.gte]: from },
+      status: 'waitlisted'
+    },
+    attributes: ['occurrenceDate'],
+    group: ['occurrenceDate']
+  });
+
+  let total = 0;
+  for (const { occurrenceDate } of sessions) {
+    const occurrence = await findOccurrence(action, occurrenceDate);
+    if (occurrence && !occurrence.isCancelled()) {
+      total += (await promoteWaitlist(action, occurrence)).length;
+    }
+  }
+  return total;
+}
+
+/**
+ * Roster of a session for coordinators
+ * @param {Object} action - MaraudeAction instance
+ * @param {Object} occurrence - MaraudeOccurrence instance
+ * @param {Object} [options]
+ * @param {boolean} [options.includeWithdrawn=false]
+ */
+async function getRoster(action, occurrence, { includeWithdrawn = false } = {}) {
+  const whereClause = sessionWhere(action, occurrence.occurrenceDate);
+  if (!includeWithdrawn) {
+    whereClause.status = { [Op.in]: ACTIVE_STATUSES };
+  }
+
+  const participations = await MaraudeParticipation.findAll({
+    where: whereClause,
+    include: [
+      {
+        model: User,
+        as: 'user',
+        attributes: ['id', 'firstName', 'lastName', 'email', 'phone']
+      }
+    ],
+    order: [['registeredAt', 'ASC']]
+  });
+
+  const confirmed = participations.filter(p => p.status === 'confirmed');
+  const waitlist = participations.filter(p => p.status === 'waitlisted');
+  const capacity = getCapacity(occurrence, action);
+
+  const roster = {
+    date: occurrence.occurrenceDate,
+    capacity,
+    confirmedCount: confirmed.length,
+    waitlistCount: waitlist.length,
+    spotsLeft: capacity === null ? null : Math.max(capacity - confirmed.length, 0),
+    confirmed,
+    waitlist
+  };
+
+  if (includeWithdrawn) {
+    roster.withdrawn = participations.filter(p => p.status === 'withdrawn');
+  }
+
+  return roster;
+}
+
+module.exports = {
+  ACTIVE_STATUSES,
+  countConfirmed,
+  isTeamMember,
+  register,
+  withdraw,
+  promoteWaitlist,
+  promoteUpcomingWaitlists,
+  getRoster
+};
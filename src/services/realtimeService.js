@@ -0,0 +1,240 @@
+// src/services/realtimeService.js - Real-time push of domain events (see models/eventHooks.js) to the
+// connected front ends, over Server-Sent Events. Each association is a channel: an event only reaches
+// the users who could read the same data through the REST routes.
+const crypto = require('crypto');
+const { ReportAlert, MaraudeReport, MaraudeAction } = require('../models');
+const { eventBus } = require('../utils/eventBus');
+const { REPORT_EVENT_STATUSES } = require('../models/eventHooks');
+
+const MANAGER_ROLES = ['coordinator', 'admin'];
+// Events kept for clients reconnecting with Last-Event-ID
+const HISTORY_SIZE = 200;
+// Longest setTimeout delay (~24.8 days): later expiries are checked again at that point
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Who may receive an event: members of `associationId` (null: every user), restricted to `roles`
+// when set; `userIds` receive it whatever their role.
+const associationMembers = (data) => ({ associationId: data.associationId });
+const associationManagers = (data) => ({ associationId: data.associationId, roles: MANAGER_ROLES });
+
+const AUDIENCES = {
+  // Maraudes and reports: readable by every member (GET /api/maraudes, GET /api/reports)
+  'maraude.status_changed': associationMembers,
+  'occurrence.status_changed': associationMembers,
+  ...Object.fromEntries(REPORT_EVENT_STATUSES.map(status => [`report.${status}`, associationMembers])),
+  // Alert cases: coordinators and the assignee (GET /api/alerts/:id)
+  'alert.created': (data) => ({ ...associationManagers(data), userIds: data.assigneeId ? [data.assigneeId] : [] }),
+  // Merchants are public
+  'merchant.verified': () => ({ associationId: null }),
+  // Live tracking: coordinators (GET /api/tracking/stream)
+  'tracking.started': associationManagers,
+  'tracking.position': associationManagers,
+  'tracking.ended': associationManagers
+};
+
+const REALTIME_EVENTS = Object.keys(AUDIENCES);
+
+// Payloads that need loading before they can be routed. null: nothing to push
+const PREPARE = {
+  // Emitted with { alertId } only: no alert content is pushed, the front reads it from the API
+  'alert.created': async ({ alertId }) => {
+    const alert = await ReportAlert.findByPk(alertId, {
+      attributes: ['id', 'reportId', 'alertType', 'severity', 'status', 'assigneeId', 'dueAt'],
+      include: [{
+        model: MaraudeReport,
+        as: 'report',
+        attributes: ['id', 'maraudeActionId'],
+        include: [{ model: MaraudeAction, as: 'maraudeAction', attributes: ['associationId'] }]
+      }]
+    });
+    if (!alert) return null;
+    return {
+      alertId: alert.id,
+      reportId: alert.reportId,
+      associationId: alert.report.maraudeAction.associationId,
+      alertType: alert.alertType,
+      severity: alert.severity,
+      status: alert.status,
+      assigneeId: alert.assigneeId,
+      dueAt: alert.dueAt
+    };
+  }
+};
+
+// Event ids are "<boot>-<n>": after a restart, ids from the previous process are recognized
+const bootId = crypto.randomBytes(4).toString('hex');
+let sequence = 0;
+const history = [];
+
+// Connected clients: { user, associationId (admins: followed association, undefined = all), events, stream, expiryTimer }
+const clients = new Set();
+
+const canReceive = (client, { event, audience }) => {
+  const { user } = client;
+  if (client.events && !client.events.includes(event)) return false;
+
+  if (audience.associationId) {
+    if (user.role === 'admin') {
+      if (client.associationId && client.associationId !== audience.associationId) return false;
+    } else if (user.associationId !== audience.associationId) {
+      return false;
+    }
+  }
+
+  if (audience.roles && user.role !== 'admin' && !audience.roles.includes(user.role)) {
+    return (audience.userIds || []).includes(user.id);
+  }
+  return true;
+};
+
+/**
+ * Push an event to every connected client allowed to see it.
+ * @param {string} event - one of REALTIME_EVENTS
+ * @param {Object} data - payload, with the associationId the audience is derived from
+ * @returns {Object} the message, with its id
+ */
+function publish(event, data) {
+  const message = {
+    id: `${bootId}-${++sequence}`,
+    event,
+    data,
+    audience: AUDIENCES[event](data)
+  };
+
+  history.push(message);
+  if (history.length > HISTORY_SIZE) history.shift();
+
+  clients.forEach(client => {
+    if (canReceive(client, message)) {
+      client.stream.send(message.event, message.data, message.id);
+    }
+  });
+  return message;
+}
+
+// Messages after `lastEventId`, or null when they are no longer known (older, or previous process)
+const missedSince = (lastEventId) => {
+  const [boot, number] = String(lastEventId).split('-');
+  const seen = parseInt(number, 10);
+  if (boot !== bootId || !Number.isInteger(seen) || seen > sequence) return null;
+
+  const oldest = history.length > 0 ? parseInt(history[0].id.split('-')[1], 10) : sequence + 1;
+  if (seen < oldest - 1) return null;
+  return history.filter(message => parseInt(message.id.split('-')[1], 10) > seen);
+};
+
+// The token was only checked when the stream opened: close it when the token expires.
+// The client reconnects with a fresh token.
+const scheduleExpiry = (client, expiresAt) => {
+  const delay = new Date(expiresAt).getTime() - Date.now();
+  if (delay <= 0) {
+    client.stream.close('expired', { reason: 'Access token expired' });
+    return;
+  }
+  client.expiryTimer = setTimeout(() => scheduleExpiry(client, expiresAt), Math.min(delay, MAX_TIMER_MS));
+};
+
+/**
+ * Register an open event stream (see utils/sse.js) for a user.
+ * With `lastEventId` (reconnection), the missed events are sent first, or a `resync` event
+ * telling the client to reload its data when they are no longer known.
+ * The stream is closed with an `expired` event at `expiresAt`, and with a `revoked` event
+ * when the account is deactivated or its role or association changes.
+ * @param {Object} user - authenticated user
+ * @param {{send: Function, close: Function, onClose: Function}} stream
+ * @param {Object} [options]
+ * @param {string} [options.associationId] - admins: follow one association only
+ * @param {string[]} [options.events] - only these events
+ * @param {string} [options.lastEventId]
+ * @param {Date} [options.expiresAt] - expiry of the access token (req.tokenExpiresAt)
+ */
+function subscribe(user, stream, { associationId, events, lastEventId, expiresAt } = {}) {
+  const client = {
+    user,
+    associationId: user.role === 'admin' ? associationId : user.associationId,
+    events,
+    stream,
+    expiryTimer: null
+  };
+
+  if (lastEventId) {
+    const missed = missedSince(lastEventId);
+    if (missed) {
+      missed.filter(message => canReceive(client, message))
+        .forEach(message => stream.send(message.event, message.data, message.id));
+    } else {
+      stream.send('resync', { reason: 'Missed events are no longer available' });
+    }
+  }
+
+  clients.add(client);
+  stream.onClose(() => {
+    clearTimeout(client.expiryTimer);
+    clients.delete(client);
+  });
+
+  if (expiresAt) {
+    scheduleExpiry(client, expiresAt);
+  }
+}
+
+/**
+ * Close the open streams of a user (account deactivated, role or association changed)
+ * @param {string} userId
+ * @param {string} [reason]
+ * @returns {number} streams closed
+ */
+function disconnectUser(userId, reason = 'Account deactivated') {
+  const streams = [...clients].filter(client => client.user.id === userId);
+  streams.forEach(client => client.stream.close('revoked', { reason }));
+  return streams.length;
+}
+
+/**
+ * Read an `events` filter (comma list). Families are accepted: `report` for every report.* event.
+ * @param {string} [value]
+ * @param {string[]} [allowed] - events the endpoint serves
+ * @returns {{events?: string[], error?: string}} events undefined: all of them
+ */
+function parseEventFilter(value, allowed = REALTIME_EVENTS) {
+  if (value === undefined || value === '') return { events: undefined };
+
+  const events = new Set();
+  const unknown = [];
+  String(value).split(',').map(name => name.trim()).filter(Boolean).forEach(name => {
+    const matching = allowed.filter(event => event === name || event.startsWith(`${name}.`));
+    if (matching.length === 0) unknown.push(name);
+    matching.forEach(event => events.add(event));
+  });
+
+  if (unknown.length > 0) {
+    return { error: `Unknown events: ${unknown.join(', ')}. Available: ${allowed.join(', ')}` };
+  }
+  return { events: [...events] };
+}
+
+// Emitted by models/eventHooks.js when an account is deactivated or anonymized, or when its
+// role or association changes (the client reconnects with its new access)
+eventBus.on('user.deactivated', ({ userId }) => disconnectUser(userId));
+eventBus.on('user.access_changed', ({ userId }) => disconnectUser(userId, 'Access changed'));
+
+REALTIME_EVENTS.forEach(event => {
+  eventBus.on(event, (payload) => {
+    const prepare = PREPARE[event];
+    Promise.resolve(prepare ? prepare(payload) : payload)
+      .then(data => {
+        if (data) publish(event, data);
+      })
+      .catch(error => {
+        console.error(`Real-time push of ${event} failed:`, error);
+      });
+  });
+});
+
+module.exports = {
+  REALTIME_EVENTS,
+  publish,
+  subscribe,
+  disconnectUser,
+  parseEventFilter
+};
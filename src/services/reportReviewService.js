@@ -0,0 +1,265 @@
+// src/services/reportReviewService.js - Report review workflow, comments and versioned snapshots
+const {
+  sequelize,
+  MaraudeReport,
+  ReportDistribution,
+  ReportAlert,
+  ReportComment,
+  ReportVersion,
+  DistributionType
+} = require('../models');
+
+// Report content captured in each version (workflow fields are not part of it)
+const SNAPSHOT_FIELDS = [
+  'reportDate', 'startTime', 'endTime',
+  'beneficiariesCount', 'volunteersCount',
+  'generalNotes', 'difficultiesEncountered', 'positivePoints',
+  'hasUrgentSituations', 'urgentSituationsDetails'
+];
+
+const ALERT_FIELDS = [
+  'alertType', 'severity',
+  'locationLatitude', 'locationLongitude', 'locationAddress',
+  'personDescription', 'situationDescription', 'actionTaken',
+  'followUpRequired', 'followUpNotes'
+];
+
+// Fields a PUT must never change directly: they move through the workflow routes
+// (the track comes from live tracking, team and planned route from the finished maraude)
+const WORKFLOW_FIELDS = [
+  'id', 'maraudeActionId', 'status', 'createdBy',
+  'validatedBy', 'validationDate',
+  'reviewedBy', 'reviewedAt', 'reviewComment', 'currentVersion',
+  'emailSent', 'emailSentAt', 'emailRecipients',
+  'trackingSessionId', 'trackDistance', 'trackPolyline',
+  'team', 'plannedRoute'
+];
+
+// Review decisions: allowed source statuses -> resulting status
+const DECISIONS = {
+  validated: { from: ['submitted'], to: 'validated' },
+  changes_requested: { from: ['submitted'], to: 'changes_requested' },
+  rejected: { from: ['submitted', 'changes_requested'], to: 'rejected' }
+};
+
+// Statuses from which the author can (re)submit
+const SUBMITTABLE_STATUSES = ['draft', 'changes_requested'];
+
+const pick = (source, fields) => fields.reduce((acc, field) => {
+  acc[field] = source[field] ?? null;
+  return acc;
+}, {});
+
+/**
+ * Current content of a report as a plain object (report fields, distributions, alerts)
+ * @param {string} reportId
+ * @returns {Promise<Object>}
+ */
+async function buildSnapshot(reportId, { transaction } = {}) {
+  const report = await MaraudeReport.findByPk(reportId, {
+    include: [
+      {
+        model: ReportDistribution,
+        as: 'distributions',
+        include: [{ model: DistributionType, as: 'distributionType', attributes: ['id', 'name'] }]
+      },
+      { model: ReportAlert, as: 'alerts' }
+    ],
+    transaction
+  });
+
+  return {
+    ...pick(report, SNAPSHOT_FIELDS),
+    distributions: report.distributions
+      .map(distribution => ({
+        distributionTypeId: distribution.distributionTypeId,
+        name: distribution.distributionType?.name || null,
+        quantity: distribution.quantity,
+        notes: distribution.notes || null
+      }))
+      .sort((a, b) => String(a.distributionTypeId).localeCompare(String(b.distributionTypeId))),
+    alerts: report.alerts.map(alert => pick(alert, ALERT_FIELDS))
+  };
+}
+
+/**
+ * Store the current content of a report as its next version
+ * @param {Object} report - MaraudeReport instance
+ * @param {string} userId - author of the submission
+ * @returns {Promise<Object>} ReportVersion
+ */
+async function recordVersion(report, userId, { transaction } = {}) {
+  const snapshot = await buildSnapshot(report.id, { transaction });
+  const version = report.currentVersion + 1;
+
+  const created = await ReportVersion.create({
+    reportId: report.id,
+    version,
+    snapshot,
+    submittedBy: userId
+  }, { transaction });
+
+  await report.update({ currentVersion: version }, { transaction });
+  return created;
+}
+
+/**
+ * Submit (or resubmit after a change request) a report and snapshot it
+ * @returns {Promise<{report?: Object, version?: Object, error?: string, status?: number}>}
+ */
+async function submitReport(report, user) {
+  if (!SUBMITTABLE_STATUSES.includes(report.status)) {
+    return { error: 'Only draft reports or reports with requested changes can be submitted', status: 400 };
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    await report.update({ status: 'submitted' }, { transaction });
+    const version = await recordVersion(report, user.id, { transaction });
+    return { report, version };
+  });
+}
+
+/**
+ * Apply a reviewer decision. Rejections and change requests need a comment,
+ * which is added to the report's discussion.
+ * @param {Object} report - MaraudeReport instance
+ * @param {Object} reviewer - User instance
+ * @param {string} decision - validated, changes_requested or rejected
+ * @param {string} [comment]
+ * @returns {Promise<{report?: Object, comment?: Object, error?: string, status?: number}>}
+ */
+async function reviewReport(report, reviewer, decision, comment) {
+  const rule = DECISIONS[decision];
+  const text = comment?.trim();
+
+  if (!rule) {
+    return { error: `Unknown review decision: ${decision}`, status: 400 };
+  }
+
+  if (!rule.from.includes(report.status)) {
+    return { error: `A ${report.status} report cannot be ${decision.replace('_', ' ')}`, status: 400 };
+  }
+
+  if (decision !== 'validated' && !text) {
+    return { error: 'A reviewer comment is required to reject a report or request changes', status: 400 };
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    const now = new Date();
+    const updateData = { status: rule.to };
+
+    if (decision === 'validated') {
+      Object.assign(updateData, { validatedBy: reviewer.id, validationDate: now });
+    } else {
+      Object.assign(updateData, { reviewedBy: reviewer.id, reviewedAt: now, reviewComment: text });
+    }
+
+    await report.update(updateData, { transaction });
+
+    const created = text
+      ? await ReportComment.create({
+        reportId: report.id,
+        authorId: reviewer.id,
+        body: text,
+        decision,
+        reportVersion: report.currentVersion || null
+      }, { transaction })
+      : null;
+
+    return { report, comment: created };
+  });
+}
+
+// Nest comments under their parent (replies in chronological order)
+function buildCommentThreads(comments) {
+  const byId = new Map();
+  comments.forEach(comment => byId.set(comment.id, { ...comment.toJSON(), replies: [] }));
+
+  const threads = [];
+  byId.forEach(comment => {
+    const parent = comment.parentId && byId.get(comment.parentId);
+    if (parent) {
+      parent.replies.push(comment);
+    } else {
+      threads.push(comment);
+    }
+  });
+  return threads;
+}
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Differences between two snapshots (see buildSnapshot)
+ * - fields: { field: { before, after } }
+ * - distributions: added / removed / changed, matched on distributionTypeId
+ * - alerts: added / removed, compared by content
+ */
+function diffSnapshots(before, after) {
+  const fields = {};
+  SNAPSHOT_FIELDS.forEach(field => {
+    if (!sameValue(before[field], after[field])) {
+      fields[field] = { before: before[field] ?? null, after: after[field] ?? null };
+    }
+  });
+
+  const beforeDistributions = new Map(before.distributions.map(d => [d.distributionTypeId, d]));
+  const afterDistributions = new Map(after.distributions.map(d => [d.distributionTypeId, d]));
+  const distributions = { added: [], removed: [], changed: [] };
+
+  afterDistributions.forEach((distribution, typeId) => {
+    const previous = beforeDistributions.get(typeId);
+    if (!previous) {
+      distributions.added.push(distribution);
+      return;
+    }
+    const changes = {};
+    ['quantity', 'notes'].forEach(field => {
+      if (!sameValue(previous[field], distribution[field])) {
+        changes[field] = { before: previous[field], after: distribution[field] };
+      }
+    });
+    if (Object.keys(changes).length > 0) {
+      distributions.changed.push({ distributionTypeId: typeId, name: distribution.name, ...changes });
+    }
+  });
+  beforeDistributions.forEach((distribution, typeId) => {
+    if (!afterDistributions.has(typeId)) {
+      distributions.removed.push(distribution);
+    }
+  });
+
+  // Multiset difference on the serialized alerts
+  const remaining = after.alerts.map(alert => JSON.stringify(alert));
+  const removedAlerts = [];
+  before.alerts.forEach(alert => {
+    const index = remaining.indexOf(JSON.stringify(alert));
+    if (index === -1) {
+      removedAlerts.push(alert);
+    } else {
+      remaining.splice(index, 1);
+    }
+  });
+
+  const alerts = {
+    added: remaining.map(alert => JSON.parse(alert)),
+    removed: removedAlerts
+  };
+
+  const hasChanges = Object.keys(fields).length > 0 ||
+    distributions.added.length + distributions.removed.length + distributions.changed.length > 0 ||
+    alerts.added.length + alerts.removed.length > 0;
+
+  return { hasChanges, fields, distributions, alerts };
+}
+
+module.exports = {
+  WORKFLOW_FIELDS,
+  SUBMITTABLE_STATUSES,
+  buildSnapshot,
+  recordVersion,
+  submitReport,
+  reviewReport,
+  buildCommentThreads,
+  diffSnapshots
+};
@@ -0,0 +1,319 @@
+// src/services/reportService.js - Report create/update/delete with their distributions and alerts, in one transaction
+const {
+  sequelize,
+  MaraudeReport,
+  ReportDistribution,
+  ReportAlert,
+  DistributionType,
+  ReportComment,
+  ReportVersion,
+  AlertAction,
+  AlertNotification
+} = require('../models');
+const { WORKFLOW_FIELDS, recordVersion } = require('./reportReviewService');
+const { syncReportAlerts } = require('./alertCaseService');
+const {
+  checkBeneficiaries,
+  validateEncounters,
+  syncReportEncounters,
+  syncEncounterDates,
+  removeReportEncounters
+} = require('./beneficiaryService');
+const { countConfirmed } = require('./participationService');
+const { attachTrackToReport } = require('./trackingService');
+
+// Thrown inside a transaction to roll it back with a business error
+class ReportError extends Error {
+  constructor(result) {
+    super(result.error);
+    this.result = result;
+  }
+}
+
+const distributionValues = (distribution) => ({
+  distributionTypeId: distribution.distributionTypeId,
+  quantity: parseInt(distribution.quantity, 10),
+  notes: distribution.notes || null
+});
+
+const alertValues = (alert) => ({
+  alertType: alert.alertType,
+  severity: alert.severity,
+  beneficiaryId: alert.beneficiaryId || null,
+  locationLatitude: alert.locationLatitude || null,
+  locationLongitude: alert.locationLongitude || null,
+  locationAddress: alert.locationAddress || null,
+  personDescription: alert.personDescription || null,
+  situationDescription: alert.situationDescription,
+  actionTaken: alert.actionTaken || null,
+  followUpRequired: alert.followUpRequired || false,
+  followUpNotes: alert.followUpNotes || null
+});
+
+const validationFailed = (errors) => ({
+  error: 'Validation failed',
+  status: 400,
+  details: errors.map(error => `${error.section}${error.index !== undefined ? `[${error.index}]` : ''}.${error.field}: ${error.message}`),
+  errors
+});
+
+// ENUM values are only checked by Postgres: check them here to report them with the others
+const enumErrors = (instance, section, index, skip) => Object.entries(instance.constructor.rawAttributes)
+  .filter(([field, attribute]) => attribute.type.key === 'ENUM' && !skip.includes(field))
+  .filter(([field, attribute]) => {
+    const value = instance.getDataValue(field);
+    return value !== null && value !== undefined && !attribute.type.values.includes(value);
+  })
+  .map(([field, attribute]) => ({ section, index, field, message: `must be one of: ${attribute.type.values.join(', ')}` }));
+
+// Model validation of one item, errors tagged with its place in the request
+const validateItem = async (instance, section, index, skip = []) => {
+  const errors = enumErrors(instance, section, index, skip);
+  try {
+    await instance.validate({ skip });
+  } catch (error) {
+    if (error.name !== 'SequelizeValidationError') throw error;
+    errors.push(...error.errors.map(item => ({ section, index, field: item.path, message: item.message })));
+  }
+  return errors;
+};
+
+/**
+ * Validate the distributions and alerts of a request before anything is written.
+ * Alerts sent with an `id` (edits) are only checked on the fields they carry.
+ * @returns {Promise<Array<{section: string, index: number, field: string, message: string}>>}
+ */
+async function validateItems({ distributions, alerts }, { transaction } = {}) {
+  const errors = [];
+
+  if (distributions !== undefined && !Array.isArray(distributions)) {
+    errors.push({ section: 'distributions', field: 'distributions', message: 'must be an array' });
+  }
+  if (alerts !== undefined && !Array.isArray(alerts)) {
+    errors.push({ section: 'alerts', field: 'alerts', message: 'must be an array' });
+  }
+  if (errors.length > 0) return errors;
+
+  const typeIds = [...new Set((distributions || []).map(d => d.distributionTypeId).filter(Boolean))];
+  const knownTypes = new Set(typeIds.length === 0 ? [] : (await DistributionType.findAll({
+    where: { id: typeIds },
+    attributes: ['id'],
+    transaction
+  })).map(type => type.id));
+
+  for (const [index, distribution] of (distributions || []).entries()) {
+    const values = distributionValues(distribution);
+    errors.push(...await validateItem(ReportDistribution.build(values), 'distributions', index, ['reportId']));
+    if (!Number.isInteger(values.quantity)) {
+      errors.push({ section: 'distributions', index, field: 'quantity', message: 'must be an integer' });
+    }
+    if (distribution.distributionTypeId && !knownTypes.has(distribution.distributionTypeId)) {
+      errors.push({ section: 'distributions', index, field: 'distributionTypeId', message: 'Unknown distribution type' });
+    }
+  }
+
+  for (const [index, alert] of (alerts || []).entries()) {
+    const values = alertValues(alert);
+    const skip = ['reportId'];
+    if (alert.id) {
+      skip.push(...Object.keys(values).filter(field => alert[field] === undefined));
+    }
+    errors.push(...await validateItem(ReportAlert.build(values), 'alerts', index, skip));
+  }
+
+  return errors;
+}
+
+const checkRelations = async ({ alerts, encounters }, associationId, transaction) => {
+  if (encounters !== undefined) {
+    const encounterCheck = await validateEncounters(encounters, associationId, { transaction });
+    if (encounterCheck.error) return encounterCheck;
+  }
+  return checkBeneficiaries((alerts || []).map(alert => alert.beneficiaryId), associationId, { transaction });
+};
+
+// Sequelize errors raised while writing -> the same shape as validateItems
+const toResult = (error, section) => {
+  if (error instanceof ReportError) return error.result;
+  if (error.name === 'SequelizeValidationError') {
+    return validationFailed(error.errors.map(item => ({ section, field: item.path, message: item.message })));
+  }
+  if (error.name === 'SequelizeForeignKeyConstraintError') {
+    return { error: 'Invalid reference', status: 400, details: [error.message] };
+  }
+  throw error;
+};
+
+/**
+ * Same rules as the report routes: the author (or the team of a report opened by
+ * finishing the maraude), a coordinator of the association or an admin; validated
+ * and rejected reports are admin-only
+ * @returns {string|null} reason of the refusal
+ */
+function checkReportEditable(report, user) {
+  if (!report) return 'Report not found';
+
+  const canEdit = report.isWrittenBy(user.id) ||
+    (user.associationId === report.maraudeAction.associationId && ['coordinator', 'admin'].includes(user.role)) ||
+    user.role === 'admin';
+  if (!canEdit) return 'Access denied';
+
+  if (!report.isEditable() && user.role !== 'admin') {
+    return `Cannot edit ${report.status} report`;
+  }
+  return null;
+}
+
+/**
+ * Create a report (auto-submitted) with its distributions, alerts and encounters,
+ * and its first version. Nothing is written if any part is invalid.
+ * @param {Object} maraudeAction - MaraudeAction instance (access already checked)
+ * @param {Object} user - author
+ * @param {Object} data - request body, with reportDate resolved
+ * @returns {Promise<{report?: Object, error?: string, status?: number, details?: string[], errors?: Object[]}>}
+ */
+async function createReport(maraudeAction, user, data) {
+  const { distributions, alerts, encounters, reportDate, urgentSituationsDetails } = data;
+
+  const itemErrors = await validateItems({ distributions, alerts });
+  if (itemErrors.length > 0) return validationFailed(itemErrors);
+
+  const relationCheck = await checkRelations({ alerts, encounters }, maraudeAction.associationId);
+  if (relationCheck.error) return relationCheck;
+
+  try {
+    const report = await sequelize.transaction(async (transaction) => {
+      const created = await MaraudeReport.create({
+        maraudeActionId: maraudeAction.id,
+        reportDate,
+        startTime: data.startTime,
+        endTime: data.endTime,
+        beneficiariesCount: parseInt(data.beneficiariesCount, 10),
+        // Not typed in: taken from the roster of the session
+        volunteersCount: data.volunteersCount !== undefined && data.volunteersCount !== null && data.volunteersCount !== ''
+          ? parseInt(data.volunteersCount, 10)
+          : await countConfirmed(maraudeAction.id, reportDate, { transaction }),
+        generalNotes: data.generalNotes || null,
+        difficultiesEncountered: data.difficultiesEncountered || null,
+        positivePoints: data.positivePoints || null,
+        hasUrgentSituations: (alerts && alerts.length > 0) || !!urgentSituationsDetails,
+        urgentSituationsDetails: urgentSituationsDetails || null,
+        createdBy: user.id,
+        status: 'submitted' // AUTO-SUBMIT instead of 'draft'
+      }, { transaction });
+
+      for (const distribution of distributions || []) {
+        await ReportDistribution.create({ reportId: created.id, ...distributionValues(distribution) }, { transaction });
+      }
+      for (const alert of alerts || []) {
+        await ReportAlert.create({ reportId: created.id, ...alertValues(alert) }, { transaction });
+      }
+
+      // Beneficiaries met (new profiles are created on the fly)
+      if (encounters && encounters.length > 0) {
+        await syncReportEncounters(created, maraudeAction.associationId, encounters, user.id, { transaction });
+      }
+
+      // Route actually walked, when the team tracked the session
+      await attachTrackToReport(created, { transaction });
+
+      // First version of the report (auto-submitted)
+      await recordVersion(created, user.id, { transaction });
+      return created;
+    });
+
+    return { report };
+  } catch (error) {
+    return toResult(error, 'report');
+  }
+}
+
+/**
+ * Update a report and, when sent, replace its distributions, alerts and encounters.
+ * Alerts sent with their `id` are updated in place (see syncReportAlerts).
+ * @param {Object} report - MaraudeReport instance with its maraudeAction (access already checked)
+ * @param {Object} user
+ * @param {Object} data - request body
+ * @returns {Promise<{report?: Object, error?: string, status?: number, details?: string[], errors?: Object[]}>}
+ */
+async function updateReport(report, user, data) {
+  const { distributions, alerts, encounters, ...reportData } = data;
+
+  // Status, reviewer and version only change through the workflow routes
+  WORKFLOW_FIELDS.forEach(field => delete reportData[field]);
+
+  const itemErrors = await validateItems({ distributions, alerts });
+  if (itemErrors.length > 0) return validationFailed(itemErrors);
+
+  const associationId = report.maraudeAction.associationId;
+  const relationCheck = await checkRelations({ alerts, encounters }, associationId);
+  if (relationCheck.error) return relationCheck;
+
+  try {
+    await sequelize.transaction(async (transaction) => {
+      // Alerts first: a refused removal (case being followed up) leaves the report untouched
+      if (alerts !== undefined) {
+        const syncResult = await syncReportAlerts(report, alerts || [], { transaction });
+        if (syncResult.error) throw new ReportError(syncResult);
+      }
+
+      await report.update(reportData, { transaction });
+
+      // Encounters follow the report date
+      if (encounters !== undefined) {
+        await syncReportEncounters(report, associationId, encounters, user.id, { transaction });
+      } else if (reportData.reportDate !== undefined) {
+        await syncEncounterDates(report, { transaction });
+      }
+
+      if (distributions !== undefined) {
+        await ReportDistribution.destroy({ where: { reportId: report.id }, transaction });
+        for (const distribution of distributions) {
+          await ReportDistribution.create({ reportId: report.id, ...distributionValues(distribution) }, { transaction });
+        }
+      }
+
+      // Content under review changed: keep a new version for the reviewer
+      if (report.status === 'submitted') {
+        await recordVersion(report, user.id, { transaction });
+      }
+    });
+
+    return { report };
+  } catch (error) {
+    return toResult(error, 'report');
+  }
+}
+
+/**
+ * Delete a report and everything attached to it (alerts with their timeline and
+ * notifications, distributions, encounters, comments, versions). Beneficiary profiles stay.
+ * @param {Object} report - MaraudeReport instance (access already checked)
+ */
+async function deleteReport(report) {
+  await sequelize.transaction(async (transaction) => {
+    const alertIds = (await ReportAlert.findAll({
+      where: { reportId: report.id },
+      attributes: ['id'],
+      transaction
+    })).map(alert => alert.id);
+
+    await AlertAction.destroy({ where: { alertId: alertIds }, transaction });
+    await AlertNotification.update({ duplicateOfId: null }, { where: { duplicateOfId: alertIds }, transaction });
+    await AlertNotification.destroy({ where: { alertId: alertIds }, transaction });
+    await ReportAlert.destroy({ where: { reportId: report.id }, transaction });
+    await ReportDistribution.destroy({ where: { reportId: report.id }, transaction });
+    await removeReportEncounters(report.id, { transaction });
+    await ReportComment.destroy({ where: { reportId: report.id }, transaction });
+    await ReportVersion.destroy({ where: { reportId: report.id }, transaction });
+    await report.destroy({ transaction });
+  });
+}
+
+module.exports = {
+  checkReportEditable,
+  validateItems,
+  createReport,
+  updateReport,
+  deleteReport
+};
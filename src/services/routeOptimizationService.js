@@ -0,0 +1,303 @@
+// src/services/routeOptimizationService.js - Suggested visiting order of a maraude's waypoints:
+// shortest walk from the start point, stops at merchants reached while they are open
+const { Op } = require('sequelize');
+const { Merchant } = require('../models');
+const { toPoint, haversineDistance } = require('../utils/geo');
+const { openingIntervals } = require('../utils/openingHours');
+const { isoWeekday, today } = require('../utils/dateUtils');
+const { validateWaypoints, walkingSpeedKmh } = require('./routingService');
+const haversineEngine = require('./routingEngines/haversine');
+
+const DEFAULT_STOP_MINUTES = 10;
+const MAX_STOP_MINUTES = 120;
+const MAX_PASSES = 100;
+const MINUTES_PER_DAY = 24 * 60;
+// Below this, two orders are as good as each other (minutes, meters)
+const EPSILON = 0.01;
+
+const formatMinutes = (minutes) => {
+  const rounded = Math.round(minutes) % MINUTES_PER_DAY;
+  return `${String(Math.floor(rounded / 60)).padStart(2, '0')}:${String(rounded % 60).padStart(2, '0')}`;
+};
+
+// 'HH:MM' or 'HH:MM:SS' -> minutes after midnight, or null
+const parseClock = (value) => {
+  const match = /^(\d{2}):(\d{2})(?::\d{2})?$/.exec(String(value || ''));
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+};
+
+// Intervals of the day, then those of the next day for maraudes going on past midnight
+const dayWindows = (openingHours, weekday) => {
+  const current = openingIntervals(openingHours, weekday);
+  if (current === null) return null;
+  const next = openingIntervals(openingHours, weekday % 7 + 1) || [];
+  return [
+    ...current,
+    ...next.map(([open, close]) => [open + MINUTES_PER_DAY, close + MINUTES_PER_DAY])
+  ];
+};
+
+/**
+ * Walk through the stops in the given order.
+ * Arriving before a merchant opens means waiting; arriving after it closed is lateness.
+ */
+const simulate = (order, problem) => {
+  const { start, end, stops, departure, stopMinutes, metersPerMinute, distance } = problem;
+  let position = start;
+  let time = departure;
+  let meters = 0;
+  let lateness = 0;
+  const visits = [];
+
+  for (const index of order) {
+    const stop = stops[index];
+    const leg = distance(position, stop.point);
+    meters += leg;
+    time += leg / metersPerMinute;
+
+    let late = 0;
+    if (stop.windows && stop.windows.length > 0) {
+      const window = stop.windows.find(([, close]) => close >= time);
+      if (window) {
+        time = Math.max(time, window[0]);
+      } else {
+        late = time - stop.windows[stop.windows.length - 1][1];
+        lateness += late;
+      }
+    }
+    visits.push({ index, arrival: time, late });
+    time += stopMinutes;
+    position = stop.point;
+  }
+
+  if (end) {
+    const leg = distance(position, end);
+    meters += leg;
+    time += leg / metersPerMinute;
+  }
+
+  return { order, meters, lateness, finish: time, visits };
+};
+
+// Less lateness first, then the shorter walk
+const isBetter = (a, b) => (
+  a.lateness < b.lateness - EPSILON ||
+  (Math.abs(a.lateness - b.lateness) <= EPSILON && a.meters < b.meters - EPSILON)
+);
+
+const nearestNeighbourOrder = (problem) => {
+  const remaining = new Set(problem.stops.map((stop, index) => index));
+  const order = [];
+  let position = problem.start;
+  while (remaining.size > 0) {
+    let nearest = null;
+    for (const index of remaining) {
+      const meters = problem.distance(position, problem.stops[index].point);
+      if (nearest === null || meters < nearest.meters) nearest = { index, meters };
+    }
+    order.push(nearest.index);
+    remaining.delete(nearest.index);
+    position = problem.stops[nearest.index].point;
+  }
+  return order;
+};
+
+// Local search: reverse a segment (2-opt) or move one stop elsewhere (or-opt)
+// until no move improves the route
+const improve = (initial, problem) => {
+  let best = initial;
+  const size = best.order.length;
+
+  for (let pass = 0; pass < MAX_PASSES; pass++) {
+    let improved = false;
+
+    for (let i = 0; i < size - 1; i++) {
+      for (let j = i + 1; j < size; j++) {
+        const order = [...best.order.slice(0, i), ...best.order.slice(i, j + 1).reverse(), ...best.order.slice(j + 1)];
+        const candidate = simulate(order, problem);
+        if (isBetter(candidate, best)) {
+          best = candidate;
+          improved = true;
+        }
+      }
+    }
+
+    for (let from = 0; from < size; from++) {
+      for (let to = 0; to < size; to++) {
+        if (from === to) continue;
+        const order = [...best.order];
+        const [moved] = order.splice(from, 1);
+        order.splice(to, 0, moved);
+        const candidate = simulate(order, problem);
+        if (isBetter(candidate, best)) {
+          best = candidate;
+          improved = true;
+        }
+      }
+    }
+
+    if (!improved) break;
+  }
+  return best;
+};
+
+/**
+ * Best visiting order found for the stops (heuristic: nearest neighbour and the current
+ * order, improved by 2-opt and or-opt moves). Exact for small routes in practice, fast
+ * enough for the 50 waypoints a route can have.
+ * @param {Object} problem
+ * @param {{latitude, longitude}} problem.start - fixed first point
+ * @param {{latitude, longitude}|null} problem.end - fixed last point, if any
+ * @param {Array<{point, windows}>} problem.stops - windows: [open, close] minutes, null for none
+ * @param {number} problem.departure - minutes after midnight
+ * @param {number} problem.stopMinutes - time spent at each stop
+ * @param {number} problem.metersPerMinute - walking speed
+ * @param {Function} problem.distance - meters between two points (walked, not straight)
+ * @returns {Object} best simulated route, and the current order simulated for comparison
+ */
+function optimizeOrder(problem) {
+  const current = simulate(problem.stops.map((stop, index) => index), problem);
+  if (problem.stops.length < 2) {
+    return { best: current, current };
+  }
+  const nearest = simulate(nearestNeighbourOrder(problem), problem);
+  const best = improve(isBetter(nearest, current) ? nearest : current, problem);
+  return { best, current };
+}
+
+/**
+ * Suggested order of a maraude's waypoints (nothing is saved: send the waypoints
+ * back through PUT /api/maraudes/:id to keep it)
+ * @param {Object} action - MaraudeAction
+ * @param {Object} [options]
+ * @param {Array} [options.waypoints] - waypoints to order instead of the saved ones
+ * @param {{latitude, longitude}} [options.start] - instead of the maraude's start point
+ * @param {{latitude, longitude}} [options.end] - fixed last point
+ * @param {boolean} [options.returnToStart] - end where the maraude started
+ * @param {string} [options.date] - YYYY-MM-DD for the opening hours (default next occurrence)
+ * @param {string} [options.startTime] - HH:MM departure (default the maraude's start time)
+ * @param {number} [options.stopMinutes=10] - time spent at each stop
+ * @param {string} [options.timezone] - association's zone
+ * @returns {Promise<Object>} suggestion, or { error, status }
+ */
+async function suggestWaypointOrder(action, options = {}) {
+  const checked = validateWaypoints(options.waypoints !== undefined ? options.waypoints : action.waypoints);
+  if (checked.error) return checked;
+  const { waypoints } = checked;
+
+  const start = options.start
+    ? toPoint(options.start.latitude, options.start.longitude)
+    : toPoint(action.startLatitude, action.startLongitude);
+  if (!start) {
+    return { error: 'start needs a valid latitude and longitude', status: 400 };
+  }
+
+  let end = null;
+  if (options.end) {
+    end = toPoint(options.end.latitude, options.end.longitude);
+    if (!end) {
+      return { error: 'end needs a valid latitude and longitude', status: 400 };
+    }
+  } else if (options.returnToStart) {
+    end = start;
+  }
+
+  const stopMinutes = options.stopMinutes === undefined ? DEFAULT_STOP_MINUTES : Number(options.stopMinutes);
+  if (!Number.isFinite(stopMinutes) || stopMinutes < 0 || stopMinutes > MAX_STOP_MINUTES) {
+    return { error: `stopMinutes must be between 0 and ${MAX_STOP_MINUTES}`, status: 400 };
+  }
+
+  const departure = parseClock(options.startTime || action.startTime);
+  if (departure === null) {
+    return { error: 'startTime must be HH:MM', status: 400 };
+  }
+
+  const date = options.date || action.getNextOccurrence(options.timezone) || today(options.timezone);
+  const weekday = isoWeekday(date);
+
+  const merchantIds = [...new Set(waypoints.map(waypoint => waypoint.merchantId).filter(Boolean))];
+  const merchants = merchantIds.length > 0
+    ? await Merchant.findAll({
+      where: { id: { [Op.in]: merchantIds } },
+      attributes: ['id', 'name', 'openingHours', 'isActive']
+    })
+    : [];
+  const merchantById = new Map(merchants.map(merchant => [merchant.id, merchant]));
+
+  const warnings = [];
+  const stops = waypoints.map((waypoint) => {
+    const stop = { waypoint, point: toPoint(waypoint.latitude, waypoint.longitude), windows: null, merchant: null };
+    if (!waypoint.merchantId) return stop;
+
+    const merchant = merchantById.get(waypoint.merchantId);
+    if (!merchant) {
+      warnings.push(`Waypoint ${waypoint.order}: merchant not found, no opening hours applied`);
+      return stop;
+    }
+    stop.merchant = merchant;
+    stop.windows = dayWindows(merchant.openingHours, weekday);
+    if (!merchant.isActive) {
+      warnings.push(`Waypoint ${waypoint.order}: ${merchant.name} is no longer active`);
+    }
+    if (stop.windows === null) {
+      warnings.push(`Waypoint ${waypoint.order}: opening hours of ${merchant.name} unknown that day`);
+    } else if (openingIntervals(merchant.openingHours, weekday).length === 0) {
+      warnings.push(`Waypoint ${waypoint.order}: ${merchant.name} is closed that day`);
+    }
+    return stop;
+  });
+
+  const detourFactor = haversineEngine.detourFactor();
+  const { best, current } = optimizeOrder({
+    start,
+    end,
+    stops,
+    departure,
+    stopMinutes,
+    metersPerMinute: walkingSpeedKmh() * 1000 / 60,
+    distance: (a, b) => haversineDistance(a, b) * detourFactor
+  });
+
+  const summary = (route) => ({
+    distanceKm: Math.round(route.meters / 10) / 100,
+    durationMinutes: Math.round(route.finish - departure),
+    lateMinutes: Math.round(route.lateness)
+  });
+
+  const schedule = best.visits.map(({ index, arrival, late }, position) => {
+    const stop = stops[index];
+    return {
+      order: position + 1,
+      previousOrder: stop.waypoint.order,
+      name: stop.waypoint.name || stop.merchant?.name || null,
+      merchantId: stop.waypoint.merchantId || null,
+      arrivalTime: formatMinutes(arrival),
+      openingHours: stop.windows
+        ? openingIntervals(stop.merchant.openingHours, weekday).map(([open, close]) => `${formatMinutes(open)}-${formatMinutes(close)}`)
+        : null,
+      lateMinutes: Math.round(late)
+    };
+  });
+
+  return {
+    date,
+    startTime: formatMinutes(departure),
+    stopMinutes,
+    waypoints: best.order.map((index, position) => ({ ...stops[index].waypoint, order: position + 1 })),
+    changed: best.order.some((index, position) => index !== position),
+    // Every merchant reached before it closes
+    feasible: best.lateness <= EPSILON,
+    current: summary(current),
+    suggested: summary(best),
+    savedKm: Math.round((current.meters - best.meters) / 10) / 100,
+    schedule,
+    warnings
+  };
+}
+
+module.exports = {
+  DEFAULT_STOP_MINUTES,
+  optimizeOrder,
+  suggestWaypointOrder
+};
@@ -0,0 +1,40 @@
+// src/services/routingEngines/graphhopper.js - GraphHopper routing API (https://www.graphhopper.com)
+// ROUTING_URL is the server (e.g. http://localhost:8989), ROUTING_PROFILE its profile (default foot),
+// ROUTING_API_KEY the key of the hosted service if any
+const { decodePolyline } = require('../../utils/polyline');
+
+const TIMEOUT_MS = 5000;
+
+module.exports = {
+  name: 'graphhopper',
+
+  isEnabled: () => !!process.env.ROUTING_URL,
+
+  async route(points) {
+    const params = new URLSearchParams({
+      profile: process.env.ROUTING_PROFILE || 'foot',
+      points_encoded: 'true',
+      instructions: 'false'
+    });
+    points.forEach(point => params.append('point', `${point.latitude},${point.longitude}`));
+    if (process.env.ROUTING_API_KEY) {
+      params.set('key', process.env.ROUTING_API_KEY);
+    }
+
+    const url = `${process.env.ROUTING_URL.replace(/\/$/, '')}/route?${params}`;
+    const response = await fetch(url, { signal: AbortSignal.timeout(TIMEOUT_MS) });
+    const body = await response.json().catch(() => null);
+    if (!response.ok || !body || !body.paths || body.paths.length === 0) {
+      throw new Error(`GraphHopper: ${body?.message || `HTTP ${response.status}`}`);
+    }
+
+    const [path] = body.paths;
+    // points_encoded_multiplier is 1e5 unless the server was configured otherwise
+    const precision = Math.round(Math.log10(path.points_encoded_multiplier || 1e5));
+    return {
+      distanceMeters: path.distance,
+      durationSeconds: path.time / 1000,
+      points: decodePolyline(path.points, precision)
+    };
+  }
+};
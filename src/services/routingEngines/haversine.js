@@ -0,0 +1,30 @@
+// src/services/routingEngines/haversine.js - Straight lines between the points, no server needed.
+// Streets make the real walk longer: ROUTE_DETOUR_FACTOR (default 1.3) is applied to the distance.
+const { haversineDistance } = require('../../utils/geo');
+
+const DEFAULT_DETOUR_FACTOR = 1.3;
+
+const detourFactor = () => {
+  const factor = parseFloat(process.env.ROUTE_DETOUR_FACTOR);
+  return Number.isFinite(factor) && factor >= 1 ? factor : DEFAULT_DETOUR_FACTOR;
+};
+
+module.exports = {
+  name: 'haversine',
+
+  detourFactor,
+
+  async route(points, { walkingSpeedKmh }) {
+    let distanceMeters = 0;
+    for (let index = 1; index < points.length; index++) {
+      distanceMeters += haversineDistance(points[index - 1], points[index]);
+    }
+    distanceMeters *= detourFactor();
+
+    return {
+      distanceMeters,
+      durationSeconds: distanceMeters / (walkingSpeedKmh * 1000 / 3600),
+      points
+    };
+  }
+};
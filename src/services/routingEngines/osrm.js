@@ -0,0 +1,31 @@
+// src/services/routingEngines/osrm.js - OSRM route service (http://project-osrm.org)
+// ROUTING_URL is the server (e.g. http://localhost:5000), ROUTING_PROFILE its profile (default foot)
+const { decodePolyline } = require('../../utils/polyline');
+
+const TIMEOUT_MS = 5000;
+
+module.exports = {
+  name: 'osrm',
+
+  isEnabled: () => !!process.env.ROUTING_URL,
+
+  async route(points) {
+    const profile = process.env.ROUTING_PROFILE || 'foot';
+    const coordinates = points.map(point => `${point.longitude},${point.latitude}`).join(';');
+    const url = `${process.env.ROUTING_URL.replace(/\/$/, '')}/route/v1/${profile}/${coordinates}` +
+      '?overview=full&geometries=polyline';
+
+    const response = await fetch(url, { signal: AbortSignal.timeout(TIMEOUT_MS) });
+    const body = await response.json().catch(() => null);
+    if (!response.ok || !body || body.code !== 'Ok' || !body.routes || body.routes.length === 0) {
+      throw new Error(`OSRM: ${body?.message || body?.code || `HTTP ${response.status}`}`);
+    }
+
+    const [route] = body.routes;
+    return {
+      distanceMeters: route.distance,
+      durationSeconds: route.duration,
+      points: decodePolyline(route.geometry)
+    };
+  }
+};
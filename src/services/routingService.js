@@ -0,0 +1,255 @@
+// src/services/routingService.js - Maraude route checks and planning: distance, walking time
+// and encoded polyline computed from the start point and the ordered waypoints
+const { Op } = require('sequelize');
+const { MaraudeAction } = require('../models');
+const { toPoint, routePoints } = require('../utils/geo');
+const { encodePolyline, decodePolyline } = require('../utils/polyline');
+const haversineEngine = require('./routingEngines/haversine');
+const osrmEngine = require('./routingEngines/osrm');
+const graphhopperEngine = require('./routingEngines/graphhopper');
+
+const MAX_WAYPOINTS = 50;
+const RECOMPUTE_BATCH_SIZE = 200;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DEFAULT_WALKING_SPEED_KMH = 4;
+// estimatedDistance is a DECIMAL(5, 2) in kilometers
+const MAX_DISTANCE_KM = 999.99;
+
+// Registered engines by name. Engine interface:
+//   { name, isEnabled?(): boolean, route(points, { walkingSpeedKmh }):
+//     Promise<{ distanceMeters, durationSeconds, points }> } (points: the path to draw)
+const engines = new Map();
+
+/**
+ * Add (or replace) a routing engine, selected with ROUTING_ENGINE=<name>
+ * @param {Object} engine - see interface above
+ */
+function registerEngine(engine) {
+  if (!engine || !engine.name || typeof engine.route !== 'function') {
+    throw new Error('A routing engine needs a name and a route(points, options) function');
+  }
+  engines.set(engine.name, engine);
+}
+
+[haversineEngine, osrmEngine, graphhopperEngine].forEach(registerEngine);
+
+const walkingSpeedKmh = () => {
+  const speed = parseFloat(process.env.WALKING_SPEED_KMH);
+  return Number.isFinite(speed) && speed > 0 ? speed : DEFAULT_WALKING_SPEED_KMH;
+};
+
+// Configured engine, haversine when it is unknown or not configured
+const selectedEngine = () => {
+  const engine = engines.get(process.env.ROUTING_ENGINE || haversineEngine.name);
+  if (!engine || (engine.isEnabled && !engine.isEnabled())) {
+    return haversineEngine;
+  }
+  return engine;
+};
+
+/**
+ * Waypoints checked and put in visiting order, `order` renumbered from 1.
+ * Waypoints without `order` keep their place in the array. Optional fields
+ * (name, address, merchantId...) are kept.
+ * @param {Array|string} waypoints - array, or its JSON (multipart forms)
+ * @returns {{waypoints: Array}|{error: string, status: number}}
+ */
+function validateWaypoints(waypoints) {
+  let list = waypoints;
+  if (list === undefined || list === null || list === '') {
+    return { waypoints: [] };
+  }
+  if (typeof list === 'string') {
+    try {
+      list = JSON.parse(list);
+    } catch (error) {
+      return { error: 'waypoints must be a JSON array', status: 400 };
+    }
+  }
+  if (!Array.isArray(list)) {
+    return { error: 'waypoints must be an array', status: 400 };
+  }
+  if (list.length > MAX_WAYPOINTS) {
+    return { error: `A route cannot have more than ${MAX_WAYPOINTS} waypoints`, status: 400 };
+  }
+
+  const orders = new Set();
+  for (const [index, waypoint] of list.entries()) {
+    if (!waypoint || typeof waypoint !== 'object' || !toPoint(waypoint.latitude, waypoint.longitude)) {
+      return { error: `waypoints[${index}] needs a valid latitude (-90..90) and longitude (-180..180)`, status: 400 };
+    }
+    // Stop at a merchant: its opening hours constrain the visit (see routeOptimizationService)
+    if (waypoint.merchantId !== undefined && waypoint.merchantId !== null && !UUID_PATTERN.test(String(waypoint.merchantId))) {
+      return { error: `waypoints[${index}].merchantId must be a merchant id`, status: 400 };
+    }
+    if (waypoint.order !== undefined && waypoint.order !== null) {
+      if (!Number.isInteger(Number(waypoint.order)) || Number(waypoint.order) < 0) {
+        return { error: `waypoints[${index}].order must be an integer (0 or more)`, status: 400 };
+      }
+      if (orders.has(Number(waypoint.order))) {
+        return { error: `waypoints[${index}].order ${waypoint.order} is used twice`, status: 400 };
+      }
+      orders.add(Number(waypoint.order));
+    }
+  }
+
+  const ordered = list
+    .map((waypoint, index) => ({ waypoint, index }))
+    .sort((a, b) => (a.waypoint.order ?? a.index) - (b.waypoint.order ?? b.index) || a.index - b.index)
+    .map(({ waypoint }, index) => ({
+      ...waypoint,
+      latitude: Number(waypoint.latitude),
+      longitude: Number(waypoint.longitude),
+      order: index + 1
+    }));
+
+  return { waypoints: ordered };
+}
+
+/**
+ * Start point and waypoints of a route, checked
+ * @param {Object} route - startLatitude, startLongitude, waypoints
+ * @returns {{route: Object}|{error: string, status: number}}
+ */
+function validateRoute({ startLatitude, startLongitude, waypoints }) {
+  const start = toPoint(startLatitude, startLongitude);
+  if (!start) {
+    return { error: 'startLatitude must be between -90 and 90 and startLongitude between -180 and 180', status: 400 };
+  }
+  const checked = validateWaypoints(waypoints);
+  if (checked.error) return checked;
+
+  return {
+    route: {
+      startLatitude: start.latitude,
+      startLongitude: start.longitude,
+      waypoints: checked.waypoints
+    }
+  };
+}
+
+/**
+ * Distance, walking time and polyline of a route with the configured engine
+ * (ROUTING_ENGINE: haversine by default, osrm, graphhopper). Falls back to straight
+ * lines when the engine fails, so saving a maraude never depends on it.
+ * @param {Object} route - startLatitude, startLongitude, waypoints (see validateRoute)
+ * @returns {Promise<Object>} { estimatedDistance (km), estimatedDuration (min), routePolyline, engine }
+ *   or { error, status } when the route is too long to be stored
+ */
+async function planRoute(route) {
+  const points = routePoints(route);
+  if (points.length < 2) {
+    return {
+      estimatedDistance: 0,
+      estimatedDuration: 0,
+      routePolyline: points.length === 1 ? encodePolyline(points) : null,
+      engine: null
+    };
+  }
+
+  const options = { walkingSpeedKmh: walkingSpeedKmh() };
+  let engine = selectedEngine();
+  let result;
+  try {
+    result = await engine.route(points, options);
+  } catch (error) {
+    console.warn(`⚠️ Routing engine ${engine.name} failed, using straight lines:`, error.message);
+    engine = haversineEngine;
+    result = await engine.route(points, options);
+  }
+
+  const estimatedDistance = Math.round(result.distanceMeters / 10) / 100;
+  if (estimatedDistance > MAX_DISTANCE_KM) {
+    return { error: `Route is too long (${estimatedDistance} km)`, status: 400 };
+  }
+
+  return {
+    estimatedDistance,
+    estimatedDuration: Math.round(result.durationSeconds / 60),
+    routePolyline: encodePolyline(result.points && result.points.length > 0 ? result.points : points),
+    engine: engine.name
+  };
+}
+
+/**
+ * Path to draw for a maraude: its stored polyline, or straight lines through its points
+ * @param {Object} action - MaraudeAction (or an occurrence's effective schedule)
+ * @returns {Object|null} GeoJSON LineString or Point
+ */
+function routeGeometry(action) {
+  let points = null;
+  if (action.routePolyline) {
+    try {
+      points = decodePolyline(action.routePolyline);
+    } catch (error) {
+      points = null;
+    }
+  }
+  if (!points || points.length === 0) {
+    points = routePoints(action);
+  }
+  if (points.length === 0) return null;
+
+  const coordinates = points.map(point => [point.longitude, point.latitude]);
+  return coordinates.length === 1
+    ? { type: 'Point', coordinates: coordinates[0] }
+    : { type: 'LineString', coordinates };
+}
+
+/**
+ * Recompute distance, duration and polyline of the stored maraudes, e.g. after switching
+ * ROUTING_ENGINE or for routes saved when the client sent them. Waypoints are left as is;
+ * routes that do not pass validateRoute are skipped.
+ * @returns {Promise<{updated: number, skipped: number}>}
+ */
+async function recomputeRoutes({ batchSize = RECOMPUTE_BATCH_SIZE } = {}) {
+  const result = { updated: 0, skipped: 0 };
+
+  let lastId = null;
+  for (;;) {
+    const actions = await MaraudeAction.findAll({
+      where: lastId ? { id: { [Op.gt]: lastId } } : {},
+      attributes: ['id', 'startLatitude', 'startLongitude', 'waypoints', 'estimatedDistance', 'estimatedDuration', 'routePolyline'],
+      order: [['id', 'ASC']],
+      limit: batchSize
+    });
+    if (actions.length === 0) break;
+
+    for (const action of actions) {
+      const checkedRoute = validateRoute(action);
+      const plan = checkedRoute.error ? null : await planRoute(checkedRoute.route);
+      if (!plan || plan.error) {
+        result.skipped++;
+        continue;
+      }
+
+      const values = {
+        estimatedDistance: plan.estimatedDistance,
+        estimatedDuration: plan.estimatedDuration,
+        routePolyline: plan.routePolyline
+      };
+      const unchanged = Number(action.estimatedDistance) === values.estimatedDistance &&
+        action.estimatedDuration === values.estimatedDuration &&
+        action.routePolyline === values.routePolyline;
+      if (!unchanged) {
+        // Derived values: no audit entry nor updatedAt change
+        await MaraudeAction.update(values, { where: { id: action.id }, hooks: false, silent: true });
+        result.updated++;
+      }
+    }
+    lastId = actions[actions.length - 1].id;
+  }
+
+  return result;
+}
+
+module.exports = {
+  MAX_WAYPOINTS,
+  walkingSpeedKmh,
+  registerEngine,
+  validateWaypoints,
+  validateRoute,
+  planRoute,
+  routeGeometry,
+  recomputeRoutes
+};
@@ -0,0 +1,148 @@
+// src/services/staffingService.js - Upcoming maraudes that break their association's staffing rules
+const { Op } = require('sequelize');
+const { Association, MaraudeAction, MaraudeOccurrence, MaraudeParticipation, User } = require('../models');
+const { ensureOccurrences, hasStarted } = require('./occurrenceService');
+const { sendStaffingDigest } = require('./emailService');
+const { today, addDays } = require('../utils/dateUtils');
+const { evaluateStaffing } = require('../utils/staffing');
+
+// Default look-ahead of warnings and digests
+const STAFFING_WINDOW_DAYS = parseInt(process.env.STAFFING_WINDOW_DAYS, 10) || 7;
+
+/**
+ * Non-cancelled occurrences of an association in the next `days` days whose
+ * confirmed roster does not meet the staffing rules
+ * @param {Object} association - Association instance
+ * @param {Object} [options]
+ * @param {number} [options.days=STAFFING_WINDOW_DAYS]
+ * @returns {Promise<Object[]>} one entry per understaffed occurrence, by date
+ */
+async function findUnderstaffed(association, { days = STAFFING_WINDOW_DAYS } = {}) {
+  const rules = association.getStaffingRules();
+  const from = today(association.timezone);
+  const to = addDays(from, days);
+
+  const actions = await MaraudeAction.findAll({
+    where: { associationId: association.id, isActive: true }
+  });
+
+  if (actions.length === 0) {
+    return [];
+  }
+
+  await ensureOccurrences(actions, { from, to });
+
+  const actionsById = new Map(actions.map(action => [action.id, action]));
+  const actionIds = [...actionsById.keys()];
+
+  const [occurrences, participations] = await Promise.all([
+    MaraudeOccurrence.findAll({
+      where: {
+        maraudeActionId: { [Op.in]: actionIds },
+        occurrenceDate: { [Op.between]: [from, to] },
+        status: { [Op.in]: ['planned', 'in_progress'] }
+      },
+      order: [['occurrenceDate', 'ASC']]
+    }),
+    MaraudeParticipation.findAll({
+      where: {
+        maraudeActionId: { [Op.in]: actionIds },
+        occurrenceDate: { [Op.between]: [from, to] },
+        status: 'confirmed'
+      },
+      include: [
+        {
+          model: User,
+          as: 'user',
+          attributes: ['id', 'firstName', 'lastName', 'role', 'skills']
+        }
+      ]
+    })
+  ]);
+
+  // Confirmed team of each session
+  const teams = new Map();
+  participations.forEach(participation => {
+    const key = `${participation.maraudeActionId}|${participation.occurrenceDate}`;
+    if (!teams.has(key)) teams.set(key, []);
+    teams.get(key).push(participation.user);
+  });
+
+  const warnings = [];
+  occurrences.forEach(occurrence => {
+    const action = actionsById.get(occurrence.maraudeActionId);
+    const schedule = occurrence.getEffectiveSchedule(action);
+
+    if (occurrence.status === 'planned' && hasStarted(schedule, association.timezone)) {
+      return;
+    }
+
+    const team = teams.get(`${action.id}|${occurrence.occurrenceDate}`) || [];
+    const violations = evaluateStaffing(rules, team);
+
+    if (violations.length > 0) {
+      warnings.push({
+        maraudeActionId: action.id,
+        occurrenceId: occurrence.id,
+        title: action.title,
+        date: occurrence.occurrenceDate,
+        startTime: schedule.startTime,
+        startAddress: schedule.startAddress,
+        confirmedCount: team.length,
+        capacity: schedule.maxParticipants ?? null,
+        violations
+      });
+    }
+  });
+
+  return warnings;
+}
+
+/**
+ * Email the understaffing digest of one association to its active coordinators
+ * @returns {Promise<{sent: boolean, warnings: Object[], recipients: string[]}>}
+ */
+async function sendAssociationDigest(association, { days = STAFFING_WINDOW_DAYS } = {}) {
+  const warnings = await findUnderstaffed(association, { days });
+
+  if (warnings.length === 0) {
+    return { sent: false, warnings, recipients: [] };
+  }
+
+  const coordinators = await User.findAll({
+    where: { associationId: association.id, role: 'coordinator', isActive: true },
+    attributes: ['email']
+  });
+  const recipients = coordinators.map(user => user.email);
+
+  if (recipients.length === 0) {
+    return { sent: false, warnings, recipients };
+  }
+
+  const sent = await sendStaffingDigest({ association, recipients, warnings, days });
+  return { sent, warnings, recipients };
+}
+
+// Digest of every active association (daily job)
+async function sendAllDigests({ days = STAFFING_WINDOW_DAYS } = {}) {
+  const associations = await Association.findAll({ where: { isActive: true } });
+  const results = [];
+
+  for (const association of associations) {
+    const result = await sendAssociationDigest(association, { days });
+    results.push({
+      associationId: association.id,
+      warnings: result.warnings.length,
+      sent: result.sent
+    });
+  }
+
+  return results;
+}
+
+module.exports = {
+  STAFFING_WINDOW_DAYS,
+  findUnderstaffed,
+  sendAssociationDigest,
+  sendAllDigests
+};
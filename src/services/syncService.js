@@ -0,0 +1,530 @@
+// src/services/syncService.js - Offline sync of reports, distributions and alerts written in the field
+//
+// The client generates the UUID of every record and an idempotency key (opId) per operation,
+// queues operations while offline and sends them in order. Each operation carries
+// `lastSyncedAt`, the server time of the last sync of that record: fields the server changed
+// since then (per-field history from the audit trail) that the client also changed are
+// reported as conflicts instead of being overwritten. Edits to different fields are merged.
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const {
+  sequelize,
+  MaraudeReport,
+  MaraudeAction,
+  ReportDistribution,
+  ReportAlert,
+  SyncOperation,
+  AuditLog
+} = require('../models');
+const { MASKED } = require('../models/encryptedFields');
+const { recordVersion } = require('./reportReviewService');
+const { checkReportEditable } = require('./reportService');
+const { ALERT_CONTENT_FIELDS, hasFollowUp } = require('./alertCaseService');
+const { checkBeneficiaries, syncEncounterDates } = require('./beneficiaryService');
+const { countConfirmed } = require('./participationService');
+const { resolveTimezone } = require('./occurrenceService');
+const { attachTrackToReport } = require('./trackingService');
+const { today } = require('../utils/dateUtils');
+
+const MAX_OPERATIONS = 200;
+// Changes feed without `since`: the last INITIAL_SYNC_DAYS
+const INITIAL_SYNC_DAYS = 30;
+
+const ACTIONS = ['upsert', 'delete'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Report fields a client may write (status and review go through the workflow routes).
+// maraudeActionId is only read on create: like PUT /api/reports/:id, a report never changes maraude
+const REPORT_FIELDS = [
+  'reportDate', 'startTime', 'endTime',
+  'beneficiariesCount', 'volunteersCount',
+  'generalNotes', 'difficultiesEncountered', 'positivePoints',
+  'hasUrgentSituations', 'urgentSituationsDetails'
+];
+const DISTRIBUTION_FIELDS = ['distributionTypeId', 'quantity', 'notes'];
+
+// Entity name in operations -> model
+const ENTITIES = {
+  report: MaraudeReport,
+  distribution: ReportDistribution,
+  alert: ReportAlert
+};
+
+// DECIMAL columns come back as strings, TIME with seconds, empty inputs as '': compare normalized
+const normalize = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  const text = String(value);
+  if (/^\d{2}:\d{2}$/.test(text)) return `${text}:00`;
+  if (text.trim() !== '' && !Number.isNaN(Number(text))) return String(Number(text));
+  return text;
+};
+
+const sameValue = (a, b) => normalize(a) === normalize(b);
+
+// Fields of `data` the client is allowed to write; MASKED text (no decrypt access) is left out
+const pickFields = (data, fields) => fields.reduce((acc, field) => {
+  if (data[field] !== undefined && data[field] !== MASKED) acc[field] = data[field];
+  return acc;
+}, {});
+
+const changedFields = (record, values) => Object.keys(values)
+  .filter(field => !sameValue(record.get(field), values[field]));
+
+const hashOperation = (operation) => crypto.createHash('sha256')
+  .update(JSON.stringify({
+    entity: operation.entity,
+    action: operation.action,
+    id: operation.id,
+    data: operation.data || null,
+    lastSyncedAt: operation.lastSyncedAt || null,
+    force: !!operation.force
+  }))
+  .digest('hex');
+
+const validateOperation = (operation) => {
+  if (!operation || typeof operation !== 'object') return 'operation must be an object';
+  if (typeof operation.opId !== 'string' || !operation.opId || operation.opId.length > 64) {
+    return 'opId must be a string of at most 64 characters';
+  }
+  if (!ENTITIES[operation.entity]) return `entity must be one of: ${Object.keys(ENTITIES).join(', ')}`;
+  if (!ACTIONS.includes(operation.action)) return `action must be one of: ${ACTIONS.join(', ')}`;
+  if (typeof operation.id !== 'string' || !UUID_PATTERN.test(operation.id)) return 'id must be a UUID';
+  if (operation.action === 'upsert' && (!operation.data || typeof operation.data !== 'object')) {
+    return 'data is required for upsert';
+  }
+  // Parent report of a new distribution or alert
+  const reportId = operation.data?.reportId;
+  if (reportId !== undefined && reportId !== null && (typeof reportId !== 'string' || !UUID_PATTERN.test(reportId))) {
+    return 'data.reportId must be a UUID';
+  }
+  if (operation.lastSyncedAt && Number.isNaN(new Date(operation.lastSyncedAt).getTime())) {
+    return 'lastSyncedAt must be an ISO date';
+  }
+  return null;
+};
+
+const loadReport = (reportId, transaction) => MaraudeReport.findByPk(reportId, {
+  include: [{ model: MaraudeAction, as: 'maraudeAction' }],
+  transaction
+});
+
+/**
+ * Fields changed on the server since the client last synced the record
+ * (the audit trail records each update with its fields)
+ * @returns {Promise<Set<string>|null>} null when the record changed but its history is unknown
+ */
+async function serverChangesSince(record, lastSyncedAt, transaction) {
+  if (lastSyncedAt && record.updatedAt <= new Date(lastSyncedAt)) {
+    return new Set();
+  }
+  if (!lastSyncedAt) return null;
+
+  const rows = await AuditLog.findAll({
+    where: {
+      entityType: record.constructor.name,
+      entityId: String(record.id),
+      action: 'update',
+      createdAt: { [Op.gt]: new Date(lastSyncedAt) }
+    },
+    attributes: ['changes'],
+    transaction
+  });
+  return rows.length > 0 ? new Set(rows.flatMap(row => Object.keys(row.changes || {}))) : null;
+}
+
+const applied = (extra = {}) => ({ status: 'applied', ...extra });
+const rejected = (error) => ({ status: 'rejected', error });
+const conflict = (reason, extra = {}) => ({ status: 'conflict', conflict: { reason, ...extra } });
+
+/**
+ * Shared update path: merge the client values unless the same fields moved on the server
+ */
+async function updateRecord(record, values, operation, transaction) {
+  const changed = changedFields(record, values);
+  if (changed.length === 0) return applied({ unchanged: true });
+
+  if (!operation.force) {
+    const serverFields = await serverChangesSince(record, operation.lastSyncedAt, transaction);
+    const conflicting = serverFields ? changed.filter(field => serverFields.has(field)) : changed;
+    if (conflicting.length > 0) {
+      return conflict('modified', { fields: conflicting });
+    }
+  }
+
+  await record.update(pickFields(values, changed), { transaction });
+  return applied({ fields: changed });
+}
+
+// A record the client already synced is gone: do not silently recreate it
+const deletedOnServer = (operation) => (operation.lastSyncedAt ? conflict('deleted') : null);
+
+const handlers = {
+  report: {
+    async upsert(user, operation, transaction) {
+      const values = pickFields(operation.data, REPORT_FIELDS);
+      const report = await loadReport(operation.id, transaction);
+
+      if (report) {
+        const error = checkReportEditable(report, user);
+        if (error) return rejected(error);
+
+        // One report per maraude and day
+        if (values.reportDate && !sameValue(values.reportDate, report.reportDate)) {
+          const existing = await MaraudeReport.findOne({
+            where: { maraudeActionId: report.maraudeActionId, reportDate: values.reportDate, id: { [Op.ne]: report.id } },
+            attributes: ['id'],
+            transaction
+          });
+          if (existing) {
+            return conflict('duplicate', { existingReportId: existing.id });
+          }
+        }
+
+        const result = await updateRecord(report, values, operation, transaction);
+        if (result.status === 'applied' && result.fields?.includes('reportDate')) {
+          await syncEncounterDates(report, { transaction });
+        }
+        return { ...result, reportId: report.id };
+      }
+
+      const gone = deletedOnServer(operation);
+      if (gone) return gone;
+
+      const { maraudeActionId } = operation.data;
+      const maraudeAction = maraudeActionId
+        ? await MaraudeAction.findByPk(maraudeActionId, { transaction })
+        : null;
+      if (!maraudeAction) return rejected('Maraude action not found');
+      if (user.role !== 'admin' && maraudeAction.associationId !== user.associationId) {
+        return rejected('Access denied');
+      }
+
+      const reportDate = values.reportDate || today(await resolveTimezone(maraudeAction));
+      const existing = await MaraudeReport.findOne({
+        where: { maraudeActionId: maraudeAction.id, reportDate },
+        attributes: ['id'],
+        transaction
+      });
+      if (existing) {
+        return conflict('duplicate', { existingReportId: existing.id });
+      }
+
+      const volunteersCount = values.volunteersCount !== undefined && values.volunteersCount !== null && values.volunteersCount !== ''
+        ? parseInt(values.volunteersCount, 10)
+        : await countConfirmed(maraudeAction.id, reportDate, { transaction });
+
+      const created = await MaraudeReport.create({
+        ...values,
+        id: operation.id,
+        maraudeActionId: maraudeAction.id,
+        reportDate,
+        volunteersCount,
+        hasUrgentSituations: !!values.hasUrgentSituations || !!values.urgentSituationsDetails,
+        createdBy: user.id,
+        status: 'submitted' // Same as POST /api/reports
+      }, { transaction });
+      await attachTrackToReport(created, { transaction });
+
+      return applied({ created: true, reportId: operation.id });
+    },
+
+    async delete() {
+      return rejected('Reports are deleted with DELETE /api/reports/:id');
+    }
+  },
+
+  distribution: {
+    async upsert(user, operation, transaction) {
+      const values = pickFields(operation.data, DISTRIBUTION_FIELDS);
+      const distribution = await ReportDistribution.findByPk(operation.id, { transaction });
+      const reportId = distribution ? distribution.reportId : operation.data.reportId;
+
+      const error = checkReportEditable(reportId && await loadReport(reportId, transaction), user);
+      if (error) return rejected(error);
+
+      if (distribution) {
+        return { ...await updateRecord(distribution, values, operation, transaction), reportId };
+      }
+
+      const gone = deletedOnServer(operation);
+      if (gone) return gone;
+
+      await ReportDistribution.create({
+        ...values,
+        id: operation.id,
+        reportId,
+        quantity: parseInt(values.quantity, 10)
+      }, { transaction });
+      return applied({ created: true, reportId });
+    },
+
+    async delete(user, operation, transaction) {
+      const distribution = await ReportDistribution.findByPk(operation.id, { transaction });
+      if (!distribution) return applied({ alreadyDeleted: true });
+
+      const error = checkReportEditable(await loadReport(distribution.reportId, transaction), user);
+      if (error) return rejected(error);
+
+      const serverFields = operation.force ? new Set() : await serverChangesSince(distribution, operation.lastSyncedAt, transaction);
+      if (!serverFields || serverFields.size > 0) {
+        return conflict('modified', { fields: serverFields ? [...serverFields] : [] });
+      }
+
+      await distribution.destroy({ transaction });
+      return applied({ deleted: true, reportId: distribution.reportId });
+    }
+  },
+
+  alert: {
+    async upsert(user, operation, transaction) {
+      const values = pickFields(operation.data, ALERT_CONTENT_FIELDS);
+      const alert = await ReportAlert.findByPk(operation.id, { transaction });
+      const reportId = alert ? alert.reportId : operation.data.reportId;
+      const report = reportId && await loadReport(reportId, transaction);
+
+      const error = checkReportEditable(report, user);
+      if (error) return rejected(error);
+
+      if (values.beneficiaryId) {
+        const check = await checkBeneficiaries([values.beneficiaryId], report.maraudeAction.associationId, { transaction });
+        if (check.error) return rejected(check.error);
+      }
+
+      if (alert) {
+        // New severity, new deadline (counted from when the alert was raised)
+        if (values.severity && values.severity !== alert.severity) {
+          values.dueAt = ReportAlert.computeDueAt(values.severity, alert.createdAt);
+        }
+        return { ...await updateRecord(alert, values, operation, transaction), reportId };
+      }
+
+      const gone = deletedOnServer(operation);
+      if (gone) return gone;
+
+      await ReportAlert.create({ ...values, id: operation.id, reportId }, { transaction });
+      if (!report.hasUrgentSituations) {
+        await report.update({ hasUrgentSituations: true }, { transaction });
+      }
+      return applied({ created: true, reportId });
+    },
+
+    async delete(user, operation, transaction) {
+      const alert = await ReportAlert.findByPk(operation.id, { transaction });
+      if (!alert) return applied({ alreadyDeleted: true });
+
+      const error = checkReportEditable(await loadReport(alert.reportId, transaction), user);
+      if (error) return rejected(error);
+
+      // Same rule as report edits: a case being followed up stays
+      if (await hasFollowUp(alert, transaction)) {
+        return conflict('followed_up');
+      }
+      const serverFields = operation.force ? new Set() : await serverChangesSince(alert, operation.lastSyncedAt, transaction);
+      if (!serverFields || serverFields.size > 0) {
+        return conflict('modified', { fields: serverFields ? [...serverFields] : [] });
+      }
+
+      await alert.destroy({ transaction });
+      return applied({ deleted: true, reportId: alert.reportId });
+    }
+  }
+};
+
+// Current server copy of a record, for the client to resolve a conflict
+async function serverCopy(entity, id) {
+  const record = await ENTITIES[entity].findByPk(id);
+  return record ? record.toJSON() : null;
+}
+
+// Stored outcome -> what the client gets back
+const toResult = async (operation, outcome, extra = {}) => {
+  const result = {
+    opId: operation.opId,
+    entity: operation.entity,
+    id: operation.id,
+    ...outcome,
+    ...extra
+  };
+  delete result.reportId;
+  if (outcome.status === 'conflict') {
+    result.server = await serverCopy(operation.entity, operation.id);
+  }
+  return result;
+};
+
+async function applyOperation(user, deviceId, operation, touchedReports) {
+  const invalid = validateOperation(operation);
+  if (invalid) {
+    return { opId: operation?.opId ?? null, status: 'rejected', error: invalid };
+  }
+
+  const requestHash = hashOperation(operation);
+  const replay = async () => {
+    const previous = await SyncOperation.findOne({ where: { userId: user.id, opId: operation.opId } });
+    if (!previous) return null;
+    if (previous.requestHash !== requestHash) {
+      return { opId: operation.opId, status: 'rejected', error: 'opId already used for a different operation' };
+    }
+    return toResult(operation, previous.result, { replayed: true });
+  };
+
+  const previous = await replay();
+  if (previous) return previous;
+
+  let outcome;
+  try {
+    await sequelize.transaction(async (transaction) => {
+      outcome = await handlers[operation.entity][operation.action](user, operation, transaction);
+      // Server time after the write: the client's next lastSyncedAt for this record
+      outcome.syncedAt = new Date().toISOString();
+
+      await SyncOperation.create({
+        userId: user.id,
+        opId: operation.opId,
+        deviceId: deviceId || null,
+        entityType: operation.entity,
+        entityId: operation.id,
+        action: operation.action,
+        requestHash,
+        status: outcome.status,
+        result: outcome
+      }, { transaction });
+    });
+  } catch (error) {
+    // Same operation sent twice at once: the other request stored it first
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      const stored = await replay();
+      if (stored) return stored;
+    }
+    if (error.name === 'SequelizeValidationError' || error.name === 'SequelizeForeignKeyConstraintError') {
+      return { opId: operation.opId, entity: operation.entity, id: operation.id, status: 'rejected', error: error.message };
+    }
+    throw error;
+  }
+
+  if (outcome.status === 'applied' && outcome.reportId && !outcome.unchanged) {
+    touchedReports.add(outcome.reportId);
+  }
+  return toResult(operation, outcome);
+}
+
+/**
+ * Apply a batch of offline operations in order. Every operation is its own
+ * transaction: one conflict does not block the rest of the queue.
+ * @param {Object} user - authenticated user
+ * @param {{deviceId?: string, operations: Object[]}} batch
+ * @returns {Promise<{results?: Object[], serverTime?: string, error?: string, status?: number}>}
+ */
+async function applyBatch(user, { deviceId, operations } = {}) {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    return { error: 'operations must be a non-empty array', status: 400 };
+  }
+  if (operations.length > MAX_OPERATIONS) {
+    return { error: `At most ${MAX_OPERATIONS} operations per batch`, status: 400 };
+  }
+
+  const touchedReports = new Set();
+  const results = [];
+  for (const operation of operations) {
+    results.push(await applyOperation(user, deviceId, operation, touchedReports));
+  }
+
+  // Content under review changed: one new version per report for the whole batch.
+  // The operations are already committed: a failure here is logged, the results still go back.
+  for (const reportId of touchedReports) {
+    try {
+      await sequelize.transaction(async (transaction) => {
+        const report = await MaraudeReport.findByPk(reportId, { transaction, lock: transaction.LOCK.UPDATE });
+        if (report && report.status === 'submitted') {
+          await recordVersion(report, user.id, { transaction });
+        }
+      });
+    } catch (error) {
+      console.error(`Sync: recording a version of report ${reportId} failed:`, error);
+    }
+  }
+
+  return { results, serverTime: new Date().toISOString() };
+}
+
+/**
+ * Everything changed on the server since `since`, for the client to reconcile its local copy
+ * @param {Object} user
+ * @param {{since?: string, associationId?: string}} options - associationId: admins only
+ * @returns {Promise<Object>}
+ */
+async function getChanges(user, { since, associationId } = {}) {
+  // Taken first: anything written while we read shows up in the next pull
+  const serverTime = new Date();
+  const from = since
+    ? new Date(since)
+    : new Date(serverTime.getTime() - INITIAL_SYNC_DAYS * 24 * 60 * 60 * 1000);
+  if (Number.isNaN(from.getTime())) {
+    return { error: 'since must be an ISO date', status: 400 };
+  }
+
+  const scope = user.role === 'admin' ? associationId : user.associationId;
+  const actionWhere = scope ? { associationId: scope } : undefined;
+  const reportInclude = () => ({
+    model: MaraudeReport,
+    as: 'report',
+    attributes: [],
+    required: true,
+    include: [{ model: MaraudeAction, as: 'maraudeAction', attributes: [], where: actionWhere, required: true }]
+  });
+
+  const [reports, distributions, alerts, deletions] = await Promise.all([
+    MaraudeReport.findAll({
+      where: { updatedAt: { [Op.gt]: from } },
+      include: [{ model: MaraudeAction, as: 'maraudeAction', attributes: ['id', 'title', 'associationId'], where: actionWhere }],
+      order: [['updatedAt', 'ASC']]
+    }),
+    ReportDistribution.findAll({
+      where: { updatedAt: { [Op.gt]: from } },
+      include: [reportInclude()],
+      order: [['updatedAt', 'ASC']]
+    }),
+    ReportAlert.findAll({
+      where: { updatedAt: { [Op.gt]: from } },
+      include: [reportInclude()],
+      order: [['updatedAt', 'ASC']]
+    }),
+    AuditLog.findAll({
+      where: {
+        action: 'delete',
+        entityType: ['MaraudeReport', 'ReportDistribution', 'ReportAlert'],
+        createdAt: { [Op.gt]: from },
+        ...(scope ? { associationId: scope } : {})
+      },
+      attributes: ['entityType', 'entityId'],
+      order: [['createdAt', 'ASC']]
+    })
+  ]);
+
+  const deletedOf = (entityType) => deletions
+    .filter(row => row.entityType === entityType)
+    .map(row => row.entityId);
+
+  return {
+    since: from.toISOString(),
+    serverTime: serverTime.toISOString(),
+    reports,
+    distributions,
+    alerts,
+    deleted: {
+      reports: deletedOf('MaraudeReport'),
+      distributions: deletedOf('ReportDistribution'),
+      alerts: deletedOf('ReportAlert')
+    }
+  };
+}
+
+module.exports = {
+  MAX_OPERATIONS,
+  REPORT_FIELDS,
+  DISTRIBUTION_FIELDS,
+  applyBatch,
+  getChanges
+};
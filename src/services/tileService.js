@@ -0,0 +1,257 @@
+// src/services/tileService.js - Mapbox Vector Tiles (ST_AsMVT) for the dense map layers
+// - merchants: points, grid clusters below TILE_CLUSTER_MAX_ZOOM
+// - maraudes: routes (start point through the ordered waypoints)
+// - alerts: heat points, always aggregated (~100 m cells, coarser grid below TILE_CLUSTER_MAX_ZOOM)
+// Generated tiles are kept in memory and dropped as soon as a row of their layer changes.
+const { QueryTypes } = require('sequelize');
+const { sequelize, Merchant, MaraudeAction, ReportAlert } = require('../models');
+const { OPEN_STATUSES } = require('./alertCaseService');
+const { createLruCache } = require('../utils/lruCache');
+const { eventBus, emitAfterCommit } = require('../utils/eventBus');
+
+const EXTENT = 4096;
+const BUFFER = 64;
+const MAX_ZOOM = 22;
+// Clusters per tile side below the cluster zoom (cells of 32 px on a 512 px tile)
+const CLUSTER_GRID = 16;
+// Same anonymization as the GeoJSON alerts layer (3 decimals, ~100 m)
+const ALERT_GRID_DEGREES = 0.001;
+const SEVERITY_WEIGHTS = ['low', 'medium', 'high', 'critical'];
+// Web Mercator stops at ±85.0511° latitude
+const MERCATOR_MAX_LATITUDE = 85.0511287798;
+const WEB_MERCATOR_HALF_WORLD = 20037508.342789244;
+
+const DEFAULT_CACHE_MB = 64;
+const DEFAULT_CACHE_SECONDS = 300;
+const DEFAULT_CLUSTER_MAX_ZOOM = 14;
+
+const LAYER_MODELS = {
+  merchants: Merchant,
+  maraudes: MaraudeAction,
+  alerts: ReportAlert
+};
+
+const LAYERS = Object.keys(LAYER_MODELS);
+
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] === undefined || process.env[name] === '' || !Number.isFinite(value) || value < 0
+    ? fallback
+    : value;
+};
+
+const clusterMaxZoom = () => envNumber('TILE_CLUSTER_MAX_ZOOM', DEFAULT_CLUSTER_MAX_ZOOM);
+
+const cache = createLruCache({
+  maxBytes: envNumber('TILE_CACHE_MAX_MB', DEFAULT_CACHE_MB) * 1024 * 1024,
+  ttlMs: envNumber('TILE_CACHE_SECONDS', DEFAULT_CACHE_SECONDS) * 1000,
+  // Empty tiles are cached too: count the key and bookkeeping
+  sizeOf: (tile) => tile.length + 256
+});
+
+// Bumped on every committed write of a layer: older cache keys are never read again
+const generations = Object.fromEntries(LAYERS.map(layer => [layer, 0]));
+
+eventBus.on('tiles.invalidate', (layer) => {
+  generations[layer]++;
+});
+
+Object.entries(LAYER_MODELS).forEach(([layer, model]) => {
+  const invalidate = (instanceOrOptions, maybeOptions) => {
+    const options = maybeOptions || instanceOrOptions || {};
+    emitAfterCommit(options.transaction, 'tiles.invalidate', layer);
+  };
+  ['afterCreate', 'afterUpdate', 'afterDestroy', 'afterBulkCreate', 'afterBulkUpdate', 'afterBulkDestroy']
+    .forEach(hook => model.addHook(hook, 'tiles', invalidate));
+});
+
+/**
+ * Check tile coordinates
+ * @returns {{tile?: {z: number, x: number, y: number}, error?: string, status?: number}}
+ */
+function parseTile(z, x, y) {
+  const values = [z, x, y].map(value => (/^\d+$/.test(String(value)) ? Number(value) : NaN));
+  const [zoom, column, row] = values;
+  if (values.some(Number.isNaN) || zoom > MAX_ZOOM || column >= 2 ** zoom || row >= 2 ** zoom) {
+    return { error: `Invalid tile: z must be 0-${MAX_ZOOM}, x and y 0 to 2^z - 1`, status: 400 };
+  }
+  return { tile: { z: zoom, x: column, y: row } };
+}
+
+const tileToLongitude = (x, z) => x / 2 ** z * 360 - 180;
+const tileToLatitude = (y, z) => Math.atan(Math.sinh(Math.PI * (1 - 2 * y / 2 ** z))) * 180 / Math.PI;
+
+// Tile bounds in degrees, widened by the MVT buffer, for the GiST index prefilter
+const tileBounds = ({ z, x, y }) => {
+  const margin = BUFFER / EXTENT;
+  return {
+    west: Math.max(tileToLongitude(x - margin, z), -180),
+    east: Math.min(tileToLongitude(x + 1 + margin, z), 180),
+    north: Math.min(tileToLatitude(y - margin, z), MERCATOR_MAX_LATITUDE),
+    south: Math.max(tileToLatitude(y + 1 + margin, z), -MERCATOR_MAX_LATITUDE)
+  };
+};
+
+const tileReplacements = (tile) => ({
+  ...tile,
+  ...tileBounds(tile),
+  extent: EXTENT,
+  buffer: BUFFER,
+  cellSize: 2 * WEB_MERCATOR_HALF_WORLD / 2 ** tile.z / CLUSTER_GRID,
+  halfCell: WEB_MERCATOR_HALF_WORLD / 2 ** tile.z / CLUSTER_GRID
+});
+
+const BOUNDS_SQL = 'bounds AS (SELECT ST_TileEnvelope(:z, :x, :y) AS geom)';
+const ENVELOPE_SQL = 'ST_MakeEnvelope(:west, :south, :east, :north, 4326)';
+const MERCATOR_ENVELOPE_SQL = `ST_MakeEnvelope(-180, -${MERCATOR_MAX_LATITUDE}, 180, ${MERCATOR_MAX_LATITUDE}, 4326)`;
+const MVT_GEOM_SQL = (geom) => `ST_AsMVTGeom(${geom}, bounds.geom, :extent, :buffer, true)`;
+
+// Points grouped on a grid of the tile: one feature per cell with its count. Cells are
+// aligned on the tile edges (grid origin at half a cell), so each cluster belongs to one
+// tile: clusters of the buffer area are left to the neighbouring tiles.
+const clusterSql = (pointsSql, extraColumns = '') => `
+  clusters AS (
+    SELECT cells.* FROM (
+      SELECT ST_Centroid(ST_Collect(points.geom)) AS geom, COUNT(*)::int AS count${extraColumns}
+      FROM (${pointsSql}) points
+      GROUP BY ST_SnapToGrid(points.geom, :halfCell, :halfCell, :cellSize, :cellSize)
+    ) cells, bounds
+    WHERE cells.geom && bounds.geom
+  )`;
+
+function merchantsSql(tile, { categories }) {
+  const where = `m."isActive" = true
+    AND m.location && ${ENVELOPE_SQL}::geography
+    ${categories && categories.length > 0 ? 'AND m.category::text IN (:categories)' : ''}`;
+
+  if (tile.z < clusterMaxZoom()) {
+    return `
+      WITH ${BOUNDS_SQL},
+      ${clusterSql(`SELECT ST_Transform(m.location::geometry, 3857) AS geom FROM merchants m WHERE ${where}`)},
+      features AS (
+        SELECT ${MVT_GEOM_SQL('clusters.geom')} AS geom, clusters.count, true AS cluster
+        FROM clusters, bounds
+      )
+      SELECT ST_AsMVT(features.*, 'merchants', :extent, 'geom') AS tile FROM features WHERE geom IS NOT NULL`;
+  }
+
+  return `
+    WITH ${BOUNDS_SQL},
+    features AS (
+      SELECT ${MVT_GEOM_SQL('ST_Transform(m.location::geometry, 3857)')} AS geom,
+        m.id, m.name, m.category::text AS category, array_to_string(m.services, ',') AS services,
+        m."isVerified" AS verified, 1 AS count, false AS cluster
+      FROM merchants m, bounds
+      WHERE ${where}
+    )
+    SELECT ST_AsMVT(features.*, 'merchants', :extent, 'geom') AS tile FROM features WHERE geom IS NOT NULL`;
+}
+
+// Stored route (routeLocation, GiST-indexed): the envelope filter runs on the index.
+// Clipped to the Web Mercator latitudes before the projection.
+function maraudesSql(tile, { associationId }) {
+  return `
+    WITH ${BOUNDS_SQL},
+    features AS (
+      SELECT ${MVT_GEOM_SQL(`ST_Transform(ST_ClipByBox2D(a."routeLocation"::geometry, ${MERCATOR_ENVELOPE_SQL}), 3857)`)} AS geom,
+        a.id, a.title, a."associationId", a.status::text AS status, a."dayOfWeek", a."startTime"::text AS "startTime",
+        ST_NPoints(a."routeLocation"::geometry) - 1 AS "waypointCount"
+      FROM maraude_actions a, bounds
+      WHERE a."isActive" = true
+        AND a."routeLocation" && ${ENVELOPE_SQL}::geography
+        ${associationId ? 'AND a."associationId" = :associationId' : ''}
+    )
+    SELECT ST_AsMVT(features.*, 'maraudes', :extent, 'geom') AS tile FROM features WHERE geom IS NOT NULL`;
+}
+
+// Positions snapped to ~100 m before anything else: exact places never leave the database
+function alertsSql(tile, { associationId, statuses }) {
+  const weight = `array_position(ARRAY[${SEVERITY_WEIGHTS.map(severity => `'${severity}'`).join(', ')}], a.severity::text)`;
+  const points = `
+    SELECT ST_Transform(ST_SnapToGrid(a.location::geometry, ${ALERT_GRID_DEGREES}), 3857) AS geom, ${weight} AS weight
+    FROM report_alerts a
+    JOIN maraude_reports r ON r.id = a."reportId"
+    JOIN maraude_actions ma ON ma.id = r."maraudeActionId"
+    WHERE a.location && ${ENVELOPE_SQL}::geography
+      AND a.status::text IN (:statuses)
+      ${associationId ? 'AND ma."associationId" = :associationId' : ''}`;
+
+  const grouped = tile.z < clusterMaxZoom()
+    ? clusterSql(points, ', SUM(points.weight)::int AS weight, MAX(points.weight) AS "maxWeight"')
+    : `
+      clusters AS (
+        SELECT points.geom, COUNT(*)::int AS count, SUM(points.weight)::int AS weight, MAX(points.weight) AS "maxWeight"
+        FROM (${points}) points
+        GROUP BY points.geom
+      )`;
+
+  return `
+    WITH ${BOUNDS_SQL},
+    ${grouped},
+    features AS (
+      SELECT ${MVT_GEOM_SQL('clusters.geom')} AS geom, clusters.count, clusters.weight,
+        (ARRAY[${SEVERITY_WEIGHTS.map(severity => `'${severity}'`).join(', ')}])[clusters."maxWeight"] AS severity
+      FROM clusters, bounds
+    )
+    SELECT ST_AsMVT(features.*, 'alerts', :extent, 'geom') AS tile FROM features WHERE geom IS NOT NULL`;
+}
+
+const LAYER_SQL = {
+  merchants: merchantsSql,
+  maraudes: maraudesSql,
+  alerts: alertsSql
+};
+
+// Filters as part of the cache key, in a stable order
+const filterKey = (filters) => JSON.stringify(Object.keys(filters).sort()
+  .filter(key => filters[key] !== undefined && filters[key] !== null)
+  .map(key => [key, Array.isArray(filters[key]) ? [...filters[key]].sort() : filters[key]]));
+
+/**
+ * One vector tile of a layer (cached)
+ * @param {string} layer - merchants | maraudes | alerts
+ * @param {{z: number, x: number, y: number}} tile - see parseTile
+ * @param {Object} [filters]
+ * @param {string[]} [filters.categories] - merchants
+ * @param {string} [filters.associationId] - maraudes, alerts (required by the routes unless admin)
+ * @param {string[]} [filters.statuses=OPEN_STATUSES] - alerts
+ * @returns {Promise<{tile?: Buffer, cached?: boolean, error?: string, status?: number}>} empty Buffer when there is nothing
+ */
+async function getTile(layer, tile, filters = {}) {
+  if (!LAYER_SQL[layer]) {
+    return { error: `Unknown layer, use one of: ${LAYERS.join(', ')}`, status: 404 };
+  }
+
+  const layerFilters = layer === 'alerts'
+    ? { ...filters, statuses: filters.statuses || OPEN_STATUSES }
+    : filters;
+  const key = `${layer}:${generations[layer]}:${tile.z}/${tile.x}/${tile.y}:${filterKey(layerFilters)}`;
+
+  const cached = cache.get(key);
+  if (cached) {
+    return { tile: cached, cached: true };
+  }
+
+  const generation = generations[layer];
+  const row = await sequelize.query(LAYER_SQL[layer](tile, layerFilters), {
+    replacements: { ...tileReplacements(tile), ...layerFilters },
+    type: QueryTypes.SELECT,
+    plain: true
+  });
+  const result = row && row.tile ? Buffer.from(row.tile) : Buffer.alloc(0);
+
+  // A write committed meanwhile: serve this tile but do not keep it
+  if (generation === generations[layer]) {
+    cache.set(key, result);
+  }
+  return { tile: result, cached: false };
+}
+
+module.exports = {
+  LAYERS,
+  MAX_ZOOM,
+  parseTile,
+  getTile,
+  clearTileCache: cache.clear,
+  tileCacheStats: cache.stats
+};
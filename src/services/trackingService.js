@@ -0,0 +1,356 @@
+// src/services/trackingService.js - Live tracking of a maraude in progress: the team's phone
+// posts its GPS positions, the track and the distance walked are kept, coordinators follow
+// along (events 'tracking.started', 'tracking.position', 'tracking.ended' on the event bus)
+// and the track is attached to the report of the session.
+const { Op } = require('sequelize');
+const { sequelize, TrackingSession, TrackPoint } = require('../models');
+const { findOccurrence, resolveTimezone, transitionOccurrence } = require('./occurrenceService');
+const { isTeamMember } = require('./participationService');
+const { emitAfterCommit } = require('../utils/eventBus');
+const { toPoint, haversineDistance } = require('../utils/geo');
+const { encodePolyline } = require('../utils/polyline');
+const { today } = require('../utils/dateUtils');
+
+const MAX_POSITIONS_PER_BATCH = 500;
+// Less precise fixes (indoors, no GPS yet) would draw a zigzag
+const MAX_ACCURACY_METERS = 100;
+// Phones buffer positions when offline, but do not send the future
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Faster than this from the previous position: a GPS glitch, left out of the track
+const maxSpeedKmh = () => {
+  const speed = parseFloat(process.env.TRACKING_MAX_SPEED_KMH);
+  return Number.isFinite(speed) && speed > 0 ? speed : 50;
+};
+
+const isCoordinator = (user, associationId) => (
+  user.role === 'admin' || (user.role === 'coordinator' && user.associationId === associationId)
+);
+
+const canViewSession = (user, session) => (
+  isCoordinator(user, session.associationId) || session.trackerId === user.id
+);
+
+// Public shape of a session (last position included)
+const serializeSession = (session) => ({
+  id: session.id,
+  maraudeActionId: session.maraudeActionId,
+  occurrenceDate: session.occurrenceDate,
+  associationId: session.associationId,
+  trackerId: session.trackerId,
+  status: session.status,
+  startedAt: session.startedAt,
+  endedAt: session.endedAt,
+  lastPosition: toPoint(session.lastLatitude, session.lastLongitude)
+    ? { ...toPoint(session.lastLatitude, session.lastLongitude), recordedAt: session.lastPositionAt }
+    : null,
+  distanceKm: session.getDistanceKm(),
+  pointCount: session.pointCount,
+  reportId: session.reportId
+});
+
+/**
+ * Keep the positions that make a plausible walk, in time order
+ * @param {Array<{latitude, longitude, recordedAt}>} points - sorted by recordedAt
+ * @param {Object} [previous] - last kept position before these
+ * @returns {{points: Array, meters: number}}
+ */
+function cleanTrack(points, previous = null) {
+  const limit = maxSpeedKmh() / 3.6; // m/s
+  const kept = [];
+  let last = previous;
+  let meters = 0;
+
+  for (const point of points) {
+    if (last) {
+      const distance = haversineDistance(last, point);
+      const seconds = (new Date(point.recordedAt) - new Date(last.recordedAt)) / 1000;
+      if (distance > limit * Math.max(seconds, 1)) continue;
+      meters += distance;
+    }
+    kept.push(point);
+    last = point;
+  }
+  return { points: kept, meters };
+}
+
+/**
+ * Start (or resume) the live tracking of a maraude session. One session per date:
+ * starting again after the end resumes it, on the same track.
+ * @param {Object} action - MaraudeAction
+ * @param {Object} user - the team member whose phone will send positions
+ * @param {string} [date] - YYYY-MM-DD, default today in the association's zone
+ * @returns {Promise<{session?: Object, created?: boolean, error?: string, status?: number}>}
+ */
+async function startSession(action, user, date) {
+  const occurrenceDate = date || today(await resolveTimezone(action));
+  const occurrence = await findOccurrence(action, occurrenceDate);
+  if (!occurrence) {
+    return { error: 'This maraude has no session on that date', status: 404 };
+  }
+  if (['cancelled', 'completed'].includes(occurrence.status)) {
+    return { error: `Cannot track a ${occurrence.status} session`, status: 400 };
+  }
+
+  if (!await isTeamMember(action, occurrence, user)) {
+    return { error: 'Only the team of this session can track it', status: 403 };
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    const existing = await TrackingSession.findOne({
+      where: { maraudeActionId: action.id, occurrenceDate },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (existing && existing.reportId) {
+      return { error: 'The report of this session is filed: its track is closed', status: 409 };
+    }
+    if (existing && existing.isActive() && existing.trackerId !== user.id) {
+      return { error: 'Another team member is already tracking this session', status: 409, session: existing };
+    }
+
+    const session = existing
+      ? await existing.update({ status: 'active', trackerId: user.id, endedAt: null, endedBy: null }, { transaction })
+      : await TrackingSession.create({
+        maraudeActionId: action.id,
+        occurrenceDate,
+        associationId: action.associationId,
+        trackerId: user.id
+      }, { transaction });
+
+    // The team is out: the session is in progress
+    if (occurrence.status === 'planned') {
+      await transitionOccurrence(action, occurrence, 'in_progress', user, { transaction });
+    }
+
+    emitAfterCommit(transaction, 'tracking.started', serializeSession(session));
+    return { session, created: !existing };
+  });
+}
+
+// Positions from the request body: { positions: [...] } or a single position
+const parsePositions = (body, session) => {
+  const list = Array.isArray(body.positions) ? body.positions : [body];
+  if (list.length === 0) {
+    return { error: 'No position sent', status: 400 };
+  }
+  if (list.length > MAX_POSITIONS_PER_BATCH) {
+    return { error: `At most ${MAX_POSITIONS_PER_BATCH} positions per request`, status: 400 };
+  }
+
+  const now = Date.now();
+  const positions = [];
+  let skipped = 0;
+  for (const [index, position] of list.entries()) {
+    const point = position && toPoint(position.latitude, position.longitude);
+    if (!point) {
+      return { error: `positions[${index}] needs a valid latitude and longitude`, status: 400 };
+    }
+    const recordedAt = position.recordedAt ? new Date(position.recordedAt) : new Date(now);
+    if (Number.isNaN(recordedAt.getTime())) {
+      return { error: `positions[${index}].recordedAt must be a date`, status: 400 };
+    }
+    const accuracy = position.accuracy === undefined || position.accuracy === null ? null : Number(position.accuracy);
+
+    if ((accuracy !== null && !(accuracy <= MAX_ACCURACY_METERS)) ||
+        recordedAt.getTime() > now + MAX_CLOCK_SKEW_MS ||
+        recordedAt < new Date(session.startedAt)) {
+      skipped++;
+      continue;
+    }
+    positions.push({ ...point, accuracy, recordedAt });
+  }
+
+  positions.sort((a, b) => a.recordedAt - b.recordedAt);
+  return { positions, skipped };
+};
+
+/**
+ * Record positions sent by the tracker's phone and update the distance walked
+ * @param {Object} session - TrackingSession
+ * @param {Object} user - must be the session's tracker
+ * @param {Object} body - { positions: [{ latitude, longitude, accuracy?, recordedAt? }] } or one position
+ * @returns {Promise<{session?: Object, accepted?: number, skipped?: number, error?: string, status?: number}>}
+ */
+async function recordPositions(session, user, body) {
+  if (session.trackerId !== user.id) {
+    return { error: 'Only the tracking phone sends positions', status: 403 };
+  }
+
+  const parsed = parsePositions(body || {}, session);
+  if (parsed.error) return parsed;
+  const { positions, skipped } = parsed;
+
+  return sequelize.transaction(async (transaction) => {
+    const locked = await TrackingSession.findByPk(session.id, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!locked.isActive()) {
+      return { error: 'Tracking of this session has ended', status: 409 };
+    }
+    if (positions.length === 0) {
+      return { session: locked, accepted: 0, skipped };
+    }
+
+    await TrackPoint.bulkCreate(
+      positions.map(position => ({ ...position, sessionId: locked.id })),
+      { transaction }
+    );
+
+    const previous = locked.lastPositionAt
+      ? { latitude: Number(locked.lastLatitude), longitude: Number(locked.lastLongitude), recordedAt: locked.lastPositionAt }
+      : null;
+
+    let track;
+    if (previous && positions[0].recordedAt < new Date(previous.recordedAt)) {
+      // Positions older than the last one (sent late): walk the whole track again
+      const points = await TrackPoint.findAll({
+        where: { sessionId: locked.id },
+        attributes: ['latitude', 'longitude', 'recordedAt'],
+        order: [['recordedAt', 'ASC']],
+        raw: true,
+        transaction
+      });
+      const cleaned = cleanTrack(points.map(point => ({ ...point, latitude: Number(point.latitude), longitude: Number(point.longitude) })));
+      track = { last: cleaned.points[cleaned.points.length - 1], meters: cleaned.meters };
+    } else {
+      const cleaned = cleanTrack(positions, previous);
+      track = {
+        last: cleaned.points[cleaned.points.length - 1] || previous,
+        meters: locked.distanceMeters + cleaned.meters
+      };
+    }
+
+    await locked.update({
+      lastLatitude: track.last ? track.last.latitude : null,
+      lastLongitude: track.last ? track.last.longitude : null,
+      lastPositionAt: track.last ? track.last.recordedAt : null,
+      distanceMeters: track.meters,
+      pointCount: locked.pointCount + positions.length
+    }, { transaction });
+
+    emitAfterCommit(transaction, 'tracking.position', serializeSession(locked));
+    return { session: locked, accepted: positions.length, skipped };
+  });
+}
+
+/**
+ * Stop the live tracking (tracker or coordinator). The track stays until the report is filed.
+ * @param {Object} session - TrackingSession
+ * @param {Object} user
+ * @param {Object} [options] - { transaction }: end it as part of a larger change
+ * @returns {Promise<{session?: Object, error?: string, status?: number}>}
+ */
+async function endSession(session, user, { transaction } = {}) {
+  if (session.trackerId !== user.id && !isCoordinator(user, session.associationId)) {
+    return { error: 'Access denied', status: 403 };
+  }
+  if (!session.isActive()) {
+    return { session };
+  }
+
+  const end = async (t) => {
+    await session.update({ status: 'ended', endedAt: new Date(), endedBy: user.id }, { transaction: t });
+    emitAfterCommit(t, 'tracking.ended', serializeSession(session));
+    return { session };
+  };
+  return transaction ? end(transaction) : sequelize.transaction(end);
+}
+
+/**
+ * Track of a session: kept positions as a GeoJSON LineString
+ * @param {Object} session - TrackingSession
+ * @returns {Promise<{geometry: Object|null, polyline: string|null, meters: number}>}
+ */
+async function getTrack(session, { transaction } = {}) {
+  const points = await TrackPoint.findAll({
+    where: { sessionId: session.id },
+    attributes: ['latitude', 'longitude', 'recordedAt'],
+    order: [['recordedAt', 'ASC']],
+    raw: true,
+    transaction
+  });
+  const { points: kept, meters } = cleanTrack(
+    points.map(point => ({ ...point, latitude: Number(point.latitude), longitude: Number(point.longitude) }))
+  );
+  if (kept.length === 0) {
+    return { geometry: null, polyline: null, meters: 0 };
+  }
+
+  const coordinates = kept.map(point => [point.longitude, point.latitude]);
+  return {
+    geometry: coordinates.length === 1
+      ? { type: 'Point', coordinates: coordinates[0] }
+      : { type: 'LineString', coordinates },
+    polyline: encodePolyline(kept),
+    meters
+  };
+}
+
+/**
+ * Attach the track of the report's session to a report being filed (in its transaction).
+ * Tracking still running is ended: the maraude is over once reported.
+ * @param {Object} report - MaraudeReport, just created
+ * @param {Object} options - { transaction }
+ * @returns {Promise<Object|null>} the session, if there was one
+ */
+async function attachTrackToReport(report, { transaction } = {}) {
+  const session = await TrackingSession.findOne({
+    where: {
+      maraudeActionId: report.maraudeActionId,
+      occurrenceDate: report.reportDate,
+      reportId: { [Op.is]: null }
+    },
+    transaction,
+    lock: transaction ? transaction.LOCK.UPDATE : undefined
+  });
+  if (!session) return null;
+
+  const track = await getTrack(session, { transaction });
+  const ending = session.isActive();
+  await session.update({
+    reportId: report.id,
+    ...(ending ? { status: 'ended', endedAt: new Date(), endedBy: report.createdBy } : {})
+  }, { transaction });
+  await report.update({
+    trackingSessionId: session.id,
+    trackDistance: Math.round(track.meters / 10) / 100,
+    trackPolyline: track.polyline
+  }, { transaction });
+
+  if (ending) {
+    emitAfterCommit(transaction, 'tracking.ended', serializeSession(session));
+  }
+  return session;
+}
+
+/**
+ * Sessions of an association, latest first
+ * @param {string|undefined} associationId - undefined for all (admins)
+ * @param {Object} [filters] - { status, date }
+ * @returns {Promise<Object[]>}
+ */
+function listSessions(associationId, { status, date } = {}) {
+  const where = {};
+  if (associationId) where.associationId = associationId;
+  if (status) where.status = status;
+  if (date) where.occurrenceDate = date;
+
+  return TrackingSession.findAll({
+    where,
+    order: [['startedAt', 'DESC']],
+    limit: 200
+  });
+}
+
+module.exports = {
+  MAX_ACCURACY_METERS,
+  canViewSession,
+  serializeSession,
+  cleanTrack,
+  startSession,
+  recordPositions,
+  endSession,
+  getTrack,
+  attachTrackToReport,
+  listSessions
+};
@@ -0,0 +1,72 @@
+// src/utils/beneficiaries.js - Pseudonymous beneficiary profiles: codes, needs, approximate data
+const crypto = require('crypto');
+
+// Approximate age ranges (never a birth date)
+const AGE_RANGES = ['under_18', '18_25', '26_40', '41_60', 'over_60', 'unknown'];
+
+const NEED_LABELS = {
+  food: 'Alimentation',
+  hygiene: 'Hygiène',
+  clothing: 'Vêtements',
+  shelter: 'Hébergement',
+  medical: 'Soins',
+  administrative: 'Démarches administratives',
+  psychological: 'Soutien psychologique',
+  social: 'Lien social',
+  other: 'Autre'
+};
+
+// Unambiguous characters (no 0/O, 1/I/L)
+const CODE_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+const CODE_LENGTH = 6;
+
+// Usual locations are stored to ~100 m, enough to find someone again
+const LOCATION_DECIMALS = 3;
+
+/**
+ * Random pseudonymous code, e.g. "B-7K3Q9X". Carries no information about the person.
+ * @returns {string}
+ */
+function generatePseudonym() {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  const code = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  return `B-${code}`;
+}
+
+/**
+ * Validate and de-duplicate a list of needs
+ * @param {string[]} needs
+ * @returns {string[]}
+ * @throws {Error} on unknown needs
+ */
+function normalizeNeeds(needs) {
+  if (needs === null || needs === undefined) return [];
+  if (!Array.isArray(needs)) {
+    throw new Error('needs must be an array');
+  }
+
+  const normalized = needs.map(need => String(need).trim().toLowerCase());
+  const unknown = normalized.filter(need => !NEED_LABELS[need]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown need(s): ${unknown.join(', ')}. Use: ${Object.keys(NEED_LABELS).join(', ')}`);
+  }
+  return [...new Set(normalized)];
+}
+
+// Coordinate rounded to LOCATION_DECIMALS (null stays null)
+const approximateCoordinate = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number)) return null;
+  const factor = 10 ** LOCATION_DECIMALS;
+  return Math.round(number * factor) / factor;
+};
+
+module.exports = {
+  AGE_RANGES,
+  NEED_LABELS,
+  LOCATION_DECIMALS,
+  generatePseudonym,
+  normalizeNeeds,
+  approximateCoordinate
+};
@@ -0,0 +1,134 @@
+// src/utils/dateUtils.js - Helpers for calendar dates stored as DATEONLY strings (YYYY-MM-DD)
+
+const DAY_NAMES = ['', 'Lundi', 'Mardi', 'Mercredi', 'Jeudi', 'Vendredi', 'Samedi', 'Dimanche'];
+
+// Zone used when an association has none (all current associations are in France)
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Europe/Paris';
+
+// Date -> 'YYYY-MM-DD' (UTC calendar day). Only for values that are already dates,
+// use today(timezone) / dateInTimezone() for "what day is it" questions.
+const toDateOnly = (date) => new Date(date).toISOString().split('T')[0];
+
+const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || !timezone) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall clock of an instant in a zone: { date: 'YYYY-MM-DD', time: 'HH:MM:SS' }
+const zonedParts = (instant, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(instant)).reduce((acc, part) => {
+    acc[part.type] = part.value;
+    return acc;
+  }, {});
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}:${parts.second}`
+  };
+};
+
+const dateInTimezone = (instant, timezone = DEFAULT_TIMEZONE) => zonedParts(instant, timezone).date;
+
+// Current calendar day in a zone (Europe/Paris by default)
+const today = (timezone = DEFAULT_TIMEZONE) => dateInTimezone(new Date(), timezone);
+
+// Wall-clock time (HH:MM:SS) of an instant in a zone
+const timeInTimezone = (instant, timezone = DEFAULT_TIMEZONE) => zonedParts(instant, timezone).time;
+
+// Current wall-clock time (HH:MM:SS) in a zone
+const currentTime = (timezone = DEFAULT_TIMEZONE) => timeInTimezone(new Date(), timezone);
+
+/**
+ * Instant (Date) of a local date + time in a zone, e.g. 2025-03-30 19:00 Europe/Paris
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM[:SS]
+ * @param {string} timezone - IANA zone
+ * @returns {Date}
+ */
+const zonedDateTime = (date, time, timezone = DEFAULT_TIMEZONE) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours = 0, minutes = 0, seconds = 0] = String(time).split(':').map(Number);
+  const asUtc = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+
+  // Offset of the zone at that moment, refined once for DST transitions
+  const offsetAt = (instant) => {
+    const parts = zonedParts(instant, timezone);
+    const [y, m, d] = parts.date.split('-').map(Number);
+    const [h, min, sec] = parts.time.split(':').map(Number);
+    return Date.UTC(y, m - 1, d, h, min, sec) - instant;
+  };
+
+  let instant = asUtc - offsetAt(asUtc);
+  instant = asUtc - offsetAt(instant);
+  return new Date(instant);
+};
+
+// 'YYYY-MM-DD' -> Date at 00:00 UTC, so day arithmetic never crosses a DST boundary
+const parseDateOnly = (dateStr) => {
+  const [year, month, day] = String(dateStr).split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+const addDays = (dateStr, days) => {
+  const date = parseDateOnly(dateStr);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateOnly(date);
+};
+
+// ISO weekday: 1 = Monday ... 7 = Sunday
+const isoWeekday = (dateStr) => {
+  const day = parseDateOnly(dateStr).getUTCDay();
+  return day === 0 ? 7 : day;
+};
+
+const startOfWeek = (dateStr) => addDays(dateStr, 1 - isoWeekday(dateStr));
+
+const isValidDateOnly = (value) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  return toDateOnly(parseDateOnly(value)) === value;
+};
+
+// Inclusive list of dates between two DATEONLY strings
+const eachDay = (from, to) => {
+  const days = [];
+  for (let current = from; current <= to; current = addDays(current, 1)) {
+    days.push(current);
+  }
+  return days;
+};
+
+module.exports = {
+  DAY_NAMES,
+  DEFAULT_TIMEZONE,
+  toDateOnly,
+  isValidTimezone,
+  dateInTimezone,
+  timeInTimezone,
+  today,
+  currentTime,
+  zonedDateTime,
+  parseDateOnly,
+  addDays,
+  isoWeekday,
+  startOfWeek,
+  isValidDateOnly,
+  eachDay
+};
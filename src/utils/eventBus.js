@@ -0,0 +1,23 @@
+// src/utils/eventBus.js - In-process domain events (e.g. 'alert.created')
+const { EventEmitter } = require('events');
+
+const eventBus = new EventEmitter();
+eventBus.setMaxListeners(50);
+
+/**
+ * Emit an event once the surrounding transaction is committed
+ * (right away, on the next tick, when there is none). Listeners never
+ * see rows that could still be rolled back.
+ * @param {Object|null} transaction - Sequelize transaction
+ * @param {string} event
+ * @param {*} payload
+ */
+function emitAfterCommit(transaction, event, payload) {
+  if (transaction) {
+    transaction.afterCommit(() => eventBus.emit(event, payload));
+  } else {
+    setImmediate(() => eventBus.emit(event, payload));
+  }
+}
+
+module.exports = { eventBus, emitAfterCommit };
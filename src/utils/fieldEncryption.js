@@ -0,0 +1,141 @@
+// src/utils/fieldEncryption.js - AES-256-GCM encryption of text values with a rotating keyring
+// Keys: FIELD_ENCRYPTION_KEYS="<id>:<base64 key>,<id>:<base64 key>" (32-byte keys),
+// FIELD_ENCRYPTION_KEY_ID picks the key used to encrypt (default: the first one).
+// Older keys stay listed until `npm run encryption:rotate` has re-encrypted everything.
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'enc';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+let keyring = null;
+
+const parseKey = (id, encoded) => {
+  if (!KEY_ID_PATTERN.test(id)) {
+    throw new Error(`Invalid encryption key id "${id}" (letters, digits, "-" and "_" only)`);
+  }
+  const key = /^[0-9a-f]{64}$/i.test(encoded) ? Buffer.from(encoded, 'hex') : Buffer.from(encoded, 'base64');
+  if (key.length !== 32) {
+    throw new Error(`Encryption key "${id}" must be 32 bytes (base64 or hex)`);
+  }
+  return key;
+};
+
+/**
+ * Keys read from the environment (cached)
+ * @returns {{currentKeyId: string|null, keys: Map<string, Buffer>}}
+ */
+function getKeyring() {
+  if (keyring) return keyring;
+
+  const keys = new Map();
+  (process.env.FIELD_ENCRYPTION_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+      const separator = entry.indexOf(':');
+      if (separator === -1) {
+        throw new Error('FIELD_ENCRYPTION_KEYS entries must look like <id>:<key>');
+      }
+      const id = entry.slice(0, separator);
+      keys.set(id, parseKey(id, entry.slice(separator + 1)));
+    });
+
+  const currentKeyId = process.env.FIELD_ENCRYPTION_KEY_ID || keys.keys().next().value || null;
+  if (currentKeyId && !keys.has(currentKeyId)) {
+    throw new Error(`FIELD_ENCRYPTION_KEY_ID "${currentKeyId}" is not in FIELD_ENCRYPTION_KEYS`);
+  }
+
+  keyring = { currentKeyId, keys };
+  return keyring;
+}
+
+// Forget the cached keyring (tests, scripts changing process.env)
+const resetKeyring = () => {
+  keyring = null;
+};
+
+const isEncryptionEnabled = () => Boolean(getKeyring().currentKeyId);
+
+// Whole shape of a value produced by encryptValue, so that plaintext merely starting
+// with "enc:" is not taken for ciphertext
+const CIPHERTEXT_PATTERN = new RegExp(`^${PREFIX}:[A-Za-z0-9_-]{1,32}:[A-Za-z0-9+/]+={0,2}$`);
+
+const isEncrypted = (value) => typeof value === 'string' &&
+  CIPHERTEXT_PATTERN.test(value) &&
+  Buffer.from(value.split(':')[2], 'base64').length > IV_LENGTH + TAG_LENGTH;
+
+// Id of the key a value was encrypted with, null for plaintext
+const keyIdOf = (value) => (isEncrypted(value) ? value.split(':')[1] : null);
+
+/**
+ * Encrypt a string with the current key: "enc:<keyId>:<base64 iv|tag|ciphertext>".
+ * Values are returned unchanged when encryption is not configured, when they are
+ * empty or when they are already encrypted.
+ * @param {string|null} value
+ * @returns {string|null}
+ */
+function encryptValue(value) {
+  if (value === null || value === undefined || value === '' || isEncrypted(value)) return value;
+
+  const { currentKeyId, keys } = getKeyring();
+  if (!currentKeyId) return value;
+
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(currentKeyId), iv);
+  const encrypted = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  const payload = Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64');
+
+  return `${PREFIX}:${currentKeyId}:${payload}`;
+}
+
+/**
+ * Decrypt a value produced by encryptValue. Plaintext (rows written before
+ * encryption was enabled) is returned as is.
+ * @param {string|null} value
+ * @returns {string|null}
+ */
+function decryptValue(value) {
+  if (!isEncrypted(value)) return value;
+
+  const [, keyId, payload] = value.split(':');
+  const key = getKeyring().keys.get(keyId);
+  if (!key) {
+    throw new Error(`Unknown encryption key "${keyId}": add it back to FIELD_ENCRYPTION_KEYS`);
+  }
+
+  const data = Buffer.from(payload, 'base64');
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, data.subarray(0, IV_LENGTH));
+  decipher.setAuthTag(data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+
+  return Buffer.concat([
+    decipher.update(data.subarray(IV_LENGTH + TAG_LENGTH)),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+// True when a stored value is not encrypted with the current key (plaintext or older key)
+const needsReencryption = (value) => {
+  if (value === null || value === undefined || value === '') return false;
+  const { currentKeyId } = getKeyring();
+  return Boolean(currentKeyId) && keyIdOf(value) !== currentKeyId;
+};
+
+// New random key, base64 (for FIELD_ENCRYPTION_KEYS)
+const generateKey = () => crypto.randomBytes(32).toString('base64');
+
+module.exports = {
+  PREFIX,
+  getKeyring,
+  resetKeyring,
+  isEncryptionEnabled,
+  isEncrypted,
+  keyIdOf,
+  encryptValue,
+  decryptValue,
+  needsReencryption,
+  generateKey
+};
@@ -0,0 +1,59 @@
+// src/utils/geo.js - Small geographic helpers (WGS84 coordinates in decimal degrees)
+
+const EARTH_RADIUS_METERS = 6371008.8;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Latitude/longitude pair usable for computations, or null
+const toPoint = (latitude, longitude) => {
+  if (latitude === null || latitude === undefined || longitude === null || longitude === undefined) {
+    return null;
+  }
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return null;
+  }
+  return { latitude: lat, longitude: lng };
+};
+
+// Coarser coordinate for anonymized positions (2 decimals ~ 1 km, 3 ~ 100 m), or null
+const roundCoordinate = (value, decimals) => {
+  if (value === null || value === undefined) return null;
+  const factor = 10 ** decimals;
+  return Math.round(Number(value) * factor) / factor;
+};
+
+// Start point then waypoints by `order` (array order when missing), invalid ones skipped.
+// Works on a MaraudeAction or an occurrence's effective schedule.
+const routePoints = (route) => {
+  const waypoints = (Array.isArray(route.waypoints) ? route.waypoints : [])
+    .map((waypoint, index) => ({ waypoint, index }))
+    .sort((a, b) => (a.waypoint?.order ?? a.index) - (b.waypoint?.order ?? b.index))
+    .map(({ waypoint }) => waypoint && toPoint(waypoint.latitude, waypoint.longitude));
+
+  return [toPoint(route.startLatitude, route.startLongitude), ...waypoints].filter(Boolean);
+};
+
+/**
+ * Great-circle distance between two points (haversine formula)
+ * @param {{latitude: number, longitude: number}} a
+ * @param {{latitude: number, longitude: number}} b
+ * @returns {number} distance in meters
+ */
+function haversineDistance(a, b) {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+module.exports = {
+  EARTH_RADIUS_METERS,
+  toRadians,
+  toPoint,
+  roundCoordinate,
+  routePoints,
+  haversineDistance
+};
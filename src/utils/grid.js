@@ -0,0 +1,100 @@
+// src/utils/grid.js - Square and hexagonal grids over WGS84 coordinates, for aggregating
+// points into cells. Cells are laid out in meters on an equirectangular projection
+// around a reference latitude: accurate enough at the scale of a city.
+const { EARTH_RADIUS_METERS, toRadians } = require('./geo');
+
+const GRID_TYPES = ['hex', 'square'];
+
+const SQRT3 = Math.sqrt(3);
+
+// Cube rounding of fractional axial coordinates to the hexagon containing them
+const roundHex = (q, r) => {
+  const s = -q - r;
+  let rq = Math.round(q);
+  let rr = Math.round(r);
+  const rs = Math.round(s);
+  const dq = Math.abs(rq - q);
+  const dr = Math.abs(rr - r);
+  const ds = Math.abs(rs - s);
+
+  if (dq > dr && dq > ds) {
+    rq = -rr - rs;
+  } else if (dr > ds) {
+    rr = -rq - rs;
+  }
+  // -0 would give "-0" in ids
+  return [rq + 0, rr + 0];
+};
+
+/**
+ * @param {Object} options
+ * @param {string} [options.type='hex'] - 'hex' (pointy-top) or 'square'
+ * @param {number} options.size - meters: side of a square, center to corner of a hexagon
+ * @param {number} [options.referenceLatitude=0] - latitude where meters are exact
+ * @returns {{type: string, size: number, referenceLatitude: number, cellOf: Function, cell: Function}}
+ */
+function createGrid({ type = 'hex', size, referenceLatitude = 0 }) {
+  const metersPerRadianLat = EARTH_RADIUS_METERS;
+  const metersPerRadianLng = EARTH_RADIUS_METERS * Math.cos(toRadians(referenceLatitude));
+
+  const project = (point) => ({
+    x: toRadians(point.longitude) * metersPerRadianLng,
+    y: toRadians(point.latitude) * metersPerRadianLat
+  });
+  const unproject = (x, y) => ({
+    latitude: (y / metersPerRadianLat) * 180 / Math.PI,
+    longitude: (x / metersPerRadianLng) * 180 / Math.PI
+  });
+
+  // Integer cell coordinates of a point
+  const indexOf = (point) => {
+    const { x, y } = project(point);
+    if (type === 'square') {
+      return [Math.floor(x / size), Math.floor(y / size)];
+    }
+    return roundHex((SQRT3 / 3 * x - y / 3) / size, (2 / 3 * y) / size);
+  };
+
+  // Center and corners (projected meters) of a cell
+  const shape = (i, j) => {
+    if (type === 'square') {
+      const [x0, y0] = [i * size, j * size];
+      return {
+        center: [x0 + size / 2, y0 + size / 2],
+        corners: [[x0, y0], [x0 + size, y0], [x0 + size, y0 + size], [x0, y0 + size]]
+      };
+    }
+    const cx = size * SQRT3 * (i + j / 2);
+    const cy = size * 1.5 * j;
+    const corners = [];
+    for (let corner = 0; corner < 6; corner++) {
+      const angle = toRadians(60 * corner - 30);
+      corners.push([cx + size * Math.cos(angle), cy + size * Math.sin(angle)]);
+    }
+    return { center: [cx, cy], corners };
+  };
+
+  /**
+   * Cell of an id ("i:j"): center point and GeoJSON Polygon (closed ring, [lng, lat])
+   */
+  const cell = (id) => {
+    const [i, j] = id.split(':').map(Number);
+    const { center, corners } = shape(i, j);
+    const ring = [...corners, corners[0]].map(([x, y]) => {
+      const point = unproject(x, y);
+      return [point.longitude, point.latitude];
+    });
+    return {
+      id,
+      center: unproject(center[0], center[1]),
+      geometry: { type: 'Polygon', coordinates: [ring] }
+    };
+  };
+
+  // Id of the cell containing a {latitude, longitude} point
+  const cellOf = (point) => indexOf(point).join(':');
+
+  return { type, size, referenceLatitude, cellOf, cell };
+}
+
+module.exports = { GRID_TYPES, createGrid };
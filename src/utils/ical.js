@@ -0,0 +1,110 @@
+// src/utils/ical.js - Minimal RFC 5545 (iCalendar) writer for calendar feeds
+
+const PRODUCT_ID = '-//Maraude Tracker//Planning//FR';
+
+// Escape TEXT values (RFC 5545 §3.3.11)
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold content lines longer than 75 octets (RFC 5545 §3.1)
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    const limit = chunks.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (currentBytes + bytes > limit) {
+      chunks.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+// '2025-01-16' + '19:30:00' -> '20250116T193000' (floating local time)
+const formatLocalDateTime = (date, time = '00:00:00') => {
+  const [hours = '00', minutes = '00', seconds = '00'] = String(time).split(':');
+  return `${date.replace(/-/g, '')}T${hours.padStart(2, '0')}${minutes.padStart(2, '0')}${seconds.slice(0, 2).padStart(2, '0')}`;
+};
+
+// Date -> '20250116T183000Z'
+const formatUtcDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Serialize a VEVENT
+ * @param {Object} event
+ * @param {string} event.uid
+ * @param {string} event.start - DATE-TIME value (see formatLocalDateTime / formatUtcDateTime)
+ * @param {string} [event.end]
+ * @param {string} event.summary
+ * @param {string} [event.description]
+ * @param {string} [event.location]
+ * @param {{latitude: number, longitude: number}} [event.geo]
+ * @param {string} [event.status] - CONFIRMED, TENTATIVE or CANCELLED
+ * @param {Date} [event.lastModified]
+ * @param {string} [event.url]
+ */
+function buildEvent(event) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatUtcDateTime(new Date())}`,
+    `DTSTART:${event.start}`
+  ];
+
+  if (event.end) lines.push(`DTEND:${event.end}`);
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.geo) lines.push(`GEO:${Number(event.geo.latitude)};${Number(event.geo.longitude)}`);
+  if (event.status) lines.push(`STATUS:${event.status}`);
+  if (event.lastModified) lines.push(`LAST-MODIFIED:${formatUtcDateTime(event.lastModified)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  lines.push('END:VEVENT');
+
+  return lines;
+}
+
+/**
+ * Serialize a VCALENDAR
+ * @param {Object} options
+ * @param {string} options.name - Calendar display name (X-WR-CALNAME)
+ * @param {string} [options.timezone] - Zone of floating times (X-WR-TIMEZONE)
+ * @param {Object[]} options.events - see buildEvent
+ * @returns {string}
+ */
+function buildCalendar({ name, timezone, events }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  if (timezone) lines.push(`X-WR-TIMEZONE:${timezone}`);
+  events.forEach(event => lines.push(...buildEvent(event)));
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatLocalDateTime,
+  formatUtcDateTime,
+  buildEvent,
+  buildCalendar
+};
@@ -0,0 +1,58 @@
+// src/utils/lruCache.js - Small in-memory LRU cache with a size budget and a time to live
+
+/**
+ * @param {Object} options
+ * @param {number} options.maxBytes - total size of the cached values
+ * @param {number} options.ttlMs - entries older than this are misses
+ * @param {Function} [options.sizeOf] - size of a value (default: length, for Buffers and strings)
+ * @returns {{get: Function, set: Function, clear: Function, stats: Function}}
+ */
+function createLruCache({ maxBytes, ttlMs, sizeOf = (value) => value.length }) {
+  // Map keeps insertion order: the first entry is the least recently used
+  const entries = new Map();
+  let totalBytes = 0;
+
+  const remove = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return;
+    totalBytes -= entry.size;
+    entries.delete(key);
+  };
+
+  const get = (key, now = Date.now()) => {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (now - entry.storedAt > ttlMs) {
+      remove(key);
+      return undefined;
+    }
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.value;
+  };
+
+  const set = (key, value, now = Date.now()) => {
+    remove(key);
+    const size = sizeOf(value);
+    // Larger than the whole budget: not worth evicting everything else
+    if (size > maxBytes) return;
+
+    entries.set(key, { value, size, storedAt: now });
+    totalBytes += size;
+    for (const oldest of entries.keys()) {
+      if (totalBytes <= maxBytes) break;
+      remove(oldest);
+    }
+  };
+
+  const clear = () => {
+    entries.clear();
+    totalBytes = 0;
+  };
+
+  const stats = () => ({ entries: entries.size, bytes: totalBytes, maxBytes });
+
+  return { get, set, clear, stats };
+}
+
+module.exports = { createLruCache };
@@ -0,0 +1,72 @@
+// src/utils/openingHours.js - Read Merchant.openingHours, e.g.
+// { "monday": "09:00-18:00", "tuesday": "09:00-12:00, 14:00-19:00", "sunday": "closed" }
+// Day keys in English or French, full or 3 letters; times as 09:00, 9:00 or 9h / 9h30.
+
+// Keys per ISO weekday (1 = Monday)
+const DAY_KEYS = [
+  null,
+  ['monday', 'mon', 'lundi', 'lun'],
+  ['tuesday', 'tue', 'mardi', 'mar'],
+  ['wednesday', 'wed', 'mercredi', 'mer'],
+  ['thursday', 'thu', 'jeudi', 'jeu'],
+  ['friday', 'fri', 'vendredi', 'ven'],
+  ['saturday', 'sat', 'samedi', 'sam'],
+  ['sunday', 'sun', 'dimanche', 'dim']
+];
+
+const CLOSED_VALUES = ['closed', 'ferme', 'fermé', '-', ''];
+const ALWAYS_OPEN_VALUES = ['24h', '24h/24', '24/24', 'open 24 hours'];
+
+// '18:30', '9h', '9h30' -> minutes after midnight, or null
+const parseTime = (value) => {
+  const match = /^(\d{1,2})\s*(?:[:h]\s*(\d{2})?)?$/i.exec(String(value).trim());
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+  return hours * 60 + minutes;
+};
+
+// One range: '09:00-18:00' or { open, close }. Closing after midnight ends the next day.
+const parseRange = (range) => {
+  const [openValue, closeValue] = typeof range === 'object' && range !== null
+    ? [range.open, range.close]
+    : String(range).split(/\s*[-–à]\s*/);
+  const open = parseTime(openValue);
+  const close = closeValue === undefined ? null : parseTime(closeValue);
+  if (open === null || close === null) return null;
+  return [open, close <= open ? close + 24 * 60 : close];
+};
+
+/**
+ * Opening intervals of a merchant on a given day
+ * @param {Object} openingHours - Merchant.openingHours
+ * @param {number} weekday - ISO weekday, 1 (Monday) to 7 (Sunday)
+ * @returns {Array<[number, number]>|null} [open, close] in minutes after midnight, sorted
+ *   ([] when closed that day), or null when the hours of that day are unknown
+ */
+function openingIntervals(openingHours, weekday) {
+  if (!openingHours || typeof openingHours !== 'object' || !DAY_KEYS[weekday]) return null;
+
+  const key = Object.keys(openingHours).find(name => DAY_KEYS[weekday].includes(name.trim().toLowerCase()));
+  if (key === undefined) return null;
+
+  const value = openingHours[key];
+  if (value === null || value === false) return [];
+  if (typeof value === 'string') {
+    const text = value.trim().toLowerCase();
+    if (CLOSED_VALUES.includes(text)) return [];
+    if (ALWAYS_OPEN_VALUES.includes(text)) return [[0, 24 * 60]];
+  }
+
+  const ranges = Array.isArray(value)
+    ? value
+    : (typeof value === 'object' ? [value] : String(value).split(/\s*[,;/]\s*|\s+et\s+/));
+  const intervals = ranges.map(parseRange);
+  // Unreadable hours: better no constraint than a wrong one
+  if (intervals.length === 0 || intervals.some(interval => interval === null)) return null;
+
+  return intervals.sort((a, b) => a[0] - b[0]);
+}
+
+module.exports = { parseTime, openingIntervals };
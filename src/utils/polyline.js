@@ -0,0 +1,80 @@
+// src/utils/polyline.js - Encoded polyline format (Google, OSRM, GraphHopper, Leaflet plugins)
+// https://developers.google.com/maps/documentation/utilities/polylinealgorithm
+// Precision 5 (~1 m) is the common default, OSRM can also use 6 (`polyline6`).
+
+const DEFAULT_PRECISION = 5;
+
+const encodeValue = (value) => {
+  let shifted = value < 0 ? ~(value << 1) : value << 1;
+  let output = '';
+  while (shifted >= 0x20) {
+    output += String.fromCharCode((0x20 | (shifted & 0x1f)) + 63);
+    shifted >>= 5;
+  }
+  return output + String.fromCharCode(shifted + 63);
+};
+
+/**
+ * @param {Array<{latitude: number, longitude: number}>} points
+ * @param {number} [precision=5] - decimals kept
+ * @returns {string}
+ */
+function encodePolyline(points, precision = DEFAULT_PRECISION) {
+  const factor = 10 ** precision;
+  let previousLat = 0;
+  let previousLng = 0;
+  let output = '';
+
+  for (const point of points) {
+    const lat = Math.round(point.latitude * factor);
+    const lng = Math.round(point.longitude * factor);
+    output += encodeValue(lat - previousLat) + encodeValue(lng - previousLng);
+    previousLat = lat;
+    previousLng = lng;
+  }
+  return output;
+}
+
+/**
+ * @param {string} encoded
+ * @param {number} [precision=5]
+ * @returns {Array<{latitude: number, longitude: number}>}
+ * @throws {Error} when the string is not a valid polyline
+ */
+function decodePolyline(encoded, precision = DEFAULT_PRECISION) {
+  if (typeof encoded !== 'string') {
+    throw new Error('Polyline must be a string');
+  }
+  const factor = 10 ** precision;
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  const nextValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      if (index >= encoded.length) {
+        throw new Error('Invalid polyline: truncated value');
+      }
+      byte = encoded.charCodeAt(index++) - 63;
+      if (byte < 0 || byte > 0x3f) {
+        throw new Error('Invalid polyline: unexpected character');
+      }
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return (result & 1) ? ~(result >> 1) : (result >> 1);
+  };
+
+  while (index < encoded.length) {
+    lat += nextValue();
+    lng += nextValue();
+    points.push({ latitude: lat / factor, longitude: lng / factor });
+  }
+  return points;
+}
+
+module.exports = { DEFAULT_PRECISION, encodePolyline, decodePolyline };
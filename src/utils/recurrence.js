@@ -0,0 +1,386 @@
+// src/utils/recurrence.js - RFC 5545 recurrence rules (RRULE) expanded over calendar dates
+//
+// Maraudes are whole-day events with a separate startTime, so rules are
+// expanded on DATEONLY strings. Supported parts: FREQ (DAILY, WEEKLY,
+// MONTHLY, YEARLY), INTERVAL, BYDAY (with ordinals, e.g. 1TH,-1FR),
+// BYMONTHDAY, BYMONTH, UNTIL, COUNT and WKST=MO. EXDATE is passed separately.
+const {
+  toDateOnly,
+  parseDateOnly,
+  addDays,
+  isoWeekday,
+  startOfWeek,
+  isValidDateOnly
+} = require('./dateUtils');
+
+const WEEKDAY_CODES = ['', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const SUPPORTED_PARTS = ['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'UNTIL', 'COUNT', 'WKST'];
+
+// Safety net against rules that never match (e.g. BYMONTHDAY=31;BYMONTH=2)
+const MAX_ITERATIONS = 5000;
+
+const parseIntList = (value, name, min, max) => value.split(',').map(item => {
+  const number = parseInt(item, 10);
+  if (Number.isNaN(number) || String(number) !== item.replace(/^\+/, '') || number === 0 || number < min || number > max) {
+    throw new Error(`Invalid ${name} value: ${item}`);
+  }
+  return number;
+});
+
+// 'YYYYMMDD' or 'YYYYMMDDTHHMMSS(Z)' -> 'YYYY-MM-DD'
+const parseRuleDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(value);
+  const date = match && `${match[1]}-${match[2]}-${match[3]}`;
+  if (!date || !isValidDateOnly(date)) {
+    throw new Error(`Invalid UNTIL value: ${value}`);
+  }
+  return date;
+};
+
+/**
+ * Parse an RRULE string ("FREQ=WEEKLY;BYDAY=1TH,3TH", optional "RRULE:" prefix)
+ * @throws {Error} with a human readable message when the rule is invalid
+ */
+function parseRule(ruleString) {
+  if (typeof ruleString !== 'string' || !ruleString.trim()) {
+    throw new Error('Recurrence rule must be a non-empty string');
+  }
+
+  const parts = {};
+  ruleString.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+    // NAME=VALUE: split on the first "=" only, a second one is an error
+    const separator = part.indexOf('=');
+    const rawKey = separator === -1 ? part : part.slice(0, separator);
+    const value = separator === -1 ? '' : part.slice(separator + 1);
+    const key = rawKey.toUpperCase();
+    if (!SUPPORTED_PARTS.includes(key)) {
+      throw new Error(`Unsupported recurrence rule part: ${rawKey}`);
+    }
+    if (!value) {
+      throw new Error(`Missing value for ${key}`);
+    }
+    if (value.includes('=')) {
+      throw new Error(`Invalid value for ${key}: ${value}`);
+    }
+    parts[key] = value.toUpperCase();
+  });
+
+  if (!FREQUENCIES.includes(parts.FREQ)) {
+    throw new Error(`FREQ must be one of ${FREQUENCIES.join(', ')}`);
+  }
+  if (parts.WKST && parts.WKST !== 'MO') {
+    throw new Error('Only WKST=MO is supported');
+  }
+  if (parts.UNTIL && parts.COUNT) {
+    throw new Error('UNTIL and COUNT cannot be used together');
+  }
+
+  const rule = {
+    freq: parts.FREQ,
+    interval: parts.INTERVAL ? parseIntList(parts.INTERVAL, 'INTERVAL', 1, 366)[0] : 1,
+    byDay: [],
+    byMonthDay: parts.BYMONTHDAY ? parseIntList(parts.BYMONTHDAY, 'BYMONTHDAY', -31, 31) : [],
+    byMonth: parts.BYMONTH ? parseIntList(parts.BYMONTH, 'BYMONTH', 1, 12) : [],
+    until: parts.UNTIL ? parseRuleDate(parts.UNTIL) : null,
+    count: parts.COUNT ? parseIntList(parts.COUNT, 'COUNT', 1, 1000)[0] : null
+  };
+
+  if (parts.BYDAY) {
+    rule.byDay = parts.BYDAY.split(',').map(item => {
+      const match = /^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/.exec(item);
+      if (!match) {
+        throw new Error(`Invalid BYDAY value: ${item}`);
+      }
+      const ordinal = match[1] ? parseInt(match[1], 10) : null;
+      if (ordinal !== null && (ordinal === 0 || Math.abs(ordinal) > 5)) {
+        throw new Error(`Invalid BYDAY ordinal: ${item}`);
+      }
+      if (ordinal !== null && !['MONTHLY', 'YEARLY'].includes(rule.freq)) {
+        throw new Error('BYDAY ordinals are only allowed with FREQ=MONTHLY or FREQ=YEARLY');
+      }
+      return { weekday: WEEKDAY_CODES.indexOf(match[2]), ordinal };
+    });
+  }
+
+  if (rule.byMonthDay.length && rule.freq === 'WEEKLY') {
+    throw new Error('BYMONTHDAY cannot be used with FREQ=WEEKLY');
+  }
+
+  return rule;
+}
+
+// Normalized string form of a parsed rule
+function formatRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay.length) {
+    parts.push(`BYDAY=${rule.byDay.map(d => `${d.ordinal || ''}${WEEKDAY_CODES[d.weekday]}`).join(',')}`);
+  }
+  if (rule.byMonthDay.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.byMonth.length) parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  return parts.join(';');
+}
+
+// Legacy mapping: dayOfWeek (1-7) -> "every week on that day"
+function ruleFromDayOfWeek(dayOfWeek) {
+  return `FREQ=WEEKLY;BYDAY=${WEEKDAY_CODES[dayOfWeek]}`;
+}
+
+// Single weekday of a rule ("every <day>" style rules), otherwise null
+function getRuleWeekday(ruleString) {
+  const rule = typeof ruleString === 'string' ? parseRule(ruleString) : ruleString;
+  const weekdays = [...new Set(rule.byDay.map(d => d.weekday))];
+  return weekdays.length === 1 ? weekdays[0] : null;
+}
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+const monthDate = (year, month, day) => toDateOnly(new Date(Date.UTC(year, month - 1, day)));
+
+// Dates of a month matching BYMONTHDAY / BYDAY (ordinals relative to the month)
+function expandMonth(rule, year, month, fallbackDay) {
+  const lastDay = daysInMonth(year, month);
+  let candidates = null;
+
+  if (rule.byMonthDay.length) {
+    candidates = rule.byMonthDay
+      .map(day => (day > 0 ? day : lastDay + day + 1))
+      .filter(day => day >= 1 && day <= lastDay)
+      .map(day => monthDate(year, month, day));
+  }
+
+  if (rule.byDay.length) {
+    const byDayDates = [];
+    rule.byDay.forEach(({ weekday, ordinal }) => {
+      const matching = [];
+      for (let day = 1; day <= lastDay; day++) {
+        const date = monthDate(year, month, day);
+        if (isoWeekday(date) === weekday) matching.push(date);
+      }
+      if (ordinal === null) {
+        byDayDates.push(...matching);
+      } else {
+        const date = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+        if (date) byDayDates.push(date);
+      }
+    });
+    candidates = candidates ? candidates.filter(date => byDayDates.includes(date)) : byDayDates;
+  }
+
+  if (!candidates) {
+    candidates = fallbackDay <= lastDay ? [monthDate(year, month, fallbackDay)] : [];
+  }
+
+  return [...new Set(candidates)].sort();
+}
+
+// FREQ=YEARLY without BYMONTH (RFC 5545): BYMONTHDAY applies to every month of the year
+// and BYDAY to every week, its ordinals counting within the year (1MO: first Monday of January)
+function expandYear(rule, year) {
+  let candidates = null;
+
+  if (rule.byMonthDay.length) {
+    const monthDays = { ...rule, byDay: [] };
+    candidates = [];
+    for (let month = 1; month <= 12; month++) {
+      candidates.push(...expandMonth(monthDays, year, month));
+    }
+  }
+
+  if (rule.byDay.length) {
+    const byDayDates = [];
+    const nextYear = monthDate(year + 1, 1, 1);
+    rule.byDay.forEach(({ weekday, ordinal }) => {
+      const matching = [];
+      for (let date = monthDate(year, 1, 1); date < nextYear; date = addDays(date, 1)) {
+        if (isoWeekday(date) === weekday) matching.push(date);
+      }
+      if (ordinal === null) {
+        byDayDates.push(...matching);
+      } else {
+        const date = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+        if (date) byDayDates.push(date);
+      }
+    });
+    candidates = candidates ? candidates.filter(date => byDayDates.includes(date)) : byDayDates;
+  }
+
+  return [...new Set(candidates)].sort();
+}
+
+// Candidate dates of one period (day, week, month or year) of the rule
+function expandPeriod(rule, periodStart, dtstart) {
+  const start = parseDateOnly(periodStart);
+  const year = start.getUTCFullYear();
+  const month = start.getUTCMonth() + 1;
+  const anchor = parseDateOnly(dtstart);
+
+  switch (rule.freq) {
+    case 'DAILY':
+      return [periodStart];
+    case 'WEEKLY': {
+      const weekdays = rule.byDay.length ? rule.byDay.map(d => d.weekday) : [isoWeekday(dtstart)];
+      return [...new Set(weekdays)].sort().map(weekday => addDays(periodStart, weekday - 1));
+    }
+    case 'MONTHLY':
+      return expandMonth(rule, year, month, anchor.getUTCDate());
+    case 'YEARLY': {
+      if (!rule.byMonth.length && (rule.byDay.length || rule.byMonthDay.length)) {
+        return expandYear(rule, year);
+      }
+      const months = rule.byMonth.length ? rule.byMonth : [anchor.getUTCMonth() + 1];
+      return [...months].sort((a, b) => a - b)
+        .flatMap(m => expandMonth(rule, year, m, anchor.getUTCDate()));
+    }
+    default:
+      return [];
+  }
+}
+
+// Filters that restrict (rather than expand) the candidates
+function matchesFilters(rule, date) {
+  const parsed = parseDateOnly(date);
+  if (rule.byMonth.length && !rule.byMonth.includes(parsed.getUTCMonth() + 1)) {
+    return false;
+  }
+  if (rule.freq === 'DAILY') {
+    if (rule.byDay.length && !rule.byDay.some(d => d.weekday === isoWeekday(date))) {
+      return false;
+    }
+    if (rule.byMonthDay.length) {
+      const lastDay = daysInMonth(parsed.getUTCFullYear(), parsed.getUTCMonth() + 1);
+      const day = parsed.getUTCDate();
+      if (!rule.byMonthDay.some(d => (d > 0 ? d : lastDay + d + 1) === day)) {
+        return false;
+      }
+    }
+  }
+  return true;
+}
+
+// First day of the period containing `date`, then step to the next period
+function periodOf(rule, date) {
+  const parsed = parseDateOnly(date);
+  switch (rule.freq) {
+    case 'WEEKLY':
+      return startOfWeek(date);
+    case 'MONTHLY':
+      return monthDate(parsed.getUTCFullYear(), parsed.getUTCMonth() + 1, 1);
+    case 'YEARLY':
+      return monthDate(parsed.getUTCFullYear(), 1, 1);
+    default:
+      return date;
+  }
+}
+
+function nextPeriod(rule, periodStart) {
+  const parsed = parseDateOnly(periodStart);
+  switch (rule.freq) {
+    case 'DAILY':
+      return addDays(periodStart, rule.interval);
+    case 'WEEKLY':
+      return addDays(periodStart, 7 * rule.interval);
+    case 'MONTHLY':
+      return monthDate(parsed.getUTCFullYear(), parsed.getUTCMonth() + 1 + rule.interval, 1);
+    case 'YEARLY':
+      return monthDate(parsed.getUTCFullYear() + rule.interval, 1, 1);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Expand a rule into the dates falling between `from` and `to` (inclusive)
+ * @param {string|Object} ruleInput - RRULE string or parsed rule
+ * @param {Object} options
+ * @param {string} options.dtstart - YYYY-MM-DD, first possible date (anchor for INTERVAL/COUNT)
+ * @param {string} options.from - YYYY-MM-DD
+ * @param {string} options.to - YYYY-MM-DD
+ * @param {string[]} [options.exdates] - excluded dates (EXDATE)
+ * @returns {string[]}
+ */
+function expandRule(ruleInput, { dtstart, from, to, exdates = [] }) {
+  const rule = typeof ruleInput === 'string' ? parseRule(ruleInput) : ruleInput;
+  const anchor = dtstart || from;
+  const lastDate = rule.until && rule.until < to ? rule.until : to;
+  const excluded = new Set(exdates);
+  const dates = [];
+
+  if (lastDate < from || lastDate < anchor) {
+    return dates;
+  }
+
+  // Without COUNT, periods before `from` can be skipped while keeping the INTERVAL phase
+  let period = periodOf(rule, anchor);
+  if (!rule.count && rule.interval === 1 && from > anchor) {
+    period = periodOf(rule, from);
+  }
+
+  let produced = 0;
+  for (let i = 0; period && period <= lastDate && i < MAX_ITERATIONS; i++) {
+    const candidates = expandPeriod(rule, period, anchor)
+      .filter(date => date >= anchor && date <= lastDate && matchesFilters(rule, date));
+
+    for (const date of candidates) {
+      produced++;
+      if (date >= from && !excluded.has(date)) {
+        dates.push(date);
+      }
+      if (rule.count && produced >= rule.count) {
+        return dates;
+      }
+    }
+
+    period = nextPeriod(rule, period);
+  }
+
+  return dates;
+}
+
+const ORDINAL_LABELS = { 1: '1er', 2: '2e', 3: '3e', 4: '4e', 5: '5e', '-1': 'dernier', '-2': 'avant-dernier' };
+const WEEKDAY_LABELS = ['', 'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi', 'dimanche'];
+
+// Short French description, e.g. "1er et 3e jeudi du mois", "Un samedi sur deux"
+function describeRule(ruleString) {
+  let rule;
+  try {
+    rule = typeof ruleString === 'string' ? parseRule(ruleString) : ruleString;
+  } catch (error) {
+    return 'Récurrent';
+  }
+
+  const join = (items) => items.length > 1
+    ? `${items.slice(0, -1).join(', ')} et ${items[items.length - 1]}`
+    : items[0];
+  const weekdays = rule.byDay.filter(d => d.ordinal === null).map(d => WEEKDAY_LABELS[d.weekday]);
+  const ordinals = rule.byDay.filter(d => d.ordinal !== null);
+
+  switch (rule.freq) {
+    case 'DAILY':
+      return rule.interval > 1 ? `Tous les ${rule.interval} jours` : 'Tous les jours';
+    case 'WEEKLY':
+      if (rule.interval === 2 && weekdays.length === 1) return `Un ${weekdays[0]} sur deux`;
+      if (rule.interval > 1) return `Toutes les ${rule.interval} semaines (${join(weekdays) || 'même jour'})`;
+      return weekdays.length ? `Chaque ${join(weekdays)}` : 'Chaque semaine';
+    case 'MONTHLY':
+      if (ordinals.length && new Set(ordinals.map(d => d.weekday)).size === 1) {
+        const label = `${join(ordinals.map(d => ORDINAL_LABELS[d.ordinal] || `${d.ordinal}e`))} ${WEEKDAY_LABELS[ordinals[0].weekday]} du mois`;
+        return label.charAt(0).toUpperCase() + label.slice(1);
+      }
+      return 'Chaque mois';
+    default:
+      return 'Chaque année';
+  }
+}
+
+module.exports = {
+  WEEKDAY_CODES,
+  parseRule,
+  formatRule,
+  ruleFromDayOfWeek,
+  getRuleWeekday,
+  expandRule,
+  describeRule
+};
@@ -0,0 +1,37 @@
+// src/utils/requestContext.js - Per-request context (request id, actor) available anywhere in the call chain
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+// Express middleware: opens the context of a request. Mount it after the body parsers.
+const requestContext = (req, res, next) => {
+  const context = {
+    requestId: req.get('x-request-id') || crypto.randomUUID(),
+    ipAddress: req.ip,
+    method: req.method,
+    path: req.originalUrl,
+    actor: null
+  };
+  storage.run(context, next);
+};
+
+const getContext = () => storage.getStore() || null;
+
+// Called by authenticateToken once the user is known
+const setActor = (user) => {
+  const context = storage.getStore();
+  if (context && user) {
+    context.actor = { id: user.id, associationId: user.associationId, role: user.role };
+  }
+};
+
+// Run a function (job, script) under an explicit context
+const runWithContext = (context, fn) => storage.run({ requestId: crypto.randomUUID(), actor: null, ...context }, fn);
+
+module.exports = {
+  requestContext,
+  getContext,
+  setActor,
+  runWithContext
+};
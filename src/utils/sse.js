@@ -0,0 +1,63 @@
+// src/utils/sse.js - Server-Sent Events responses (text/event-stream)
+
+const HEARTBEAT_MS = 25000;
+
+/**
+ * Turn a response into an event stream. A comment is sent every 25 s so that
+ * proxies do not close an idle connection.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {{send: Function, close: Function, onClose: Function}}
+ */
+function openEventStream(req, res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // nginx: do not buffer the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  // Reconnect after 5 s when the connection drops
+  res.write('retry: 5000\n\n');
+
+  const closeHandlers = [];
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  let closed = false;
+  const cleanUp = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    closeHandlers.forEach(handler => handler());
+  };
+  req.on('close', cleanUp);
+
+  const send = (event, data, id) => {
+    if (res.writableEnded) return;
+    const lines = [];
+    if (id !== undefined) lines.push(`id: ${id}`);
+    lines.push(`event: ${event}`);
+    lines.push(`data: ${JSON.stringify(data)}`);
+    res.write(`${lines.join('\n')}\n\n`);
+  };
+
+  return {
+    // One event; data is sent as JSON
+    send,
+
+    // End the stream from the server, after a last event telling the client why
+    close(event, data) {
+      if (event) send(event, data);
+      cleanUp();
+      if (!res.writableEnded) res.end();
+    },
+
+    onClose(handler) {
+      closeHandlers.push(handler);
+    }
+  };
+}
+
+module.exports = { openEventStream };
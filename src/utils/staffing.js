@@ -0,0 +1,120 @@
+// src/utils/staffing.js - Minimum staffing rules of an association and their evaluation on a roster
+
+// Applied when an association has not configured its own rules:
+// never go out with fewer than two volunteers or without a trained team leader
+const DEFAULT_STAFFING_RULES = Object.freeze({
+  minVolunteers: 2,
+  requirements: Object.freeze([Object.freeze({ skill: 'team_leader', min: 1 })])
+});
+
+const SKILL_LABELS = {
+  team_leader: 'chef d\'équipe formé',
+  first_aid: 'secouriste',
+  driver: 'conducteur'
+};
+
+const ROLE_LABELS = {
+  volunteer: 'bénévole',
+  coordinator: 'coordinateur',
+  admin: 'administrateur'
+};
+
+const normalizeSkill = (skill) => String(skill).trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+
+/**
+ * Validate and normalize staffing rules, e.g.
+ * { minVolunteers: 2, requirements: [{ skill: 'team_leader', min: 1 }, { role: 'coordinator', min: 1 }] }
+ * @param {Object} input
+ * @returns {{minVolunteers: number, requirements: Object[]}}
+ * @throws {Error} readable message when the rules are invalid
+ */
+function parseStaffingRules(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Staffing rules must be an object');
+  }
+
+  const minVolunteers = input.minVolunteers === undefined ? 0 : input.minVolunteers;
+  if (!isNonNegativeInteger(minVolunteers)) {
+    throw new Error('minVolunteers must be an integer >= 0');
+  }
+
+  const requirements = input.requirements || [];
+  if (!Array.isArray(requirements)) {
+    throw new Error('requirements must be an array');
+  }
+
+  return {
+    minVolunteers,
+    requirements: requirements.map((requirement, index) => {
+      const min = requirement?.min === undefined ? 1 : requirement.min;
+      if (!Number.isInteger(min) || min < 1) {
+        throw new Error(`requirements[${index}].min must be an integer >= 1`);
+      }
+      if (requirement.skill && !requirement.role) {
+        return { skill: normalizeSkill(requirement.skill), min };
+      }
+      if (requirement.role && !requirement.skill) {
+        if (!ROLE_LABELS[requirement.role]) {
+          throw new Error(`requirements[${index}].role must be volunteer, coordinator or admin`);
+        }
+        return { role: requirement.role, min };
+      }
+      throw new Error(`requirements[${index}] needs either a skill or a role`);
+    })
+  };
+}
+
+// Skills of a user, normalized ('Team leader' -> 'team_leader')
+const getUserSkills = (user) => (Array.isArray(user.skills) ? user.skills : []).map(normalizeSkill);
+
+const requirementLabel = (requirement) => (requirement.skill
+  ? SKILL_LABELS[requirement.skill] || requirement.skill
+  : ROLE_LABELS[requirement.role]);
+
+/**
+ * Rules broken by a team
+ * @param {Object} rules - normalized rules (see parseStaffingRules)
+ * @param {Object[]} members - users of the team ({ role, skills })
+ * @returns {Object[]} violations: { code, required, actual, message, skill?, role? }
+ */
+function evaluateStaffing(rules, members) {
+  const violations = [];
+
+  if (members.length < rules.minVolunteers) {
+    violations.push({
+      code: 'min_volunteers',
+      required: rules.minVolunteers,
+      actual: members.length,
+      message: `${rules.minVolunteers} bénévoles minimum (${members.length} inscrit${members.length > 1 ? 's' : ''})`
+    });
+  }
+
+  rules.requirements.forEach(requirement => {
+    const actual = members.filter(member => (requirement.skill
+      ? getUserSkills(member).includes(requirement.skill)
+      : member.role === requirement.role)).length;
+
+    if (actual < requirement.min) {
+      violations.push({
+        code: requirement.skill ? 'missing_skill' : 'missing_role',
+        ...(requirement.skill ? { skill: requirement.skill } : { role: requirement.role }),
+        required: requirement.min,
+        actual,
+        message: `${requirement.min} ${requirementLabel(requirement)} requis (${actual} inscrit${actual > 1 ? 's' : ''})`
+      });
+    }
+  });
+
+  return violations;
+}
+
+module.exports = {
+  DEFAULT_STAFFING_RULES,
+  SKILL_LABELS,
+  normalizeSkill,
+  parseStaffingRules,
+  getUserSkills,
+  evaluateStaffing
+};
@@ -0,0 +1,61 @@
+// test/recurrence.test.js - RRULE parsing and expansion (src/utils/recurrence.js)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRule, expandRule } = require('../src/utils/recurrence');
+
+test('WEEKLY with BYDAY expands every listed weekday', () => {
+  const dates = expandRule('FREQ=WEEKLY;BYDAY=MO,TH', { dtstart: '2026-01-01', from: '2026-01-01', to: '2026-01-14' });
+  assert.deepEqual(dates, ['2026-01-01', '2026-01-05', '2026-01-08', '2026-01-12']);
+});
+
+test('MONTHLY ordinals count within the month', () => {
+  const dates = expandRule('FREQ=MONTHLY;BYDAY=1TH,-1FR', { dtstart: '2026-01-01', from: '2026-01-01', to: '2026-02-28' });
+  assert.deepEqual(dates, ['2026-01-01', '2026-01-30', '2026-02-05', '2026-02-27']);
+});
+
+test('YEARLY with BYDAY and no BYMONTH expands over every month', () => {
+  const dates = expandRule('FREQ=YEARLY;BYDAY=SU', { dtstart: '2026-01-01', from: '2026-01-01', to: '2026-12-31' });
+  assert.equal(dates.length, 52);
+  assert.equal(dates[0], '2026-01-04');
+  assert.equal(dates[dates.length - 1], '2026-12-27');
+  assert.equal(new Set(dates.map(date => date.slice(5, 7))).size, 12);
+});
+
+test('YEARLY BYDAY ordinals count within the year when there is no BYMONTH', () => {
+  const dates = expandRule('FREQ=YEARLY;BYDAY=1MO,-1FR', { dtstart: '2026-01-01', from: '2026-01-01', to: '2027-12-31' });
+  assert.deepEqual(dates, ['2026-01-05', '2026-12-25', '2027-01-04', '2027-12-31']);
+});
+
+test('YEARLY with BYMONTHDAY and no BYMONTH expands over every month', () => {
+  const dates = expandRule('FREQ=YEARLY;BYMONTHDAY=15', { dtstart: '2026-03-01', from: '2026-03-01', to: '2026-12-31' });
+  assert.equal(dates.length, 10);
+  assert.equal(dates[0], '2026-03-15');
+});
+
+test('YEARLY keeps the DTSTART month and day without BYDAY/BYMONTHDAY, and BYMONTH when given', () => {
+  assert.deepEqual(
+    expandRule('FREQ=YEARLY', { dtstart: '2026-06-20', from: '2026-01-01', to: '2028-12-31' }),
+    ['2026-06-20', '2027-06-20', '2028-06-20']
+  );
+  assert.deepEqual(
+    expandRule('FREQ=YEARLY;BYMONTH=12;BYDAY=-1SA', { dtstart: '2026-01-01', from: '2026-01-01', to: '2027-12-31' }),
+    ['2026-12-26', '2027-12-25']
+  );
+});
+
+test('COUNT and EXDATE apply to YEARLY rules expanded over the year', () => {
+  const dates = expandRule('FREQ=YEARLY;BYDAY=SU;COUNT=3', {
+    dtstart: '2026-01-01',
+    from: '2026-01-01',
+    to: '2026-12-31',
+    exdates: ['2026-01-11']
+  });
+  assert.deepEqual(dates, ['2026-01-04', '2026-01-18']);
+});
+
+test('parseRule rejects malformed parts', () => {
+  assert.throws(() => parseRule('FREQ==WEEKLY'), /Invalid value for FREQ/);
+  assert.throws(() => parseRule('FREQ=WEEKLY;BYDAY'), /Missing value for BYDAY/);
+  assert.throws(() => parseRule('FREQ=WEEKLY;BYDAY=1MO'), /ordinals are only allowed/);
+  assert.throws(() => parseRule('FREQ=HOURLY'), /FREQ must be one of/);
+});